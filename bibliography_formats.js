@@ -0,0 +1,387 @@
+const { splitName } = require('./citation_styles');
+
+/**
+ * Reference interchange: BibTeX and RIS parsing and serialization for the
+ * references described in citation_styles.js. Parsed references have no id;
+ * the caller assigns one when it stores them.
+ */
+
+// BibTeX entry types and RIS type tags for each reference type
+const BIBTEX_TYPES = {
+  article: 'article',
+  book: 'book',
+  chapter: 'incollection',
+  report: 'techreport',
+  webpage: 'online',
+  document: 'misc'
+};
+
+const BIBTEX_TYPE_ALIASES = {
+  article: 'article',
+  book: 'book',
+  booklet: 'book',
+  inbook: 'chapter',
+  incollection: 'chapter',
+  inproceedings: 'chapter',
+  conference: 'chapter',
+  techreport: 'report',
+  report: 'report',
+  phdthesis: 'report',
+  mastersthesis: 'report',
+  thesis: 'report',
+  online: 'webpage',
+  electronic: 'webpage',
+  www: 'webpage'
+};
+
+const RIS_TYPES = {
+  article: 'JOUR',
+  book: 'BOOK',
+  chapter: 'CHAP',
+  report: 'RPRT',
+  webpage: 'ELEC',
+  document: 'GEN'
+};
+
+const RIS_TYPE_ALIASES = {
+  JOUR: 'article',
+  JFULL: 'article',
+  MGZN: 'article',
+  NEWS: 'article',
+  BOOK: 'book',
+  EBOOK: 'book',
+  CHAP: 'chapter',
+  ECHAP: 'chapter',
+  CONF: 'chapter',
+  CPAPER: 'chapter',
+  RPRT: 'report',
+  THES: 'report',
+  ELEC: 'webpage',
+  WEB: 'webpage',
+  BLOG: 'webpage'
+};
+
+// The LaTeX accents that turn up in exported bibliographies
+const LATEX_ACCENTS = {
+  '"': '\u0308',
+  "'": '\u0301',
+  '`': '\u0300',
+  '^': '\u0302',
+  '~': '\u0303',
+  '=': '\u0304',
+  '.': '\u0307',
+  c: '\u0327',
+  v: '\u030C',
+  u: '\u0306',
+  H: '\u030B'
+};
+
+const LATEX_SYMBOLS = { ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı' };
+
+function latexToText(value) {
+  return value
+    .replace(/\\([`'"^~=.cvuH])\s*\{?([A-Za-z])\}?/g, (_, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\(ss|o|O|ae|AE|aa|AA|l|L|i)\b\s*/g, (_, name) => LATEX_SYMBOLS[name])
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function textToLatex(value) {
+  return String(value)
+    .replace(/([&%$#_])/g, '\\$1')
+    .replace(/[{}]/g, '')
+    .replace(/–/g, '--')
+    .replace(/—/g, '---');
+}
+
+/**
+ * Read the value of a field starting at index: {braced}, "quoted", a number,
+ * or @string macro names joined with #
+ * @returns {{value: string, end: number}}
+ */
+function readBibtexValue(text, index, macros) {
+  const parts = [];
+  let position = index;
+  while (position < text.length) {
+    while (/\s/.test(text[position])) position++;
+    const char = text[position];
+    if (char === '{' || char === '"') {
+      // Inner braces nest; the closing delimiter only counts at the outer level
+      let depth = 0;
+      let cursor = position + 1;
+      for (; cursor < text.length; cursor++) {
+        const current = text[cursor];
+        if (current === '\\') {
+          cursor++;
+        } else if (char === '{' && current === '}' && depth === 0) {
+          break;
+        } else if (char === '"' && current === '"' && depth === 0) {
+          break;
+        } else if (current === '{') {
+          depth++;
+        } else if (current === '}') {
+          depth--;
+        }
+      }
+      parts.push(text.slice(position + 1, cursor));
+      position = cursor + 1;
+    } else {
+      const match = text.slice(position).match(/^[^\s,#}]+/);
+      if (!match) break;
+      parts.push(macros[match[0].toLowerCase()] ?? match[0]);
+      position += match[0].length;
+    }
+    while (/\s/.test(text[position])) position++;
+    if (text[position] !== '#') break;
+    position++;
+  }
+  return { value: parts.join(''), end: position };
+}
+
+// Index just past the brace or parenthesis that closes the one at start, or -1 if none does
+function matchingClose(text, start) {
+  const open = text[start];
+  const close = open === '(' ? ')' : '}';
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text[index] === open) {
+      depth++;
+    } else if (text[index] === close && --depth === 0) {
+      return index + 1;
+    }
+  }
+  return -1;
+}
+
+function bibtexFields(body, macros) {
+  const fields = {};
+  let position = 0;
+  while (position < body.length) {
+    const match = body.slice(position).match(/^[\s,]*([A-Za-z][\w:-]*)\s*=\s*/);
+    if (!match) break;
+    const { value, end } = readBibtexValue(body, position + match[0].length, macros);
+    fields[match[1].toLowerCase()] = value;
+    position = end;
+  }
+  return fields;
+}
+
+function bibtexNames(value) {
+  return latexToText(value.replace(/\s+/g, ' '))
+    .split(/\s+and\s+/i)
+    .map(name => name.trim())
+    .filter(name => name && name.toLowerCase() !== 'others');
+}
+
+/**
+ * Parse a BibTeX file
+ * @param {string} text - .bib contents
+ * @returns {Array<Object>} References without ids
+ * @throws {Error} When an entry is never closed, naming the line it starts on
+ */
+function parseBibtex(text) {
+  const references = [];
+  const macros = { jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June', jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December' };
+  const entryStart = /@\s*([A-Za-z]+)\s*([{(])/g;
+  let match;
+  while ((match = entryStart.exec(text))) {
+    const type = match[1].toLowerCase();
+    const open = match.index + match[0].length - 1;
+    const end = matchingClose(text, open);
+    if (end < 0) {
+      const line = text.slice(0, match.index).split('\n').length;
+      throw new Error(`Unterminated @${match[1]} entry on line ${line}: its closing ${match[2] === '(' ? 'parenthesis' : 'brace'} is missing`);
+    }
+    const body = text.slice(open + 1, end - 1);
+    entryStart.lastIndex = end;
+
+    if (type === 'comment' || type === 'preamble') continue;
+    if (type === 'string') {
+      Object.assign(macros, bibtexFields(body, macros));
+      continue;
+    }
+
+    // Skip the citation key
+    const comma = body.indexOf(',');
+    const fields = bibtexFields(comma < 0 ? '' : body.slice(comma + 1), macros);
+    const field = (name) => (fields[name] !== undefined ? latexToText(fields[name]) : '');
+
+    const referenceType = BIBTEX_TYPE_ALIASES[type] || 'document';
+    const year = field('year') || (field('date').match(/\d{4}/) || [])[0] || '';
+    references.push(compact({
+      type: referenceType,
+      title: field('title'),
+      authors: bibtexNames(fields.author || fields.editor || ''),
+      year,
+      container: field('journal') || field('journaltitle') || field('booktitle') || field('howpublished'),
+      volume: field('volume'),
+      issue: field('number') || field('issue'),
+      pages: field('pages'),
+      publisher: field('publisher') || field('institution') || field('school') || field('organization'),
+      url: field('url'),
+      doi: field('doi')
+    }));
+  }
+  return references.filter(reference => reference.title || reference.authors.length > 0);
+}
+
+// Drop empty optional fields so stored references stay small
+function compact(reference) {
+  const result = { type: reference.type, title: reference.title || 'Untitled', authors: reference.authors || [] };
+  for (const key of ['year', 'container', 'volume', 'issue', 'pages', 'publisher', 'url', 'doi']) {
+    if (reference[key]) result[key] = String(reference[key]).trim();
+  }
+  return result;
+}
+
+function citationKey(reference, used) {
+  const family = reference.authors?.[0] ? splitName(reference.authors[0]).family : '';
+  const firstWord = (reference.title || '').split(/\s+/).find(word => word.length > 3) || 'ref';
+  const base = `${family}${reference.year || ''}${firstWord}`
+    .normalize('NFD')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toLowerCase() || 'ref';
+  let key = base;
+  for (let suffix = 0; used.has(key); suffix++) key = `${base}${String.fromCharCode(97 + (suffix % 26))}${suffix >= 26 ? suffix : ''}`;
+  used.add(key);
+  return key;
+}
+
+/**
+ * Write references as BibTeX
+ * @param {Array<Object>} references
+ * @returns {string}
+ */
+function toBibtex(references) {
+  const used = new Set();
+  return references.map(reference => {
+    const containerField = reference.type === 'article' ? 'journal' : reference.type === 'chapter' ? 'booktitle' : 'howpublished';
+    const publisherField = reference.type === 'report' ? 'institution' : 'publisher';
+    const fields = [
+      ['author', (reference.authors || []).map(author => {
+        const { family, given } = splitName(author);
+        return given ? `${family}, ${given}` : family;
+      }).join(' and ')],
+      ['title', reference.title],
+      ['year', reference.year],
+      [containerField, reference.container],
+      ['volume', reference.volume],
+      ['number', reference.issue],
+      ['pages', reference.pages],
+      [publisherField, reference.publisher],
+      ['doi', reference.doi],
+      ['url', reference.url]
+    ].filter(([, value]) => value);
+    // URLs and DOIs are verbatim; everything else is escaped for LaTeX
+    const lines = fields.map(([name, value]) =>
+      `  ${name} = {${name === 'url' || name === 'doi' ? String(value).replace(/[{}]/g, '') : textToLatex(value)}}`);
+    return `@${BIBTEX_TYPES[reference.type] || 'misc'}{${citationKey(reference, used)},\n${lines.join(',\n')}\n}`;
+  }).join('\n\n') + (references.length > 0 ? '\n' : '');
+}
+
+/**
+ * Parse an RIS file
+ * @param {string} text - .ris contents
+ * @returns {Array<Object>} References without ids
+ */
+function parseRis(text) {
+  const references = [];
+  let current = null;
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+    if (!match) continue;
+    const [, tag, rawValue] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      current = { type: RIS_TYPE_ALIASES[value] || 'document', authors: [], fields: {} };
+      continue;
+    }
+    if (!current) continue;
+    if (tag === 'ER') {
+      const fields = current.fields;
+      const startPage = fields.SP || '';
+      const endPage = fields.EP || '';
+      references.push(compact({
+        type: current.type,
+        title: fields.TI || fields.T1 || fields.CT || '',
+        authors: current.authors,
+        year: ((fields.PY || fields.Y1 || fields.DA || '').match(/\d{4}/) || [])[0],
+        container: fields.T2 || fields.JO || fields.JF || fields.JA || fields.BT || fields.T3,
+        volume: fields.VL,
+        issue: fields.IS,
+        pages: startPage && endPage && !startPage.includes('-') ? `${startPage}–${endPage}` : startPage,
+        publisher: fields.PB,
+        url: fields.UR,
+        doi: fields.DO
+      }));
+      current = null;
+      continue;
+    }
+    if (tag === 'AU' || tag === 'A1') {
+      if (value) current.authors.push(value);
+    } else if (value && current.fields[tag] === undefined) {
+      current.fields[tag] = value;
+    }
+  }
+  return references;
+}
+
+/**
+ * Write references as RIS
+ * @param {Array<Object>} references
+ * @returns {string}
+ */
+function toRis(references) {
+  return references.map(reference => {
+    const lines = [`TY  - ${RIS_TYPES[reference.type] || 'GEN'}`];
+    for (const author of reference.authors || []) {
+      const { family, given } = splitName(author);
+      lines.push(`AU  - ${given ? `${family}, ${given}` : family}`);
+    }
+    const [startPage, endPage] = String(reference.pages || '').split(/\s*[-–]+\s*/);
+    const fields = [
+      ['TI', reference.title],
+      ['PY', reference.year],
+      [reference.type === 'article' ? 'JO' : 'T2', reference.container],
+      ['VL', reference.volume],
+      ['IS', reference.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['PB', reference.publisher],
+      ['DO', reference.doi],
+      ['UR', reference.url]
+    ];
+    for (const [tag, value] of fields) {
+      if (value) lines.push(`${tag}  - ${value}`);
+    }
+    lines.push('ER  - ');
+    return lines.join('\n');
+  }).join('\n\n') + (references.length > 0 ? '\n' : '');
+}
+
+/**
+ * Parse a reference file, telling BibTeX and RIS apart by content
+ * @param {string} text
+ * @returns {{format: 'bibtex'|'ris', references: Array<Object>}}
+ */
+function parseReferences(text) {
+  if (/^\s*TY  - /m.test(text)) return { format: 'ris', references: parseRis(text) };
+  if (/@\s*[A-Za-z]+\s*[{(]/.test(text)) return { format: 'bibtex', references: parseBibtex(text) };
+  throw new Error('Not a BibTeX or RIS file');
+}
+
+module.exports = {
+  parseBibtex,
+  toBibtex,
+  parseRis,
+  toRis,
+  parseReferences
+};
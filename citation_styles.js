@@ -0,0 +1,408 @@
+/**
+ * Citation styles: bibliography entries and in-text citations for APA (7th),
+ * MLA (9th), Chicago (17th, author-date in the text) and IEEE.
+ *
+ * Shared by the editor, which keeps citation markers in step with the chosen
+ * style, and by exports, which render the bibliography. Entries are plain
+ * text; titles that the styles would set in italics are left roman.
+ *
+ * A reference looks like:
+ *   { id, type, title, authors: string[], year, container, volume, issue,
+ *     pages, publisher, url, doi }
+ * where type is one of REFERENCE_TYPES and authors are "Given Family" or
+ * "Family, Given" strings.
+ */
+
+/**
+ * @typedef {Object} Reference
+ * @property {string} [id]
+ * @property {string} type - One of REFERENCE_TYPES
+ * @property {string} title
+ * @property {string[]} authors
+ * @property {string} [year]
+ * @property {string} [container]
+ * @property {string} [volume]
+ * @property {string} [issue]
+ * @property {string} [pages]
+ * @property {string} [publisher]
+ * @property {string} [url]
+ * @property {string} [doi]
+ */
+
+const CITATION_STYLES = {
+  apa: { label: 'APA', bibliographyTitle: 'References', numbered: false },
+  mla: { label: 'MLA', bibliographyTitle: 'Works Cited', numbered: false },
+  chicago: { label: 'Chicago', bibliographyTitle: 'Bibliography', numbered: false },
+  ieee: { label: 'IEEE', bibliographyTitle: 'References', numbered: true }
+};
+
+const DEFAULT_CITATION_STYLE = 'apa';
+
+/**
+ * @param {unknown} style
+ * @returns {boolean} Whether style names a citation style
+ */
+function isCitationStyle(style) {
+  return typeof style === 'string' && Object.hasOwn(CITATION_STYLES, style);
+}
+
+const REFERENCE_TYPES = ['article', 'book', 'chapter', 'report', 'webpage', 'document'];
+
+/**
+ * Split an author name into family and given names. "Family, Given" is taken
+ * as written; otherwise the last word is the family name.
+ * @param {string} name
+ * @returns {{family: string, given: string}}
+ */
+function splitName(name) {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  if (trimmed.includes(',')) {
+    const [family, ...rest] = trimmed.split(',');
+    return { family: family.trim(), given: rest.join(',').trim() };
+  }
+  const parts = trimmed.split(' ');
+  return { family: parts.pop() || '', given: parts.join(' ') };
+}
+
+// "Jane Ann" -> "J. A."; hyphenated names keep the hyphen: "Jean-Paul" -> "J.-P."
+function initials(given) {
+  return given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-'))
+    .join(' ');
+}
+
+function stripEndPunctuation(text) {
+  return String(text || '').trim().replace(/[.,;:\s]+$/, '');
+}
+
+function doiLink(reference) {
+  if (reference.doi) return `https://doi.org/${String(reference.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')}`;
+  return reference.url || '';
+}
+
+// Pages as an en-dash range
+function pageRange(pages) {
+  return String(pages || '').replace(/\s*-+\s*/g, '–');
+}
+
+// Joins parts with sep, skipping empty ones
+function joinParts(parts, sep) {
+  return parts.filter(part => part !== undefined && part !== null && String(part).trim()).join(sep);
+}
+
+// Ends a sentence-like part with a full stop unless it already has closing punctuation
+function sentence(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return '';
+  return /[.?!]["”']?$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+function shortTitle(title) {
+  const words = stripEndPunctuation(title).split(/\s+/);
+  return words.length > 4 ? `${words.slice(0, 4).join(' ')}…` : words.join(' ');
+}
+
+function isBookLike(reference) {
+  return reference.type === 'book' || reference.type === 'report';
+}
+
+// --- APA -------------------------------------------------------------------
+
+function apaAuthors(authors) {
+  const names = authors.map(author => {
+    const { family, given } = splitName(author);
+    return given ? `${family}, ${initials(given)}` : family;
+  });
+  if (names.length === 0) return '';
+  if (names.length === 1) return names[0];
+  if (names.length > 20) return `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+  return `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+}
+
+function apaEntry(reference) {
+  const authors = apaAuthors(reference.authors || []);
+  const date = `(${reference.year || 'n.d.'}).`;
+  const title = sentence(stripEndPunctuation(reference.title) || 'Untitled');
+  const link = doiLink(reference);
+
+  let source;
+  if (isBookLike(reference)) {
+    source = sentence(reference.publisher || reference.container);
+  } else if (reference.type === 'chapter') {
+    source = sentence(joinParts([
+      reference.container ? `In ${reference.container}` : '',
+      reference.pages ? `(pp. ${pageRange(reference.pages)})` : ''
+    ], ' ')) + (reference.publisher ? ` ${sentence(reference.publisher)}` : '');
+  } else {
+    const volume = reference.volume ? `${reference.volume}${reference.issue ? `(${reference.issue})` : ''}` : '';
+    source = sentence(joinParts([reference.container, volume, pageRange(reference.pages)], ', '));
+  }
+
+  // Without authors the title moves into the author position
+  const lead = authors ? [sentence(authors), date, title] : [title, date];
+  return joinParts([...lead, source, link], ' ');
+}
+
+function apaInText(reference, { page } = {}) {
+  const families = (reference.authors || []).map(author => splitName(author).family);
+  let who;
+  if (families.length === 0) who = `"${shortTitle(reference.title)},"`;
+  else if (families.length === 1) who = `${families[0]},`;
+  else if (families.length === 2) who = `${families[0]} & ${families[1]},`;
+  else who = `${families[0]} et al.,`;
+  return `(${who} ${reference.year || 'n.d.'}${page ? `, p. ${page}` : ''})`;
+}
+
+// --- MLA -------------------------------------------------------------------
+
+function mlaAuthors(authors) {
+  if (authors.length === 0) return '';
+  const first = splitName(authors[0]);
+  const inverted = first.given ? `${first.family}, ${first.given}` : first.family;
+  if (authors.length === 1) return inverted;
+  if (authors.length === 2) {
+    const second = splitName(authors[1]);
+    return `${inverted}, and ${joinParts([second.given, second.family], ' ')}`;
+  }
+  return `${inverted}, et al`;
+}
+
+function mlaEntry(reference) {
+  const authors = mlaAuthors(reference.authors || []);
+  const title = stripEndPunctuation(reference.title) || 'Untitled';
+  const link = reference.doi ? doiLink(reference).replace(/^https?:\/\//, '') : (reference.url || '').replace(/^https?:\/\//, '');
+
+  if (isBookLike(reference)) {
+    return joinParts([
+      authors ? sentence(authors) : '',
+      sentence(title),
+      sentence(joinParts([reference.publisher || reference.container, reference.year], ', ')),
+      link ? sentence(link) : ''
+    ], ' ');
+  }
+
+  const container = joinParts([
+    reference.container,
+    reference.volume ? `vol. ${reference.volume}` : '',
+    reference.issue ? `no. ${reference.issue}` : '',
+    reference.type === 'chapter' ? reference.publisher : '',
+    reference.year,
+    reference.pages ? `pp. ${pageRange(reference.pages)}` : ''
+  ], ', ');
+  return joinParts([
+    authors ? sentence(authors) : '',
+    `"${sentence(title)}"`,
+    container ? sentence(container) : '',
+    link ? sentence(link) : ''
+  ], ' ');
+}
+
+function mlaInText(reference, { page } = {}) {
+  const families = (reference.authors || []).map(author => splitName(author).family);
+  let who;
+  if (families.length === 0) who = `"${shortTitle(reference.title)}"`;
+  else if (families.length === 1) who = families[0];
+  else if (families.length === 2) who = `${families[0]} and ${families[1]}`;
+  else who = `${families[0]} et al.`;
+  return `(${joinParts([who, page], ' ')})`;
+}
+
+// --- Chicago ---------------------------------------------------------------
+
+function chicagoAuthors(authors) {
+  if (authors.length === 0) return '';
+  const listed = authors.length > 10 ? authors.slice(0, 7) : authors;
+  const names = listed.map((author, index) => {
+    const { family, given } = splitName(author);
+    if (!given) return family;
+    return index === 0 ? `${family}, ${given}` : `${given} ${family}`;
+  });
+  if (authors.length > 10) return `${names.join(', ')}, et al`;
+  if (names.length === 1) return names[0];
+  if (names.length === 2) return `${names[0]}, and ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+}
+
+function chicagoEntry(reference) {
+  const authors = chicagoAuthors(reference.authors || []);
+  const title = stripEndPunctuation(reference.title) || 'Untitled';
+  const link = doiLink(reference);
+
+  let body;
+  if (isBookLike(reference)) {
+    body = [sentence(title), sentence(joinParts([reference.publisher || reference.container, reference.year], ', '))];
+  } else if (reference.type === 'chapter') {
+    body = [
+      `"${sentence(title)}"`,
+      sentence(joinParts([
+        reference.container ? `In ${reference.container}` : '',
+        pageRange(reference.pages),
+        reference.publisher,
+        reference.year
+      ], ', '))
+    ];
+  } else {
+    // Journal 12, no. 3 (2020): 45–67
+    const issue = joinParts([
+      joinParts([reference.container, reference.volume], ' '),
+      reference.issue ? `no. ${reference.issue}` : ''
+    ], ', ');
+    const dated = joinParts([issue, reference.year ? `(${reference.year})` : ''], ' ');
+    body = [`"${sentence(title)}"`, sentence(joinParts([dated, pageRange(reference.pages)], ': '))];
+  }
+  return joinParts([authors ? sentence(authors) : '', ...body, link ? sentence(link) : ''], ' ');
+}
+
+function chicagoInText(reference, { page } = {}) {
+  const families = (reference.authors || []).map(author => splitName(author).family);
+  let who;
+  if (families.length === 0) who = `"${shortTitle(reference.title)}"`;
+  else if (families.length === 1) who = families[0];
+  else if (families.length === 2) who = `${families[0]} and ${families[1]}`;
+  else if (families.length === 3) who = `${families[0]}, ${families[1]}, and ${families[2]}`;
+  else who = `${families[0]} et al.`;
+  return `(${who} ${reference.year || 'n.d.'}${page ? `, ${page}` : ''})`;
+}
+
+// --- IEEE ------------------------------------------------------------------
+
+function ieeeAuthors(authors) {
+  const names = authors.map(author => {
+    const { family, given } = splitName(author);
+    return joinParts([initials(given), family], ' ');
+  });
+  if (names.length === 0) return '';
+  if (names.length > 6) return `${names[0]} et al.`;
+  if (names.length === 1) return names[0];
+  if (names.length === 2) return `${names[0]} and ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+}
+
+function ieeeEntry(reference) {
+  const authors = ieeeAuthors(reference.authors || []);
+  const title = stripEndPunctuation(reference.title) || 'Untitled';
+  const doi = reference.doi ? `doi: ${String(reference.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')}` : '';
+  const online = !reference.doi && reference.url ? `[Online]. Available: ${reference.url}` : '';
+
+  if (isBookLike(reference)) {
+    return joinParts([
+      authors ? `${authors},` : '',
+      sentence(title),
+      sentence(joinParts([reference.publisher || reference.container, reference.year], ', ')),
+      doi ? sentence(doi) : '',
+      online
+    ], ' ');
+  }
+
+  const details = joinParts([
+    reference.type === 'chapter' && reference.container ? `in ${reference.container}` : reference.container,
+    reference.volume ? `vol. ${reference.volume}` : '',
+    reference.issue ? `no. ${reference.issue}` : '',
+    reference.pages ? `pp. ${pageRange(reference.pages)}` : '',
+    reference.year
+  ], ', ');
+  return joinParts([
+    authors ? `${authors},` : '',
+    `"${title},"`,
+    details ? sentence(details) : '',
+    doi ? sentence(doi) : '',
+    online
+  ], ' ');
+}
+
+function ieeeInText(reference, { number, page } = {}) {
+  return `[${number || '?'}${page ? `, p. ${page}` : ''}]`;
+}
+
+const FORMATTERS = {
+  apa: { entry: apaEntry, inText: apaInText },
+  mla: { entry: mlaEntry, inText: mlaInText },
+  chicago: { entry: chicagoEntry, inText: chicagoInText },
+  ieee: { entry: ieeeEntry, inText: ieeeInText }
+};
+
+function formattersFor(style) {
+  return FORMATTERS[style] || FORMATTERS[DEFAULT_CITATION_STYLE];
+}
+
+/**
+ * Bibliography entry for a reference
+ * @param {Reference} reference
+ * @param {string} [style='apa'] - One of CITATION_STYLES
+ * @returns {string}
+ */
+function formatBibliographyEntry(reference, style = DEFAULT_CITATION_STYLE) {
+  return formattersFor(style).entry(reference);
+}
+
+/**
+ * In-text citation for a reference, e.g. "(Doe, 2022, p. 4)" or "[3]"
+ * @param {Reference} reference
+ * @param {string} [style='apa'] - One of CITATION_STYLES
+ * @param {{number?: number, page?: string}} [options] - number is the
+ *   reference's position in a numbered style
+ * @returns {string}
+ */
+function formatInTextCitation(reference, style = DEFAULT_CITATION_STYLE, options = {}) {
+  return formattersFor(style).inText(reference, options);
+}
+
+/**
+ * Numbers for a numbered style: sources in order of first citation, then
+ * uncited ones in the order they were added
+ * @param {string[]} citedIds - Reference ids of the citations, in reading order
+ * @param {Array<{id: string}>} references
+ * @returns {Map<string, number>}
+ */
+function numberReferences(citedIds, references) {
+  const known = new Set(references.map(reference => reference.id));
+  const numbers = new Map();
+  for (const id of citedIds) {
+    if (known.has(id) && !numbers.has(id)) numbers.set(id, numbers.size + 1);
+  }
+  for (const reference of references) {
+    if (!numbers.has(reference.id)) numbers.set(reference.id, numbers.size + 1);
+  }
+  return numbers;
+}
+
+// Alphabetize on the first word, not on the quotation mark before a title
+function sortKey(entry) {
+  return entry.replace(/^[^\p{L}\p{N}]+/u, '');
+}
+
+/**
+ * References in bibliography order for a style, each with its entry text and,
+ * in numbered styles, its "[n]" label
+ * @param {Array<Reference>} references
+ * @param {string} style
+ * @param {string[]} [citedIds] - Reference ids of the citations, in reading order
+ * @param {boolean} [numbered] - Number the entries even if the style does not
+ * @returns {Array<{reference: Reference, label: string, text: string}>}
+ */
+function buildBibliography(references, style, citedIds = [], numbered = false) {
+  const styleInfo = CITATION_STYLES[style] || CITATION_STYLES[DEFAULT_CITATION_STYLE];
+  if (styleInfo.numbered || numbered) {
+    const numbers = numberReferences(citedIds, references);
+    return [...references]
+      .sort((a, b) => numbers.get(a.id) - numbers.get(b.id))
+      .map(reference => ({ reference, label: `[${numbers.get(reference.id)}]`, text: formatBibliographyEntry(reference, style) }));
+  }
+  return references
+    .map(reference => ({ reference, label: '', text: formatBibliographyEntry(reference, style) }))
+    .sort((a, b) => sortKey(a.text).localeCompare(sortKey(b.text)));
+}
+
+module.exports = {
+  CITATION_STYLES,
+  DEFAULT_CITATION_STYLE,
+  REFERENCE_TYPES,
+  isCitationStyle,
+  splitName,
+  formatBibliographyEntry,
+  formatInTextCitation,
+  numberReferences,
+  buildBibliography
+};
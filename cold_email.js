@@ -0,0 +1,109 @@
+const { complete } = require('./llm_service');
+
+/**
+ * First draft of a cold email to someone the people pipeline has profiled
+ * (see people_profile.js): an opening paragraph and a few subject lines.
+ * Only facts from the profile are offered to the model, and the ones the
+ * user pinned come first and are marked, so the draft leans on what the
+ * user has already checked.
+ */
+
+const SUBJECT_LINE_COUNT = 3;
+
+/**
+ * @typedef {Object} EmailDraft
+ * @property {string} opening - The opening paragraph
+ * @property {string[]} subjectLines - Subject line options, best first
+ */
+
+/**
+ * Facts a profile offers, as short sentences
+ * @param {Object} profile - PersonProfile from people_profile.js
+ * @returns {string[]}
+ */
+function profileFacts(profile) {
+  return [
+    profile.role && `Role: ${profile.role.value}`,
+    profile.organisation && `Organisation: ${profile.organisation.value}`,
+    profile.location && `Location: ${profile.location.value}`,
+    ...(profile.notableWork || []).map(item => `Notable work: ${item.value}`),
+    ...(profile.conversationHooks || []).map(item => `Conversation hook: ${item.value}`)
+  ].filter(Boolean);
+}
+
+// Offline draft that still uses the profile, for the mock provider
+function mockDraft(profile, facts) {
+  const firstName = profile.name.split(/\s+/)[0];
+  const position = [profile.role?.value, profile.organisation && `at ${profile.organisation.value}`].filter(Boolean).join(' ');
+  const detail = facts.find(fact => /^(Conversation hook|Notable work):/.test(fact))?.replace(/^[^:]+:\s*/, '');
+  return {
+    opening: [
+      `Hi ${firstName},`,
+      detail ? `I came across this: "${detail.replace(/[.\s]+$/, '')}", and it stayed with me.` : null,
+      `I'm reaching out because your work${position ? ` as ${position}` : ''} lines up closely with what I'm working on, and I'd value a few minutes of your perspective.`
+    ].filter(Boolean).join(' '),
+    subjectLines: [
+      `A quick question for you, ${firstName}`,
+      profile.organisation ? `Your work at ${profile.organisation.value}` : `Your recent work`,
+      `${firstName}, 15 minutes of your perspective?`
+    ]
+  };
+}
+
+/**
+ * Draft the opening of a cold email to a profiled person
+ * @param {Object} profile - PersonProfile from people_profile.js
+ * @param {Object} [options]
+ * @param {string[]} [options.pinned] - Profile fact values the user chose to reference
+ * @param {string} [options.context] - What the email is for, in the user's words
+ * @param {string} [options.draft] - The email written so far
+ * @param {string} [options.tone='professional'] - Tone to write in
+ * @returns {Promise<EmailDraft>}
+ */
+async function draftColdEmail(profile, options = {}) {
+  const { pinned = [], context, draft, tone = 'professional' } = options;
+  const facts = profileFacts(profile);
+  const isPinned = fact => pinned.some(value => fact.endsWith(`: ${value}`));
+  const ordered = [...facts.filter(isPinned), ...facts.filter(fact => !isPinned(fact))];
+
+  const message = await complete('people', {
+    temperature: 0.7,
+    maxTokens: 500,
+    system: `You write the opening of a cold email in a ${tone} tone. Write one paragraph of 2-4 sentences that greets the recipient, makes a specific personal connection using one or two of the facts given, and says why the sender is writing. Prefer facts marked [pinned]. Never state anything about the recipient that is not in the facts. Then suggest ${SUBJECT_LINE_COUNT} short subject lines.
+
+Return only JSON: {"opening": "...", "subjectLines": ["...", "...", "..."]}`,
+    messages: [{
+      role: 'user',
+      content: `Recipient: ${profile.name}
+${profile.summary ? `Summary: ${profile.summary}\n` : ''}
+Facts:
+${ordered.map(fact => `- ${fact}${isPinned(fact) ? ' [pinned]' : ''}`).join('\n') || '- none'}
+${context ? `\nWhat the sender wants: ${context}\n` : ''}${draft ? `\nEmail so far: "${draft}"\n` : ''}`
+    }],
+    mockResponse: () => JSON.stringify(mockDraft(profile, ordered))
+  });
+
+  let parsed = {};
+  try {
+    const jsonMatch = message.text.match(/\{[\s\S]*\}/);
+    parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+  } catch (error) {
+    console.warn('Failed to parse email draft:', error.message);
+  }
+
+  // A reply that is not JSON is taken as the paragraph itself
+  const opening = typeof parsed.opening === 'string' ? parsed.opening.trim() : message.text.trim();
+  const subjectLines = (Array.isArray(parsed.subjectLines) ? parsed.subjectLines : [])
+    .filter(line => typeof line === 'string' && line.trim())
+    .map(line => line.trim().replace(/^["']|["']$/g, ''))
+    .slice(0, SUBJECT_LINE_COUNT);
+
+  if (!opening) {
+    throw new Error('The model returned an empty draft');
+  }
+  return { opening, subjectLines };
+}
+
+module.exports = {
+  draftColdEmail
+};
@@ -0,0 +1,290 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createJsonStore, getDataDir } = require('./json_store');
+
+const { diffText } = require('./text_diff');
+
+const store = createJsonStore('documents');
+
+// Versions live in one directory per document, so autosave only reads its own history
+const VERSIONS_DIR = 'document-versions';
+const versionStores = new Map();
+
+function versionStoreFor(documentId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(documentId))) return null;
+  if (!versionStores.has(documentId)) {
+    versionStores.set(documentId, createJsonStore(path.join(VERSIONS_DIR, documentId)));
+  }
+  return versionStores.get(documentId);
+}
+
+// Autosaves take an automatic snapshot at most this often
+const AUTO_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Oldest automatic snapshots are pruned beyond this count; named ones are kept
+const MAX_AUTO_SNAPSHOTS = 50;
+
+// Writing settings a new document starts with, matching the editor defaults
+const DEFAULT_SETTINGS = {
+  tone: 'professional',
+  purpose: 'informative',
+  genre: 'email',
+  structure: 'chronological',
+  editorMode: 'plain',
+  citationStyle: 'apa'
+};
+
+/**
+ * Plain text of a serialized Lexical editor state, one line per block
+ * @param {Object|null} editorState - Result of editorState.toJSON()
+ * @returns {string}
+ */
+function editorStateToText(editorState) {
+  const root = editorState?.root;
+  if (!root) return '';
+
+  const nodeText = (node) => {
+    if (typeof node.text === 'string') return node.text;
+    if (node.type === 'linebreak') return '\n';
+    // List items are blocks of their own in rich-text documents
+    return (node.children || []).map(nodeText).join(node.type === 'list' ? '\n' : '');
+  };
+
+  return (root.children || []).map(nodeText).join('\n');
+}
+
+// List view of a document: everything except the (potentially large) editor state
+function summarize(document) {
+  const text = editorStateToText(document.editorState);
+  return {
+    id: document.id,
+    title: document.title,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt,
+    preview: text.substring(0, 120),
+    wordCount: text.split(/\s+/).filter(Boolean).length
+  };
+}
+
+/**
+ * List saved documents, most recently updated first
+ * @returns {Promise<Array>} Document summaries
+ */
+async function listDocuments() {
+  const documents = await store.list();
+  return documents
+    .map(summarize)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Create a document
+ * @param {Object} [fields] - Optional title, editorState, contextText, settings and references
+ * @returns {Promise<Object>} The stored document
+ */
+async function createDocument(fields = {}) {
+  return store.create({
+    title: fields.title?.trim() || 'Untitled document',
+    editorState: fields.editorState || null,
+    contextText: fields.contextText || '',
+    settings: { ...DEFAULT_SETTINGS, ...fields.settings },
+    // Sources cited in the text; exports turn them into footnotes and a bibliography
+    references: Array.isArray(fields.references) ? fields.references : []
+  });
+}
+
+/**
+ * Load a full document
+ * @param {string} id - Document id
+ * @returns {Promise<Object|null>} The document, or null if it does not exist
+ */
+async function getDocument(id) {
+  return store.get(id);
+}
+
+/**
+ * Save changes to a document; only the given fields are replaced
+ * @param {string} id - Document id
+ * @param {Object} changes - Any of title, editorState, contextText, settings, references
+ * @returns {Promise<Object|null>} The updated document, or null if it does not exist
+ */
+async function updateDocument(id, changes) {
+  const existing = await store.get(id);
+  if (!existing) return null;
+
+  const patch = {};
+  if (typeof changes.title === 'string') patch.title = changes.title.trim() || 'Untitled document';
+  if (changes.editorState !== undefined) patch.editorState = changes.editorState;
+  if (typeof changes.contextText === 'string') patch.contextText = changes.contextText;
+  if (changes.settings) patch.settings = { ...existing.settings, ...changes.settings };
+  if (Array.isArray(changes.references)) patch.references = changes.references;
+
+  if (patch.editorState !== undefined &&
+      JSON.stringify(patch.editorState) !== JSON.stringify(existing.editorState)) {
+    await maybeAutoSnapshot(existing);
+  }
+
+  return store.update(id, patch);
+}
+
+/**
+ * Delete a document
+ * @param {string} id - Document id
+ * @returns {Promise<boolean>} Whether a document was deleted
+ */
+async function deleteDocument(id) {
+  const deleted = await store.remove(id);
+  if (deleted) {
+    await fs.rm(path.join(getDataDir(), VERSIONS_DIR, id), { recursive: true, force: true });
+    versionStores.delete(id);
+  }
+  return deleted;
+}
+
+// List view of a version: everything except the editor state
+function summarizeVersion(version) {
+  const text = editorStateToText(version.editorState);
+  return {
+    id: version.id,
+    documentId: version.documentId,
+    name: version.name,
+    auto: version.auto,
+    createdAt: version.createdAt,
+    wordCount: text.split(/\s+/).filter(Boolean).length
+  };
+}
+
+async function versionsOf(documentId) {
+  const versionStore = versionStoreFor(documentId);
+  if (!versionStore) return [];
+  const versions = await versionStore.list();
+  return versions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function snapshot(document, name, auto) {
+  return versionStoreFor(document.id).create({
+    documentId: document.id,
+    name,
+    auto,
+    title: document.title,
+    editorState: document.editorState,
+    contextText: document.contextText,
+    settings: document.settings,
+    references: document.references || []
+  });
+}
+
+/**
+ * Snapshot a document's saved content before it is overwritten, unless an
+ * automatic snapshot was taken recently
+ * @param {Object} document - The stored document about to change
+ */
+async function maybeAutoSnapshot(document) {
+  if (!document.editorState) return;
+
+  const versions = await versionsOf(document.id);
+  const autoVersions = versions.filter(version => version.auto);
+  const lastAuto = autoVersions[0];
+  if (lastAuto && Date.now() - Date.parse(lastAuto.createdAt) < AUTO_SNAPSHOT_INTERVAL_MS) return;
+
+  await snapshot(document, 'Automatic snapshot', true);
+  await Promise.all(autoVersions
+    .slice(MAX_AUTO_SNAPSHOTS - 1)
+    .map(version => versionStoreFor(document.id).remove(version.id)));
+}
+
+/**
+ * List a document's versions, newest first
+ * @param {string} documentId - Document id
+ * @returns {Promise<Array|null>} Version summaries, or null if the document does not exist
+ */
+async function listVersions(documentId) {
+  if (!(await store.get(documentId))) return null;
+  return (await versionsOf(documentId)).map(summarizeVersion);
+}
+
+/**
+ * Save a named snapshot of a document's current content
+ * @param {string} documentId - Document id
+ * @param {string} [name] - Label shown in the history
+ * @returns {Promise<Object|null>} Version summary, or null if the document does not exist
+ */
+async function createVersion(documentId, name) {
+  const document = await store.get(documentId);
+  if (!document) return null;
+  const label = typeof name === 'string' && name.trim() ? name.trim() : `Version of ${new Date().toLocaleString()}`;
+  return summarizeVersion(await snapshot(document, label, false));
+}
+
+/**
+ * Load a full version
+ * @param {string} documentId - Document id
+ * @param {string} versionId - Version id
+ * @returns {Promise<Object|null>} The version, or null if it does not belong to the document
+ */
+async function getVersion(documentId, versionId) {
+  const versionStore = versionStoreFor(documentId);
+  if (!versionStore) return null;
+  const version = await versionStore.get(versionId);
+  return version && version.documentId === documentId ? version : null;
+}
+
+/**
+ * Replace a document's content with a version. The current content is
+ * snapshotted first so a restore can itself be undone.
+ * @param {string} documentId - Document id
+ * @param {string} versionId - Version to restore
+ * @returns {Promise<Object|null>} The updated document, or null if either is missing
+ */
+async function restoreVersion(documentId, versionId) {
+  const [document, version] = await Promise.all([store.get(documentId), getVersion(documentId, versionId)]);
+  if (!document || !version) return null;
+
+  await snapshot(document, `Before restoring "${version.name}"`, false);
+  return store.update(documentId, {
+    editorState: version.editorState,
+    contextText: version.contextText,
+    settings: version.settings,
+    references: version.references || []
+  });
+}
+
+/**
+ * Word-level diff between two versions of a document
+ * @param {string} documentId - Document id
+ * @param {string} fromId - Version id, or 'current' for the saved document
+ * @param {string} toId - Version id, or 'current' for the saved document
+ * @returns {Promise<Object|null>} Diff ops and stats, or null if anything is missing
+ */
+async function compareVersions(documentId, fromId, toId) {
+  const document = await store.get(documentId);
+  if (!document) return null;
+
+  const resolve = async (versionId) => versionId === 'current'
+    ? { id: 'current', name: 'Current', createdAt: document.updatedAt, editorState: document.editorState }
+    : getVersion(documentId, versionId);
+
+  const [from, to] = await Promise.all([resolve(fromId), resolve(toId)]);
+  if (!from || !to) return null;
+
+  const describe = ({ id, name, createdAt }) => ({ id, name, createdAt });
+  return {
+    from: describe(from),
+    to: describe(to),
+    ...diffText(editorStateToText(from.editorState), editorStateToText(to.editorState))
+  };
+}
+
+module.exports = {
+  listDocuments,
+  createDocument,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  listVersions,
+  createVersion,
+  getVersion,
+  restoreVersion,
+  compareVersions,
+  editorStateToText
+};
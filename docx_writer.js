@@ -0,0 +1,192 @@
+const { createZip } = require('./zip_archive');
+
+/**
+ * Renders the export model (see export_service.js) as a Word document.
+ * Citations become native Word footnotes; lists use real numbering definitions.
+ */
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newline are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function textRun(text, properties = '') {
+  const rPr = properties ? `<w:rPr>${properties}</w:rPr>` : '';
+  // Tabs inside text must be their own element
+  return text.split('\t').map((part, index) =>
+    (index > 0 ? `<w:r>${rPr}<w:tab/></w:r>` : '') +
+    (part ? `<w:r>${rPr}<w:t xml:space="preserve">${escapeXml(part)}</w:t></w:r>` : '')
+  ).join('');
+}
+
+function paragraph(content, properties = '') {
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+function renderDocx(model) {
+  const links = [];
+  const numberings = [];
+
+  function runsToXml(runs) {
+    return runs.map(run => {
+      if (run.type === 'footnote') {
+        return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${run.number}"/></w:r>`;
+      }
+      if (run.type === 'break') return '<w:r><w:br/></w:r>';
+      if (run.type === 'marker') return textRun(run.text);
+
+      const properties = (run.bold ? '<w:b/>' : '') + (run.italic ? '<w:i/>' : '');
+      if (!run.link) return textRun(run.text, properties);
+
+      links.push(run.link);
+      const id = `rIdLink${links.length}`;
+      return `<w:hyperlink r:id="${id}">${textRun(run.text, `<w:rStyle w:val="Hyperlink"/>${properties}`)}</w:hyperlink>`;
+    }).join('');
+  }
+
+  const body = [];
+  for (const block of model.blocks) {
+    if (block.type === 'heading') {
+      body.push(paragraph(runsToXml(block.runs), `<w:pStyle w:val="Heading${block.level}"/>`));
+    } else if (block.type === 'quote') {
+      body.push(paragraph(runsToXml(block.runs), '<w:pStyle w:val="Quote"/>'));
+    } else if (block.type === 'list') {
+      // Each list gets its own numbering instance so ordered lists restart at 1
+      numberings.push(block.ordered);
+      const numId = numberings.length;
+      for (const item of block.items) {
+        body.push(paragraph(
+          runsToXml(item.runs),
+          `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${Math.min(item.depth, 8)}"/><w:numId w:val="${numId}"/></w:numPr>`
+        ));
+      }
+    } else {
+      body.push(paragraph(runsToXml(block.runs)));
+    }
+  }
+
+  if (model.bibliography.length > 0) {
+    body.push(paragraph(textRun(model.bibliographyTitle), '<w:pStyle w:val="Heading1"/>'));
+    for (const entry of model.bibliography) {
+      body.push(paragraph(textRun(entry.label ? `${entry.label} ${entry.text}` : entry.text), '<w:pStyle w:val="Bibliography"/>'));
+    }
+  }
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  // Ids -1 and 0 are the separator notes Word expects before real footnotes
+  const footnotesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:footnotes ${NAMESPACES}>` +
+    '<w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>' +
+    '<w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>' +
+    model.footnotes.map(note =>
+      `<w:footnote w:id="${note.number}">` +
+      paragraph(
+        '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r>' + textRun(` ${note.text}`),
+        '<w:pStyle w:val="FootnoteText"/>'
+      ) +
+      '</w:footnote>'
+    ).join('') +
+    '</w:footnotes>';
+
+  const levels = (ordered) => Array.from({ length: 9 }, (_, level) =>
+    `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>` +
+    (ordered
+      ? `<w:numFmt w:val="${['decimal', 'lowerLetter', 'lowerRoman'][level % 3]}"/><w:lvlText w:val="%${level + 1}."/>`
+      : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${['•', '◦', '▪'][level % 3]}"/>`) +
+    `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+  ).join('');
+
+  const numberingXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering ${NAMESPACES}>` +
+    `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>` +
+    `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>` +
+    numberings.map((ordered, index) =>
+      `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${ordered ? 1 : 0}"/>` +
+      (ordered ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : '') +
+      '</w:num>'
+    ).join('') +
+    '</w:numbering>';
+
+  const style = (id, name, type, properties) =>
+    `<w:style w:type="${type}" w:styleId="${id}"><w:name w:val="${name}"/>${type === 'paragraph' && id !== 'Normal' ? '<w:basedOn w:val="Normal"/>' : ''}${properties}</w:style>`;
+
+  const stylesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACES}>` +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Georgia" w:hAnsi="Georgia" w:cs="Georgia"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    style('Normal', 'Normal', 'paragraph', '') +
+    style('Heading1', 'heading 1', 'paragraph', '<w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr>') +
+    style('Heading2', 'heading 2', 'paragraph', '<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr>') +
+    style('Heading3', 'heading 3', 'paragraph', '<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr>') +
+    style('Quote', 'Quote', 'paragraph', '<w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr>') +
+    style('ListParagraph', 'List Paragraph', 'paragraph', '<w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr>') +
+    style('Bibliography', 'Bibliography', 'paragraph', '<w:pPr><w:ind w:left="720" w:hanging="720"/></w:pPr>') +
+    style('FootnoteText', 'footnote text', 'paragraph', '<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="18"/></w:rPr>') +
+    style('FootnoteReference', 'footnote reference', 'character', '<w:rPr><w:vertAlign w:val="superscript"/></w:rPr>') +
+    style('Hyperlink', 'Hyperlink', 'character', '<w:rPr><w:color w:val="1D4ED8"/><w:u w:val="single"/></w:rPr>') +
+    '</w:styles>';
+
+  const settingsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings ${NAMESPACES}><w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr></w:settings>`;
+
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>' +
+    '<Relationship Id="rIdFootnotes" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes" Target="footnotes.xml"/>' +
+    '<Relationship Id="rIdSettings" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>' +
+    links.map((url, index) =>
+      `<Relationship Id="rIdLink${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`
+    ).join('') +
+    '</Relationships>';
+
+  const packageRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '</Relationships>';
+
+  const coreXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+    `<dc:title>${escapeXml(model.title)}</dc:title>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+    '</cp:coreProperties>';
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+    '<Override PartName="/word/footnotes.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml"/>' +
+    '<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: packageRels },
+    { name: 'docProps/core.xml', data: coreXml },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: stylesXml },
+    { name: 'word/numbering.xml', data: numberingXml },
+    { name: 'word/footnotes.xml', data: footnotesXml },
+    { name: 'word/settings.xml', data: settingsXml },
+    { name: 'word/_rels/document.xml.rels', data: documentRels }
+  ]);
+}
+
+module.exports = {
+  renderDocx
+};
@@ -0,0 +1,197 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const OpenAI = require('openai');
+const { estimateTokens, recordUsage, checkBudget } = require('./usage_ledger');
+
+/**
+ * Text embeddings for nearest-neighbour retrieval, with a backend chosen per
+ * deployment:
+ *
+ *   EMBEDDING_PROVIDER=openai        OpenAI embeddings API (needs OPENAI_API_KEY)
+ *   EMBEDDING_PROVIDER=ollama        a local model served by Ollama (OLLAMA_URL)
+ *   EMBEDDING_PROVIDER=hash          deterministic feature hashing, no model at all
+ *   EMBEDDING_MODEL=...              model override for the chosen backend
+ *
+ * Without EMBEDDING_PROVIDER, OpenAI is used when its key is set and hashing
+ * otherwise, so offline machines and tests get stable vectors for free.
+ *
+ * Model backends are counted in the usage ledger under the 'embeddings'
+ * feature, with its own daily budget (LLM_EMBEDDINGS_DAILY_TOKENS, ...).
+ * While that budget is spent, texts are hashed instead.
+ */
+
+// Feature embeddings are counted and budgeted under (see usage_ledger.js)
+const EMBEDDING_FEATURE = 'embeddings';
+
+const PROVIDER_DEFAULT_MODELS = {
+  openai: 'text-embedding-3-small',
+  ollama: 'nomic-embed-text',
+  hash: `hash-${Number(process.env.EMBEDDING_DIMENSIONS) || 1024}`
+};
+
+// Texts sent per request; both APIs accept batches
+const BATCH_SIZE = 64;
+
+let openaiClient = null;
+
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+/**
+ * Signed feature hashing of words and word pairs into a fixed number of
+ * dimensions. Texts that share vocabulary land near each other, which is all
+ * offline retrieval needs.
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const bucket = digest.readUInt32LE(0) % dimensions;
+    // Word pairs count for less than single words
+    const weight = feature.includes(' ') ? 0.5 : 1;
+    vector[bucket] += digest[4] & 1 ? weight : -weight;
+  }
+  return vector;
+}
+
+const providers = {
+  openai: {
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+    async embed(model, texts) {
+      const response = await getOpenAIClient().embeddings.create({ model, input: texts });
+      return {
+        vectors: response.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        inputTokens: response.usage?.prompt_tokens ?? estimateTokens(texts.join(' '))
+      };
+    }
+  },
+
+  ollama: {
+    isConfigured: () => true,
+
+    async embed(model, texts) {
+      const baseUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
+      const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/api/embed`, { model, input: texts }, {
+        timeout: Number(process.env.EMBEDDING_TIMEOUT) || 30000
+      });
+      return {
+        vectors: response.data.embeddings,
+        inputTokens: response.data.prompt_eval_count ?? estimateTokens(texts.join(' '))
+      };
+    }
+  },
+
+  hash: {
+    isConfigured: () => true,
+
+    async embed(model, texts) {
+      const dimensions = Number(model.replace(/^hash-/, '')) || 1024;
+      return { vectors: texts.map(text => hashEmbedding(text, dimensions)), inputTokens: 0 };
+    }
+  }
+};
+
+/**
+ * Resolve the embedding backend and model this deployment uses
+ * @returns {{provider: string, model: string}}
+ */
+function resolveEmbeddingConfig() {
+  const provider = (
+    process.env.EMBEDDING_PROVIDER ||
+    (process.env.OPENAI_API_KEY ? 'openai' : 'hash')
+  ).toLowerCase();
+
+  if (!providers[provider]) {
+    throw new Error(`Unknown embedding provider "${provider}". Must be one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: process.env.EMBEDDING_MODEL || PROVIDER_DEFAULT_MODELS[provider]
+  };
+}
+
+/**
+ * The backend to embed with now: the configured one, or hashing while the
+ * embeddings budget is spent. Vectors from the two are not comparable, so
+ * callers that store vectors key them on what this returns.
+ * @returns {Promise<{provider: string, model: string, degraded?: string}>}
+ *   degraded holds the reason when hashing stands in for the configured backend
+ */
+async function currentEmbeddingConfig() {
+  const config = resolveEmbeddingConfig();
+  if (config.provider === 'hash') return config;
+
+  const budget = await checkBudget(EMBEDDING_FEATURE);
+  if (budget.allowed) return config;
+  return { provider: 'hash', model: PROVIDER_DEFAULT_MODELS.hash, degraded: budget.reason };
+}
+
+// Unit length, so cosine similarity is a dot product
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Embed texts with the current backend
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [config] - Backend from currentEmbeddingConfig(), when the caller
+ *   already resolved it; resolved here otherwise
+ * @returns {Promise<{vectors: number[][], provider: string, model: string, degraded?: string}>}
+ *   One unit-length vector per text, in order
+ */
+async function embed(texts, config) {
+  const { provider, model, degraded } = config || await currentEmbeddingConfig();
+  if (!providers[provider].isConfigured()) {
+    throw new Error(`OPENAI_API_KEY environment variable is required for embeddings (provider: ${provider})`);
+  }
+  if (degraded) {
+    await recordUsage({ feature: EMBEDDING_FEATURE, provider, model, usage: { inputTokens: 0, outputTokens: 0 }, degraded: true });
+  }
+
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+    const batch = texts.slice(start, start + BATCH_SIZE).map(text => String(text).slice(0, 8000) || ' ');
+    const embedded = await providers[provider].embed(model, batch);
+    if (!Array.isArray(embedded.vectors) || embedded.vectors.length !== batch.length) {
+      throw new Error(`Embedding provider "${provider}" returned ${embedded.vectors?.length ?? 'no'} vectors for ${batch.length} texts`);
+    }
+    if (provider !== 'hash') {
+      await recordUsage({ feature: EMBEDDING_FEATURE, provider, model, usage: { inputTokens: embedded.inputTokens, outputTokens: 0 } });
+    }
+    vectors.push(...embedded.vectors.map(normalize));
+  }
+  return { vectors, provider, model, ...(degraded && { degraded }) };
+}
+
+/**
+ * Cosine similarity of two unit-length vectors (-1.0 to 1.0)
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  const length = Math.min(a.length, b.length);
+  let dot = 0;
+  for (let i = 0; i < length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+module.exports = {
+  embed,
+  cosineSimilarity,
+  resolveEmbeddingConfig,
+  currentEmbeddingConfig
+};
@@ -0,0 +1,330 @@
+const { renderDocx } = require('./docx_writer');
+const { renderPdf } = require('./pdf_writer');
+const {
+  CITATION_STYLES,
+  DEFAULT_CITATION_STYLE,
+  isCitationStyle,
+  formatBibliographyEntry,
+  formatInTextCitation,
+  numberReferences,
+  buildBibliography
+} = require('./citation_styles');
+
+/**
+ * Export subsystem: turns a saved Lexical editor state into Markdown,
+ * standalone HTML, DOCX or PDF. Everything runs in-process with Node
+ * built-ins, so exports never need network access.
+ *
+ * All formats render from one intermediate model:
+ *   blocks       headings, paragraphs, quotes and lists made of runs: styled
+ *                text, line breaks, footnote references and citation markers
+ *   footnotes    one note per citation marker, in reading order
+ *   bibliography every reference attached to the document, formatted in the
+ *                document's citation style (see citation_styles.js)
+ */
+
+// Lexical TextNode format bit flags
+const FORMAT_BOLD = 1;
+const FORMAT_ITALIC = 1 << 1;
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+/**
+ * Bibliography entry for a reference, used for footnotes and the bibliography.
+ * A page is added for footnotes that cite one, ahead of any trailing link.
+ * @param {Object} reference - Reference attached to a document
+ * @param {string} [style='apa'] - One of CITATION_STYLES
+ * @returns {string}
+ */
+function formatReference(reference, style = DEFAULT_CITATION_STYLE) {
+  const entry = formatBibliographyEntry(reference, style);
+  if (!reference.page) return entry;
+  const [, text, link] = entry.match(/^(.*?)(\s+https?:\/\/\S+)?$/);
+  return `${text.replace(/\.$/, '')}, p. ${reference.page}.${link || ''}`;
+}
+
+// Reference ids of the document's citation nodes, in reading order
+function citedReferenceIds(node) {
+  if (node.type === 'citation') return [node.referenceId];
+  return (node.children || []).flatMap(citedReferenceIds);
+}
+
+/**
+ * Build the format-neutral export model from a document
+ * @param {Object} document - Document with title, editorState, references and settings
+ * @param {Object} [options]
+ * @param {string} [options.style] - Citation style; defaults to the document's
+ *   citationStyle setting, else APA
+ * @param {'in-text'|'footnotes'|'bibliography'} [options.citations] - Citations as
+ *   written in the editor, as footnotes, or as numbered [n] markers that point
+ *   into the bibliography. Defaults to the style's own convention; documents
+ *   saved before citation styles existed keep footnotes.
+ * @returns {{title: string, blocks: Array, footnotes: Array, bibliography: Array, bibliographyTitle: string}}
+ */
+function buildExportModel(document, options = {}) {
+  const documentStyle = document.settings?.citationStyle;
+  const style = [options.style, documentStyle].find(isCitationStyle) || DEFAULT_CITATION_STYLE;
+  const styleInfo = CITATION_STYLES[style];
+  const mode = options.citations || (options.style || documentStyle ? (styleInfo.numbered ? 'bibliography' : 'in-text') : 'footnotes');
+  const numbered = mode === 'bibliography';
+
+  const references = Array.isArray(document.references) ? document.references : [];
+  const referenceById = new Map(references.map(reference => [reference.id, reference]));
+  const citedIds = citedReferenceIds(document.editorState?.root || {});
+  const citationNumbers = numberReferences(citedIds, references);
+  const footnotes = [];
+
+  function runsOf(node, link) {
+    if (node.type === 'citation' && referenceById.has(node.referenceId)) {
+      const reference = referenceById.get(node.referenceId);
+      const number = citationNumbers.get(reference.id);
+      if (mode === 'in-text' || (numbered && styleInfo.numbered)) {
+        return [{ type: 'marker', text: formatInTextCitation(reference, style, { number, page: node.page }) }];
+      }
+      if (numbered) return [{ type: 'marker', text: `[${number}]` }];
+      // A citation can point at a page of its own, e.g. where a quote was taken from
+      footnotes.push({ number: footnotes.length + 1, text: formatReference(node.page ? { ...reference, page: node.page } : reference, style) });
+      return [{ type: 'footnote', number: footnotes.length }];
+    }
+    if (typeof node.text === 'string') {
+      return [{
+        type: 'text',
+        text: node.text,
+        bold: Boolean(node.format & FORMAT_BOLD),
+        italic: Boolean(node.format & FORMAT_ITALIC),
+        link
+      }];
+    }
+    if (node.type === 'linebreak') return [{ type: 'break' }];
+    if (node.type === 'tab') return [{ type: 'text', text: '\t' }];
+
+    const childLink = node.type === 'link' || node.type === 'autolink' ? node.url : link;
+    return (node.children || []).flatMap(child => runsOf(child, childLink));
+  }
+
+  function listItems(list, depth) {
+    return (list.children || []).flatMap(item => {
+      const nested = (item.children || []).filter(child => child.type === 'list');
+      if (nested.length > 0) return nested.flatMap(child => listItems(child, depth + 1));
+      return [{ depth, runs: runsOf(item) }];
+    });
+  }
+
+  const hasText = (runs) => runs.some(run => run.type !== 'text' || run.text.trim());
+  const blocks = [];
+  for (const node of document.editorState?.root?.children || []) {
+    if (node.type === 'list') {
+      blocks.push({ type: 'list', ordered: node.listType === 'number', items: listItems(node, 0) });
+      continue;
+    }
+
+    const runs = runsOf(node);
+    // Plain-mode documents use empty paragraphs as spacing; every format spaces blocks itself
+    if (!hasText(runs)) continue;
+
+    if (node.type === 'heading') {
+      blocks.push({ type: 'heading', level: Math.min(Number(String(node.tag).slice(1)) || 1, 3), runs });
+    } else if (node.type === 'quote') {
+      blocks.push({ type: 'quote', runs });
+    } else {
+      blocks.push({ type: 'paragraph', runs });
+    }
+  }
+
+  // Numbered lists put cited sources in citation order, uncited ones after them
+  const bibliography = buildBibliography(references, style, citedIds, numbered)
+    .map(({ label, text }) => ({ label, text }));
+
+  return {
+    title: document.title || 'Untitled document',
+    blocks,
+    footnotes,
+    bibliography,
+    bibliographyTitle: styleInfo.bibliographyTitle
+  };
+}
+
+// Numbers for ordered list items; restarts whenever a deeper level begins
+function listLabels(list) {
+  const counters = [];
+  return list.items.map(item => {
+    counters.length = item.depth + 1;
+    counters[item.depth] = (counters[item.depth] || 0) + 1;
+    return list.ordered ? `${counters[item.depth]}.` : '-';
+  });
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1').replace(/^(\s*)([#>])/, '$1\\$2');
+}
+
+function runsToMarkdown(runs) {
+  return runs.map(run => {
+    if (run.type === 'footnote') return `[^${run.number}]`;
+    if (run.type === 'marker') return run.text;
+    if (run.type === 'break') return '  \n';
+
+    // Keep emphasis markers tight around the words, outside surrounding spaces
+    const [, lead, core, trail] = run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return run.text;
+    let text = escapeMarkdown(core);
+    if (run.bold && run.italic) text = `***${text}***`;
+    else if (run.bold) text = `**${text}**`;
+    else if (run.italic) text = `*${text}*`;
+    if (run.link) text = `[${text}](${run.link})`;
+    return lead + text + trail;
+  }).join('');
+}
+
+function renderMarkdown(model) {
+  const sections = model.blocks.map(block => {
+    if (block.type === 'heading') return `${'#'.repeat(block.level)} ${runsToMarkdown(block.runs)}`;
+    if (block.type === 'quote') return runsToMarkdown(block.runs).split('\n').map(line => `> ${line}`).join('\n');
+    if (block.type === 'list') {
+      const labels = listLabels(block);
+      return block.items
+        // Four spaces per level nests under both bullets and numbers, and matches the editor's importer
+        .map((item, index) => `${'    '.repeat(item.depth)}${labels[index]} ${runsToMarkdown(item.runs)}`)
+        .join('\n');
+    }
+    return runsToMarkdown(block.runs);
+  });
+
+  if (model.footnotes.length > 0) {
+    sections.push(model.footnotes.map(note => `[^${note.number}]: ${note.text}`).join('\n'));
+  }
+  if (model.bibliography.length > 0) {
+    sections.push(`## ${model.bibliographyTitle}`);
+    // Numbered entries are separate paragraphs; unnumbered ones form a bulleted list
+    sections.push(model.bibliography
+      .map(entry => entry.label ? `${entry.label} ${entry.text}` : `- ${entry.text}`)
+      .join(model.bibliography[0].label ? '\n\n' : '\n'));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function runsToHtml(runs) {
+  return runs.map(run => {
+    if (run.type === 'footnote') {
+      return `<sup class="footnote-ref" id="fnref-${run.number}"><a href="#fn-${run.number}">${run.number}</a></sup>`;
+    }
+    if (run.type === 'break') return '<br>';
+
+    let html = escapeHtml(run.text);
+    if (run.bold) html = `<strong>${html}</strong>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.link) html = `<a href="${escapeHtml(run.link)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+// Flat items with depths become properly nested <ul>/<ol> elements
+function listToHtml(list) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  let html = `<${tag}>`;
+  let depth = 0;
+  list.items.forEach((item, index) => {
+    if (index > 0) {
+      if (item.depth > depth) {
+        html += `<${tag}>`.repeat(item.depth - depth);
+      } else {
+        html += '</li>';
+        html += `</${tag}></li>`.repeat(depth - item.depth);
+      }
+    }
+    depth = item.depth;
+    html += `<li>${runsToHtml(item.runs)}`;
+  });
+  html += '</li>' + `</${tag}></li>`.repeat(depth) + `</${tag}>`;
+  return html;
+}
+
+function renderHtml(model) {
+  const body = model.blocks.map(block => {
+    if (block.type === 'heading') return `<h${block.level}>${runsToHtml(block.runs)}</h${block.level}>`;
+    if (block.type === 'quote') return `<blockquote><p>${runsToHtml(block.runs)}</p></blockquote>`;
+    if (block.type === 'list') return listToHtml(block);
+    return `<p>${runsToHtml(block.runs)}</p>`;
+  });
+
+  if (model.footnotes.length > 0) {
+    body.push('<section class="footnotes"><hr><ol>' + model.footnotes.map(note =>
+      `<li id="fn-${note.number}">${escapeHtml(note.text)} <a href="#fnref-${note.number}" aria-label="Back to text">↩</a></li>`
+    ).join('') + '</ol></section>');
+  }
+  if (model.bibliography.length > 0) {
+    body.push(`<section class="bibliography"><h2>${escapeHtml(model.bibliographyTitle)}</h2>` + model.bibliography.map(entry =>
+      `<p>${entry.label ? `${escapeHtml(entry.label)} ` : ''}${escapeHtml(entry.text)}</p>`
+    ).join('') + '</section>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(model.title)}</title>
+<style>
+  body { font-family: Georgia, Cambria, "Times New Roman", serif; line-height: 1.6; max-width: 42rem; margin: 3rem auto; padding: 0 1rem; color: #111; }
+  blockquote { border-left: 4px solid #ccc; margin: 1rem 0; padding-left: 1rem; color: #555; font-style: italic; }
+  a { color: #1d4ed8; }
+  .footnotes { font-size: 0.875rem; margin-top: 3rem; }
+  .bibliography p { padding-left: 2rem; text-indent: -2rem; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a document
+ * @param {Object} document - Document with title, editorState and references
+ * @param {string} format - One of markdown, html, docx, pdf
+ * @param {Object} [options] - See buildExportModel
+ * @returns {{body: Buffer, contentType: string, filename: string}}
+ */
+function exportDocument(document, format, options = {}) {
+  const target = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!target) {
+    throw new Error(`Unsupported export format "${format}". Must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const model = buildExportModel(document, options);
+  const renderers = {
+    markdown: () => Buffer.from(renderMarkdown(model), 'utf8'),
+    html: () => Buffer.from(renderHtml(model), 'utf8'),
+    docx: () => renderDocx(model),
+    pdf: () => renderPdf(model)
+  };
+
+  const basename = model.title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'document';
+  return {
+    body: renderers[format](),
+    contentType: target.contentType,
+    filename: `${basename}.${target.extension}`
+  };
+}
+
+module.exports = {
+  FORMATS,
+  exportDocument,
+  buildExportModel,
+  formatReference
+};
@@ -0,0 +1,301 @@
+const { createEditor, $getRoot, $createParagraphNode, $createTextNode, $createLineBreakNode, $isTextNode, $isElementNode } = require('lexical');
+const { HeadingNode, QuoteNode, $createHeadingNode, $createQuoteNode } = require('@lexical/rich-text');
+const { ListNode, ListItemNode, $createListNode, $createListItemNode } = require('@lexical/list');
+const { LinkNode, $createLinkNode, $isLinkNode } = require('@lexical/link');
+const {
+  $convertFromMarkdownString,
+  HEADING,
+  QUOTE,
+  UNORDERED_LIST,
+  ORDERED_LIST,
+  BOLD_ITALIC_STAR,
+  BOLD_ITALIC_UNDERSCORE,
+  BOLD_STAR,
+  BOLD_UNDERSCORE,
+  ITALIC_STAR,
+  ITALIC_UNDERSCORE,
+  LINK
+} = require('@lexical/markdown');
+const { parseHtml, parseDocx } = require('./markup_parsers');
+
+/**
+ * Import subsystem: turns .txt, .md, .docx and .html files into a Lexical
+ * editor state, ready to be saved as a new document.
+ *
+ * Markdown goes through Lexical's own importer with the same transformers as
+ * the editor's Markdown shortcuts; HTML and DOCX are parsed into the export
+ * block model and rebuilt as Lexical nodes in a headless editor.
+ *
+ * Any format can seed the context box: YAML front-matter (`context:`) in text
+ * and Markdown files, a first-line `@context: ...` directive, or in HTML a
+ * `<!-- context: ... -->` comment or `<meta name="context">` tag.
+ */
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+const IMPORT_FORMATS = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  docx: 'docx'
+};
+
+// Keep in step with MARKDOWN_TRANSFORMERS in src/components/FormattingToolbar.tsx
+const MARKDOWN_TRANSFORMERS = [
+  HEADING,
+  QUOTE,
+  UNORDERED_LIST,
+  ORDERED_LIST,
+  BOLD_ITALIC_STAR,
+  BOLD_ITALIC_UNDERSCORE,
+  BOLD_STAR,
+  BOLD_UNDERSCORE,
+  ITALIC_STAR,
+  ITALIC_UNDERSCORE,
+  LINK
+];
+
+// Front-matter keys copied into the document's writing settings
+const SETTING_KEYS = ['tone', 'purpose', 'genre', 'structure'];
+
+const CONTEXT_DIRECTIVE = /^\s*(?:@context\b\s*:?|<!--\s*context\s*:)\s*([\s\S]*?)\s*(?:-->)?\s*$/i;
+
+function unquote(value) {
+  const match = value.match(/^(["'])([\s\S]*)\1$/);
+  return match ? match[2] : value;
+}
+
+/**
+ * Split YAML front-matter from the body. Only flat `key: value` pairs and
+ * `|` / `>` block scalars are understood, which covers what writers put there.
+ * @param {string} text - File contents
+ * @returns {{fields: Object, body: string}}
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!match) return { fields: {}, body: text };
+
+  const fields = {};
+  const lines = match[1].split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    const pair = lines[index].match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) continue;
+    const key = pair[1].toLowerCase();
+    const value = pair[2].trim();
+
+    if (value === '|' || value === '>' || value === '|-' || value === '>-') {
+      const block = [];
+      while (index + 1 < lines.length && (/^\s/.test(lines[index + 1]) || !lines[index + 1].trim())) {
+        block.push(lines[++index].trim());
+      }
+      fields[key] = value[0] === '|' ? block.join('\n').trim() : block.join(' ').replace(/\s+/g, ' ').trim();
+    } else {
+      fields[key] = unquote(value);
+    }
+  }
+
+  return { fields, body: text.slice(match[0].length) };
+}
+
+// Pull a context directive off the first non-blank line of plain text
+function takeContextDirective(text) {
+  const match = text.match(/^\s*([^\n]*)(?:\n|$)/);
+  const directive = match && match[1].match(CONTEXT_DIRECTIVE);
+  if (!directive) return { context: null, body: text };
+  return { context: directive[1], body: text.slice(match[0].length) };
+}
+
+function runsText(runs) {
+  return runs.map(run => (run.type === 'text' ? run.text : '\n')).join('');
+}
+
+function appendRuns(parent, runs) {
+  let linkNode = null;
+  for (const run of runs) {
+    if (run.type === 'break') {
+      linkNode = null;
+      parent.append($createLineBreakNode());
+      continue;
+    }
+
+    const text = $createTextNode(run.text);
+    if (run.bold) text.toggleFormat('bold');
+    if (run.italic) text.toggleFormat('italic');
+
+    // Adjacent runs with the same target share one link node
+    if (run.link) {
+      if (!linkNode || linkNode.getURL() !== run.link) {
+        linkNode = $createLinkNode(run.link);
+        parent.append(linkNode);
+      }
+      linkNode.append(text);
+    } else {
+      linkNode = null;
+      parent.append(text);
+    }
+  }
+}
+
+// Lexical nests a sub-list inside its own list item after the parent item
+function appendList(root, block) {
+  const listType = block.ordered ? 'number' : 'bullet';
+  const stack = [$createListNode(listType)];
+  root.append(stack[0]);
+
+  for (const item of block.items) {
+    while (stack.length - 1 > item.depth) stack.pop();
+    while (stack.length - 1 < item.depth) {
+      const holder = $createListItemNode();
+      const nested = $createListNode(listType);
+      holder.append(nested);
+      stack[stack.length - 1].append(holder);
+      stack.push(nested);
+    }
+    const listItem = $createListItemNode();
+    appendRuns(listItem, item.runs);
+    stack[stack.length - 1].append(listItem);
+  }
+}
+
+function createHeadlessEditor() {
+  return createEditor({
+    namespace: 'OpenQuillImport',
+    nodes: [HeadingNode, QuoteNode, ListNode, ListItemNode, LinkNode],
+    onError: (error) => {
+      throw error;
+    }
+  });
+}
+
+/**
+ * Build a serialized editor state, and report whether it needs rich-text mode
+ * @param {(root: Object) => void} populate - Runs inside a Lexical update with the empty root
+ * @returns {{editorState: Object, rich: boolean}}
+ */
+function buildEditorState(populate) {
+  const editor = createHeadlessEditor();
+  let rich = false;
+
+  editor.update(() => {
+    const root = $getRoot();
+    root.clear();
+    populate(root);
+    if (root.getChildrenSize() === 0) root.append($createParagraphNode());
+
+    const visit = (node) => {
+      if ($isTextNode(node) && node.getFormat() !== 0) rich = true;
+      if ($isLinkNode(node)) rich = true;
+      if ($isElementNode(node)) node.getChildren().forEach(visit);
+    };
+    for (const child of root.getChildren()) {
+      if (child.getType() !== 'paragraph') rich = true;
+      visit(child);
+    }
+  }, { discrete: true });
+
+  return { editorState: editor.getEditorState().toJSON(), rich };
+}
+
+function blocksToEditorState(blocks) {
+  return buildEditorState(root => {
+    for (const block of blocks) {
+      if (block.type === 'list') {
+        appendList(root, block);
+        continue;
+      }
+      let node;
+      if (block.type === 'heading') node = $createHeadingNode(`h${Math.min(block.level, 6)}`);
+      else if (block.type === 'quote') node = $createQuoteNode();
+      else node = $createParagraphNode();
+      appendRuns(node, block.runs);
+      root.append(node);
+    }
+  });
+}
+
+// Plain text keeps one paragraph per line, exactly as the plain-text editor writes it
+function textToEditorState(text) {
+  return buildEditorState(root => {
+    for (const line of text.replace(/\s+$/, '').split('\n')) {
+      const paragraph = $createParagraphNode();
+      if (line) paragraph.append($createTextNode(line));
+      root.append(paragraph);
+    }
+  });
+}
+
+function markdownToEditorState(markdown) {
+  return buildEditorState(() => {
+    $convertFromMarkdownString(markdown, MARKDOWN_TRANSFORMERS);
+  });
+}
+
+function titleFromFilename(filename) {
+  const base = filename.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+  return base.replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim() || 'Imported document';
+}
+
+/**
+ * Import a file as document fields
+ * @param {string} filename - Original file name; the extension picks the format
+ * @param {Buffer} data - File contents
+ * @returns {{title: string, editorState: Object, contextText: string, settings: Object}}
+ */
+function importDocument(filename, data) {
+  const extension = (filename.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+  const format = Object.hasOwn(IMPORT_FORMATS, extension) ? IMPORT_FORMATS[extension] : null;
+  if (!format) {
+    throw new Error(`Unsupported file type. Supported types: ${Object.keys(IMPORT_FORMATS).map(ext => `.${ext}`).join(', ')}`);
+  }
+  if (data.length > MAX_IMPORT_BYTES) {
+    throw new Error(`File is too large to import (maximum ${MAX_IMPORT_BYTES / (1024 * 1024)} MB)`);
+  }
+
+  let fields = {};
+  let context = null;
+  let built;
+  let title = null;
+
+  if (format === 'text' || format === 'markdown') {
+    const text = data.toString('utf8').replace(/\r\n?/g, '\n');
+    const frontMatter = parseFrontMatter(text);
+    fields = frontMatter.fields;
+    const directive = takeContextDirective(frontMatter.body);
+    context = directive.context;
+    built = format === 'text' ? textToEditorState(directive.body) : markdownToEditorState(directive.body);
+  } else {
+    const parsed = format === 'html' ? parseHtml(data.toString('utf8')) : parseDocx(data);
+    title = parsed.title;
+    context = parsed.context;
+
+    // A leading "@context: ..." paragraph works in every format
+    const first = parsed.blocks[0];
+    const directive = first && first.type === 'paragraph' && runsText(first.runs).match(CONTEXT_DIRECTIVE);
+    const blocks = directive ? parsed.blocks.slice(1) : parsed.blocks;
+    if (directive) context = directive[1];
+
+    built = blocksToEditorState(blocks);
+  }
+
+  const settings = { editorMode: built.rich ? 'rich' : 'plain' };
+  for (const key of SETTING_KEYS) {
+    if (typeof fields[key] === 'string' && fields[key]) settings[key] = fields[key].toLowerCase();
+  }
+
+  return {
+    title: fields.title || title || titleFromFilename(filename),
+    editorState: built.editorState,
+    contextText: (fields.context || context || '').trim(),
+    settings
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_BYTES,
+  importDocument,
+  parseFrontMatter
+};
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Root directory for everything the app persists locally
+ * @returns {string}
+ */
+function getDataDir() {
+  return process.env.OPEN_QUILL_DATA_DIR || path.join(process.cwd(), '.data');
+}
+
+// Pending writes per record file, shared by every store on the same collection
+const writeQueues = new Map();
+
+/**
+ * Run a read-modify-write of one record after the ones already queued for it,
+ * so overlapping updates each start from the last one's result
+ * @param {string} file - Record file the task reads and writes
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>} The task's result
+ */
+function queueWrite(file, task) {
+  const previous = writeQueues.get(file) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  writeQueues.set(file, next);
+  // The last write to settle clears the queue, so idle records leave nothing behind
+  next.catch(() => {}).then(() => {
+    if (writeQueues.get(file) === next) writeQueues.delete(file);
+  });
+  return next;
+}
+
+/**
+ * Create a store that keeps one JSON file per record in a collection directory
+ * @param {string} collection - Subdirectory name under the data dir, e.g. 'documents'
+ * @returns {Object} Store with list, get, create, put, update and remove methods
+ */
+function createJsonStore(collection) {
+  const dir = () => path.join(getDataDir(), collection);
+
+  // Ids are generated by the store; anything else (e.g. '../x') is treated as missing
+  const isValidId = (id) => /^[A-Za-z0-9_-]+$/.test(String(id));
+  const fileFor = (id) => path.join(dir(), `${id}.json`);
+
+  // Write to a temp file and rename so a crash never leaves half a record behind
+  async function write(record) {
+    await fs.mkdir(dir(), { recursive: true });
+    const target = fileFor(record.id);
+    const temp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record, null, 2), 'utf8');
+    await fs.rename(temp, target);
+    return record;
+  }
+
+  async function get(id) {
+    if (!isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function list() {
+    let files;
+    try {
+      files = await fs.readdir(dir());
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => get(path.basename(file, '.json')).catch(() => null))
+    );
+    return records.filter(Boolean);
+  }
+
+  async function create(fields) {
+    const now = new Date().toISOString();
+    return write({ ...fields, id: crypto.randomUUID(), createdAt: now, updatedAt: now });
+  }
+
+  // Create or replace a record under an id the caller chose, e.g. a content hash
+  async function put(id, fields) {
+    if (!isValidId(id)) throw new Error(`Invalid record id "${id}"`);
+    return queueWrite(fileFor(id), async () => {
+      const existing = await get(id);
+      const now = new Date().toISOString();
+      return write({ ...fields, id, createdAt: existing ? existing.createdAt : now, updatedAt: now });
+    });
+  }
+
+  async function update(id, patch) {
+    if (!isValidId(id)) return null;
+    return queueWrite(fileFor(id), async () => {
+      const existing = await get(id);
+      if (!existing) return null;
+      return write({ ...existing, ...patch, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  async function remove(id) {
+    if (!isValidId(id)) return false;
+    return queueWrite(fileFor(id), async () => {
+      try {
+        await fs.unlink(fileFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  return { list, get, create, put, update, remove };
+}
+
+module.exports = {
+  createJsonStore,
+  getDataDir
+};
@@ -0,0 +1,330 @@
+require('dotenv').config();
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { BudgetExceededError, estimateTokens, recordUsage, checkBudget } = require('./usage_ledger');
+
+/**
+ * Provider-agnostic LLM layer shared by every API route and script.
+ *
+ * Each feature (autocomplete, tone, evidence, ...) resolves its provider and
+ * model from the environment, so a deployment can switch vendors per feature:
+ *
+ *   LLM_PROVIDER=anthropic                 default provider for every feature
+ *   LLM_AUTOCOMPLETE_PROVIDER=openai       provider override for one feature
+ *   LLM_AUTOCOMPLETE_MODEL=gpt-4o-mini     model override for one feature
+ *
+ * The `mock` provider never touches the network, so the app can run on
+ * machines without API keys.
+ *
+ * Every call is counted in the usage ledger (see usage_ledger.js). A feature
+ * over its daily budget answers from the caller's mockResponse instead, the
+ * same local fallback the mock provider uses, unless the caller sets
+ * budgetFallback: false, in which case a BudgetExceededError is thrown.
+ */
+
+// Built-in defaults, matching what each feature used before it was configurable
+const FEATURE_DEFAULTS = {
+  autocomplete: { provider: 'openai', model: 'gpt-3.5-turbo' },
+  tone: { provider: 'openai', model: 'gpt-4o-mini' },
+  evidence: { provider: 'openai', model: 'gpt-3.5-turbo' },
+  relevance: { provider: 'anthropic', model: null },
+  research: { provider: 'anthropic', model: null },
+  people: { provider: 'anthropic', model: 'claude-sonnet-4-20250514' }
+};
+
+// Default model per provider when a feature does not name one
+const PROVIDER_DEFAULT_MODELS = {
+  openai: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  anthropic: () => process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
+  mock: () => 'mock-1'
+};
+
+// Lazy client initialization, one client per provider
+const clients = {};
+
+function getOpenAIClient() {
+  if (!clients.openai) {
+    clients.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return clients.openai;
+}
+
+function getAnthropicClient() {
+  if (!clients.anthropic) {
+    clients.anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return clients.anthropic;
+}
+
+// Translate the provider-neutral request into each SDK's parameters
+function openaiParams(model, request) {
+  return {
+    model,
+    messages: request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    top_p: request.topP,
+    frequency_penalty: request.frequencyPenalty,
+    presence_penalty: request.presencePenalty,
+    stop: request.stop
+  };
+}
+
+function anthropicParams(model, request) {
+  return {
+    model,
+    system: request.system,
+    messages: request.messages,
+    max_tokens: request.maxTokens || 1024,
+    temperature: request.temperature,
+    top_p: request.topP,
+    stop_sequences: request.stop
+  };
+}
+
+const providers = {
+  openai: {
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+    async complete(model, request, signal) {
+      const response = await getOpenAIClient().chat.completions.create(openaiParams(model, request), { signal });
+
+      return {
+        text: response.choices[0]?.message?.content || '',
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    async *stream(model, request, signal) {
+      const stream = await getOpenAIClient().chat.completions.create(
+        { ...openaiParams(model, request), stream: true },
+        { signal }
+      );
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  },
+
+  anthropic: {
+    isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+
+    async complete(model, request, signal) {
+      const message = await getAnthropicClient().messages.create(anthropicParams(model, request), { signal });
+
+      return {
+        text: message.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        usage: {
+          inputTokens: message.usage?.input_tokens || 0,
+          outputTokens: message.usage?.output_tokens || 0
+        }
+      };
+    },
+
+    async *stream(model, request, signal) {
+      const stream = await getAnthropicClient().messages.create(
+        { ...anthropicParams(model, request), stream: true },
+        { signal }
+      );
+
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield event.delta.text;
+        }
+      }
+    }
+  },
+
+  mock: {
+    isConfigured: () => true,
+
+    async complete(model, request) {
+      const text = typeof request.mockResponse === 'function'
+        ? request.mockResponse(request)
+        : request.mockResponse ?? mockContinuation(request);
+
+      // Estimated, so budgets and the usage report can be tried out offline
+      return {
+        text: String(text),
+        usage: { inputTokens: estimateTokens(promptText(request)), outputTokens: estimateTokens(text) }
+      };
+    },
+
+    async *stream(model, request, signal) {
+      const { text } = await this.complete(model, request);
+      // Replay word by word so offline clients exercise the same code path
+      for (const token of text.match(/\S+\s*|\s+/g) || []) {
+        if (signal?.aborted) return;
+        yield token;
+      }
+    }
+  }
+};
+
+// Everything sent to the model, for estimating tokens a provider did not count
+function promptText(request) {
+  return [request.system || '', ...request.messages.map(message => message.content)].join('\n');
+}
+
+/**
+ * Deterministic offline reply used when a caller supplies no mock response:
+ * echoes the tail of the last user message so output stays stable across runs
+ */
+function mockContinuation(request) {
+  const lastMessage = request.messages[request.messages.length - 1];
+  const words = String(lastMessage?.content || '').replace(/["\n]/g, ' ').split(/\s+/).filter(Boolean);
+  return words.slice(-6).join(' ');
+}
+
+/**
+ * Resolve the provider and model a feature should use
+ * @param {string} feature - Feature name, e.g. 'autocomplete' or 'research'
+ * @returns {{provider: string, model: string}}
+ */
+function resolveFeatureConfig(feature) {
+  const key = feature.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const defaults = FEATURE_DEFAULTS[feature] || { provider: 'openai', model: null };
+
+  const provider = (
+    process.env[`LLM_${key}_PROVIDER`] ||
+    process.env.LLM_PROVIDER ||
+    defaults.provider
+  ).toLowerCase();
+
+  if (!providers[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}" for feature "${feature}". Must be one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  // A feature's built-in model only applies to its built-in provider
+  const defaultModel = provider === defaults.provider && defaults.model
+    ? defaults.model
+    : PROVIDER_DEFAULT_MODELS[provider]();
+
+  return {
+    provider,
+    model: process.env[`LLM_${key}_MODEL`] || defaultModel
+  };
+}
+
+/**
+ * Check whether the provider configured for a feature has its credentials
+ * @param {string} feature - Feature name
+ * @returns {boolean}
+ */
+function isFeatureConfigured(feature) {
+  const { provider } = resolveFeatureConfig(feature);
+  return providers[provider].isConfigured();
+}
+
+/**
+ * Human-readable reason a feature cannot run, for API error responses
+ * @param {string} feature - Feature name
+ * @returns {string}
+ */
+function describeMissingConfig(feature) {
+  const { provider } = resolveFeatureConfig(feature);
+  const envVar = provider === 'openai' ? 'OPENAI_API_KEY' : 'ANTHROPIC_API_KEY';
+  return `${envVar} environment variable is required for ${feature} (provider: ${provider})`;
+}
+
+/**
+ * Run a chat completion for a feature using its configured provider
+ * @param {string} feature - Feature name used to resolve provider and model
+ * @param {Object} request - Provider-neutral request
+ * @param {string} [request.system] - System prompt
+ * @param {Array<{role: string, content: string}>} request.messages - Conversation turns
+ * @param {number} [request.maxTokens] - Maximum tokens to generate
+ * @param {number} [request.temperature] - Sampling temperature
+ * @param {number} [request.topP] - Nucleus sampling cutoff
+ * @param {number} [request.frequencyPenalty] - OpenAI-only frequency penalty
+ * @param {number} [request.presencePenalty] - OpenAI-only presence penalty
+ * @param {Array<string>} [request.stop] - Stop sequences
+ * @param {string|Function} [request.mockResponse] - Reply used by the mock provider,
+ *   and in place of the model when the feature is over budget
+ * @param {boolean} [request.budgetFallback=true] - Set false when mockResponse is only
+ *   placeholder text, to get a BudgetExceededError instead
+ * @param {AbortSignal} [signal] - Cancels the upstream request when aborted
+ * @returns {Promise<{text: string, provider: string, model: string, usage: Object, degraded?: string}>}
+ *   degraded holds the reason when the local fallback answered
+ */
+async function complete(feature, request, signal) {
+  const { provider, model } = resolveFeatureConfig(feature);
+
+  const budget = await checkBudget(feature);
+  if (!budget.allowed) {
+    if (request.budgetFallback === false) {
+      throw new BudgetExceededError(feature, budget.reason);
+    }
+    const fallback = await providers.mock.complete('local', request);
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    await recordUsage({ feature, provider: 'local', model: 'local', usage, degraded: true });
+    return { text: fallback.text, provider: 'local', model: 'local', usage, degraded: budget.reason };
+  }
+
+  const result = await providers[provider].complete(model, request, signal);
+  await recordUsage({ feature, provider, model, usage: result.usage });
+
+  return {
+    text: result.text,
+    provider,
+    model,
+    usage: result.usage
+  };
+}
+
+/**
+ * Stream a chat completion for a feature as text deltas. Streams report no
+ * token counts, so their usage is estimated from the text.
+ * @param {string} feature - Feature name used to resolve provider and model
+ * @param {Object} request - Same shape as for complete()
+ * @param {AbortSignal} [signal] - Cancels the upstream request when aborted
+ * @returns {AsyncGenerator<string>} Text deltas in arrival order
+ */
+async function* stream(feature, request, signal) {
+  const { provider, model } = resolveFeatureConfig(feature);
+
+  const budget = await checkBudget(feature);
+  if (!budget.allowed) {
+    if (request.budgetFallback === false) {
+      throw new BudgetExceededError(feature, budget.reason);
+    }
+    await recordUsage({ feature, provider: 'local', model: 'local', usage: { inputTokens: 0, outputTokens: 0 }, degraded: true });
+    yield* providers.mock.stream('local', request, signal);
+    return;
+  }
+
+  let text = '';
+  try {
+    for await (const delta of providers[provider].stream(model, request, signal)) {
+      text += delta;
+      yield delta;
+    }
+  } finally {
+    // Counted even when the client went away, since the tokens were still spent
+    await recordUsage({
+      feature,
+      provider,
+      model,
+      usage: { inputTokens: estimateTokens(promptText(request)), outputTokens: estimateTokens(text) }
+    });
+  }
+}
+
+module.exports = {
+  BudgetExceededError,
+  complete,
+  stream,
+  resolveFeatureConfig,
+  isFeatureConfigured,
+  describeMissingConfig
+};
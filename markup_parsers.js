@@ -0,0 +1,465 @@
+const { readZip } = require('./zip_archive');
+
+/**
+ * Parsers for marked-up documents (HTML and DOCX). Both produce the block
+ * model used by the export subsystem, so imported files keep their structure:
+ *   blocks  headings, paragraphs, quotes and lists made of runs of styled
+ *           text ({type: 'text', text, bold, italic, link}) and line breaks
+ * plus whatever metadata the file carries (title, context directive).
+ *
+ * No DOM or XML library is needed: a forgiving tag tokenizer walks the markup
+ * and a small state machine tracks block and inline formatting.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™',
+  deg: '°', times: '×', divide: '÷', euro: '€', pound: '£', sect: '§', para: '¶',
+  eacute: 'é', egrave: 'è', aacute: 'á', agrave: 'à', iacute: 'í', oacute: 'ó',
+  uacute: 'ú', ntilde: 'ñ', ccedil: 'ç', auml: 'ä', ouml: 'ö', uuml: 'ü', szlig: 'ß'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Split markup into open, close, text and comment tokens
+ * @param {string} markup - HTML or XML source
+ * @returns {Array<{kind: string, name?: string, attributes?: Object, selfClosing?: boolean, text?: string}>}
+ */
+function tokenize(markup) {
+  const tokens = [];
+  const pattern = /<!--([\s\S]*?)-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|<(\/?)([A-Za-z][\w:.-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+|<)/g;
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    const [, comment, cdata, closing, name, rest, text] = match;
+    if (comment !== undefined) {
+      tokens.push({ kind: 'comment', text: comment });
+    } else if (cdata !== undefined) {
+      tokens.push({ kind: 'text', text: cdata, raw: true });
+    } else if (name) {
+      const selfClosing = /\/\s*$/.test(rest);
+      tokens.push({
+        kind: closing ? 'close' : 'open',
+        name: name.toLowerCase(),
+        attributes: closing ? {} : parseAttributes(rest.replace(/\/\s*$/, '')),
+        selfClosing
+      });
+    } else if (text !== undefined) {
+      tokens.push({ kind: 'text', text });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Collects runs into blocks; consecutive list items are grouped into lists
+ */
+function createBlockBuilder() {
+  const blocks = [];
+  let current = null;
+
+  function start(type, extra = {}) {
+    finish();
+    current = { type, runs: [], ...extra };
+  }
+
+  function appendText(text, style) {
+    if (!text) return;
+    if (!current) start('paragraph');
+    const last = current.runs[current.runs.length - 1];
+    if (last && last.type === 'text' && last.bold === style.bold && last.italic === style.italic && last.link === style.link) {
+      last.text += text;
+    } else {
+      current.runs.push({ type: 'text', text, bold: style.bold, italic: style.italic, link: style.link });
+    }
+  }
+
+  function appendBreak() {
+    if (!current) start('paragraph');
+    current.runs.push({ type: 'break' });
+  }
+
+  function finish() {
+    if (!current) return;
+    const block = current;
+    current = null;
+
+    // Whitespace at block edges and around line breaks is layout, not content
+    const runs = block.runs;
+    runs.forEach((run, index) => {
+      if (run.type !== 'text') return;
+      if (index === 0 || runs[index - 1].type === 'break') run.text = run.text.replace(/^\s+/, '');
+      if (index === runs.length - 1 || runs[index + 1].type === 'break') run.text = run.text.replace(/\s+$/, '');
+    });
+    block.runs = runs.filter(run => run.type !== 'text' || run.text);
+    while (block.runs.length > 0 && block.runs[block.runs.length - 1].type === 'break') block.runs.pop();
+    if (!block.runs.some(run => run.type === 'text')) return;
+
+    if (block.type === 'item') {
+      const previous = blocks[blocks.length - 1];
+      const item = { depth: block.depth, runs: block.runs };
+      if (previous && previous.type === 'list' && previous.ordered === block.ordered && previous.group === block.group) {
+        previous.items.push(item);
+      } else {
+        blocks.push({ type: 'list', ordered: block.ordered, group: block.group, items: [item] });
+      }
+      return;
+    }
+    blocks.push(block);
+  }
+
+  function result() {
+    finish();
+    // Lists can't start deeper than their first level
+    return blocks.map(block => {
+      if (block.type !== 'list') return block;
+      const base = Math.min(...block.items.map(item => item.depth));
+      let depth = -1;
+      const items = block.items.map(item => {
+        depth = Math.min(item.depth - base, depth + 1);
+        return { depth, runs: item.runs };
+      });
+      return { type: 'list', ordered: block.ordered, items };
+    });
+  }
+
+  return {
+    start,
+    appendText,
+    appendBreak,
+    finish,
+    result,
+    hasOpenBlock: () => current !== null,
+    isEmpty: (type) => current !== null && current.type === type && current.runs.length === 0
+  };
+}
+
+const HTML_SKIPPED = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object', 'select', 'textarea']);
+const HTML_BLOCKS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure', 'figcaption',
+  'address', 'dl', 'dt', 'dd', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'pre', 'form', 'fieldset', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'ul', 'ol', 'li', 'body', 'html'
+]);
+const HTML_VOID = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'area', 'base', 'wbr', 'source', 'embed', 'param', 'track']);
+
+/**
+ * Parse an HTML document
+ * @param {string} html - HTML source
+ * @returns {{title: string|null, context: string|null, blocks: Array}}
+ */
+function parseHtml(html) {
+  const builder = createBlockBuilder();
+  const tokens = tokenize(html);
+  const lists = [];
+  const links = [];
+  let listGroup = 0;
+  let bold = 0;
+  let italic = 0;
+  let quote = 0;
+  let preformatted = 0;
+  let skipping = null;
+  let skipDepth = 0;
+  let inTitle = false;
+  let title = '';
+  let context = null;
+  let cellCount = 0;
+
+  const style = () => ({ bold: bold > 0, italic: italic > 0, link: links.length > 0 ? links[links.length - 1] : null });
+  const paragraphType = () => (quote > 0 ? 'quote' : 'paragraph');
+
+  for (const token of tokens) {
+    if (skipping) {
+      if (token.kind === 'open' && token.name === skipping && !token.selfClosing) skipDepth++;
+      if (token.kind === 'close' && token.name === skipping && --skipDepth === 0) skipping = null;
+      // The document title and context live in <head>
+      if (token.kind === 'open' && token.name === 'title') inTitle = true;
+      else if (token.kind === 'close' && token.name === 'title') inTitle = false;
+      else if (token.kind === 'text' && inTitle) title += decodeEntities(token.text);
+      if (token.kind === 'open' && token.name === 'meta' && token.attributes.name?.toLowerCase() === 'context') {
+        context = token.attributes.content || context;
+      }
+      continue;
+    }
+
+    if (token.kind === 'comment') {
+      const directive = token.text.match(/^\s*context\s*:\s*([\s\S]*?)\s*$/i);
+      if (directive && context === null) context = directive[1];
+      continue;
+    }
+
+    if (token.kind === 'text') {
+      let text = token.raw ? token.text : decodeEntities(token.text);
+      if (inTitle) {
+        title += text;
+        continue;
+      }
+      if (preformatted > 0) {
+        text.split('\n').forEach((line, index) => {
+          if (index > 0) builder.appendBreak();
+          builder.appendText(line, style());
+        });
+        continue;
+      }
+      text = text.replace(/\s+/g, ' ');
+      // Inter-tag whitespace between blocks is not content
+      if (!builder.hasOpenBlock() && !text.trim()) continue;
+      builder.appendText(text, style());
+      continue;
+    }
+
+    const { name } = token;
+    if (token.kind === 'open') {
+      if (HTML_SKIPPED.has(name) && !token.selfClosing) {
+        skipping = name;
+        skipDepth = 1;
+        continue;
+      }
+      if (name === 'title') inTitle = true;
+      if (name === 'meta' && token.attributes.name?.toLowerCase() === 'context') {
+        context = token.attributes.content || context;
+      }
+
+      if (/^h[1-6]$/.test(name)) builder.start('heading', { level: Number(name[1]) });
+      else if (name === 'blockquote') { quote++; builder.start('quote'); }
+      else if (name === 'ul' || name === 'ol') {
+        if (lists.length === 0) listGroup++;
+        lists.push(name === 'ol');
+        builder.finish();
+      } else if (name === 'li') {
+        builder.start('item', { depth: Math.max(0, lists.length - 1), ordered: lists[lists.length - 1] ?? false, group: listGroup });
+      } else if (name === 'tr') {
+        cellCount = 0;
+        builder.start(paragraphType());
+      } else if (name === 'td' || name === 'th') {
+        if (cellCount++ > 0) builder.appendText(' ', style());
+      } else if (name === 'pre') {
+        preformatted++;
+        builder.start(paragraphType());
+      } else if (HTML_BLOCKS.has(name)) {
+        // <li><p>...</p></li> keeps the list item
+        if (!builder.isEmpty('item')) builder.start(paragraphType());
+      } else if (name === 'br') builder.appendBreak();
+      else if (name === 'strong' || name === 'b') bold++;
+      else if (name === 'em' || name === 'i' || name === 'cite') italic++;
+      else if (name === 'a' && !token.selfClosing) links.push(token.attributes.href || null);
+      else if (name === 'img' && token.attributes.alt) builder.appendText(token.attributes.alt, style());
+      continue;
+    }
+
+    // Closing tags
+    if (HTML_VOID.has(name)) continue;
+    if (name === 'title') inTitle = false;
+    else if (name === 'strong' || name === 'b') bold = Math.max(0, bold - 1);
+    else if (name === 'em' || name === 'i' || name === 'cite') italic = Math.max(0, italic - 1);
+    else if (name === 'a') links.pop();
+    else if (name === 'blockquote') { builder.finish(); quote = Math.max(0, quote - 1); }
+    else if (name === 'ul' || name === 'ol') { builder.finish(); lists.pop(); }
+    else if (name === 'pre') { builder.finish(); preformatted = Math.max(0, preformatted - 1); }
+    else if (HTML_BLOCKS.has(name)) builder.finish();
+  }
+
+  const blocks = builder.result().map(block =>
+    block.type === 'heading' ? { ...block, level: Math.min(block.level, 6) } : block
+  );
+  return {
+    title: title.replace(/\s+/g, ' ').trim() || null,
+    context: context ? context.trim() : null,
+    blocks
+  };
+}
+
+// The package parts the importer reads; nothing else in an upload is decompressed
+const DOCX_PARTS = [
+  'word/document.xml',
+  'word/_rels/document.xml.rels',
+  'word/styles.xml',
+  'word/numbering.xml',
+  'docProps/core.xml'
+];
+
+// Total decompressed size allowed for those parts, well past any real document
+const MAX_DOCX_XML_BYTES = 64 * 1024 * 1024;
+
+function readXml(files, path) {
+  const data = files.get(path);
+  return data ? data.toString('utf8') : null;
+}
+
+// w:b and w:i are toggles; an explicit false value switches them off
+function isOn(attributes) {
+  const value = attributes['w:val'];
+  return value === undefined || !['0', 'false', 'off', 'none'].includes(value.toLowerCase());
+}
+
+/**
+ * Parse a DOCX (Office Open XML) package
+ * @param {Buffer} buffer - .docx file bytes
+ * @returns {{title: string|null, context: string|null, blocks: Array}}
+ */
+function parseDocx(buffer) {
+  const files = readZip(buffer, { only: DOCX_PARTS, maxBytes: MAX_DOCX_XML_BYTES });
+  const documentXml = readXml(files, 'word/document.xml');
+  if (!documentXml) throw new Error('Not a Word document: word/document.xml is missing');
+
+  // Hyperlink targets
+  const relationships = {};
+  for (const token of tokenize(readXml(files, 'word/_rels/document.xml.rels') || '')) {
+    if (token.kind === 'open' && token.name === 'relationship') {
+      relationships[token.attributes.id] = token.attributes.target;
+    }
+  }
+
+  // Style ids are localized ("berschrift1"), style names are not ("heading 1")
+  const styleNames = {};
+  let styleId = null;
+  for (const token of tokenize(readXml(files, 'word/styles.xml') || '')) {
+    if (token.kind === 'open' && token.name === 'w:style') styleId = token.attributes['w:styleid'];
+    if (token.kind === 'open' && token.name === 'w:name' && styleId) styleNames[styleId] = (token.attributes['w:val'] || '').toLowerCase();
+  }
+
+  // Which list levels are bullets and which are numbered
+  const abstractFormats = {};
+  const numberingFormats = {};
+  let abstractId = null;
+  let numId = null;
+  let level = null;
+  for (const token of tokenize(readXml(files, 'word/numbering.xml') || '')) {
+    if (token.kind !== 'open') continue;
+    if (token.name === 'w:abstractnum') {
+      abstractId = token.attributes['w:abstractnumid'];
+      abstractFormats[abstractId] = {};
+    } else if (token.name === 'w:lvl') {
+      level = token.attributes['w:ilvl'];
+    } else if (token.name === 'w:numfmt' && abstractId !== null && level !== null) {
+      abstractFormats[abstractId][level] = token.attributes['w:val'];
+    } else if (token.name === 'w:num') {
+      numId = token.attributes['w:numid'];
+      abstractId = null;
+    } else if (token.name === 'w:abstractnumid' && numId !== null) {
+      numberingFormats[numId] = abstractFormats[token.attributes['w:val']] || {};
+    }
+  }
+
+  let title = null;
+  const core = readXml(files, 'docProps/core.xml');
+  const coreTitle = core && core.match(/<dc:title>([\s\S]*?)<\/dc:title>/);
+  if (coreTitle) title = decodeEntities(coreTitle[1]).trim() || null;
+
+  const builder = createBlockBuilder();
+  let paragraph = null;
+  let run = null;
+  let link = null;
+  let inRunProperties = false;
+  let inText = false;
+  let skipDepth = 0;
+
+  function blockFor(properties) {
+    const name = styleNames[properties.style] || (properties.style || '').toLowerCase();
+    const heading = name.match(/^heading\s*(\d)$/);
+    if (properties.numId && properties.numId !== '0') {
+      const format = (numberingFormats[properties.numId] || {})[properties.level || '0'];
+      return {
+        type: 'item',
+        depth: Number(properties.level) || 0,
+        ordered: Boolean(format) && format !== 'bullet' && format !== 'none',
+        group: 'docx'
+      };
+    }
+    if (name === 'title') return { type: 'heading', level: 1 };
+    if (heading) return { type: 'heading', level: Math.min(Number(heading[1]), 6) };
+    if (name === 'quote' || name === 'intense quote') return { type: 'quote' };
+    return { type: 'paragraph' };
+  }
+
+  for (const token of tokenize(documentXml)) {
+    // Deleted text, field codes and footnote bodies are not part of the visible text
+    if (skipDepth > 0) {
+      if (token.kind === 'open' && !token.selfClosing && ['w:del', 'w:instrtext', 'w:deltext'].includes(token.name)) skipDepth++;
+      if (token.kind === 'close' && ['w:del', 'w:instrtext', 'w:deltext'].includes(token.name)) skipDepth--;
+      continue;
+    }
+
+    if (token.kind === 'text') {
+      if (inText && run) builder.appendText(decodeEntities(token.text), { bold: run.bold, italic: run.italic, link });
+      continue;
+    }
+
+    const { name, attributes } = token;
+    if (token.kind === 'open') {
+      if (['w:del', 'w:instrtext', 'w:deltext'].includes(name) && !token.selfClosing) {
+        skipDepth = 1;
+      } else if (name === 'w:p') {
+        paragraph = { style: null, numId: null, level: null };
+        builder.finish();
+        if (token.selfClosing) paragraph = null;
+      } else if (name === 'w:pstyle' && paragraph) {
+        paragraph.style = attributes['w:val'];
+      } else if (name === 'w:numid' && paragraph) {
+        paragraph.numId = attributes['w:val'];
+      } else if (name === 'w:ilvl' && paragraph) {
+        paragraph.level = attributes['w:val'];
+      } else if (name === 'w:r') {
+        if (paragraph && !builder.hasOpenBlock()) {
+          const { type, ...extra } = blockFor(paragraph);
+          builder.start(type, extra);
+        }
+        run = { bold: false, italic: false };
+      } else if (name === 'w:rpr' && run) {
+        inRunProperties = !token.selfClosing;
+      } else if (inRunProperties && run && name === 'w:b') {
+        run.bold = isOn(attributes);
+      } else if (inRunProperties && run && name === 'w:i') {
+        run.italic = isOn(attributes);
+      } else if (name === 'w:t') {
+        inText = !token.selfClosing;
+      } else if (name === 'w:tab' && run) {
+        builder.appendText('\t', { bold: run.bold, italic: run.italic, link });
+      } else if ((name === 'w:br' || name === 'w:cr') && run) {
+        if (attributes['w:type'] !== 'page') builder.appendBreak();
+      } else if (name === 'w:hyperlink') {
+        // Internal bookmarks (w:anchor) have no external target
+        link = relationships[attributes['r:id']] || null;
+      }
+      continue;
+    }
+
+    if (name === 'w:t') inText = false;
+    else if (name === 'w:rpr') inRunProperties = false;
+    else if (name === 'w:r') run = null;
+    else if (name === 'w:hyperlink') link = null;
+    else if (name === 'w:p') {
+      builder.finish();
+      paragraph = null;
+    }
+  }
+
+  return { title, context: null, blocks: builder.result() };
+}
+
+module.exports = {
+  parseHtml,
+  parseDocx,
+  decodeEntities,
+  tokenize
+};
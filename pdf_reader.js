@@ -0,0 +1,883 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF text extractor, the reading counterpart of pdf_writer.js.
+ * Uses only Node built-ins so evidence sources can be parsed without
+ * network access or native modules.
+ *
+ * Objects are found by scanning for "n g obj" rather than trusting the xref
+ * table, which also copes with damaged files and incremental updates (later
+ * definitions win). Compressed object streams are expanded. Page text comes
+ * from interpreting the text operators of each content stream: glyph codes
+ * are mapped to Unicode through ToUnicode CMaps or the font encoding, and
+ * glyph widths place word spaces and line breaks the way a reader sees them.
+ */
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// Literal and hex strings, kept as raw bytes in a latin1 string
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+class PdfOperator {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const isRegular = (char) => char !== undefined && !WHITESPACE.includes(char) && !DELIMITERS.includes(char);
+
+/**
+ * Tokenizer and value parser over a latin1 string (one char per byte)
+ */
+class Lexer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      const char = source[this.position];
+      if (WHITESPACE.includes(char)) {
+        this.position++;
+      } else if (char === '%') {
+        while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  next() {
+    this.skipWhitespace();
+    const { source } = this;
+    if (this.position >= source.length) return { type: 'eof' };
+    const char = source[this.position];
+
+    if (char === '(') return { type: 'string', value: this.readLiteralString() };
+    if (char === '<') {
+      if (source[this.position + 1] === '<') {
+        this.position += 2;
+        return { type: '<<' };
+      }
+      const end = source.indexOf('>', this.position);
+      const hex = source.slice(this.position + 1, end < 0 ? source.length : end).replace(/[^0-9a-fA-F]/g, '');
+      this.position = end < 0 ? source.length : end + 1;
+      return { type: 'string', value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') };
+    }
+    if (char === '>') {
+      this.position += source[this.position + 1] === '>' ? 2 : 1;
+      return { type: '>>' };
+    }
+    if (char === '[' || char === ']' || char === '{' || char === '}') {
+      this.position++;
+      return { type: char };
+    }
+    if (char === '/') {
+      let end = this.position + 1;
+      while (isRegular(source[end])) end++;
+      const name = source.slice(this.position + 1, end).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      this.position = end;
+      return { type: 'name', value: name };
+    }
+
+    let end = this.position;
+    while (isRegular(source[end])) end++;
+    if (end === this.position) end++; // stray delimiter such as ')'
+    const word = source.slice(this.position, end);
+    this.position = end;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: Number(word) };
+    return { type: 'keyword', value: word };
+  }
+
+  readLiteralString() {
+    const { source } = this;
+    let depth = 1;
+    let result = '';
+    let i = this.position + 1;
+    while (i < source.length) {
+      const char = source[i++];
+      if (char === '\\') {
+        const escaped = source[i++];
+        if (escaped === undefined) break;
+        const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' }[escaped];
+        if (simple !== undefined) {
+          result += simple;
+        } else if (escaped >= '0' && escaped <= '7') {
+          let octal = escaped;
+          while (octal.length < 3 && source[i] >= '0' && source[i] <= '7') octal += source[i++];
+          result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (escaped === '\r') {
+          if (source[i] === '\n') i++;
+        } else if (escaped !== '\n') {
+          result += escaped;
+        }
+      } else if (char === '(') {
+        depth++;
+        result += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        result += char;
+      } else {
+        result += char;
+      }
+    }
+    this.position = i;
+    return result;
+  }
+
+  /**
+   * Parse one value; numbers followed by "g R" become references
+   * @param {Object} [token] - Already-read first token
+   */
+  parseValue(token = this.next()) {
+    switch (token.type) {
+      case 'number': {
+        if (Number.isInteger(token.value) && token.value >= 0) {
+          const saved = this.position;
+          const generation = this.next();
+          if (generation.type === 'number' && Number.isInteger(generation.value)) {
+            const marker = this.next();
+            if (marker.type === 'keyword' && marker.value === 'R') return new PdfRef(token.value, generation.value);
+          }
+          this.position = saved;
+        }
+        return token.value;
+      }
+      case 'string':
+        return new PdfString(token.value);
+      case 'name':
+        return token.value;
+      case '[': {
+        const items = [];
+        for (let item = this.next(); item.type !== ']' && item.type !== 'eof'; item = this.next()) {
+          items.push(this.parseValue(item));
+        }
+        return items;
+      }
+      case '<<': {
+        const dict = {};
+        for (let key = this.next(); key.type !== '>>' && key.type !== 'eof'; key = this.next()) {
+          if (key.type !== 'name') continue;
+          dict[key.value] = this.parseValue();
+        }
+        return dict;
+      }
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        return new PdfOperator(token.value);
+      default:
+        return null;
+    }
+  }
+}
+
+// PNG predictors (Predictor >= 10) are common on object and xref streams
+function unpredict(data, parms) {
+  const predictor = parms.Predictor || 1;
+  if (predictor < 10) return data;
+  const colors = parms.Colors || 1;
+  const bitsPerComponent = parms.BitsPerComponent || 8;
+  const columns = parms.Columns || 1;
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((colors * bitsPerComponent * columns) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+  let previous = Buffer.alloc(rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const line = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+    const current = output.subarray(row * rowLength, (row + 1) * rowLength);
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value = line[i];
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += Math.floor((left + up) / 2);
+      else if (type === 4) {
+        const estimate = left + up - upLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        value += distances[0] <= distances[1] && distances[0] <= distances[2] ? left : distances[1] <= distances[2] ? up : upLeft;
+      }
+      current[i] = value & 0xff;
+    }
+    previous = current;
+  }
+  return output;
+}
+
+function decodeAscii85(data) {
+  const text = data.toString('latin1').replace(/\s+/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  const bytes = [];
+  let group = [];
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+      bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const padded = group.concat([84, 84, 84, 84]).slice(0, 5);
+    const value = padded.reduce((sum, digit) => sum * 85 + digit, 0);
+    const tail = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    bytes.push(...tail.slice(0, group.length - 1));
+  }
+  return Buffer.from(bytes);
+}
+
+// Stops at maxOutputLength, throwing ERR_BUFFER_TOO_LARGE
+function inflate(data, maxOutputLength) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+    // Truncated or slightly corrupt streams still yield most of their text
+    return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength });
+  }
+}
+
+// Thrown when a document's streams decompress past its budget; never read as a bad page
+class PdfTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`PDF contents are larger than ${Math.round(maxBytes / (1024 * 1024))} MB once decompressed`);
+    this.name = 'PdfTooLargeError';
+  }
+}
+
+/**
+ * Parsed PDF file with lazy reference resolution. Streams are decoded once
+ * each, and their decoded bytes together may not pass maxBytes, which keeps
+ * a small file of highly compressed streams from filling memory.
+ */
+class PdfDocument {
+  constructor(buffer, maxBytes = Infinity) {
+    this.source = buffer.toString('latin1');
+    this.objects = new Map();
+    this.maxBytes = maxBytes;
+    this.remaining = maxBytes;
+    // Shared streams (fonts, forms) are used by many pages
+    this.decoded = new Map();
+    this.scanObjects();
+    this.expandObjectStreams();
+  }
+
+  scanObjects() {
+    const { source } = this;
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const lexer = new Lexer(source, pattern.lastIndex);
+      let value;
+      try {
+        value = lexer.parseValue();
+      } catch {
+        continue;
+      }
+      const saved = lexer.position;
+      const keyword = lexer.next();
+      if (keyword.type === 'keyword' && keyword.value === 'stream' && value && typeof value === 'object') {
+        let start = lexer.position;
+        if (source[start] === '\r') start++;
+        if (source[start] === '\n') start++;
+        const declared = typeof value.Length === 'number' ? value.Length : -1;
+        let end;
+        if (declared >= 0 && /^\s*endstream/.test(source.slice(start + declared, start + declared + 20))) {
+          end = start + declared;
+        } else {
+          end = source.indexOf('endstream', start);
+          if (end < 0) end = source.length;
+          if (source[end - 1] === '\n') end--;
+          if (source[end - 1] === '\r') end--;
+        }
+        value = new PdfStream(value, source.slice(start, end));
+        pattern.lastIndex = end;
+      } else {
+        lexer.position = saved;
+      }
+      this.objects.set(Number(match[1]), value);
+    }
+  }
+
+  expandObjectStreams() {
+    for (const value of [...this.objects.values()]) {
+      if (!(value instanceof PdfStream) || value.dict.Type !== 'ObjStm') continue;
+      const data = this.decodeStream(value);
+      if (!data) continue;
+      const text = data.toString('latin1');
+      const first = this.resolve(value.dict.First) || 0;
+      const count = this.resolve(value.dict.N) || 0;
+      const header = new Lexer(text);
+      for (let index = 0; index < count; index++) {
+        const num = header.next().value;
+        const offset = header.next().value;
+        if (typeof num !== 'number' || typeof offset !== 'number') break;
+        if (this.objects.has(num)) continue;
+        try {
+          this.objects.set(num, new Lexer(text, first + offset).parseValue());
+        } catch {
+          // Skip objects that fail to parse; the rest of the stream is still usable
+        }
+      }
+    }
+  }
+
+  resolve(value) {
+    const seen = new Set();
+    while (value instanceof PdfRef) {
+      if (seen.has(value.num)) return null;
+      seen.add(value.num);
+      value = this.objects.has(value.num) ? this.objects.get(value.num) : null;
+    }
+    return value;
+  }
+
+  dictOf(value) {
+    const resolved = this.resolve(value);
+    if (resolved instanceof PdfStream) return resolved.dict;
+    return resolved && typeof resolved === 'object' && !Array.isArray(resolved) ? resolved : null;
+  }
+
+  /**
+   * Decoded stream bytes, or null for filters we don't need (images) or can't read
+   */
+  decodeStream(stream) {
+    stream = this.resolve(stream);
+    if (!(stream instanceof PdfStream)) return null;
+    if (!this.decoded.has(stream)) {
+      const data = this.decodeFilters(stream);
+      if (data) {
+        this.remaining -= data.length;
+        if (this.remaining < 0) throw new PdfTooLargeError(this.maxBytes);
+      }
+      this.decoded.set(stream, data);
+    }
+    return this.decoded.get(stream);
+  }
+
+  decodeFilters(stream) {
+    const filters = [].concat(this.resolve(stream.dict.Filter) || []).map(filter => this.resolve(filter));
+    const parmsList = [].concat(this.resolve(stream.dict.DecodeParms) || []);
+    let data = Buffer.from(stream.raw, 'latin1');
+
+    for (let index = 0; index < filters.length; index++) {
+      const parms = this.dictOf(parmsList[index]) || {};
+      switch (filters[index]) {
+        case 'FlateDecode':
+        case 'Fl':
+          if (this.remaining < 1) throw new PdfTooLargeError(this.maxBytes);
+          try {
+            data = unpredict(inflate(data, Number.isFinite(this.remaining) ? this.remaining : undefined), parms);
+          } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new PdfTooLargeError(this.maxBytes);
+            throw error;
+          }
+          break;
+        case 'ASCIIHexDecode':
+        case 'AHx': {
+          const hex = data.toString('latin1').replace(/>[\s\S]*$/, '').replace(/[^0-9a-fA-F]/g, '');
+          data = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+          break;
+        }
+        case 'ASCII85Decode':
+        case 'A85':
+          data = decodeAscii85(data);
+          break;
+        default:
+          return null;
+      }
+    }
+    return data;
+  }
+
+  trailer() {
+    const { source } = this;
+    const index = source.lastIndexOf('trailer');
+    if (index >= 0) {
+      const dict = new Lexer(source, index + 'trailer'.length).parseValue();
+      if (dict && dict.Root) return dict;
+    }
+    // PDF 1.5+ files may keep the trailer in a cross-reference stream
+    let trailer = null;
+    for (const value of this.objects.values()) {
+      if (value instanceof PdfStream && value.dict.Type === 'XRef' && value.dict.Root) trailer = value.dict;
+    }
+    return trailer;
+  }
+
+  catalog() {
+    const trailer = this.trailer();
+    const root = trailer && this.dictOf(trailer.Root);
+    if (root) return root;
+    let catalog = null;
+    for (const value of this.objects.values()) {
+      if (value && value.Type === 'Catalog') catalog = value;
+    }
+    return catalog;
+  }
+
+  isEncrypted() {
+    const trailer = this.trailer();
+    return Boolean(trailer && trailer.Encrypt);
+  }
+
+  info() {
+    const trailer = this.trailer();
+    return (trailer && this.dictOf(trailer.Info)) || {};
+  }
+
+  /**
+   * Pages in reading order, each with inherited resources
+   * @returns {Array<{dict: Object, resources: Object}>}
+   */
+  pages() {
+    const catalog = this.catalog();
+    const pages = [];
+    const visited = new Set();
+    const walk = (node, resources) => {
+      const dict = this.dictOf(node);
+      if (!dict || visited.has(dict) || pages.length > 10000) return;
+      visited.add(dict);
+      const ownResources = this.dictOf(dict.Resources) || resources;
+      const kids = this.resolve(dict.Kids);
+      if (Array.isArray(kids)) {
+        kids.forEach(kid => walk(kid, ownResources));
+      } else if (dict.Type !== 'Pages') {
+        pages.push({ dict, resources: ownResources || {} });
+      }
+    };
+    if (catalog) walk(catalog.Pages, null);
+    return pages;
+  }
+}
+
+// Windows-1252 differs from Latin-1 in 0x80-0x9F
+const WIN_ANSI_HIGH = '€�‚ƒ„…†‡ˆ‰Š‹Œ�Ž��‘’“”•–—˜™š›œ�žŸ';
+const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+function baseEncoding(name) {
+  const table = [];
+  for (let code = 0; code < 256; code++) {
+    if (name === 'MacRomanEncoding' && code >= 0x80) table[code] = MAC_ROMAN_HIGH[code - 0x80];
+    else if (code >= 0x80 && code <= 0x9f) table[code] = WIN_ANSI_HIGH[code - 0x80];
+    else table[code] = String.fromCharCode(code);
+  }
+  if (name === 'StandardEncoding') {
+    table[0x27] = '’';
+    table[0x60] = '‘';
+  }
+  return table;
+}
+
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';', less: '<',
+  equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„', endash: '–', emdash: '—',
+  bullet: '•', ellipsis: '…', dagger: '†', daggerdbl: '‡', degree: '°', copyright: '©', registered: '®',
+  trademark: '™', minus: '−', periodcentered: '·', section: '§', paragraph: '¶', guillemotleft: '«',
+  guillemotright: '»', guilsinglleft: '‹', guilsinglright: '›', exclamdown: '¡', questiondown: '¿',
+  cent: '¢', sterling: '£', yen: '¥', Euro: '€', multiply: '×', divide: '÷', plusminus: '±', mu: 'µ',
+  germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', dotlessi: 'ı',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', nbspace: ' ', sfthyphen: '-'
+};
+
+const ACCENTS = {
+  acute: '́', grave: '̀', circumflex: '̂', dieresis: '̈', tilde: '̃',
+  ring: '̊', cedilla: '̧', caron: '̌', macron: '̄', breve: '̆', ogonek: '̨', dotaccent: '̇'
+};
+
+function glyphToUnicode(name) {
+  if (typeof name !== 'string') return '';
+  const base = name.split('.')[0];
+  if (/^[A-Za-z]$/.test(base)) return base;
+  if (GLYPH_NAMES[base] !== undefined) return GLYPH_NAMES[base];
+  const uni = base.match(/^uni((?:[0-9A-Fa-f]{4})+)$/);
+  if (uni) return String.fromCharCode(...uni[1].match(/.{4}/g).map(hex => parseInt(hex, 16)));
+  const u = base.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+  const accented = base.match(/^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|ring|cedilla|caron|macron|breve|ogonek|dotaccent)$/);
+  if (accented) return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+  return '';
+}
+
+// UTF-16BE bytes (latin1 string) to text
+function utf16(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return text;
+}
+
+const bytesToCode = (bytes) => [...bytes].reduce((code, char) => code * 256 + char.charCodeAt(0), 0);
+
+/**
+ * Parse a ToUnicode CMap
+ * @returns {{lookup: (code: number) => string|undefined, codeLengths: number[]}}
+ */
+function parseCMap(text) {
+  const chars = new Map();
+  const ranges = [];
+  const codeLengths = new Set();
+  const hex = (value) => Buffer.from(value.length % 2 ? `${value}0` : value, 'hex').toString('latin1');
+
+  for (const section of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const pair of section[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g)) {
+      codeLengths.add(Math.ceil(pair[1].length / 2));
+    }
+  }
+  for (const section of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of section[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      chars.set(parseInt(pair[1], 16), utf16(hex(pair[2])));
+      codeLengths.add(Math.ceil(pair[1].length / 2));
+    }
+  }
+  for (const section of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const range of section[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(range[1], 16);
+      const high = parseInt(range[2], 16);
+      const target = range[3];
+      if (target[0] === '[') {
+        const list = [...target.matchAll(/<([0-9a-fA-F]*)>/g)].map(item => utf16(hex(item[1])));
+        ranges.push({ low, high, list });
+      } else {
+        ranges.push({ low, high, start: utf16(hex(target.slice(1, -1))) });
+      }
+      codeLengths.add(Math.ceil(range[1].length / 2));
+    }
+  }
+
+  return {
+    codeLengths: [...codeLengths].sort((a, b) => a - b),
+    lookup(code) {
+      if (chars.has(code)) return chars.get(code);
+      for (const range of ranges) {
+        if (code < range.low || code > range.high) continue;
+        if (range.list) return range.list[code - range.low];
+        // Destinations count up from the start, carrying into the last UTF-16 unit
+        if (!range.start) return '';
+        const last = range.start.charCodeAt(range.start.length - 1) + (code - range.low);
+        return range.start.slice(0, -1) + String.fromCharCode(last);
+      }
+      return undefined;
+    }
+  };
+}
+
+/**
+ * Build a decoder for one font resource
+ * @returns {{decode: (bytes: string) => Array<{text: string, width: number, space: boolean}>}}
+ */
+function createFont(pdf, fontDict) {
+  const composite = fontDict.Subtype === 'Type0';
+  const descendant = composite ? pdf.dictOf((pdf.resolve(fontDict.DescendantFonts) || [])[0]) || {} : null;
+  const descriptor = pdf.dictOf((descendant || fontDict).FontDescriptor) || {};
+
+  let toUnicode = null;
+  const toUnicodeData = pdf.decodeStream(fontDict.ToUnicode);
+  if (toUnicodeData) toUnicode = parseCMap(toUnicodeData.toString('latin1'));
+
+  // Glyph widths are in thousandths of text space, except Type3 fonts which carry their own matrix
+  const matrix = pdf.resolve(fontDict.FontMatrix);
+  const widthScale = fontDict.Subtype === 'Type3' && Array.isArray(matrix) ? Number(matrix[0]) || 0.001 : 0.001;
+  const widths = new Map();
+  let defaultWidth = Number(pdf.resolve(descriptor.MissingWidth)) || Number(pdf.resolve(descriptor.AvgWidth)) || 500;
+
+  if (composite) {
+    defaultWidth = Number(pdf.resolve(descendant.DW)) || 1000;
+    const list = pdf.resolve(descendant.W) || [];
+    for (let i = 0; i < list.length;) {
+      const first = pdf.resolve(list[i]);
+      const next = pdf.resolve(list[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, offset) => widths.set(first + offset, Number(pdf.resolve(width)) || 0));
+        i += 2;
+      } else {
+        const width = Number(pdf.resolve(list[i + 2])) || 0;
+        for (let cid = first; cid <= next && cid - first < 65536; cid++) widths.set(cid, width);
+        i += 3;
+      }
+    }
+  } else {
+    const firstChar = Number(pdf.resolve(fontDict.FirstChar)) || 0;
+    (pdf.resolve(fontDict.Widths) || []).forEach((width, offset) => widths.set(firstChar + offset, Number(pdf.resolve(width)) || 0));
+  }
+
+  let encoding = null;
+  if (!composite) {
+    const encodingValue = pdf.resolve(fontDict.Encoding);
+    const encodingDict = encodingValue && typeof encodingValue === 'object' ? encodingValue : null;
+    encoding = baseEncoding(encodingDict ? pdf.resolve(encodingDict.BaseEncoding) : encodingValue);
+    const differences = encodingDict ? pdf.resolve(encodingDict.Differences) || [] : [];
+    let code = 0;
+    for (const entry of differences) {
+      const value = pdf.resolve(entry);
+      if (typeof value === 'number') code = value;
+      else encoding[code++] = glyphToUnicode(value);
+    }
+  }
+
+  const codeLength = composite ? 2 : 1;
+
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i < bytes.length;) {
+        let length = codeLength;
+        // A ToUnicode codespace may use mixed code lengths; take the shortest that maps
+        if (toUnicode && toUnicode.codeLengths.length > 1) {
+          length = toUnicode.codeLengths.find(candidate => toUnicode.lookup(bytesToCode(bytes.slice(i, i + candidate))) !== undefined) || codeLength;
+        }
+        const code = bytesToCode(bytes.slice(i, i + length));
+        i += length;
+
+        let text = toUnicode ? toUnicode.lookup(code) : undefined;
+        if (text === undefined) text = composite ? '' : encoding[code] || '';
+        glyphs.push({
+          text,
+          width: (widths.has(code) ? widths.get(code) : defaultWidth) * widthScale,
+          space: length === 1 && code === 32
+        });
+      }
+      return glyphs;
+    }
+  };
+}
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5]
+];
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Collects positioned glyph runs into lines and paragraphs
+ */
+function createTextSink() {
+  let text = '';
+  let last = null; // { x, y, size } at the end of the previous run
+
+  return {
+    add(runText, start, end, size) {
+      if (!runText) return;
+      if (last) {
+        const lineHeight = Math.max(size, last.size);
+        const dy = Math.abs(start.y - last.y);
+        const dx = start.x - last.x;
+        if (dy > lineHeight * 0.5 || dx < -lineHeight * 4) {
+          text = text.replace(/[ \t]+$/, '');
+          text += dy > lineHeight * 1.9 ? '\n\n' : '\n';
+        } else if (dx > size * 0.2 && !/\s$/.test(text) && !/^\s/.test(runText)) {
+          text += ' ';
+        }
+      }
+      text += runText;
+      last = { x: end.x, y: end.y, size };
+    },
+    result() {
+      return text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/ {2,}/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    }
+  };
+}
+
+/**
+ * Interpret one content stream, following form XObjects
+ */
+function interpretContent(pdf, data, resources, sink, fontCache, depth = 0) {
+  const lexer = new Lexer(data.toString('latin1'));
+  const fonts = pdf.dictOf(resources && resources.Font) || {};
+  const xobjects = pdf.dictOf(resources && resources.XObject) || {};
+  const stack = [];
+  let ctm = IDENTITY;
+  let operands = [];
+  let state = { font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+
+  const point = (matrix) => {
+    const m = multiply(matrix, ctm);
+    return { x: m[4], y: m[5], scale: Math.hypot(m[2], m[3]) || 1 };
+  };
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+  const fontFor = (name) => {
+    const ref = fonts[name];
+    const key = ref instanceof PdfRef ? `ref:${ref.num}` : `${depth}:${name}`;
+    if (!fontCache.has(key)) {
+      const dict = pdf.dictOf(ref);
+      fontCache.set(key, dict ? createFont(pdf, dict) : null);
+    }
+    return fontCache.get(key);
+  };
+  const show = (string) => {
+    if (!state.font) return;
+    const start = point(textMatrix);
+    let runText = '';
+    for (const glyph of state.font.decode(string.bytes)) {
+      runText += glyph.text;
+      const advance = (glyph.width * state.size + state.charSpacing + (glyph.space ? state.wordSpacing : 0)) * state.scale;
+      textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    }
+    sink.add(runText, start, point(textMatrix), state.size * start.scale);
+  };
+
+  for (let token = lexer.next(); token.type !== 'eof'; token = lexer.next()) {
+    if (token.type !== 'keyword') {
+      operands.push(lexer.parseValue(token));
+      continue;
+    }
+
+    const args = operands;
+    operands = [];
+    const number = (index) => Number(args[index]) || 0;
+    switch (token.value) {
+      case 'q': stack.push({ ctm, state: { ...state } }); break;
+      case 'Q': if (stack.length) ({ ctm, state } = stack.pop()); break;
+      case 'cm': ctm = multiply(args.slice(0, 6).map(Number), ctm); break;
+      case 'BT': textMatrix = lineMatrix = IDENTITY; break;
+      case 'Tf': state.font = fontFor(args[0]); state.size = number(1); break;
+      case 'Tc': state.charSpacing = number(0); break;
+      case 'Tw': state.wordSpacing = number(0); break;
+      case 'Tz': state.scale = number(0) / 100; break;
+      case 'TL': state.leading = number(0); break;
+      case 'Ts': state.rise = number(0); break;
+      case 'Td': moveLine(number(0), number(1)); break;
+      case 'TD': state.leading = -number(1); moveLine(number(0), number(1)); break;
+      case 'Tm': textMatrix = lineMatrix = args.slice(0, 6).map(Number); break;
+      case 'T*': moveLine(0, -state.leading); break;
+      case 'Tj': if (args[0] instanceof PdfString) show(args[0]); break;
+      case "'":
+        moveLine(0, -state.leading);
+        if (args[0] instanceof PdfString) show(args[0]);
+        break;
+      case '"':
+        state.wordSpacing = number(0);
+        state.charSpacing = number(1);
+        moveLine(0, -state.leading);
+        if (args[2] instanceof PdfString) show(args[2]);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(args[0]) ? args[0] : []) {
+          if (item instanceof PdfString) {
+            show(item);
+          } else if (typeof item === 'number') {
+            textMatrix = multiply([1, 0, 0, 1, (-item / 1000) * state.size * state.scale, 0], textMatrix);
+          }
+        }
+        break;
+      case 'Do': {
+        const xobject = pdf.resolve(xobjects[args[0]]);
+        if (depth < 8 && xobject instanceof PdfStream && xobject.dict.Subtype === 'Form') {
+          const formData = pdf.decodeStream(xobject);
+          const formMatrix = pdf.resolve(xobject.dict.Matrix);
+          if (formData) {
+            const saved = ctm;
+            ctm = Array.isArray(formMatrix) ? multiply(formMatrix.map(Number), ctm) : ctm;
+            interpretContent(pdf, formData, pdf.dictOf(xobject.dict.Resources) || resources, sink, fontCache, depth + 1);
+            ctm = saved;
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Inline image data is binary; jump past it
+        const end = lexer.source.slice(lexer.position).search(/\sEI(?=\s|$)/);
+        lexer.position = end < 0 ? lexer.source.length : lexer.position + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+function textOfString(value) {
+  if (!(value instanceof PdfString)) return null;
+  const { bytes } = value;
+  // Document info strings are UTF-16BE with a byte-order mark, or PDFDocEncoding
+  const text = bytes.startsWith('\xfe\xff') ? utf16(bytes.slice(2)) : bytes;
+  return text.replace(/\0/g, '').trim() || null;
+}
+
+/**
+ * Extract the text of every page
+ * @param {Buffer} buffer - PDF file bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Total decompressed size allowed across the streams read
+ * @returns {{pages: string[], title: string|null, author: string|null}}
+ */
+function readPdf(buffer, options = {}) {
+  const { maxBytes = Infinity } = options;
+  if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+  const pdf = new PdfDocument(buffer, maxBytes);
+  if (pdf.isEncrypted()) {
+    throw new Error('Encrypted PDFs are not supported; save an unprotected copy and try again');
+  }
+
+  const fontCache = new Map();
+  const pages = pdf.pages().map(({ dict, resources }) => {
+    const sink = createTextSink();
+    const contents = pdf.resolve(dict.Contents);
+    const streams = Array.isArray(contents) ? contents : contents ? [contents] : [];
+    // A page's content streams form one continuous program
+    const data = Buffer.concat(streams.map(stream => pdf.decodeStream(stream)).filter(Boolean).flatMap(part => [part, Buffer.from('\n')]));
+    try {
+      interpretContent(pdf, data, resources, sink, fontCache);
+    } catch (error) {
+      if (error instanceof PdfTooLargeError) throw error;
+      console.warn('Failed to read PDF page text:', error.message);
+    }
+    return sink.result();
+  });
+
+  const info = pdf.info();
+  return {
+    pages,
+    title: textOfString(pdf.resolve(info.Title)),
+    author: textOfString(pdf.resolve(info.Author))
+  };
+}
+
+module.exports = {
+  readPdf
+};
@@ -0,0 +1,378 @@
+const zlib = require('zlib');
+
+/**
+ * Renders the export model (see export_service.js) as a PDF.
+ *
+ * Uses the standard Helvetica fonts every PDF reader ships with, so nothing
+ * is embedded or downloaded. Text is laid out with the Adobe font metrics,
+ * citations become footnotes at the bottom of the page that cites them, and
+ * links stay clickable.
+ */
+
+const PAGE_WIDTH = 612;   // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { name: 'F3', baseFont: 'Helvetica-Oblique' },
+  boldItalic: { name: 'F4', baseFont: 'Helvetica-BoldOblique' }
+};
+
+// Advance widths for characters 32-126 (1/1000 em), from the Adobe AFM files.
+// Oblique faces share the upright widths.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still covers, with their widths
+const WIN_ANSI_EXTRAS = {
+  '€': [128, 556], '‚': [130, 222], 'ƒ': [131, 556], '„': [132, 333], '…': [133, 1000],
+  '†': [134, 556], '‡': [135, 556], 'ˆ': [136, 333], '‰': [137, 1000], 'Š': [138, 667],
+  '‹': [139, 333], 'Œ': [140, 1000], 'Ž': [142, 611], '‘': [145, 222], '’': [146, 222],
+  '“': [147, 333], '”': [148, 333], '•': [149, 350], '–': [150, 556], '—': [151, 1000],
+  '˜': [152, 333], '™': [153, 1000], 'š': [154, 500], '›': [155, 333], 'œ': [156, 944],
+  'ž': [158, 500], 'Ÿ': [159, 667]
+};
+
+// WinAnsi byte for a character; anything the standard fonts cannot show becomes '?'
+function winAnsiCode(char) {
+  const code = char.charCodeAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][0];
+  return 63;
+}
+
+function charWidth(char, bold) {
+  const code = winAnsiCode(char);
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][1];
+  return 556;
+}
+
+function textWidth(text, font, size) {
+  const bold = font === 'bold' || font === 'boldItalic';
+  let width = 0;
+  for (const char of text) width += charWidth(char, bold);
+  return (width * size) / 1000;
+}
+
+// PDF literal string in WinAnsi bytes, with delimiters and high bytes escaped
+function pdfString(text) {
+  let output = '(';
+  for (const char of text.normalize('NFC')) {
+    const code = winAnsiCode(char);
+    if (code === 40 || code === 41 || code === 92) output += `\\${String.fromCharCode(code)}`;
+    else if (code < 32 || code > 126) output += `\\${code.toString(8).padStart(3, '0')}`;
+    else output += String.fromCharCode(code);
+  }
+  return output + ')';
+}
+
+const fontFor = (bold, italic) => bold && italic ? 'boldItalic' : bold ? 'bold' : italic ? 'italic' : 'regular';
+const number = (value) => Number(value.toFixed(2));
+
+const BLOCK_STYLES = {
+  paragraph: { size: 11, before: 0, after: 8 },
+  heading1: { size: 20, before: 14, after: 8, bold: true },
+  heading2: { size: 16, before: 12, after: 6, bold: true },
+  heading3: { size: 13, before: 10, after: 4, bold: true },
+  quote: { size: 11, before: 2, after: 10, italic: true, indent: 24, color: [0.33, 0.33, 0.33] },
+  listItem: { size: 11, before: 0, after: 3 },
+  note: { size: 8, before: 0, after: 2 },
+  bibliography: { size: 10, before: 0, after: 4, hanging: 24 }
+};
+
+const LINK_COLOR = [0.11, 0.31, 0.85];
+
+/**
+ * Break styled runs into lines that fit the given width
+ * @returns {Array<{segments: Array, height: number, notes: Array<number>}>}
+ */
+function layoutLines(runs, style, width) {
+  const tokens = [];
+  for (const run of runs) {
+    if (run.type === 'break') {
+      tokens.push({ lineBreak: true });
+    } else if (run.type === 'footnote') {
+      tokens.push({ text: String(run.number), font: 'regular', size: style.size * 0.7, rise: style.size * 0.35, note: run.number });
+    } else {
+      // Styled text and [n] citation markers
+      const font = fontFor(style.bold || run.bold, style.italic || run.italic);
+      for (const text of run.text.match(/\s+|\S+/g) || []) {
+        tokens.push({
+          text: /^\s+$/.test(text) ? ' ' : text,
+          font,
+          size: style.size,
+          rise: 0,
+          color: run.link ? LINK_COLOR : style.color,
+          link: run.link
+        });
+      }
+    }
+  }
+
+  const lines = [];
+  let line = { segments: [], width: 0, notes: [] };
+
+  const finishLine = () => {
+    // Trailing spaces do not count towards the line
+    const last = line.segments[line.segments.length - 1];
+    if (last && last.text.endsWith(' ')) {
+      const trimmed = last.text.trimEnd();
+      const removed = last.width - textWidth(trimmed, last.font, last.size);
+      line.width -= removed;
+      if (trimmed) {
+        last.text = trimmed;
+        last.width -= removed;
+      } else {
+        line.segments.pop();
+      }
+    }
+    const maxSize = Math.max(style.size, ...line.segments.map(segment => segment.size));
+    lines.push({ ...line, height: maxSize * 1.4 });
+    line = { segments: [], width: 0, notes: [] };
+  };
+
+  const sameStyle = (a, b) =>
+    a.font === b.font && a.size === b.size && a.rise === b.rise && a.color === b.color && a.link === b.link && !a.note && !b.note;
+
+  const place = (token) => {
+    const tokenWidth = textWidth(token.text, token.font, token.size);
+    const last = line.segments[line.segments.length - 1];
+    // Words in the same style share one text operation
+    if (last && sameStyle(last, token)) {
+      last.text += token.text;
+      last.width += tokenWidth;
+    } else {
+      line.segments.push({ ...token, x: line.width, width: tokenWidth });
+    }
+    line.width += tokenWidth;
+    if (token.note) line.notes.push(token.note);
+  };
+
+  for (const token of tokens) {
+    if (token.lineBreak) {
+      finishLine();
+      continue;
+    }
+    if (token.text === ' ' && line.segments.length === 0) continue;
+
+    const tokenWidth = textWidth(token.text, token.font, token.size);
+    if (line.width + tokenWidth > width && line.segments.length > 0 && token.text !== ' ' && !token.note) {
+      finishLine();
+    }
+
+    if (tokenWidth <= width) {
+      place(token);
+      continue;
+    }
+
+    // A single word wider than the line is split wherever it overflows
+    let piece = '';
+    for (const char of token.text) {
+      if (line.width + textWidth(piece + char, token.font, token.size) > width && (piece || line.segments.length > 0)) {
+        if (piece) place({ ...token, text: piece });
+        finishLine();
+        piece = '';
+      }
+      piece += char;
+    }
+    if (piece) place({ ...token, text: piece });
+  }
+
+  if (line.segments.length > 0 || lines.length === 0) finishLine();
+  return lines;
+}
+
+function renderPdf(model) {
+  const pages = [];
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = { ops: [], links: [], notes: [], notesHeight: 0 };
+    pages.push(page);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  // Space the page's footnotes need, including the separator rule
+  const notesReserve = (extraHeight) => {
+    const total = page.notesHeight + extraHeight;
+    return total > 0 ? total + 12 : 0;
+  };
+
+  const noteLines = new Map(model.footnotes.map(note => [
+    note.number,
+    layoutLines([{ type: 'text', text: `${note.number}. ${note.text}` }], BLOCK_STYLES.note, CONTENT_WIDTH)
+  ]));
+  const noteHeight = (numbers) => numbers.reduce((total, n) =>
+    total + (noteLines.get(n) || []).reduce((sum, line) => sum + line.height, 0), 0);
+
+  const drawSegments = (segments, x, baseline) => {
+    for (const segment of segments) {
+      const color = segment.color || [0, 0, 0];
+      page.ops.push(
+        `BT /${FONTS[segment.font].name} ${number(segment.size)} Tf ${color.join(' ')} rg ` +
+        `${number(x + segment.x)} ${number(baseline + segment.rise)} Td ${pdfString(segment.text)} Tj ET`
+      );
+      if (segment.link) {
+        page.links.push({
+          url: segment.link,
+          rect: [x + segment.x, baseline - 2, x + segment.x + segment.width, baseline + segment.size]
+        });
+      }
+    }
+  };
+
+  const drawLine = (line, x) => {
+    const extraNotes = noteHeight(line.notes);
+    const bottom = MARGIN + notesReserve(extraNotes);
+    if (y - line.height < bottom && (y < PAGE_HEIGHT - MARGIN)) {
+      finishPage();
+      newPage();
+    }
+    y -= line.height;
+    drawSegments(line.segments, x, y + line.height * 0.25);
+    page.notes.push(...line.notes);
+    page.notesHeight += extraNotes;
+  };
+
+  const finishPage = () => {
+    if (page.notes.length === 0) return;
+    let noteY = MARGIN + page.notesHeight;
+    page.ops.push(`0.6 0.6 0.6 RG 0.5 w ${MARGIN} ${number(noteY + 6)} m ${MARGIN + 144} ${number(noteY + 6)} l S`);
+    for (const n of page.notes) {
+      for (const line of noteLines.get(n) || []) {
+        noteY -= line.height;
+        drawSegments(line.segments, MARGIN, noteY + line.height * 0.25);
+      }
+    }
+  };
+
+  const drawBlock = (runs, style, options = {}) => {
+    const indent = (style.indent || 0) + (options.indent || 0);
+    const hanging = style.hanging || 0;
+    y -= style.before;
+    const lines = layoutLines(runs, style, CONTENT_WIDTH - indent - hanging);
+    lines.forEach((line, index) => {
+      const x = MARGIN + indent + (index > 0 ? hanging : 0);
+      // The label goes first in the content stream so text extraction reads "1. item", not "item1."
+      if (index === 0 && options.label) {
+        const labelWidth = textWidth(options.label, 'regular', style.size);
+        line.segments.unshift({ text: options.label, font: 'regular', size: style.size, rise: 0, x: -labelWidth - 6, width: labelWidth });
+      }
+      drawLine(line, x);
+    });
+    y -= style.after;
+  };
+
+  newPage();
+  for (const block of model.blocks) {
+    if (block.type === 'heading') {
+      drawBlock(block.runs, BLOCK_STYLES[`heading${block.level}`]);
+    } else if (block.type === 'quote') {
+      drawBlock(block.runs, BLOCK_STYLES.quote);
+    } else if (block.type === 'list') {
+      const counters = [];
+      for (const item of block.items) {
+        counters.length = item.depth + 1;
+        counters[item.depth] = (counters[item.depth] || 0) + 1;
+        drawBlock(item.runs, BLOCK_STYLES.listItem, {
+          indent: 18 * (item.depth + 1),
+          label: block.ordered ? `${counters[item.depth]}.` : '•'
+        });
+      }
+      y -= BLOCK_STYLES.paragraph.after;
+    } else {
+      drawBlock(block.runs, BLOCK_STYLES.paragraph);
+    }
+  }
+
+  if (model.bibliography.length > 0) {
+    drawBlock([{ type: 'text', text: model.bibliographyTitle }], BLOCK_STYLES.heading1);
+    for (const entry of model.bibliography) {
+      const text = entry.label ? `${entry.label} ${entry.text}` : entry.text;
+      drawBlock([{ type: 'text', text }], BLOCK_STYLES.bibliography);
+    }
+  }
+  finishPage();
+
+  // Serialize: catalog, page tree, fonts, info, then each page with its content and links
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = Object.values(FONTS).map(font =>
+    addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+  );
+  const fontResources = Object.values(FONTS).map((font, index) => `/${font.name} ${fontIds[index]} 0 R`).join(' ');
+  const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const infoId = addObject(`<< /Title ${pdfString(model.title)} /Producer (Open Quill) /CreationDate (D:${stamp}Z) >>`);
+
+  const pageIds = pages.map(({ ops, links }) => {
+    const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+    const contentId = addObject({ dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+    const annotationIds = links.map(link => addObject(
+      `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(number).join(' ')}] /Border [0 0 0] ` +
+      `/A << /S /URI /URI ${pdfString(link.url)} >> >>`
+    ));
+    const annots = annotationIds.length > 0 ? ` /Annots [${annotationIds.map(id => `${id} 0 R`).join(' ')}]` : '';
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R${annots} >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const offset = length;
+    const parts = typeof body === 'string'
+      ? [Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+      : [
+          Buffer.from(`${index + 1} 0 obj\n${body.dictionary}\nstream\n`, 'latin1'),
+          body.stream,
+          Buffer.from('\nendstream\nendobj\n', 'latin1')
+        ];
+    for (const part of parts) {
+      chunks.push(part);
+      length += part.length;
+    }
+    return offset;
+  });
+
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,112 @@
+const { createJsonStore } = require('./json_store');
+const { findPeople, buildProfileFromSources } = require('./people_profile');
+
+/**
+ * Saved contacts: people the user chose in People Search, kept with their
+ * profile so any document can write to them without searching again.
+ *
+ * Each contact keeps the qualifiers the user searched with, and refreshing
+ * repeats that search, then takes the person whose results overlap most with
+ * the saved profile's, rather than whoever else shares the name.
+ */
+
+const store = createJsonStore('contacts');
+
+/**
+ * @typedef {Object} Contact
+ * @property {string} id
+ * @property {string} name
+ * @property {import('./people_profile').Qualifiers} qualifiers
+ * @property {import('./people_profile').PersonProfile} profile
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+function cleanQualifiers(qualifiers = {}) {
+  return {
+    company: qualifiers.company?.trim() || '',
+    role: qualifiers.role?.trim() || '',
+    location: qualifiers.location?.trim() || ''
+  };
+}
+
+/**
+ * List saved contacts by name
+ * @returns {Promise<Contact[]>}
+ */
+async function listContacts() {
+  const records = await store.list();
+  return records.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id - Contact id
+ * @returns {Promise<Contact|null>}
+ */
+async function getContact(id) {
+  return store.get(id);
+}
+
+/**
+ * Save a profile as a contact. A contact with the same name and organisation
+ * is the same person, and gets the new profile instead of a duplicate.
+ * @param {Object} profile - PersonProfile from people_profile.js
+ * @param {import('./people_profile').Qualifiers} [qualifiers] - What the user searched with
+ * @returns {Promise<{contact: Contact, created: boolean}>}
+ */
+async function saveContact(profile, qualifiers) {
+  const fields = { name: profile.name, qualifiers: cleanQualifiers(qualifiers), profile };
+  const existing = (await store.list()).find(record =>
+    sameText(record.name, profile.name) &&
+    sameText(record.profile.organisation?.value, profile.organisation?.value)
+  );
+  if (existing) {
+    return { contact: await store.update(existing.id, fields), created: false };
+  }
+  return { contact: await store.create(fields), created: true };
+}
+
+/**
+ * Search for a contact again and rebuild their profile. Of the people found,
+ * the one sharing most result pages with the saved profile is taken to be
+ * the contact; when none shares any, the search is taken not to have found
+ * them.
+ * @param {string} id - Contact id
+ * @returns {Promise<{contact: Contact, refreshed: boolean}|null>} Null when there is
+ *   no such contact; refreshed is false when the search no longer finds them, and
+ *   the contact is left as it was
+ */
+async function refreshContact(id) {
+  const contact = await store.get(id);
+  if (!contact) return null;
+
+  const candidates = await findPeople(contact.name, contact.qualifiers);
+  if (candidates.length === 0) return { contact, refreshed: false };
+
+  const previous = new Set(contact.profile.sources.map(source => source.url));
+  const overlap = candidate => candidate.sources.filter(source => previous.has(source.url)).length;
+  const best = candidates.reduce((a, b) => (overlap(b) > overlap(a) ? b : a));
+  // Rebuilding from another person's pages would swap who the contact is
+  if (overlap(best) === 0) return { contact, refreshed: false };
+
+  const profile = await buildProfileFromSources(contact.name, best.sources);
+  return { contact: await store.update(id, { profile }), refreshed: true };
+}
+
+/**
+ * @param {string} id - Contact id
+ * @returns {Promise<boolean>} Whether a contact was removed
+ */
+async function removeContact(id) {
+  return store.remove(id);
+}
+
+module.exports = {
+  listContacts,
+  getContact,
+  saveContact,
+  refreshContact,
+  removeContact
+};
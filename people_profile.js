@@ -0,0 +1,461 @@
+const { complete } = require('./llm_service');
+const { searchWeb } = require('./people_search');
+
+/**
+ * Background on a person for someone about to write to them, built in fixed
+ * steps rather than by an agent, so the same search results always lead to
+ * the same requests:
+ *
+ *   1. search     a few fixed queries for the name and any qualifiers
+ *   2. pick       results that mention the person, profile pages first
+ *   3. group      the results by which person they describe, since common
+ *                 names return several; the user chooses when there are more
+ *                 than one, qualifiers narrowing the list first
+ *   4. extract    role, organisation, location, notable work and conversation
+ *                 hooks as JSON, each citing the results it came from
+ *   5. summarise  the extracted fields, not the raw results
+ *
+ * Fields that cite none of the picked results are dropped, so everything in
+ * a profile links back to where it was found.
+ */
+
+/**
+ * @typedef {Object} Qualifiers - What the user knows about the person already
+ * @property {string} [company]
+ * @property {string} [role]
+ * @property {string} [location]
+ */
+
+/**
+ * @typedef {Object} ProfileSource
+ * @property {string} id - 'S1', 'S2', ... as cited by the fields
+ * @property {string} title
+ * @property {string} url
+ * @property {string} snippet
+ */
+
+/**
+ * @typedef {Object} ProfileField
+ * @property {string} value
+ * @property {string[]} sources - Ids of the results it came from
+ */
+
+/**
+ * @typedef {Object} PersonProfile
+ * @property {string} name
+ * @property {string} summary
+ * @property {string[]} summarySources - Results behind the fields the summary draws on
+ * @property {ProfileField|null} role
+ * @property {ProfileField|null} organisation
+ * @property {ProfileField|null} location
+ * @property {ProfileField[]} notableWork
+ * @property {ProfileField[]} conversationHooks
+ * @property {ProfileSource[]} sources
+ */
+
+/**
+ * @typedef {Object} PersonCandidate - One of the people the results describe
+ * @property {string} id - 'C1', 'C2', ... best match first
+ * @property {string} description - One line telling them apart
+ * @property {string|null} role
+ * @property {string|null} organisation
+ * @property {string|null} location
+ * @property {ProfileSource[]} sources - The results about them
+ */
+
+// Qualifiers are added to every query, so without them the queries are unchanged
+const QUERIES = [
+  (name, terms) => `"${name}"${terms ? ` ${terms}` : ''}`,
+  (name, terms) => `${name}${terms ? ` ${terms}` : ''} professional background`
+];
+
+const QUALIFIER_FIELDS = ['company', 'role', 'location'];
+
+const RESULTS_PER_QUERY = 8;
+// Enough results to tell several people apart; a profile uses fewer
+const MAX_PICKED = 10;
+const MAX_PROFILE_SOURCES = 6;
+const MAX_CANDIDATES = 5;
+const MAX_LIST_ITEMS = 4;
+
+// Sites whose pages usually describe one person's work directly
+const PROFILE_SITES = ['linkedin.com', 'wikipedia.org', 'crunchbase.com', 'github.com', 'orcid.org', 'scholar.google.com', 'about.me'];
+
+// Offline extraction: sentences that read as achievements, and as openers
+const NOTABLE_PATTERN = /\b(author of|founded|co-founded|published|wrote|created|built|led|launched|award)/i;
+const HOOK_PATTERN = /\b(spoke|speaker|talk|keynote|podcast|interview|recently|blog|newsletter|article|episode)/i;
+const SITE_NAME_PATTERN = /^(linkedin|wikipedia|github|crunchbase|twitter|x|medium|substack|youtube)$/i;
+const LOCATION_PATTERN = /\b(?:[Bb]ased in|[Ll]ives in|Location:)\s+([A-Z][A-Za-z '-]+(?:, [A-Z][A-Za-z '-]+)?)/;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// Same page, whatever the tracking parameters or trailing slash
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/$/, '')}`.toLowerCase();
+  } catch {
+    return url.toLowerCase();
+  }
+}
+
+/**
+ * Keep results that name the person (every part of the name appears),
+ * preferring profile pages, then results that use the full name, then rank
+ * @param {string} name
+ * @param {Array} results - SearchResults from every query, in query order
+ * @returns {ProfileSource[]}
+ */
+function pickResults(name, results) {
+  const parts = name.toLowerCase().split(/\s+/).filter(part => part.length > 1);
+  const seen = new Set();
+
+  const candidates = [];
+  results.forEach((result, order) => {
+    const key = pageKey(result.url);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const text = `${result.title} ${result.snippet}`.toLowerCase();
+    if (!parts.every(part => text.includes(part))) return;
+
+    const host = hostOf(result.url);
+    const score = (PROFILE_SITES.some(site => host === site || host.endsWith(`.${site}`)) ? 2 : 0) +
+      (text.includes(name.toLowerCase()) ? 1 : 0) +
+      1 / result.position;
+    candidates.push({ result, score, order });
+  });
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, MAX_PICKED)
+    .map(({ result }, index) => ({
+      id: `S${index + 1}`,
+      title: result.title,
+      url: result.url,
+      snippet: result.snippet
+    }));
+}
+
+// Sources renumbered S1, S2, ... in order, as a profile built from them cites them
+function numberSources(sources) {
+  return sources.map((source, index) => ({ ...source, id: `S${index + 1}` }));
+}
+
+/**
+ * Role and organisation from a result title. Profile titles usually read
+ * "Name - Role - Organisation | Site" or "Name - Role at Organisation".
+ * @returns {{role: string|null, organisation: string|null}}
+ */
+function positionFromTitle(name, title) {
+  const parts = title.split(/\s+[|\-–—]\s+/).map(part => part.trim()).filter(part => part && !SITE_NAME_PATTERN.test(part));
+  const rest = parts.length > 0 && parts[0].toLowerCase().includes(name.toLowerCase()) ? parts.slice(1) : [];
+  if (rest.length === 0) return { role: null, organisation: null };
+  const [role, organisation] = rest[0].split(/\s+at\s+/);
+  return { role, organisation: organisation || rest[1] || null };
+}
+
+function sentencesOf(text) {
+  return (text.match(/[^.!?]+[.!?]?/g) || []).map(sentence => sentence.trim()).filter(sentence => sentence.length > 20);
+}
+
+/**
+ * Best guess at the fields from titles and snippets alone, used by the mock
+ * provider
+ */
+function extractFromResults(name, sources) {
+  const fields = { role: null, organisation: null, location: null, notableWork: [], conversationHooks: [] };
+
+  for (const source of sources) {
+    const { role, organisation } = positionFromTitle(name, source.title);
+    if (!fields.role && role) {
+      fields.role = { value: role, sources: [source.id] };
+      if (organisation) fields.organisation = { value: organisation, sources: [source.id] };
+    }
+
+    const location = source.snippet.match(LOCATION_PATTERN);
+    if (!fields.location && location) {
+      fields.location = { value: location[1].trim(), sources: [source.id] };
+    }
+
+    for (const sentence of sentencesOf(source.snippet)) {
+      if (NOTABLE_PATTERN.test(sentence)) fields.notableWork.push({ value: sentence, sources: [source.id] });
+      else if (HOOK_PATTERN.test(sentence)) fields.conversationHooks.push({ value: sentence, sources: [source.id] });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Offline grouping for the mock provider: one person per organisation named
+ * in the titles, with results that name none joining the first
+ */
+function groupFromResults(name, sources) {
+  const groups = new Map();
+  const unplaced = [];
+  for (const source of sources) {
+    const { role, organisation } = positionFromTitle(name, source.title);
+    if (!organisation) {
+      unplaced.push(source.id);
+      continue;
+    }
+    const key = organisation.toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, {
+        description: [role, `at ${organisation}`].filter(Boolean).join(' '),
+        role,
+        organisation,
+        location: null,
+        sources: []
+      });
+    }
+    groups.get(key).sources.push(source.id);
+  }
+
+  const people = [...groups.values()];
+  if (people.length === 0) {
+    return { people: [{ description: `${name}, from ${sources.length} search results`, sources: unplaced }] };
+  }
+  people[0].sources.push(...unplaced);
+  for (const person of people) {
+    const match = sources
+      .filter(source => person.sources.includes(source.id))
+      .map(source => source.snippet.match(LOCATION_PATTERN))
+      .find(Boolean);
+    if (match) person.location = match[1].trim();
+  }
+  return { people };
+}
+
+/**
+ * Group the picked results by which person they describe, in one model call
+ * @param {string} name
+ * @param {ProfileSource[]} sources
+ * @returns {Promise<PersonCandidate[]>} In the order the model listed them
+ */
+async function groupByPerson(name, sources) {
+  const message = await complete('people', {
+    temperature: 0,
+    maxTokens: 800,
+    system: `Web search results for a name may describe different people who share it. Group the results by the person they describe, and tell each person apart in one short line (role, organisation, place). Put each result in at most one group, list the person most results describe first, and use only what the results state.
+
+Return only JSON in this shape, using null for anything the results do not say:
+{"people": [{"description": "Head of Product at Acme, Lisbon", "role": "Head of Product", "organisation": "Acme", "location": "Lisbon", "sources": ["S1", "S3"]}]}`,
+    messages: [{
+      role: 'user',
+      content: `Name: ${name}
+
+Search results:
+${sources.map(source => `[${source.id}] ${source.title} (${source.url})\n${source.snippet}`).join('\n\n')}`
+    }],
+    mockResponse: () => JSON.stringify(groupFromResults(name, sources))
+  });
+
+  let parsed = {};
+  try {
+    const jsonMatch = message.text.match(/\{[\s\S]*\}/);
+    parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+  } catch (error) {
+    console.warn('Failed to parse grouped search results:', error.message);
+  }
+
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const placed = new Set();
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : null);
+  const candidates = (Array.isArray(parsed.people) ? parsed.people : [])
+    .map(person => {
+      const ids = (Array.isArray(person?.sources) ? person.sources : [])
+        .map(String)
+        .filter(id => byId.has(id) && !placed.has(id));
+      ids.forEach(id => placed.add(id));
+      return {
+        description: text(person?.description) || `${name}, from ${ids.length} search results`,
+        role: text(person?.role),
+        organisation: text(person?.organisation),
+        location: text(person?.location),
+        sources: ids.map(id => byId.get(id))
+      };
+    })
+    .filter(candidate => candidate.sources.length > 0);
+
+  // Without a usable grouping, every result is taken to be about one person
+  if (candidates.length === 0) {
+    return [{ id: 'C1', description: `${name}, from ${sources.length} search results`, role: null, organisation: null, location: null, sources }];
+  }
+  return candidates.map((candidate, index) => ({ id: `C${index + 1}`, ...candidate }));
+}
+
+// Whether every word of every qualifier appears in what is known about a candidate
+function matchesQualifiers(candidate, qualifiers) {
+  const text = [
+    candidate.description, candidate.role, candidate.organisation, candidate.location,
+    ...candidate.sources.map(source => `${source.title} ${source.snippet}`)
+  ].filter(Boolean).join(' ').toLowerCase();
+  return QUALIFIER_FIELDS
+    .flatMap(field => (qualifiers[field] || '').toLowerCase().split(/\s+/))
+    .filter(Boolean)
+    .every(word => text.includes(word));
+}
+
+// A field the model returned, kept only if it has a value and cites a picked result
+function readField(field, sourceIds) {
+  const value = typeof field?.value === 'string' ? field.value.trim().slice(0, 300) : '';
+  const sources = Array.isArray(field?.sources)
+    ? [...new Set(field.sources.map(String).filter(id => sourceIds.includes(id)))]
+    : [];
+  return value && sources.length > 0 ? { value, sources } : null;
+}
+
+function readFieldList(fields, sourceIds) {
+  return (Array.isArray(fields) ? fields : [])
+    .map(field => readField(field, sourceIds))
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Extract the profile fields from the picked results in one model call
+ * @param {string} name
+ * @param {ProfileSource[]} sources
+ */
+async function extractFields(name, sources) {
+  const message = await complete('people', {
+    temperature: 0,
+    maxTokens: 800,
+    system: `You extract facts about a person from web search results, for someone writing to them for the first time. Use only what the results state, and cite the ids of the results each fact comes from. If the results describe different people with this name, use only those about the person most of them describe.
+
+Return only JSON in this shape, using null or [] for anything the results do not say:
+{"role": {"value": "Head of Product", "sources": ["S1"]},
+ "organisation": {"value": "Acme", "sources": ["S1", "S3"]},
+ "location": {"value": "Lisbon, Portugal", "sources": ["S2"]},
+ "notableWork": [{"value": "Wrote ...", "sources": ["S4"]}],
+ "conversationHooks": [{"value": "Recently spoke about ... at ...", "sources": ["S2"]}]}
+
+Conversation hooks are specific details that would make a natural opening line: a recent talk, post, project, or stated interest.`,
+    messages: [{
+      role: 'user',
+      content: `Person: ${name}
+
+Search results:
+${sources.map(source => `[${source.id}] ${source.title} (${source.url})\n${source.snippet}`).join('\n\n')}`
+    }],
+    mockResponse: () => JSON.stringify(extractFromResults(name, sources))
+  });
+
+  let parsed = {};
+  try {
+    const jsonMatch = message.text.match(/\{[\s\S]*\}/);
+    parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+  } catch (error) {
+    console.warn('Failed to parse extracted profile fields:', error.message);
+  }
+
+  const sourceIds = sources.map(source => source.id);
+  return {
+    role: readField(parsed.role, sourceIds),
+    organisation: readField(parsed.organisation, sourceIds),
+    location: readField(parsed.location, sourceIds),
+    notableWork: readFieldList(parsed.notableWork, sourceIds),
+    conversationHooks: readFieldList(parsed.conversationHooks, sourceIds)
+  };
+}
+
+/**
+ * Summarise the extracted fields in 2-3 sentences
+ * @param {string} name
+ * @param {Object} fields - Output of extractFields
+ * @returns {Promise<string>}
+ */
+async function summariseFields(name, fields) {
+  const facts = [
+    fields.role && `Role: ${fields.role.value}`,
+    fields.organisation && `Organisation: ${fields.organisation.value}`,
+    fields.location && `Location: ${fields.location.value}`,
+    ...fields.notableWork.map(item => `Notable work: ${item.value}`),
+    ...fields.conversationHooks.map(item => `Conversation hook: ${item.value}`)
+  ].filter(Boolean);
+  if (facts.length === 0) {
+    return `The search results mention ${name} but say little about their work.`;
+  }
+
+  const message = await complete('people', {
+    temperature: 0,
+    maxTokens: 300,
+    system: 'Write a 2-3 sentence professional summary of a person for someone drafting a cold email to them. Use only the facts given, and mention one detail that would make a good conversation starter if there is one. Return only the summary.',
+    messages: [{
+      role: 'user',
+      content: `Person: ${name}\n\n${facts.join('\n')}`
+    }],
+    mockResponse: () => {
+      const position = [fields.role?.value, fields.organisation && `at ${fields.organisation.value}`].filter(Boolean).join(' ');
+      return [
+        `${name}${position ? ` is ${position}` : ''}${fields.location ? `, based in ${fields.location.value}` : ''}.`,
+        fields.notableWork[0]?.value,
+        fields.conversationHooks[0]?.value
+      ].filter(Boolean).join(' ');
+    }
+  });
+  return message.text.trim();
+}
+
+/**
+ * Search for everyone the results describe under a name. Qualifiers are
+ * searched for too, and when some candidates match all of them the others
+ * are left out.
+ * @param {string} name - The person's name
+ * @param {Qualifiers} [qualifiers]
+ * @returns {Promise<PersonCandidate[]>} Best match first; empty when no result mentions the name
+ */
+async function findPeople(name, qualifiers = {}) {
+  const terms = QUALIFIER_FIELDS.map(field => qualifiers[field]?.trim()).filter(Boolean).join(' ');
+  const results = [];
+  for (const query of QUERIES) {
+    results.push(...await searchWeb(query(name, terms), { limit: RESULTS_PER_QUERY }));
+  }
+
+  const sources = pickResults(name, results);
+  if (sources.length === 0) return [];
+
+  const candidates = await groupByPerson(name, sources);
+  const matching = candidates.filter(candidate => matchesQualifiers(candidate, qualifiers));
+  return (matching.length > 0 ? matching : candidates)
+    .slice(0, MAX_CANDIDATES)
+    .map((candidate, index) => ({ ...candidate, id: `C${index + 1}` }));
+}
+
+/**
+ * Build the profile of one person from the results about them, e.g. the
+ * sources of the candidate the user chose
+ * @param {string} name - The person's name
+ * @param {Array<{title: string, url: string, snippet: string}>} results
+ * @returns {Promise<PersonProfile>}
+ */
+async function buildProfileFromSources(name, results) {
+  const sources = numberSources(results.slice(0, MAX_PROFILE_SOURCES).map(({ title, url, snippet }) => ({ title, url, snippet })));
+
+  const fields = await extractFields(name, sources);
+  const summary = await summariseFields(name, fields);
+
+  const cited = [fields.role, fields.organisation, fields.location, ...fields.notableWork, ...fields.conversationHooks]
+    .filter(Boolean)
+    .flatMap(field => field.sources);
+
+  return {
+    name,
+    summary,
+    summarySources: sources.map(source => source.id).filter(id => cited.includes(id)),
+    ...fields,
+    sources
+  };
+}
+
+module.exports = {
+  findPeople,
+  buildProfileFromSources
+};
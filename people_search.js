@@ -0,0 +1,140 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Web search for the people pipeline (see people_profile.js), with a backend
+ * chosen per deployment:
+ *
+ *   PEOPLE_SEARCH_PROVIDER=serper     Google results through Serper (SERPER_API_KEY)
+ *   PEOPLE_SEARCH_PROVIDER=fixture    saved results from PEOPLE_FIXTURES_DIR, no network
+ *
+ * Serper is the default. Setting PEOPLE_FIXTURES_RECORD=1 alongside it saves
+ * every live response to PEOPLE_FIXTURES_DIR, so a fixture set can be
+ * recorded once and replayed in tests.
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} title
+ * @property {string} url
+ * @property {string} snippet
+ * @property {number} position - Rank in the results for its query, from 1
+ */
+
+const DEFAULT_PROVIDER = 'serper';
+
+// One fixture per query; the hash keeps names short and filesystem safe
+function fixtureName(query) {
+  const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `${slug}-${crypto.createHash('sha256').update(query).digest('hex').slice(0, 8)}.json`;
+}
+
+function fixturesDir() {
+  const dir = process.env.PEOPLE_FIXTURES_DIR;
+  if (!dir) {
+    throw new Error('PEOPLE_FIXTURES_DIR environment variable is required for the fixture search provider');
+  }
+  return dir;
+}
+
+const providers = {
+  serper: {
+    isConfigured: () => Boolean(process.env.SERPER_API_KEY),
+    missingConfig: 'SERPER_API_KEY environment variable is required for people search (provider: serper)',
+
+    async search(query, limit) {
+      const response = await axios.post('https://google.serper.dev/search', { q: query, num: limit }, {
+        timeout: parseInt(process.env.SEARCH_TIMEOUT) || 10000,
+        headers: { 'X-API-KEY': process.env.SERPER_API_KEY }
+      });
+      const results = (response.data?.organic || []).map(result => ({
+        title: result.title || '',
+        url: result.link || '',
+        snippet: result.snippet || '',
+        position: result.position
+      }));
+
+      if (process.env.PEOPLE_FIXTURES_RECORD) {
+        const dir = fixturesDir();
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, fixtureName(query)), JSON.stringify({ query, results }, null, 2), 'utf8');
+      }
+      return results;
+    }
+  },
+
+  fixture: {
+    isConfigured: () => Boolean(process.env.PEOPLE_FIXTURES_DIR),
+    missingConfig: 'PEOPLE_FIXTURES_DIR environment variable is required for people search (provider: fixture)',
+
+    async search(query) {
+      const file = path.join(fixturesDir(), fixtureName(query));
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8')).results || [];
+      } catch (error) {
+        // A query nobody recorded finds nothing, as a live search might
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  }
+};
+
+function resolveProvider() {
+  const id = (process.env.PEOPLE_SEARCH_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  if (!providers[id]) {
+    throw new Error(`Unknown people search provider "${id}". Must be one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return providers[id];
+}
+
+/**
+ * Check whether the configured search backend can run
+ * @returns {boolean}
+ */
+function isPeopleSearchConfigured() {
+  return resolveProvider().isConfigured();
+}
+
+/**
+ * Human-readable reason people search cannot run, for API error responses
+ * @returns {string}
+ */
+function describeMissingSearchConfig() {
+  return resolveProvider().missingConfig;
+}
+
+/**
+ * Search the web with the configured backend
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Results to ask for
+ * @returns {Promise<SearchResult[]>} Best first
+ */
+async function searchWeb(query, options = {}) {
+  const { limit = 10 } = options;
+  const provider = resolveProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(provider.missingConfig);
+  }
+
+  const results = await provider.search(query, limit);
+  return results
+    .filter(result => result.title && result.url)
+    .slice(0, limit)
+    .map((result, index) => ({
+      title: String(result.title),
+      url: String(result.url),
+      snippet: String(result.snippet || ''),
+      position: Number(result.position) || index + 1
+    }));
+}
+
+module.exports = {
+  searchWeb,
+  isPeopleSearchConfigured,
+  describeMissingSearchConfig
+};
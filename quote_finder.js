@@ -1,46 +1,98 @@
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
 const path = require('path');
-
-// Initialize Anthropic with environment variable
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+const { complete, isFeatureConfigured, describeMissingConfig } = require('./llm_service');
+const { parseSource, locateOffset } = require('./source_parsers');
+const { verifyInSource } = require('./quote_verifier');
+const { rankBySimilarity } = require('./vector_index');
+const { rerank } = require('./reranker');
+
+// Long sources are mined in overlapping chunks instead of being truncated
+const MINING_DEFAULTS = {
+  chunkSize: 6000,   // characters sent per extraction request
+  overlap: 400,      // characters shared by neighbouring chunks so boundary items survive
+  concurrency: Number(process.env.EVIDENCE_CONCURRENCY) || 3,
+  maxChunks: Number(process.env.EVIDENCE_MAX_CHUNKS) || 40
+};
 
 /**
  * Find the most relevant statistics and quotes from a source file based on user's text
  * @param {string} userText - The user's written content
  * @param {string} sourceFilePath - Path to the source file to extract from
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (see findRelevantEvidence)
  * @returns {Promise<Object>} Object containing relevant statistics and quotes
  */
 async function findRelevantQuotesAndStats(userText, sourceFilePath, options = {}) {
-  const {
-    maxStats = 5,
-    maxQuotes = 5,
-    relevanceThreshold = 0.6,
-    includeContext = true,
-    contextLength = 150
-  } = options;
+  if (!userText || !sourceFilePath) {
+    throw new Error('Both userText and sourceFilePath are required');
+  }
+
+  console.log('Reading source file...');
+  const source = await readSource(sourceFilePath);
+  return findRelevantEvidence(userText, source, options);
+}
+
+/**
+ * @typedef {Object} UserContext
+ * @property {string} mainArgument
+ * @property {string[]} keyTopics
+ * @property {string[]} evidenceNeeds
+ * @property {string[]} gaps
+ * @property {string} audience
+ */
+
+/**
+ * @typedef {Object} RelevantEvidence
+ * @property {UserContext} userContext - What analyzeUserNeeds took the text to need
+ * @property {Object[]} statistics - Best statistics, each with relevanceScore and relevanceReason
+ * @property {Object[]} quotes - Best quotes, each with relevanceScore and relevanceReason
+ * @property {{file: string, format: string, pageCount?: number, totalStatsFound?: number, totalQuotesFound?: number, coverage: CoverageReport}} sourceInfo - Counts found and kept, and how much was read
+ * @property {string} recommendations - How to work the evidence into the text
+ * @property {string} [message] - Set when the source held no evidence at all
+ */
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable is required');
+/**
+ * Find the most relevant statistics and quotes in a parsed source: analyze what
+ * the user's text needs, mine the whole source, shortlist the candidates
+ * nearest the user's text, rerank them and recommend how to use the best ones
+ * @param {string} userText - The user's written content
+ * @param {Object} source - Parsed source (see source_parsers.js)
+ * @param {Object} options - Configuration options
+ * @param {number} [options.maxStats=5] - Statistics to return
+ * @param {number} [options.maxQuotes=5] - Quotes to return
+ * @param {number} [options.relevanceThreshold=0.6] - Minimum score (0.0-1.0) to return an item
+ * @param {number} [options.maxScored=20] - Candidates shortlisted by embedding similarity for the model to rerank
+ * @param {string} [options.query] - Text the evidence should support, e.g. the paragraph
+ *   under the cursor; the whole of userText when omitted
+ * @param {Function} [options.retrieve] - (query, items, limit) => shortlisted items; embeds
+ *   the candidates on the fly when omitted
+ * @param {number} [options.concurrency] - Extraction requests in flight at once
+ * @param {{statistics: Array, quotes: Array, coverage: CoverageReport}} [options.extracted] - Result
+ *   of an earlier extractFromSource on the same source; skips mining it again
+ * @returns {Promise<RelevantEvidence>}
+ */
+async function findRelevantEvidence(userText, source, options = {}) {
+  const { concurrency = MINING_DEFAULTS.concurrency, extracted } = options;
+
+  const features = extracted ? ['relevance'] : ['evidence', 'relevance'];
+  for (const feature of features) {
+    if (!isFeatureConfigured(feature)) {
+      throw new Error(describeMissingConfig(feature));
+    }
   }
 
-  if (!userText || !sourceFilePath) {
-    throw new Error('Both userText and sourceFilePath are required');
+  if (!userText || !source) {
+    throw new Error('Both userText and source are required');
   }
 
   try {
-    console.log('Reading source file...');
-    const sourceText = await readSourceFile(sourceFilePath);
-    
-    console.log('Analyzing user context...');
-    const userContext = await analyzeUserNeeds(userText);
-    
-    console.log('Extracting statistics and quotes from source...');
-    const extractedContent = await extractFromSource(sourceText);
+    const sourceText = source.text;
+
+    console.log('Analyzing user context and extracting statistics and quotes from source...');
+    const [userContext, extractedContent] = await Promise.all([
+      analyzeUserNeeds(userText),
+      extracted || extractFromSource(sourceText, source, { concurrency })
+    ]);
     
     if (extractedContent.statistics.length === 0 && extractedContent.quotes.length === 0) {
       return {
@@ -49,43 +101,35 @@ async function findRelevantQuotesAndStats(userText, sourceFilePath, options = {}
         quotes: [],
         message: "No statistics or quotes were found in the source file.",
         sourceInfo: {
-          file: path.basename(sourceFilePath),
+          file: source.filename,
+          format: source.format,
           length: sourceText.length,
-          wordCount: sourceText.split(/\s+/).length
-        }
+          wordCount: sourceText.split(/\s+/).length,
+          coverage: extractedContent.coverage
+        },
+        recommendations: await generateUsageRecommendations(userText, [], [])
       };
     }
     
-    console.log('Scoring relevance to user\'s text...');
-    const scoredContent = await scoreContentRelevance(userText, userContext, extractedContent);
-    
-    // Filter and sort by relevance
-    const relevantStats = scoredContent.statistics
-      .filter(stat => stat.relevanceScore >= relevanceThreshold)
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, maxStats);
-    
-    const relevantQuotes = scoredContent.quotes
-      .filter(quote => quote.relevanceScore >= relevanceThreshold)
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, maxQuotes);
-    
-    const result = {
+    const ranked = await rankEvidence(userText, userContext, extractedContent, options);
+    return {
       userContext,
-      statistics: relevantStats,
-      quotes: relevantQuotes,
+      statistics: ranked.statistics,
+      quotes: ranked.quotes,
       sourceInfo: {
-        file: path.basename(sourceFilePath),
+        file: source.filename,
+        format: source.format,
+        pageCount: source.metadata.pageCount,
         totalStatsFound: extractedContent.statistics.length,
         totalQuotesFound: extractedContent.quotes.length,
-        relevantStatsCount: relevantStats.length,
-        relevantQuotesCount: relevantQuotes.length
+        scoredCount: ranked.scoredCount,
+        relevantStatsCount: ranked.statistics.length,
+        relevantQuotesCount: ranked.quotes.length,
+        coverage: extractedContent.coverage
       },
-      recommendations: await generateUsageRecommendations(userText, relevantStats, relevantQuotes)
+      recommendations: ranked.recommendations
     };
     
-    return result;
-    
   } catch (error) {
     console.error('Error finding relevant content:', error.message);
     throw new Error(`Failed to analyze content: ${error.message}`);
@@ -93,42 +137,73 @@ async function findRelevantQuotesAndStats(userText, sourceFilePath, options = {}
 }
 
 /**
- * Read and parse different file types
+ * Score extracted statistics and quotes against the user's text, keep the
+ * best and recommend how to use them. Items can come from several sources.
+ * @param {string} userText - The user's written content
+ * @param {UserContext} userContext - Result of analyzeUserNeeds
+ * @param {{statistics: Array, quotes: Array}} extractedContent - Candidates to score
+ * @param {Object} [options] - maxStats, maxQuotes, relevanceThreshold, maxScored,
+ *   query and retrieve (see findRelevantEvidence)
+ * @returns {Promise<{statistics: Object[], quotes: Object[], scoredCount: number, recommendations: string}>}
  */
-async function readSourceFile(filePath) {
+async function rankEvidence(userText, userContext, extractedContent, options = {}) {
+  const {
+    maxStats = 5,
+    maxQuotes = 5,
+    relevanceThreshold = 0.6,
+    maxScored = 20,
+    query = userText,
+    retrieve = retrieveBySimilarity
+  } = options;
+
+  console.log('Scoring relevance to user\'s text...');
+  const scoredContent = await scoreContentRelevance(query, userContext, extractedContent, { maxScored, retrieve });
+
+  // Filter and sort by relevance
+  const relevantStats = scoredContent.statistics
+    .filter(stat => stat.relevanceScore >= relevanceThreshold)
+    .sort((a, b) => b.relevanceScore - a.relevanceScore)
+    .slice(0, maxStats);
+
+  const relevantQuotes = scoredContent.quotes
+    .filter(quote => quote.relevanceScore >= relevanceThreshold)
+    .sort((a, b) => b.relevanceScore - a.relevanceScore)
+    .slice(0, maxQuotes);
+
+  return {
+    statistics: relevantStats,
+    quotes: relevantQuotes,
+    scoredCount: scoredContent.statistics.length + scoredContent.quotes.length,
+    recommendations: await generateUsageRecommendations(userText, relevantStats, relevantQuotes)
+  };
+}
+
+/**
+ * Read a source file with the parser for its type (see source_parsers.js)
+ * @returns {Promise<Object>} Parsed source: text plus page/section segments
+ */
+async function readSource(filePath) {
   try {
-    const fileExtension = path.extname(filePath).toLowerCase();
-    const fileContent = await fs.readFile(filePath, 'utf8');
-    
-    // Handle different file types
-    switch (fileExtension) {
-      case '.txt':
-      case '.md':
-        return fileContent;
-      
-      case '.json':
-        const jsonData = JSON.parse(fileContent);
-        return typeof jsonData === 'string' ? jsonData : JSON.stringify(jsonData, null, 2);
-      
-      case '.csv':
-        // Convert CSV to readable text format
-        return fileContent.split('\n').slice(0, 100).join('\n'); // First 100 lines
-      
-      default:
-        return fileContent;
-    }
+    return await parseSource(path.basename(filePath), await fs.readFile(filePath));
   } catch (error) {
     throw new Error(`Failed to read source file: ${error.message}`);
   }
 }
 
+/**
+ * Read the plain text of a source file
+ */
+async function readSourceFile(filePath) {
+  return (await readSource(filePath)).text;
+}
+
 /**
  * Analyze what the user needs based on their text
+ * @returns {Promise<UserContext>}
  */
 async function analyzeUserNeeds(userText) {
-  const message = await anthropic.messages.create({
-    model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-    max_tokens: 300,
+  const message = await complete('relevance', {
+    maxTokens: 300,
     temperature: 0.2,
     system: `Analyze the user's text to understand what kind of supporting evidence would be most valuable.
 
@@ -143,11 +218,18 @@ Return as JSON: {"mainArgument": "...", "keyTopics": ["..."], "evidenceNeeds": [
     messages: [{
       role: "user",
       content: `Analyze this text to understand what supporting evidence would be most helpful:\n\n"${userText}"`
-    }]
+    }],
+    mockResponse: () => JSON.stringify({
+      mainArgument: userText.split(/[.!?]/)[0].trim(),
+      keyTopics: extractKeywords(userText).slice(0, 5),
+      evidenceNeeds: ["supporting data"],
+      gaps: ["needs more evidence"],
+      audience: "general"
+    })
   });
 
   try {
-    const content = message.content[0].text;
+    const content = message.text;
     const jsonMatch = content.match(/\{[\s\S]*\}/);
     return jsonMatch ? JSON.parse(jsonMatch[0]) : {
       mainArgument: "Could not determine main argument",
@@ -169,12 +251,198 @@ Return as JSON: {"mainArgument": "...", "keyTopics": ["..."], "evidenceNeeds": [
 }
 
 /**
- * Extract statistics and quotes from source text
+ * Split text into overlapping chunks, ending each at a paragraph or sentence
+ * boundary when one falls in the last part of the chunk
+ * @param {string} text - Full source text
+ * @param {{chunkSize: number, overlap: number}} options
+ * @returns {Array<{index: number, start: number, end: number, text: string}>}
+ */
+function chunkText(text, { chunkSize, overlap }) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + chunkSize);
+    if (end < text.length) {
+      const windowStart = start + Math.floor(chunkSize * 0.6);
+      const window = text.slice(windowStart, end);
+      const paragraph = window.lastIndexOf('\n\n');
+      const sentences = [...window.matchAll(/[.!?]["”’)]?\s/g)];
+      if (paragraph >= 0) end = windowStart + paragraph + 2;
+      else if (sentences.length > 0) end = windowStart + sentences[sentences.length - 1].index + sentences[sentences.length - 1][0].length;
+    }
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+    if (end >= text.length) break;
+
+    // Step back by the overlap, then forward to the next word so chunks don't open mid-word
+    start = Math.max(end - overlap, start + 1);
+    const space = text.slice(start, end).search(/\s/);
+    if (space >= 0) start += space + 1;
+  }
+  return chunks;
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run));
+  return results;
+}
+
+// Comparable form of an item's text for de-duplication
+function itemKey(text) {
+  return text.toLowerCase().replace(/["“”'‘’]/g, '').replace(/\s+/g, ' ').replace(/^[\s.,;:]+|[\s.,;:]+$/g, '');
+}
+
+/**
+ * Merge items found in several chunks: identical text, or overlapping spans
+ * where one text contains the other, count once (the longer text wins)
+ */
+function dedupeItems(items) {
+  const kept = [];
+  for (const item of items) {
+    const key = itemKey(item.text);
+    const duplicate = kept.findIndex(other => {
+      const otherKey = itemKey(other.text);
+      if (otherKey === key) return true;
+      const overlapping = item.span && other.span && item.span.start < other.span.end && other.span.start < item.span.end;
+      return overlapping && (otherKey.includes(key) || key.includes(otherKey));
+    });
+    if (duplicate < 0) kept.push(item);
+    else if (key.length > itemKey(kept[duplicate].text).length) kept[duplicate] = item;
+  }
+  return kept.sort((a, b) => (a.span ? a.span.start : Infinity) - (b.span ? b.span.start : Infinity));
+}
+
+/**
+ * @typedef {Object} CoverageReport
+ * @property {number} totalCharacters - Length of the extracted source text
+ * @property {number} coveredCharacters - Characters inside chunks that were processed
+ * @property {number} ratio - coveredCharacters / totalCharacters, 0-1
+ * @property {{total: number, processed: number, failed: number, skipped: number}} chunks
+ * @property {{total: number, covered: number}} [pages] - Pages read in full, for paged sources
+ */
+
+/**
+ * How much of the source the processed chunks covered
+ * @returns {CoverageReport}
+ */
+function coverageReport(source, chunks, outcomes) {
+  const processed = outcomes.filter(outcome => outcome.extracted).map(outcome => outcome.chunk);
+
+  // Merge overlapping chunk ranges so shared text is counted once
+  const ranges = [];
+  for (const chunk of [...processed].sort((a, b) => a.start - b.start)) {
+    const last = ranges[ranges.length - 1];
+    if (last && chunk.start <= last.end) last.end = Math.max(last.end, chunk.end);
+    else ranges.push({ start: chunk.start, end: chunk.end });
+  }
+  const covered = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+
+  const total = source.text.length;
+  /** @type {CoverageReport} */
+  const report = {
+    totalCharacters: total,
+    coveredCharacters: covered,
+    ratio: total === 0 ? 1 : Math.round((covered / total) * 1000) / 1000,
+    chunks: {
+      total: chunks.length,
+      processed: processed.length,
+      failed: outcomes.length - processed.length,
+      skipped: chunks.length - outcomes.length
+    }
+  };
+
+  const pageSegments = source.segments.filter(segment => segment.page);
+  if (pageSegments.length > 0) {
+    const inside = (segment) => ranges.some(range => range.start <= segment.start && range.end >= segment.end);
+    report.pages = {
+      total: source.metadata.pageCount || pageSegments.length,
+      covered: pageSegments.filter(inside).length
+    };
+  }
+  return report;
+}
+
+/**
+ * Extract evidence from every chunk of a source and merge the results.
+ * Each item is located in the source text, so it carries its real character
+ * span and page or section rather than an index into one chunk.
+ * @param {Object} source - Parsed source (see source_parsers.js)
+ * @param {(chunk: {index: number, start: number, end: number, text: string}, total: number) => Promise<{statistics: Array, quotes: Array}>} extractChunk
+ * @param {Object} [options] - chunkSize, overlap, concurrency and maxChunks (see MINING_DEFAULTS)
+ * @returns {Promise<{statistics: Array, quotes: Array, coverage: CoverageReport}>}
  */
-async function extractFromSource(sourceText) {
-  const message = await anthropic.messages.create({
-    model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-    max_tokens: 1200,
+async function mineSource(source, extractChunk, options = {}) {
+  const settings = { ...MINING_DEFAULTS, ...options };
+  const chunks = chunkText(source.text, settings);
+  const selected = chunks.slice(0, settings.maxChunks);
+
+  const outcomes = await mapWithConcurrency(selected, settings.concurrency, async (chunk) => {
+    try {
+      return { chunk, extracted: await extractChunk(chunk, chunks.length) };
+    } catch (error) {
+      console.warn(`Evidence extraction failed for chunk ${chunk.index + 1} of ${chunks.length}:`, error.message);
+      return { chunk, extracted: null };
+    }
+  });
+
+  const merged = { statistics: [], quotes: [] };
+  for (const { chunk, extracted } of outcomes) {
+    if (!extracted) continue;
+    for (const kind of ['statistics', 'quotes']) {
+      for (const item of Array.isArray(extracted[kind]) ? extracted[kind] : []) {
+        if (!item || typeof item.text !== 'string' || !item.text.trim()) continue;
+        // The model is asked for verbatim text; check that it really is
+        const verification = verifyInSource(source, item.text, { from: chunk.start, to: chunk.end });
+        merged[kind].push({
+          ...item,
+          position: verification.location ? verification.location.label : item.position || `Part ${chunk.index + 1} of ${chunks.length}`,
+          location: verification.location,
+          span: verification.span,
+          verification: {
+            status: verification.status,
+            similarity: verification.similarity,
+            excerpt: verification.excerpt
+          }
+        });
+      }
+    }
+  }
+
+  return {
+    statistics: dedupeItems(merged.statistics),
+    quotes: dedupeItems(merged.quotes),
+    coverage: coverageReport(source, chunks, outcomes)
+  };
+}
+
+/**
+ * Extract statistics and quotes from source text, chunk by chunk
+ * @param {string} sourceText - Text to extract from
+ * @param {Object} [source] - Parsed source, used to give positions as pages or sections
+ * @param {Object} [options] - Chunking options (see mineSource)
+ * @returns {Promise<{statistics: Array, quotes: Array, coverage: CoverageReport}>}
+ */
+async function extractFromSource(sourceText, source, options = {}) {
+  const parsed = source || { text: sourceText, segments: [{ start: 0, end: sourceText.length }], metadata: {} };
+  return mineSource(parsed, chunk => extractFromChunk(chunk.text), options);
+}
+
+/**
+ * Extract statistics and quotes from one chunk of source text
+ */
+async function extractFromChunk(chunkText) {
+  const message = await complete('evidence', {
+    maxTokens: 1200,
     temperature: 0.1,
     system: `Extract statistics and quotable content from the provided text.
 
@@ -203,93 +471,73 @@ For each item provide:
 Return as JSON: {"statistics": [{"text": "...", "context": "...", "source": "...", "position": "..."}], "quotes": [{"text": "...", "context": "...", "source": "...", "position": "..."}]}`,
     messages: [{
       role: "user",
-      content: `Extract all statistics and quotes from this text:\n\n"${sourceText.substring(0, 8000)}"` // Limit to avoid token limits
-    }]
+      content: `Extract all statistics and quotes from this text:\n\n"${chunkText}"`
+    }],
+    mockResponse: () => JSON.stringify(extractFallback(chunkText))
   });
 
   try {
-    const content = message.content[0].text;
+    const content = message.text;
     const jsonMatch = content.match(/\{[\s\S]*\}/);
     return jsonMatch ? JSON.parse(jsonMatch[0]) : { statistics: [], quotes: [] };
   } catch (parseError) {
     console.warn('Failed to parse extracted content, using fallback');
-    return extractFallback(sourceText);
+    return extractFallback(chunkText);
   }
 }
 
 /**
- * Score each piece of content for relevance to user's text
+ * Score content for relevance to the user's text. Long sources can yield
+ * hundreds of candidates, so only the nearest neighbours of the text are
+ * shortlisted, and the model reranks the shortlist in one request.
  */
-async function scoreContentRelevance(userText, userContext, extractedContent) {
+async function scoreContentRelevance(query, userContext, extractedContent, options = {}) {
+  const { maxScored = 20, retrieve = retrieveBySimilarity } = options;
   const allItems = [
     ...extractedContent.statistics.map(item => ({ ...item, type: 'statistic' })),
     ...extractedContent.quotes.map(item => ({ ...item, type: 'quote' }))
   ];
 
-  const scoringPromises = allItems.map(item => scoreIndividualItem(userText, userContext, item));
-  const scoredItems = await Promise.all(scoringPromises);
-
-  return {
-    statistics: scoredItems.filter(item => item.type === 'statistic'),
-    quotes: scoredItems.filter(item => item.type === 'quote')
-  };
-}
-
-/**
- * Score an individual item for relevance
- */
-async function scoreIndividualItem(userText, userContext, item) {
-  try {
-    const message = await anthropic.messages.create({
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      max_tokens: 150,
-      temperature: 0.1,
-      system: `Score how relevant this ${item.type} is for supporting the user's writing.
+  const candidates = await retrieve(query, allItems, maxScored);
+  const scores = await rerank('relevance', {
+    instructions: `Score how relevant each statistic or quote is for supporting the user's writing.
 
 Consider:
 - Direct relevance to main argument
 - Support for key topics
 - Credibility and impact
 - Appropriateness for audience
-- How well it fills identified gaps
-
-Return score 0.0-1.0 and brief explanation.
-Format: {"score": 0.85, "reason": "directly supports main argument about..."}`,
-      messages: [{
-        role: "user",
-        content: `User's main argument: ${userContext.mainArgument}
+- How well it fills identified gaps`,
+    query,
+    context: `User's main argument: ${userContext.mainArgument}
 Key topics: ${userContext.keyTopics?.join(', ')}
-Evidence needs: ${userContext.evidenceNeeds?.join(', ')}
-
-${item.type.toUpperCase()}: "${item.text}"
-Context: ${item.context}
+Evidence needs: ${userContext.evidenceNeeds?.join(', ')}`,
+    candidates,
+    describe: item => `${item.type.toUpperCase()}: "${item.text}" Context: ${item.context || 'none'}`,
+    fallbackScore: item => keywordOverlapScore(query, `${item.text} ${item.context || ''}`)
+  });
 
-Relevance score?`
-      }]
-    });
+  const scoredItems = candidates.map((item, index) => ({
+    ...item,
+    relevanceScore: scores[index].score,
+    relevanceReason: scores[index].reason
+  }));
 
-    const content = message.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*?\}/);
-    
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      return {
-        ...item,
-        relevanceScore: result.score || 0.5,
-        relevanceReason: result.reason || 'No specific reason provided'
-      };
-    }
-  } catch (error) {
-    console.warn(`Failed to score ${item.type}:`, error.message);
-  }
-  
   return {
-    ...item,
-    relevanceScore: 0.5,
-    relevanceReason: 'Could not determine relevance'
+    statistics: scoredItems.filter(item => item.type === 'statistic'),
+    quotes: scoredItems.filter(item => item.type === 'quote')
   };
 }
 
+/**
+ * Shortlist candidates by embedding them alongside the query, for items that
+ * are not in the vector index
+ */
+async function retrieveBySimilarity(query, items, limit) {
+  const ranked = await rankBySimilarity(query, items, item => `${item.text} ${item.context || ''}`);
+  return ranked.slice(0, limit).map(({ item }) => item);
+}
+
 /**
  * Generate recommendations for how to use the found content
  */
@@ -298,9 +546,8 @@ async function generateUsageRecommendations(userText, statistics, quotes) {
     return "No relevant statistics or quotes found. Consider using different source material or refining your search terms.";
   }
 
-  const message = await anthropic.messages.create({
-    model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-    max_tokens: 400,
+  const message = await complete('relevance', {
+    maxTokens: 400,
     temperature: 0.3,
     system: `Provide specific recommendations for incorporating the found statistics and quotes into the user's writing.
 
@@ -320,18 +567,41 @@ Found Statistics: ${statistics.map(s => `"${s.text}" (relevance: ${s.relevanceSc
 Found Quotes: ${quotes.map(q => `"${q.text}" (relevance: ${q.relevanceScore.toFixed(2)})`).join('; ')}
 
 How should they integrate this evidence?`
-    }]
+    }],
+    mockResponse: "Introduce each statistic next to the claim it supports, and name the source the first time you cite it."
   });
 
-  return message.content[0].text;
+  return message.text;
+}
+
+/**
+ * Lowercase content words of a text, used by the offline mock responses
+ */
+function extractKeywords(text) {
+  const words = text.toLowerCase().match(/\b[a-z]{5,}\b/g) || [];
+  return [...new Set(words)];
+}
+
+/**
+ * Share of the user's keywords that appear in a candidate text (0.0-1.0)
+ */
+function keywordOverlapScore(userText, candidateText) {
+  const userWords = extractKeywords(userText);
+  if (userWords.length === 0) return 0.5;
+  const candidate = new Set(extractKeywords(candidateText));
+  const overlap = userWords.filter(word => candidate.has(word)).length;
+  return Math.min(1, Math.round((overlap / Math.min(userWords.length, 10)) * 100) / 100);
 }
 
 /**
  * Fallback extraction using regex patterns
+ * @param {string} sourceText - Text to extract from
+ * @param {Object} [source] - Parsed source; positions become pages or sections instead of character offsets
  */
-function extractFallback(sourceText) {
+function extractFallback(sourceText, source) {
   const statistics = [];
   const quotes = [];
+  const positionOf = (index) => source ? locateOffset(source, index) : null;
   
   // Extract numbers and percentages
   const statPatterns = [
@@ -346,11 +616,13 @@ function extractFallback(sourceText) {
     matches.forEach(match => {
       const start = Math.max(0, match.index - 100);
       const end = Math.min(sourceText.length, match.index + match[0].length + 100);
+      const location = positionOf(match.index);
       statistics.push({
         text: match[0],
         context: sourceText.substring(start, end).trim(),
         source: 'Pattern extraction',
-        position: `Character ${match.index}`
+        position: location ? location.label : `Character ${match.index}`,
+        ...(location && { location })
       });
     });
   }
@@ -361,11 +633,13 @@ function extractFallback(sourceText) {
   matches.forEach(match => {
     const start = Math.max(0, match.index - 100);
     const end = Math.min(sourceText.length, match.index + match[0].length + 100);
+    const location = positionOf(match.index + 1);
     quotes.push({
       text: match[1],
       context: sourceText.substring(start, end).trim(),
       source: 'Quotation marks',
-      position: `Character ${match.index}`
+      position: location ? location.label : `Character ${match.index}`,
+      ...(location && { location })
     });
   });
   
@@ -415,6 +689,9 @@ Options:
         console.log(`${i + 1}. "${stat.text}"`);
         console.log(`   📈 Relevance: ${(stat.relevanceScore * 100).toFixed(1)}%`);
         console.log(`   💡 Why: ${stat.relevanceReason}`);
+        if (stat.verification) {
+          console.log(`   🔎 In source: ${stat.verification.status.replace('_', ' ')}${stat.verification.status === 'approximate' ? ` (${Math.round(stat.verification.similarity * 100)}% of words match)` : ''}`);
+        }
         console.log(`   📄 Context: ${stat.context.substring(0, 200)}...`);
         if (stat.source && stat.source !== 'Pattern extraction') {
           console.log(`   🎯 Source: ${stat.source}`);
@@ -432,6 +709,9 @@ Options:
         console.log(`${i + 1}. "${quote.text}"`);
         console.log(`   📈 Relevance: ${(quote.relevanceScore * 100).toFixed(1)}%`);
         console.log(`   💡 Why: ${quote.relevanceReason}`);
+        if (quote.verification) {
+          console.log(`   🔎 In source: ${quote.verification.status.replace('_', ' ')}${quote.verification.status === 'approximate' ? ` (${Math.round(quote.verification.similarity * 100)}% of words match)` : ''}`);
+        }
         console.log(`   📄 Context: ${quote.context.substring(0, 200)}...`);
         if (quote.source && quote.source !== 'Quotation marks') {
           console.log(`   🎯 Source: ${quote.source}`);
@@ -449,6 +729,8 @@ Options:
     console.log(`File analyzed: ${results.sourceInfo.file}`);
     console.log(`Statistics found: ${results.sourceInfo.totalStatsFound} (${results.sourceInfo.relevantStatsCount} relevant)`);
     console.log(`Quotes found: ${results.sourceInfo.totalQuotesFound} (${results.sourceInfo.relevantQuotesCount} relevant)`);
+    const { coverage } = results.sourceInfo;
+    console.log(`Source covered: ${(coverage.ratio * 100).toFixed(1)}% (${coverage.chunks.processed}/${coverage.chunks.total} parts)`);
     
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -459,9 +741,16 @@ Options:
 // Export functions for use as module
 module.exports = {
   findRelevantQuotesAndStats,
+  findRelevantEvidence,
+  rankEvidence,
+  readSource,
   readSourceFile,
   analyzeUserNeeds,
-  extractFromSource
+  extractFromSource,
+  mineSource,
+  MINING_DEFAULTS,
+  chunkText,
+  extractFallback
 };
 
 // Run CLI if called directly
@@ -0,0 +1,211 @@
+const { locateOffset, findInSource } = require('./source_parsers');
+
+/**
+ * Quote verification: checks that a quote or statistic returned by the model
+ * really appears in the source it was extracted from.
+ *
+ * - exact: the same words in the same order. Whitespace, case, curly quotes
+ *   and dash styles may differ, since extraction and the model both reflow them.
+ * - approximate: a close word-level match (a dropped or changed word or two).
+ *   The span points at the closest passage.
+ * - not_found: nothing in the source comes close enough; treat it as invented.
+ *
+ * Quotes that elide text with "..." or "…" are matched piece by piece, in order.
+ */
+
+const VERIFY_DEFAULTS = {
+  minSimilarity: 0.8,   // word-level similarity needed to call a match approximate
+  minFuzzyWords: 4,     // shorter snippets must match exactly; fuzzy matching them means little
+  excerptRadius: 160    // characters of surrounding source text shown with the match
+};
+
+const ELLIPSIS = /\s*(?:\.\s?\.\s?\.|…)\s*/;
+
+// Case-folded word tokens with their offsets in the text
+function tokenize(text, offset = 0) {
+  const words = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    words.push({ word: match[0].toLowerCase(), start: offset + match.index, end: offset + match.index + match[0].length });
+  }
+  return words;
+}
+
+/**
+ * Approximate substring match over words (Sellers' algorithm): the passage of
+ * the haystack with the fewest word insertions, deletions and substitutions
+ * against the needle
+ * @returns {{distance: number, from: number, to: number}|null} Word indexes into haystack, end exclusive
+ */
+function closestPassage(needle, haystack) {
+  const m = needle.length;
+  const n = haystack.length;
+  if (m === 0 || n === 0) return null;
+
+  let previous = new Int32Array(n + 1);
+  let previousStart = Int32Array.from({ length: n + 1 }, (_, j) => j);
+  let current = new Int32Array(n + 1);
+  let currentStart = new Int32Array(n + 1);
+
+  for (let i = 1; i <= m; i++) {
+    current[0] = i;
+    currentStart[0] = 0;
+    const word = needle[i - 1].word;
+    for (let j = 1; j <= n; j++) {
+      let cost = previous[j - 1] + (haystack[j - 1].word === word ? 0 : 1);
+      let start = previousStart[j - 1];
+      if (previous[j] + 1 < cost) {
+        cost = previous[j] + 1;
+        start = previousStart[j];
+      }
+      if (current[j - 1] + 1 < cost) {
+        cost = current[j - 1] + 1;
+        start = currentStart[j - 1];
+      }
+      current[j] = cost;
+      currentStart[j] = start;
+    }
+    [previous, current] = [current, previous];
+    [previousStart, currentStart] = [currentStart, previousStart];
+  }
+
+  let best = null;
+  for (let j = 1; j <= n; j++) {
+    const from = previousStart[j];
+    if (from >= j) continue;
+    if (!best || previous[j] < best.distance || (previous[j] === best.distance && j - from < best.to - best.from)) {
+      best = { distance: previous[j], from, to: j };
+    }
+  }
+  return best;
+}
+
+/**
+ * Word windows of the haystack worth aligning against: only around places
+ * where one of the needle's most distinctive (longest) words occurs, so a
+ * quote can be checked against a whole book without a full alignment
+ */
+function candidateWindows(needle, haystack) {
+  const anchors = new Set([...new Set(needle.map(token => token.word))]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, 3));
+  const reach = needle.length * 2;
+  const windows = [];
+  haystack.forEach((token, index) => {
+    if (!anchors.has(token.word)) return;
+    const from = Math.max(0, index - reach);
+    const to = Math.min(haystack.length, index + reach);
+    const last = windows[windows.length - 1];
+    if (last && from <= last.to) last.to = Math.max(last.to, to);
+    else windows.push({ from, to });
+  });
+  return windows;
+}
+
+function fuzzyFind(text, snippet, from, settings) {
+  const needle = tokenize(snippet);
+  if (needle.length < settings.minFuzzyWords) return null;
+  const haystack = tokenize(text, from);
+
+  let best = null;
+  for (const window of candidateWindows(needle, haystack)) {
+    const words = haystack.slice(window.from, window.to);
+    const passage = closestPassage(needle, words);
+    if (passage && (!best || passage.distance < best.distance)) {
+      best = { distance: passage.distance, start: words[passage.from].start, end: words[passage.to - 1].end };
+    }
+  }
+  if (!best) return null;
+
+  const similarity = Math.max(0, 1 - best.distance / needle.length);
+  return similarity >= settings.minSimilarity ? { start: best.start, end: best.end, similarity } : null;
+}
+
+function matchPiece(source, piece, from, to, settings) {
+  const exact = findInSource(source, piece, { from, to });
+  if (exact) return { start: exact.start, end: exact.end, similarity: 1 };
+  return fuzzyFind(source.text.slice(from, to), piece, from, settings);
+}
+
+// Source text around a match, split so the match itself can be highlighted
+function excerptAround(text, span, radius) {
+  const squash = (part) => part.replace(/\s+/g, ' ');
+  let from = Math.max(0, span.start - radius);
+  let to = Math.min(text.length, span.end + radius);
+  if (from > 0) from = Math.max(from, text.indexOf(' ', from) + 1 || from);
+  if (to < text.length) to = Math.max(span.end, text.lastIndexOf(' ', to));
+  return {
+    before: `${from > 0 ? '…' : ''}${squash(text.slice(from, span.start)).trimStart()}`,
+    match: squash(text.slice(span.start, span.end)),
+    after: `${squash(text.slice(span.end, to)).trimEnd()}${to < text.length ? '…' : ''}`
+  };
+}
+
+/**
+ * @typedef {Object} Verification
+ * @property {'exact'|'approximate'|'not_found'} status
+ * @property {number} similarity - Word-level similarity of the closest passage, 0-1
+ * @property {{start: number, end: number}|null} span - Matched characters in source.text
+ * @property {import('./source_parsers').SourceLocation|null} location - Where the match starts
+ * @property {{before: string, match: string, after: string}|null} excerpt - The match in its surrounding text
+ */
+
+/**
+ * Check a quote or statistic against the source text
+ * @param {import('./source_parsers').ParsedSource} source - Result of parseSource
+ * @param {string} snippet - Text the model claims is in the source
+ * @param {Object} [options]
+ * @param {number} [options.from] - Only search from this offset of source.text
+ * @param {number} [options.to] - Only search up to this offset
+ * @param {number} [options.minSimilarity=0.8] - Lowest similarity reported as approximate
+ * @param {number} [options.minFuzzyWords=4] - Snippets shorter than this must match exactly
+ * @param {number} [options.excerptRadius=160] - Characters of context in the excerpt
+ * @returns {Verification}
+ */
+function verifyQuote(source, snippet, options = {}) {
+  const settings = { ...VERIFY_DEFAULTS, ...options };
+  const from = settings.from || 0;
+  const to = settings.to ?? source.text.length;
+  /** @type {Verification} */
+  const notFound = { status: 'not_found', similarity: 0, span: null, location: null, excerpt: null };
+
+  const pieces = String(snippet || '').trim().split(ELLIPSIS).filter(piece => /[\p{L}\p{N}]/u.test(piece));
+  if (pieces.length === 0) return notFound;
+
+  // Elided pieces must appear in order, each after the one before
+  const matches = [];
+  let cursor = from;
+  for (const piece of pieces) {
+    const match = matchPiece(source, piece, cursor, to, settings);
+    if (!match) return notFound;
+    matches.push(match);
+    cursor = match.end;
+  }
+
+  const span = { start: matches[0].start, end: matches[matches.length - 1].end };
+  const similarity = Math.min(...matches.map(match => match.similarity));
+  return {
+    status: similarity === 1 ? 'exact' : 'approximate',
+    similarity: Math.round(similarity * 100) / 100,
+    span,
+    location: locateOffset(source, span.start),
+    excerpt: excerptAround(source.text, span, settings.excerptRadius)
+  };
+}
+
+/**
+ * Verify within a range first (where the item was extracted from), then
+ * across the whole source, keeping whichever match is better
+ * @returns {Verification}
+ */
+function verifyInSource(source, snippet, range = {}, options = {}) {
+  const local = verifyQuote(source, snippet, { ...options, ...range });
+  if (local.status === 'exact' || (range.from === undefined && range.to === undefined)) return local;
+  const global = verifyQuote(source, snippet, options);
+  return global.similarity > local.similarity ? global : local;
+}
+
+module.exports = {
+  VERIFY_DEFAULTS,
+  verifyQuote,
+  verifyInSource
+};
@@ -0,0 +1,184 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Minimal client for Redis and servers that speak its protocol (RESP2), such
+ * as Valkey, KeyDB and Dragonfly. Just enough for the response cache: one
+ * connection, commands answered in the order they were sent, and replies
+ * parsed into strings, numbers, arrays and null.
+ *
+ * The connection is opened on the first command and reopened on the next
+ * command after it drops. A command that times out closes the connection,
+ * since later replies could no longer be matched to their commands.
+ */
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}${CRLF}`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one reply from the buffer, starting at offset
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{value: *, offset: number}|null} Null when the reply is not complete yet;
+ *   error replies are returned as Error values
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected reply type "${type}" from Redis`);
+  }
+}
+
+/**
+ * Create a client for a redis:// or rediss:// URL, e.g.
+ * redis://:password@localhost:6379/2
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout=2000] - Milliseconds to wait for each reply
+ * @returns {{command: function(...(string|number)): Promise<*>, close: function(): void}}
+ */
+function createRedisClient(url, options = {}) {
+  const { timeout = 2000 } = options;
+  const parsed = new URL(url);
+  if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported Redis URL protocol "${parsed.protocol}". Must be redis: or rediss:`);
+  }
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  // Replies arrive in command order, so each one settles the oldest pending command
+  let pending = [];
+
+  function failAll(error) {
+    const waiting = pending;
+    pending = [];
+    waiting.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  }
+
+  function disconnect(error) {
+    if (socket) {
+      socket.destroy();
+      socket = null;
+    }
+    buffer = Buffer.alloc(0);
+    failAll(error);
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let reply;
+      while (pending.length > 0 && (reply = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject, timer } = pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof Error) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      disconnect(error);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        disconnect(new Error(`Redis did not reply to ${args[0]} within ${timeout}ms`));
+      }, timeout);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    const port = Number(parsed.port) || 6379;
+    const host = parsed.hostname || 'localhost';
+    socket = parsed.protocol === 'rediss:'
+      ? tls.connect({ port, host, servername: host })
+      : net.connect({ port, host });
+    socket.setNoDelay(true);
+    // A replaced connection's late events must not tear down its successor
+    const own = socket;
+    socket.on('data', chunk => socket === own && onData(chunk));
+    socket.on('error', error => socket === own && disconnect(error));
+    socket.on('close', () => socket === own && disconnect(new Error('Redis connection closed')));
+
+    // Commands written before the connection opens are queued by the socket,
+    // so authentication and database selection simply go first
+    const password = decodeURIComponent(parsed.password || '');
+    const username = decodeURIComponent(parsed.username || '');
+    const setup = [];
+    if (password) setup.push(send(username ? ['AUTH', username, password] : ['AUTH', password]));
+    const db = parsed.pathname.replace(/^\//, '');
+    if (db) setup.push(send(['SELECT', db]));
+    // Setup failures surface through the commands behind them
+    setup.forEach(reply => reply.catch(() => {}));
+  }
+
+  return {
+    /**
+     * Send a command, e.g. command('SET', key, value, 'PX', 1000)
+     * @returns {Promise<*>} The parsed reply
+     */
+    command(...args) {
+      if (!socket) connect();
+      return send(args);
+    },
+
+    close() {
+      disconnect(new Error('Redis client closed'));
+    }
+  };
+}
+
+module.exports = {
+  createRedisClient
+};
@@ -0,0 +1,76 @@
+const { complete } = require('./llm_service');
+
+/**
+ * Score a shortlist of candidates against the user's writing in a single
+ * model call. Retrieval (see vector_index.js) narrows the field first, so the
+ * model only ever sees a few dozen candidates at once.
+ */
+
+// Room in the reply for one {"id", "score", "reason"} object per candidate
+const TOKENS_PER_CANDIDATE = 60;
+
+/**
+ * @typedef {Object} RerankScore
+ * @property {number} score - Relevance, 0.0-1.0
+ * @property {string} reason - Why, in a sentence
+ */
+
+/**
+ * Rerank candidates for relevance to a query
+ * @param {string} feature - LLM feature whose provider and model to use
+ * @param {Object} request
+ * @param {string} request.instructions - What relevance means for these candidates
+ * @param {string} request.query - The user's text the candidates should support
+ * @param {string} [request.context] - Anything else the model should weigh, e.g. the argument
+ * @param {Object[]} request.candidates - Items to score
+ * @param {Function} request.describe - Text shown to the model for a candidate
+ * @param {Function} request.fallbackScore - Offline estimate (0.0-1.0) for a candidate
+ * @returns {Promise<RerankScore[]>} One score per candidate, in order
+ */
+async function rerank(feature, request) {
+  const { instructions, query, context, candidates, describe, fallbackScore } = request;
+  if (candidates.length === 0) return [];
+
+  try {
+    const message = await complete(feature, {
+      maxTokens: 100 + candidates.length * TOKENS_PER_CANDIDATE,
+      temperature: 0.1,
+      system: `${instructions}
+
+Score every candidate from 0.0 to 1.0 and give a brief reason.
+Return only a JSON array with one object per candidate, in any order:
+[{"id": 1, "score": 0.85, "reason": "directly supports the claim that..."}]`,
+      messages: [{
+        role: 'user',
+        content: `User's text: "${query}"
+${context ? `\n${context}\n` : ''}
+Candidates:
+${candidates.map((candidate, index) => `[${index + 1}] ${describe(candidate)}`).join('\n')}
+
+Relevance scores?`
+      }],
+      mockResponse: () => JSON.stringify(candidates.map((candidate, index) => ({
+        id: index + 1,
+        score: fallbackScore(candidate),
+        reason: 'Estimated without the model (offline mode)'
+      })))
+    });
+
+    const jsonMatch = message.text.match(/\[[\s\S]*\]/);
+    const results = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+    const byId = new Map((Array.isArray(results) ? results : []).map(result => [Number(result?.id), result]));
+
+    return candidates.map((candidate, index) => {
+      const result = byId.get(index + 1);
+      const score = Number(result?.score);
+      return Number.isFinite(score)
+        ? { score: Math.min(1, Math.max(0, score)), reason: result.reason || 'No specific reason provided' }
+        : { score: 0.5, reason: 'Could not determine relevance' };
+    });
+  } catch (error) {
+    console.warn(`Failed to rerank ${candidates.length} candidates:`, error.message);
+    return candidates.map(() => ({ score: 0.5, reason: 'Could not determine relevance' }));
+  }
+}
+
+module.exports = { rerank };
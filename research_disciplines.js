@@ -0,0 +1,238 @@
+/**
+ * Disciplines the research recommendations can be tuned for. Each one sets:
+ *   expertise, focus   how the topic-extraction prompt describes the field
+ *   terms              fallback vocabulary when the model is unavailable, and
+ *                      the main signal for detecting a text's discipline
+ *   subjects           subject and field-of-study words that mark a paper as
+ *                      belonging to the field
+ *   keywords           title and abstract words that do the same
+ *   arxivCategories    arXiv category prefixes in the field
+ *   sourceWeights      share of results each search source gets (see
+ *                      research_sources.js); 0 leaves a source out, and
+ *                      sources not listed count as 1
+ *
+ * Pure data and string matching, so the client can import it for labels.
+ */
+
+const DISCIPLINES = {
+  humanities: {
+    label: 'Humanities',
+    expertise: 'literature, philosophy, history, cultural studies, linguistics, anthropology, religious studies, art history, political theory, and interdisciplinary humanities fields',
+    focus: [
+      'Literary theories, movements, authors, or periods',
+      'Philosophical concepts, thinkers, or schools of thought',
+      'Historical periods, events, or methodological approaches',
+      'Cultural phenomena, identity studies, or social theory',
+      'Linguistic concepts or language families',
+      'Religious or theological concepts',
+      'Art historical movements, artists, or techniques',
+      'Political theories or governance concepts'
+    ],
+    terms: [
+      // Literature
+      'narrative theory', 'postcolonial literature', 'modernism', 'romanticism', 'feminist criticism',
+      'comparative literature', 'literary theory', 'canon formation', 'genre studies', 'poetry analysis',
+      // Philosophy
+      'phenomenology', 'existentialism', 'ethics', 'epistemology', 'metaphysics', 'political philosophy',
+      'continental philosophy', 'analytic philosophy', 'moral philosophy', 'philosophy of mind',
+      // History
+      'social history', 'cultural history', 'intellectual history', 'microhistory', 'oral history',
+      'historiography', 'medieval history', 'ancient history', 'modern history', 'gender history',
+      // Cultural Studies
+      'cultural identity', 'postmodernism', 'globalization', 'cultural theory', 'media studies',
+      'popular culture', 'digital humanities', 'memory studies', 'diaspora studies', 'queer theory',
+      // Linguistics
+      'sociolinguistics', 'historical linguistics', 'discourse analysis', 'pragmatics', 'semantics',
+      'language contact', 'morphology', 'phonology', 'syntax', 'language acquisition',
+      // Religion
+      'comparative religion', 'theology', 'religious studies', 'biblical studies', 'islamic studies',
+      'buddhist studies', 'religious philosophy', 'sacred texts', 'ritual studies', 'mysticism',
+      // Art History
+      'renaissance art', 'contemporary art', 'art criticism', 'visual culture', 'iconography',
+      'museum studies', 'art theory', 'aesthetic theory', 'public art', 'digital art'
+    ],
+    subjects: ['humanities', 'literature', 'philosophy', 'history', 'cultural', 'linguistics', 'religio', 'art'],
+    keywords: ['humanities', 'cultural', 'literary'],
+    arxivCategories: ['cs.CL', 'cs.CY', 'cs.DL'],
+    sourceWeights: { doaj: 1.5, arxiv: 0.5, pubmed: 0 }
+  },
+
+  stem: {
+    label: 'STEM',
+    expertise: 'computer science, mathematics, physics, chemistry, biology, engineering, and the earth and environmental sciences',
+    focus: [
+      'Algorithms, models, or computational methods',
+      'Physical, chemical, or biological mechanisms',
+      'Mathematical or statistical techniques',
+      'Experimental methods, instruments, or measurements',
+      'Materials, compounds, organisms, or systems studied',
+      'Engineering designs, technologies, or applications',
+      'Datasets, benchmarks, or evaluation approaches'
+    ],
+    terms: [
+      'machine learning', 'neural network', 'artificial intelligence', 'algorithm', 'data science',
+      'quantum computing', 'climate change', 'renewable energy', 'materials science', 'nanotechnology',
+      'genetics', 'genomics', 'robotics', 'statistics', 'semiconductor', 'cybersecurity',
+      'software engineering', 'thermodynamics', 'chemistry', 'physics', 'biology', 'mathematics',
+      'engineering', 'ecology', 'astronomy', 'battery', 'sensor', 'simulation'
+    ],
+    subjects: ['computer science', 'mathematics', 'physics', 'chemistry', 'biology', 'engineering', 'materials',
+      'geology', 'environmental', 'astronomy', 'statistics', 'technology', 'science'],
+    keywords: ['algorithm', 'experiment', 'engineering', 'computational', 'physics', 'chemical'],
+    arxivCategories: ['cs.', 'math.', 'physics.', 'astro-ph', 'cond-mat', 'quant-ph', 'stat.', 'eess.', 'q-bio', 'gr-qc', 'hep-', 'nucl-', 'nlin.'],
+    sourceWeights: { arxiv: 1.5, semanticscholar: 1.2, doaj: 0.6, pubmed: 0.3 }
+  },
+
+  social_science: {
+    label: 'Social science',
+    expertise: 'sociology, psychology, economics, political science, education, anthropology, human geography, and communication studies',
+    focus: [
+      'Social theories, concepts, or phenomena',
+      'Populations, groups, or institutions studied',
+      'Policies, programs, or interventions',
+      'Research methods such as surveys, experiments, or ethnography',
+      'Economic or political processes and outcomes',
+      'Psychological constructs or behaviours',
+      'Educational practices or outcomes'
+    ],
+    terms: [
+      'social inequality', 'public policy', 'education policy', 'migration', 'immigration', 'labor market',
+      'survey research', 'political participation', 'social mobility', 'behavioral economics', 'urbanization',
+      'higher education', 'international students', 'welfare state', 'voting behavior', 'social capital',
+      'gender gap', 'poverty', 'unemployment', 'public opinion', 'psychology', 'sociology', 'economics',
+      'student', 'community', 'demographic'
+    ],
+    subjects: ['sociology', 'psychology', 'economics', 'political', 'education', 'social', 'anthropology',
+      'geography', 'communication', 'demography'],
+    keywords: ['social', 'policy', 'survey', 'society', 'behavior', 'behaviour'],
+    arxivCategories: ['econ.', 'cs.CY', 'cs.SI', 'physics.soc-ph'],
+    sourceWeights: { semanticscholar: 1.2, openalex: 1.2, arxiv: 0.4, pubmed: 0.3 }
+  },
+
+  business: {
+    label: 'Business',
+    expertise: 'management, marketing, finance, accounting, entrepreneurship, operations, and organizational behaviour',
+    focus: [
+      'Business strategies, models, or practices',
+      'Markets, industries, or customer segments',
+      'Marketing, sales, or consumer behaviour concepts',
+      'Financial or accounting measures and methods',
+      'Organizational structures, leadership, or culture',
+      'Operations, supply chains, or technology adoption'
+    ],
+    terms: [
+      'customer retention', 'brand loyalty', 'digital marketing', 'supply chain', 'corporate governance',
+      'venture capital', 'pricing strategy', 'sales funnel', 'consumer behavior', 'business model',
+      'market segmentation', 'organizational culture', 'leadership', 'financial performance', 'e-commerce',
+      'startup', 'revenue', 'customer', 'sales', 'marketing', 'profit', 'investor', 'stakeholder'
+    ],
+    subjects: ['business', 'management', 'marketing', 'finance', 'accounting', 'economics', 'commerce',
+      'entrepreneurship', 'organization'],
+    keywords: ['firm', 'market', 'consumer', 'strategy', 'revenue', 'customer', 'sales'],
+    arxivCategories: ['q-fin.', 'econ.'],
+    sourceWeights: { semanticscholar: 1.2, openalex: 1.2, crossref: 1.2, doaj: 0.8, arxiv: 0.4, pubmed: 0 }
+  },
+
+  law: {
+    label: 'Law',
+    expertise: 'constitutional, criminal, international, contract, administrative, and intellectual property law, human rights, and regulation',
+    focus: [
+      'Legal doctrines, principles, or tests',
+      'Statutes, regulations, or treaties',
+      'Courts, cases, or jurisdictions',
+      'Rights, duties, or liabilities',
+      'Legal theory or jurisprudence',
+      'Regulatory and compliance questions'
+    ],
+    terms: [
+      'constitutional law', 'criminal justice', 'human rights', 'intellectual property', 'contract law',
+      'international law', 'data protection', 'privacy law', 'antitrust', 'immigration law',
+      'administrative law', 'tort law', 'due process', 'copyright', 'regulatory compliance',
+      'court', 'statute', 'legislation', 'litigation', 'jurisdiction', 'precedent', 'liability'
+    ],
+    subjects: ['law', 'legal', 'jurisprudence', 'criminology', 'regulation', 'rights', 'justice'],
+    keywords: ['legal', 'court', 'statute', 'regulation', 'rights', 'law'],
+    arxivCategories: ['cs.CY'],
+    sourceWeights: { crossref: 1.2, openalex: 1.2, core: 1.2, arxiv: 0.2, pubmed: 0.2 }
+  },
+
+  health: {
+    label: 'Health',
+    expertise: 'medicine, public health, nursing, epidemiology, pharmacology, and mental health',
+    focus: [
+      'Diseases, conditions, or risk factors',
+      'Treatments, drugs, or interventions',
+      'Patient populations or care settings',
+      'Epidemiological or clinical study designs',
+      'Health outcomes, services, or policy',
+      'Biological mechanisms relevant to health'
+    ],
+    terms: [
+      'public health', 'mental health', 'clinical trial', 'epidemiology', 'vaccination', 'chronic disease',
+      'health equity', 'nutrition', 'diabetes', 'cardiovascular disease', 'telemedicine', 'health policy',
+      'infectious disease', 'patient outcomes', 'primary care', 'patient', 'hospital', 'treatment',
+      'therapy', 'diagnosis', 'symptom', 'nursing', 'cancer', 'obesity'
+    ],
+    subjects: ['medicine', 'health', 'clinical', 'nursing', 'epidemiology', 'pharmacology', 'psychiatry',
+      'biomedical', 'disease'],
+    keywords: ['patient', 'clinical', 'health', 'disease', 'treatment', 'trial'],
+    arxivCategories: ['q-bio.', 'physics.med-ph'],
+    sourceWeights: { pubmed: 2, semanticscholar: 1.2, core: 0.8, doaj: 0.8, arxiv: 0.3 }
+  }
+};
+
+const DEFAULT_DISCIPLINE = 'humanities';
+
+/**
+ * @param {unknown} id
+ * @returns {boolean} Whether id names a discipline
+ */
+function isDiscipline(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(DISCIPLINES, id);
+}
+
+/**
+ * Guess a text's discipline from the vocabulary it uses
+ * @param {string} text
+ * @returns {string} Discipline id; the default when nothing stands out
+ */
+function detectDiscipline(text) {
+  const lower = String(text).toLowerCase();
+  const words = new Set(lower.match(/[a-z]+/g) || []);
+
+  let best = DEFAULT_DISCIPLINE;
+  let bestScore = 0;
+  for (const [id, discipline] of Object.entries(DISCIPLINES)) {
+    // Multi-word terms are specific, so they count double
+    const score = discipline.terms.reduce((sum, term) => sum + (lower.includes(term) ? (term.includes(' ') ? 2 : 1) : 0), 0) +
+      discipline.keywords.filter(keyword => words.has(keyword)).length;
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a paper belongs to the discipline: one of its subject labels names
+ * one of the discipline's subjects, or its title or abstract uses one of the
+ * discipline's keywords
+ * @param {Object} discipline - Entry of DISCIPLINES
+ * @param {{subjects?: string[], text?: string[]}} paper - Subject labels, and title/abstract
+ * @returns {boolean}
+ */
+function matchesDiscipline(discipline, { subjects = [], text = [] }) {
+  const includesAny = (values, terms) => values
+    .filter(Boolean)
+    .some(value => terms.some(term => String(value).toLowerCase().includes(term)));
+  return includesAny(subjects, discipline.subjects) || includesAny(text, discipline.keywords);
+}
+
+module.exports = {
+  DISCIPLINES,
+  DEFAULT_DISCIPLINE,
+  isDiscipline,
+  detectDiscipline,
+  matchesDiscipline
+};
@@ -1,60 +1,84 @@
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
-const axios = require('axios');
-const xml2js = require('xml2js');
+const { complete, resolveFeatureConfig, isFeatureConfigured, describeMissingConfig } = require('./llm_service');
+const { indexDocument, search, rankBySimilarity } = require('./vector_index');
+const { rerank } = require('./reranker');
+const { searchResearchSources, listResearchSources, matchesFilters } = require('./research_sources');
+const { DISCIPLINES, isDiscipline, detectDiscipline } = require('./research_disciplines');
 
-// Initialize Anthropic with environment variable
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+// The abstracts the searches return are kept in one vector index document
+const SAVED_ABSTRACTS = 'research:abstracts';
+
+// Every search reads and rewrites the saved abstracts, so only the most recent are kept
+const MAX_SAVED_ABSTRACTS = 500;
+
+// Most saved abstracts sent for reranking at once, however far the user pages
+const MAX_SHORTLIST = 60;
 
 /**
- * Get relevant humanities research articles based on user input text
- * Uses multiple academic databases and repositories for humanities research
+ * Use the discipline asked for, or detect it from the text when none (or
+ * 'auto') is given
+ * @param {string} [discipline] - Discipline id or 'auto'
+ * @param {string} userText
+ * @returns {string} Discipline id
+ */
+function resolveDiscipline(discipline, userText) {
+  return isDiscipline(discipline) ? discipline : detectDiscipline(userText);
+}
+
+// The discipline as it reads mid-sentence: 'social science', but 'STEM'
+function fieldName(discipline) {
+  return /^[A-Z]+$/.test(discipline.label) ? discipline.label : discipline.label.toLowerCase();
+}
+
+/**
+ * Get relevant research articles based on user input text
+ * Uses multiple academic databases and repositories, tuned to the text's discipline
  * @param {string} userText - The text to analyze for research topics
  * @param {number} maxPapers - Maximum number of papers to return (default: 3)
+ * @param {Object} [options]
+ * @param {string} [options.discipline] - Discipline id (see research_disciplines.js);
+ *   detected from the text when omitted or 'auto'
+ * @param {string[]} [options.sources] - Search source ids; the deployment's when omitted
+ * @param {Object} [options.filters] - Year range and open access (see research_sources.js)
  * @returns {Promise<Array>} Array of relevant research papers
  */
-async function getRelevantHumanitiesArticles(userText, maxPapers = 3) {
+async function getRelevantArticles(userText, maxPapers = 3, options = {}) {
   // Validate environment variables
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable is required');
+  if (!isFeatureConfigured('research')) {
+    throw new Error(describeMissingConfig('research'));
   }
 
   if (!userText || typeof userText !== 'string' || userText.trim().length === 0) {
     throw new Error('Valid user text is required');
   }
 
+  const disciplineId = resolveDiscipline(options.discipline, userText);
+  const discipline = DISCIPLINES[disciplineId];
+  const field = fieldName(discipline);
+
   try {
-    console.log('Analyzing text for humanities research topics with Claude...');
+    console.log(`Analyzing text for ${field} research topics...`);
     
-    // Step 1: Use Claude to extract humanities research topics
-    const message = await anthropic.messages.create({
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      max_tokens: 300,
+    // Step 1: Use the configured LLM to extract research topics for the discipline
+    const message = await complete('research', {
+      maxTokens: 300,
       temperature: 0.3,
-      system: `You are a humanities research specialist with expertise across literature, philosophy, history, cultural studies, linguistics, anthropology, religious studies, art history, political theory, and interdisciplinary humanities fields. 
-
-Analyze the given text and extract 3-5 key academic topics, concepts, or keywords that would be effective for finding scholarly humanities articles. Focus on:
-- Literary theories, movements, authors, or periods
-- Philosophical concepts, thinkers, or schools of thought
-- Historical periods, events, or methodological approaches
-- Cultural phenomena, identity studies, or social theory
-- Linguistic concepts or language families
-- Religious or theological concepts
-- Art historical movements, artists, or techniques
-- Political theories or governance concepts
-
-Return only a JSON array of strings. Each should be a specific, scholarly term or concept appropriate for humanities databases.`,
+      system: `You are a ${field} research specialist with expertise across ${discipline.expertise}. 
+
+Analyze the given text and extract 3-5 key academic topics, concepts, or keywords that would be effective for finding scholarly ${field} articles. Focus on:
+${discipline.focus.map(item => `- ${item}`).join('\n')}
+
+Return only a JSON array of strings. Each should be a specific, scholarly term or concept appropriate for ${field} databases.`,
       messages: [{
         role: "user",
         content: userText
-      }]
+      }],
+      mockResponse: () => JSON.stringify(extractFallbackTopics(userText, disciplineId))
     });
 
     let topics;
     try {
-      const content = message.content[0].text;
+      const content = message.text;
       // Try to extract JSON array from response
       const jsonMatch = content.match(/\[.*?\]/s);
       if (jsonMatch) {
@@ -67,63 +91,55 @@ Return only a JSON array of strings. Each should be a specific, scholarly term o
           .slice(0, 5);
       }
     } catch (parseError) {
-      console.warn('Failed to parse Claude response as JSON, using fallback extraction');
-      topics = extractHumanitiesFallbackTopics(userText);
+      console.warn('Failed to parse LLM response as JSON, using fallback extraction');
+      topics = extractFallbackTopics(userText, disciplineId);
     }
 
     if (!topics || topics.length === 0) {
-      throw new Error('No humanities research topics could be extracted from the text');
+      throw new Error(`No ${field} research topics could be extracted from the text`);
     }
 
-    console.log('Extracted humanities topics:', topics);
+    console.log(`Extracted ${field} topics:`, topics);
 
-    // Step 2: Search multiple sources for papers
-    const papers = await searchMultipleHumanitiesSources(topics, maxPapers);
+    // Step 2: Search the enabled scholarly sources for papers (see research_sources.js)
+    const papers = await searchResearchSources(topics, maxPapers, {
+      discipline: disciplineId,
+      sources: options.sources,
+      filters: options.filters
+    });
     
     if (papers.length === 0) {
       console.warn('No papers found for the extracted topics');
     }
-    
+
+    await saveAbstracts(papers);
     return papers;
 
   } catch (error) {
-    console.error('Error getting relevant humanities articles:', error.message);
-    throw new Error(`Failed to get relevant humanities articles: ${error.message}`);
+    console.error(`Error getting relevant ${field} articles:`, error.message);
+    throw new Error(`Failed to get relevant ${field} articles: ${error.message}`);
   }
 }
 
 /**
- * Fallback topic extraction for humanities using domain-specific terms
+ * Get relevant humanities research articles based on user input text
+ * @param {string} userText - The text to analyze for research topics
+ * @param {number} maxPapers - Maximum number of papers to return (default: 3)
+ * @returns {Promise<Array>} Array of relevant research papers
+ */
+async function getRelevantHumanitiesArticles(userText, maxPapers = 3) {
+  return getRelevantArticles(userText, maxPapers, { discipline: 'humanities' });
+}
+
+/**
+ * Fallback topic extraction using the discipline's vocabulary
  * @param {string} text - Input text
- * @returns {Array<string>} Array of potential humanities topics
+ * @param {string} disciplineId - Discipline whose terms to look for
+ * @returns {Array<string>} Array of potential research topics
  */
-function extractHumanitiesFallbackTopics(text) {
-  const humanitiesTerms = [
-    // Literature
-    'narrative theory', 'postcolonial literature', 'modernism', 'romanticism', 'feminist criticism',
-    'comparative literature', 'literary theory', 'canon formation', 'genre studies', 'poetry analysis',
-    // Philosophy
-    'phenomenology', 'existentialism', 'ethics', 'epistemology', 'metaphysics', 'political philosophy',
-    'continental philosophy', 'analytic philosophy', 'moral philosophy', 'philosophy of mind',
-    // History
-    'social history', 'cultural history', 'intellectual history', 'microhistory', 'oral history',
-    'historiography', 'medieval history', 'ancient history', 'modern history', 'gender history',
-    // Cultural Studies
-    'cultural identity', 'postmodernism', 'globalization', 'cultural theory', 'media studies',
-    'popular culture', 'digital humanities', 'memory studies', 'diaspora studies', 'queer theory',
-    // Linguistics
-    'sociolinguistics', 'historical linguistics', 'discourse analysis', 'pragmatics', 'semantics',
-    'language contact', 'morphology', 'phonology', 'syntax', 'language acquisition',
-    // Religion
-    'comparative religion', 'theology', 'religious studies', 'biblical studies', 'islamic studies',
-    'buddhist studies', 'religious philosophy', 'sacred texts', 'ritual studies', 'mysticism',
-    // Art History
-    'renaissance art', 'contemporary art', 'art criticism', 'visual culture', 'iconography',
-    'museum studies', 'art theory', 'aesthetic theory', 'public art', 'digital art'
-  ];
-  
+function extractFallbackTopics(text, disciplineId) {
   const lowercaseText = text.toLowerCase();
-  const foundTerms = humanitiesTerms.filter(term => lowercaseText.includes(term));
+  const foundTerms = DISCIPLINES[disciplineId].terms.filter(term => lowercaseText.includes(term));
   
   // Extract potentially relevant academic words
   const words = text.match(/\b[A-Z][a-z]{4,}\b/g) || []; // Capitalized words (proper nouns, theories)
@@ -133,415 +149,147 @@ function extractHumanitiesFallbackTopics(text) {
 }
 
 /**
- * Search multiple humanities databases and repositories
- * @param {Array<string>} topics - Array of research topics
- * @param {number} maxPapers - Maximum papers to return
- * @returns {Promise<Array>} Array of paper objects
+ * Add papers to the saved abstracts, so later lookups can find them without
+ * searching again; the papers saved longest ago make way past
+ * MAX_SAVED_ABSTRACTS. Indexing problems never fail the search itself.
+ * @param {Array} papers - Paper objects from the searches
  */
-async function searchMultipleHumanitiesSources(topics, maxPapers) {
-  const allPapers = [];
-  const papersPerSource = Math.ceil(maxPapers / 3); // Distribute across sources
-  
-  // Search strategies for different sources
-  const searchPromises = [
-    searchArXivHumanities(topics, papersPerSource),
-    searchDoaj(topics, papersPerSource),
-    searchSemanticScholar(topics, papersPerSource)
-  ];
-  
-  const results = await Promise.allSettled(searchPromises);
-  
-  results.forEach((result, index) => {
-    if (result.status === 'fulfilled') {
-      allPapers.push(...result.value);
-    } else {
-      console.warn(`Search source ${index + 1} failed:`, result.reason.message);
-    }
-  });
-  
-  // Remove duplicates and limit results
-  const uniquePapers = removeDuplicatePapers(allPapers);
-  return uniquePapers.slice(0, maxPapers);
-}
-
-/**
- * Search arXiv for humanities-related papers
- * ArXiv has some humanities content, especially digital humanities and computational approaches
- */
-async function searchArXivHumanities(topics, maxPapers) {
-  const papers = [];
-  const timeout = parseInt(process.env.SEARCH_TIMEOUT) || 10000;
-  
-  for (const topic of topics.slice(0, 2)) {
-    try {
-      const searchUrl = 'http://export.arxiv.org/api/query';
-      const params = {
-        search_query: `all:${topic}`,
-        start: 0,
-        max_results: Math.min(maxPapers, 10),
-        sortBy: 'relevance',
-        sortOrder: 'descending'
-      };
-      
-      const response = await axios.get(searchUrl, {
-        timeout,
-        params,
-        headers: {
-          'User-Agent': 'HumanitiesResearchAgent/1.0'
-        }
-      });
-      
-      if (response.data) {
-        const parser = new xml2js.Parser();
-        const result = await parser.parseStringPromise(response.data);
-        
-        if (result.feed && result.feed.entry) {
-          const entries = Array.isArray(result.feed.entry) ? result.feed.entry : [result.feed.entry];
-          
-          for (const entry of entries) {
-            // Filter for potentially humanities-relevant papers
-            const title = entry.title?.[0] || '';
-            const abstract = entry.summary?.[0] || '';
-            const categories = entry.category ? entry.category.map(cat => cat.$.term) : [];
-            
-            // Check if paper might be humanities-related
-            const isHumanities = categories.some(cat => 
-              cat.startsWith('cs.CL') || // Computational Linguistics
-              cat.startsWith('cs.CY') || // Computers and Society
-              cat.startsWith('cs.DL') // Digital Libraries
-            ) || title.toLowerCase().includes('digital humanities') ||
-                abstract.toLowerCase().includes('humanities') ||
-                abstract.toLowerCase().includes('cultural') ||
-                abstract.toLowerCase().includes('literary');
-            
-            if (isHumanities) {
-              const paper = {
-                title: cleanText(title),
-                authors: extractArxivAuthors(entry.author),
-                abstract: cleanText(abstract),
-                published: formatDate(entry.published?.[0]),
-                updated: formatDate(entry.updated?.[0]),
-                url: entry.id?.[0] || '',
-                doi: extractDoiFromArxiv(entry),
-                source: 'arXiv',
-                subjects: categories.join(', '),
-                relevantTopic: topic,
-                pdfUrl: entry.id?.[0]?.replace('/abs/', '/pdf/') + '.pdf' || '',
-                language: 'en',
-                type: 'preprint'
-              };
-              
-              if (paper.title && paper.url) {
-                papers.push(paper);
-              }
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`Error searching arXiv for topic "${topic}":`, error.message);
-    }
+async function saveAbstracts(papers) {
+  if (papers.length === 0) return;
+  try {
+    await indexDocument(SAVED_ABSTRACTS, papers.map(paper => ({
+      key: paper.doi || paper.url || paper.title.toLowerCase(),
+      text: `${paper.title}. ${paper.abstract || ''}`,
+      data: paper
+    })), { merge: true, maxEntries: MAX_SAVED_ABSTRACTS });
+  } catch (error) {
+    console.warn('Failed to save research abstracts:', error.message);
   }
-  
-  return papers;
 }
 
 /**
- * Search Directory of Open Access Journals (DOAJ)
+ * Score papers against the user's text in one model call
+ * @param {string} query - Text the papers should inform
+ * @param {Array<{paper: Object, similarity: number}>} candidates - Papers with their
+ *   embedding similarity to the query, which stands in for the score offline
+ * @param {string} disciplineId - Field the user is writing in
+ * @returns {Promise<Array>} Papers with relevanceScore (0.0-1.0) and relevanceAnalysis, best first
  */
-async function searchDoaj(topics, maxPapers) {
-  const papers = [];
-  const timeout = parseInt(process.env.SEARCH_TIMEOUT) || 10000;
-  
-  for (const topic of topics.slice(0, 2)) {
-    try {
-      const searchUrl = 'https://doaj.org/api/v2/search/articles';
-      const params = {
-        q: topic,
-        pageSize: Math.min(maxPapers, 10),
-        sort: 'score'
-      };
-      
-      const response = await axios.get(searchUrl, {
-        timeout,
-        params,
-        headers: {
-          'User-Agent': 'HumanitiesResearchAgent/1.0'
-        }
-      });
-      
-      if (response.data && response.data.results) {
-        for (const article of response.data.results) {
-          // Check if article is humanities-related
-          const subjects = article.bibjson?.subject || [];
-          const title = article.bibjson?.title || '';
-          const abstract = article.bibjson?.abstract || '';
-          
-          const isHumanities = subjects.some(subject => 
-            subject.term && (
-              subject.term.toLowerCase().includes('humanities') ||
-              subject.term.toLowerCase().includes('literature') ||
-              subject.term.toLowerCase().includes('philosophy') ||
-              subject.term.toLowerCase().includes('history') ||
-              subject.term.toLowerCase().includes('cultural') ||
-              subject.term.toLowerCase().includes('linguistics') ||
-              subject.term.toLowerCase().includes('religion') ||
-              subject.term.toLowerCase().includes('art')
-            )
-          ) || title.toLowerCase().includes('humanities') ||
-              abstract.toLowerCase().includes('humanities');
-          
-          if (isHumanities || subjects.length === 0) { // Include if clearly humanities or subjects unclear
-            const paper = {
-              title: cleanText(title),
-              authors: extractDoajAuthors(article.bibjson?.author || []),
-              abstract: cleanText(abstract),
-              published: formatDate(article.bibjson?.year),
-              updated: formatDate(article.bibjson?.year),
-              url: extractDoajUrl(article.bibjson?.link || []),
-              doi: article.bibjson?.identifier?.find(id => id.type === 'doi')?.id || '',
-              source: 'DOAJ',
-              subjects: subjects.map(s => s.term).join(', '),
-              relevantTopic: topic,
-              language: article.bibjson?.language?.[0] || 'en',
-              type: 'journal_article'
-            };
-            
-            if (paper.title && paper.url) {
-              papers.push(paper);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`Error searching DOAJ for topic "${topic}":`, error.message);
-    }
-  }
-  
-  return papers;
-}
+async function rerankPapers(query, candidates, disciplineId) {
+  const discipline = DISCIPLINES[disciplineId];
+  const field = fieldName(discipline);
+  const scores = await rerank('research', {
+    instructions: `You are a ${field} research expert familiar with ${discipline.expertise}. Score how relevant each research paper is to the user's ${field} research interests. Consider the concepts, methods, evidence, and findings each paper offers the user's writing, and explain in 1-2 sentences.`,
+    query,
+    candidates,
+    describe: ({ paper }) => `"${paper.title}" Abstract: ${(paper.abstract || '').substring(0, 600)}${paper.subjects ? ` Subjects: ${paper.subjects}` : ''}`,
+    fallbackScore: ({ similarity }) => Math.round(Math.max(0, similarity) * 100) / 100
+  });
 
-/**
- * Search Semantic Scholar for humanities papers
- */
-async function searchSemanticScholar(topics, maxPapers) {
-  const papers = [];
-  const timeout = parseInt(process.env.SEARCH_TIMEOUT) || 15000;
-  
-  for (const topic of topics.slice(0, 2)) {
-    try {
-      const searchUrl = 'https://api.semanticscholar.org/graph/v1/paper/search';
-      const params = {
-        query: topic,
-        limit: Math.min(maxPapers, 10),
-        fields: 'paperId,title,authors,abstract,year,url,openAccessPdf,fieldsOfStudy,citationCount'
-      };
-      
-      const response = await axios.get(searchUrl, {
-        timeout,
-        params,
-        headers: {
-          'User-Agent': 'HumanitiesResearchAgent/1.0'
-        }
-      });
-      
-      if (response.data && response.data.data) {
-        for (const paper of response.data.data) {
-          // Filter for humanities fields
-          const fields = paper.fieldsOfStudy || [];
-          const isHumanities = fields.some(field => 
-            field.toLowerCase().includes('art') ||
-            field.toLowerCase().includes('history') ||
-            field.toLowerCase().includes('philosophy') ||
-            field.toLowerCase().includes('literature') ||
-            field.toLowerCase().includes('linguistics') ||
-            field.toLowerCase().includes('religious') ||
-            field.toLowerCase().includes('cultural')
-          ) || (paper.title && (
-            paper.title.toLowerCase().includes('humanities') ||
-            paper.title.toLowerCase().includes('cultural') ||
-            paper.title.toLowerCase().includes('literary')
-          ));
-          
-          if (isHumanities || fields.length === 0) {
-            const paperObj = {
-              title: cleanText(paper.title || ''),
-              authors: extractSemanticScholarAuthors(paper.authors || []),
-              abstract: cleanText(paper.abstract || 'No abstract available'),
-              published: paper.year ? paper.year.toString() : '',
-              updated: paper.year ? paper.year.toString() : '',
-              url: paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
-              doi: '',
-              source: 'Semantic Scholar',
-              subjects: fields.join(', '),
-              relevantTopic: topic,
-              pdfUrl: paper.openAccessPdf?.url || '',
-              language: 'en',
-              type: 'academic_paper',
-              citationCount: paper.citationCount || 0
-            };
-            
-            if (paperObj.title && paperObj.url) {
-              papers.push(paperObj);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`Error searching Semantic Scholar for topic "${topic}":`, error.message);
-    }
-  }
-  
-  return papers;
+  return candidates
+    .map(({ paper }, index) => ({
+      ...paper,
+      relevanceScore: scores[index].score,
+      relevanceAnalysis: scores[index].reason
+    }))
+    .sort((a, b) => b.relevanceScore - a.relevanceScore);
 }
 
 /**
- * Helper functions for extracting author information from different sources
+ * Get paper recommendations with LLM analysis of relevance
+ * @param {string} userText - The text to analyze for research topics
+ * @param {number} maxPapers - Maximum number of papers to return (default: 3)
+ * @param {Object} [options] - discipline, sources and filters (see getRelevantArticles)
+ * @returns {Promise<Array>} Papers with relevanceScore (0.0-1.0) and relevanceAnalysis, best first
  */
-function extractArxivAuthors(authors) {
-  if (!authors || !Array.isArray(authors)) return 'Unknown';
-  return authors.map(author => author.name?.[0] || 'Unknown').slice(0, 5).join(', ');
-}
-
-function extractDoajAuthors(authors) {
-  if (!authors || !Array.isArray(authors)) return 'Unknown';
-  return authors.map(author => author.name || 'Unknown').slice(0, 5).join(', ');
-}
-
-function extractSemanticScholarAuthors(authors) {
-  if (!authors || !Array.isArray(authors)) return 'Unknown';
-  return authors.map(author => author.name || 'Unknown').slice(0, 5).join(', ');
-}
-
-function extractDoajUrl(links) {
-  if (!links || !Array.isArray(links)) return '';
-  const fullTextLink = links.find(link => link.type === 'fulltext');
-  return fullTextLink?.url || '';
-}
-
-function extractDoiFromArxiv(entry) {
-  if (entry.id && entry.id[0]) {
-    const arxivId = entry.id[0].split('/').pop();
-    return `10.48550/arXiv.${arxivId}`;
+async function getRelevantArticlesWithAnalysis(userText, maxPapers = 3, options = {}) {
+  if (!isFeatureConfigured('research')) {
+    throw new Error(describeMissingConfig('research'));
   }
-  return '';
-}
 
-/**
- * Remove duplicate papers based on title similarity and DOI
- */
-function removeDuplicatePapers(papers) {
-  const unique = [];
-  const seenTitles = new Set();
-  const seenDOIs = new Set();
-  
-  for (const paper of papers) {
-    const normalizedTitle = paper.title.toLowerCase().replace(/[^\w\s]/g, '').trim();
-    const doi = paper.doi;
+  const disciplineId = resolveDiscipline(options.discipline, userText);
+
+  try {
+    // First get the papers using standard method
+    const papers = await getRelevantArticles(userText, maxPapers * 2, { ...options, discipline: disciplineId });
     
-    if (doi && seenDOIs.has(doi)) {
-      continue; // Skip duplicate DOI
+    if (papers.length === 0) {
+      return [];
     }
     
-    if (seenTitles.has(normalizedTitle)) {
-      continue; // Skip duplicate title
-    }
+    // Embedding similarity stands in for the model's score offline
+    const ranked = await rankBySimilarity(userText, papers, paper => `${paper.title}. ${paper.abstract || ''}`);
+    const analyzedPapers = await rerankPapers(userText, ranked.map(({ item, score }) => ({ paper: item, similarity: score })), disciplineId);
+    return analyzedPapers.slice(0, maxPapers);
     
-    if (doi) seenDOIs.add(doi);
-    seenTitles.add(normalizedTitle);
-    unique.push(paper);
+  } catch (error) {
+    console.error('Error in getRelevantArticlesWithAnalysis:', error.message);
+    throw new Error(`Analysis-enhanced search failed: ${error.message}`);
   }
-  
-  return unique;
 }
 
 /**
- * Helper functions for data extraction and cleaning
+ * Get humanities paper recommendations with LLM analysis of relevance
  */
-function cleanText(text) {
-  if (!text) return '';
-  if (Array.isArray(text)) text = text[0] || '';
-  return text.replace(/\s+/g, ' ').replace(/[^\w\s.,;:()\-]/g, '').trim();
-}
-
-function formatDate(dateString) {
-  if (!dateString) return '';
-  if (Array.isArray(dateString)) dateString = dateString[0];
-  
-  try {
-    const date = new Date(dateString);
-    return date.toISOString().substring(0, 10);
-  } catch {
-    return dateString.toString().substring(0, 10) || '';
-  }
+async function getRelevantHumanitiesArticlesWithAnalysis(userText, maxPapers = 3) {
+  return getRelevantArticlesWithAnalysis(userText, maxPapers, { discipline: 'humanities' });
 }
 
 /**
- * Get humanities paper recommendations with Claude analysis of relevance
+ * Recommend papers for the part of the draft being written: search for new
+ * papers on the draft's topics, then take the saved abstracts nearest the
+ * query (new and earlier ones alike) and, with analysis on, rerank them in
+ * one model call
+ * @param {string} userText - The user's written content
+ * @param {Object} [options]
+ * @param {string} [options.query] - The paragraph under the cursor; the whole text when omitted
+ * @param {string} [options.discipline] - Discipline id or 'auto' (see getRelevantArticles)
+ * @param {number} [options.maxPapers=3] - Papers to return
+ * @param {number} [options.offset=0] - Papers to skip, for loading more
+ * @param {boolean} [options.analysis=true] - Score and explain relevance with the model;
+ *   otherwise papers come in order of embedding similarity, unscored
+ * @param {string[]} [options.sources] - Search source ids; the deployment's when omitted
+ * @param {Object} [options.filters] - Year range and open access (see research_sources.js)
+ * @param {number} [options.shortlist] - Nearest abstracts sent for reranking
+ * @returns {Promise<{articles: Array, discipline: string, hasMore: boolean}>} Papers,
+ *   best first, the discipline searched for, and whether a further page exists
  */
-async function getRelevantHumanitiesArticlesWithAnalysis(userText, maxPapers = 3) {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable is required');
-  }
+async function recommendArticles(userText, options = {}) {
+  const { query = userText, maxPapers = 3, offset = 0, analysis = true, sources, filters = {} } = options;
+  const wanted = offset + maxPapers;
+  // One more than the page, to tell whether another follows
+  const { shortlist = analysis ? Math.min(MAX_SHORTLIST, wanted * 3) : wanted + 1 } = options;
+  const discipline = resolveDiscipline(options.discipline, userText);
+
+  const papers = await getRelevantArticles(userText, wanted, { discipline, sources, filters });
 
+  // Saved abstracts come from earlier searches too, so they are held to the same filters
+  const sourceLabels = sources && listResearchSources()
+    .filter(source => sources.includes(source.id))
+    .map(source => source.label);
+  let hits = [];
   try {
-    // First get the papers using standard method
-    const papers = await getRelevantHumanitiesArticles(userText, maxPapers * 2);
-    
-    if (papers.length === 0) {
-      return [];
-    }
-    
-    // Use Claude to analyze relevance of each paper for humanities research
-    const analysisPromises = papers.map(async (paper) => {
-      try {
-        const message = await anthropic.messages.create({
-          model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-          max_tokens: 120,
-          temperature: 0.1,
-          system: "You are a humanities research expert familiar with interdisciplinary scholarship. Analyze how relevant a research paper is to the user's humanities research interests. Consider theoretical frameworks, methodological approaches, primary sources, and interdisciplinary connections. Return a relevance score from 1-10 and a brief explanation.",
-          messages: [{
-            role: "user",
-            content: `User's research interest: "${userText}"
-            
-Paper title: "${paper.title}"
-Paper abstract: "${paper.abstract.substring(0, 600)}"
-Subjects: "${paper.subjects}"
-
-Rate relevance (1-10) for humanities research and explain why in 1-2 sentences, focusing on theoretical or methodological relevance.`
-          }]
-        });
-        
-        const analysis = message.content[0].text;
-        const scoreMatch = analysis.match(/(\d+)/);
-        const relevanceScore = scoreMatch ? parseInt(scoreMatch[1]) : 5;
-        
-        return {
-          ...paper,
-          relevanceScore,
-          relevanceAnalysis: analysis.replace(/^\d+[.\-:]\s*/, '').trim()
-        };
-      } catch (analysisError) {
-        console.warn(`Failed to analyze paper: ${paper.title}`);
-        return {
-          ...paper,
-          relevanceScore: 5,
-          relevanceAnalysis: 'Analysis unavailable'
-        };
-      }
+    hits = await search(query, {
+      docIds: [SAVED_ABSTRACTS],
+      limit: shortlist,
+      where: entry => matchesFilters(entry.data, filters) && (!sourceLabels || sourceLabels.includes(entry.data.source))
     });
-    
-    const analyzedPapers = await Promise.all(analysisPromises);
-    
-    // Sort by relevance score and return top papers
-    return analyzedPapers
-      .sort((a, b) => b.relevanceScore - a.relevanceScore)
-      .slice(0, maxPapers);
-    
   } catch (error) {
-    console.error('Error in getRelevantHumanitiesArticlesWithAnalysis:', error.message);
-    throw new Error(`Humanities analysis-enhanced search failed: ${error.message}`);
+    console.warn('Saved abstract lookup failed:', error.message);
   }
+
+  // Without an index to search, the fresh results are the shortlist
+  const candidates = hits.length > 0
+    ? hits.map(hit => ({ paper: hit.data, similarity: hit.score }))
+    : papers.map(paper => ({ paper, similarity: 0.5 }));
+  const ranked = analysis
+    ? await rerankPapers(query, candidates, discipline)
+    : candidates.map(({ paper }) => paper);
+  return {
+    articles: ranked.slice(offset, wanted),
+    discipline,
+    hasMore: ranked.length > wanted
+  };
 }
 
 /**
@@ -563,19 +311,19 @@ async function humanitiesExample() {
   `;
   
   try {
-    console.log('Searching for relevant humanities articles with Claude...');
+    console.log('Searching for relevant humanities articles...');
     const articles = await getRelevantHumanitiesArticlesWithAnalysis(sampleText, 3);
     
     console.log(`\nFound ${articles.length} relevant humanities articles:\n`);
     articles.forEach((article, index) => {
       console.log(`${index + 1}. ${article.title}`);
-      console.log(`   Authors: ${article.authors}`);
+      console.log(`   Authors: ${article.authors.join('; ') || 'Unknown'}`);
       console.log(`   Published: ${article.published}`);
       console.log(`   Source: ${article.source}`);
       console.log(`   Language: ${article.language}`);
       console.log(`   Subjects: ${article.subjects}`);
       if (article.relevanceScore) {
-        console.log(`   Relevance Score: ${article.relevanceScore}/10`);
+        console.log(`   Relevance Score: ${Math.round(article.relevanceScore * 100)}%`);
         console.log(`   Why relevant: ${article.relevanceAnalysis}`);
       }
       console.log(`   URL: ${article.url}`);
@@ -602,22 +350,31 @@ function validateEnvironment() {
     config: {}
   };
   
-  if (!process.env.ANTHROPIC_API_KEY) {
+  const { provider, model } = resolveFeatureConfig('research');
+  
+  if (!isFeatureConfigured('research')) {
     results.valid = false;
-    results.errors.push('ANTHROPIC_API_KEY environment variable is missing');
+    results.errors.push(describeMissingConfig('research'));
   } else {
-    results.config.anthropicConfigured = true;
+    results.config.llmConfigured = true;
   }
   
-  results.config.model = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+  results.config.provider = provider;
+  results.config.model = model;
   results.config.timeout = process.env.SEARCH_TIMEOUT || '10000';
+  results.config.sources = listResearchSources()
+    .filter(source => source.enabled && source.configured)
+    .map(source => source.id);
   
   return results;
 }
 
 module.exports = {
+  getRelevantArticles,
+  getRelevantArticlesWithAnalysis,
   getRelevantHumanitiesArticles,
   getRelevantHumanitiesArticlesWithAnalysis,
+  recommendArticles,
   validateEnvironment,
   humanitiesExample
 };
\ No newline at end of file
@@ -0,0 +1,691 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const xml2js = require('xml2js');
+const { DISCIPLINES, DEFAULT_DISCIPLINE, matchesDiscipline } = require('./research_disciplines');
+
+/**
+ * Scholarly search backends for research recommendations. Each adapter
+ * searches one service for a topic and normalises what it finds to the paper
+ * shape the rest of the app uses:
+ *
+ *   {title, authors, abstract, published, updated, url, doi, source, subjects,
+ *    relevantTopic, pdfUrl?, openAccess, language, type, citationCount?}
+ *
+ * where authors is an array of names as the service gives them, "Given Family"
+ * or "Family, Given", and empty when it names none.
+ *
+ * Deployments choose the adapters with RESEARCH_SOURCES, a comma-separated
+ * list of ids (default: arxiv,doaj,semanticscholar). Adapters that need a key
+ * are skipped until it is set. Add one with registerResearchSource().
+ *
+ * Searches are tuned to a discipline (see research_disciplines.js): general
+ * indexes filter their results to the field, and each source's share of the
+ * results follows the discipline's weights.
+ *
+ * Searches can be limited to a range of publication years and to open access
+ * papers. Adapters pass the filters on to services that support them, and
+ * the merged results are filtered again for those that do not.
+ *
+ * Responses can be recorded to and replayed from disk, so searches can be
+ * checked without the network:
+ *
+ *   RESEARCH_FIXTURES_DIR=fixtures/research     replay recorded responses
+ *   RESEARCH_FIXTURES_RECORD=1                  ...or record live ones there
+ */
+
+const DEFAULT_SOURCES = ['arxiv', 'doaj', 'semanticscholar'];
+
+// Topics searched per adapter; each one is a request to the service
+const TOPICS_PER_SOURCE = 2;
+
+// Request parameters that carry credentials or contact details, which never
+// go into a fixture or its name
+const PRIVATE_PARAMS = ['api_key', 'mailto', 'email'];
+
+// PubMed gives three-letter language codes; the other sources give two
+const PUBMED_LANGUAGES = { eng: 'en', fre: 'fr', ger: 'de', spa: 'es', ita: 'it', por: 'pt', rus: 'ru', chi: 'zh', jpn: 'ja' };
+
+const adapters = new Map();
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {number} [yearFrom] - Earliest publication year
+ * @property {number} [yearTo] - Latest publication year
+ * @property {boolean} [openAccessOnly] - Only papers that are free to read
+ */
+
+/**
+ * Add a search backend; registering an existing id replaces it
+ * @param {Object} adapter
+ * @param {string} adapter.id - Id used in RESEARCH_SOURCES, e.g. 'crossref'
+ * @param {string} adapter.label - Name shown as a paper's source, e.g. 'Crossref'
+ * @param {() => boolean} [adapter.isConfigured] - False while a required key is missing
+ * @param {(topic: string, limit: number, context: {discipline: Object, filters: SearchFilters}) => Promise<Object[]>} adapter.search -
+ *   Papers for one topic; context.discipline is the DISCIPLINES entry searched for
+ */
+function registerResearchSource(adapter) {
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Every registered adapter, with whether this deployment enables it
+ * @returns {Array<{id: string, label: string, enabled: boolean, configured: boolean}>}
+ */
+function listResearchSources() {
+  const enabled = enabledSourceIds();
+  return [...adapters.values()].map(adapter => ({
+    id: adapter.id,
+    label: adapter.label,
+    enabled: enabled.includes(adapter.id),
+    configured: adapter.isConfigured ? adapter.isConfigured() : true
+  }));
+}
+
+function enabledSourceIds() {
+  const configured = process.env.RESEARCH_SOURCES;
+  return configured
+    ? configured.split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_SOURCES;
+}
+
+/**
+ * Whether a paper passes the filters. Papers without a known year fail a
+ * year range; papers saved before openAccess was recorded count as open
+ * when they have a PDF link.
+ * @param {Object} paper
+ * @param {SearchFilters} [filters]
+ * @returns {boolean}
+ */
+function matchesFilters(paper, filters = {}) {
+  const { yearFrom, yearTo, openAccessOnly } = filters;
+  if (yearFrom || yearTo) {
+    const year = Number(String(paper.published || '').slice(0, 4));
+    if (!year || (yearFrom && year < yearFrom) || (yearTo && year > yearTo)) return false;
+  }
+  if (openAccessOnly && !(paper.openAccess ?? Boolean(paper.pdfUrl))) return false;
+  return true;
+}
+
+/**
+ * GET a search API, or replay/record its response when fixtures are on
+ * @param {string} sourceId - Adapter making the request; names its fixtures
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Query parameters
+ * @param {Object} [options.headers] - Extra headers
+ * @param {number} [options.timeout] - Milliseconds; SEARCH_TIMEOUT overrides
+ * @returns {Promise<any>} Response body
+ */
+async function fetchSource(sourceId, url, options = {}) {
+  const { params = {}, headers = {}, timeout = 10000 } = options;
+  const fixturesDir = process.env.RESEARCH_FIXTURES_DIR;
+
+  const publicParams = Object.fromEntries(Object.entries(params)
+    .filter(([key, value]) => value !== undefined && !PRIVATE_PARAMS.includes(key))
+    .sort(([a], [b]) => a.localeCompare(b)));
+  const fixtureName = `${sourceId}-${crypto.createHash('sha256').update(`${url}?${JSON.stringify(publicParams)}`).digest('hex').slice(0, 16)}.json`;
+  const fixturePath = fixturesDir && path.join(fixturesDir, fixtureName);
+
+  if (fixturePath && !process.env.RESEARCH_FIXTURES_RECORD) {
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, 'utf8')).data;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded response for ${url} ${JSON.stringify(publicParams)} (${fixtureName})`);
+      }
+      throw error;
+    }
+  }
+
+  const response = await axios.get(url, {
+    timeout: parseInt(process.env.SEARCH_TIMEOUT) || timeout,
+    params,
+    headers: {
+      'User-Agent': 'HumanitiesResearchAgent/1.0',
+      ...headers
+    }
+  });
+
+  if (fixturePath) {
+    await fs.mkdir(fixturesDir, { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({ url, params: publicParams, data: response.data }, null, 2), 'utf8');
+  }
+  return response.data;
+}
+
+/**
+ * Search every enabled adapter for the topics and merge the results
+ * @param {Array<string>} topics - Research topics, most important first
+ * @param {number} maxPapers - Maximum papers to return
+ * @param {Object} [options]
+ * @param {string[]} [options.sources] - Adapter ids to use instead of RESEARCH_SOURCES
+ * @param {string} [options.discipline] - Discipline id; humanities when omitted
+ * @param {SearchFilters} [options.filters]
+ * @returns {Promise<Array>} Papers without duplicates, from the most heavily weighted sources first
+ */
+async function searchResearchSources(topics, maxPapers, options = {}) {
+  const discipline = DISCIPLINES[options.discipline] || DISCIPLINES[DEFAULT_DISCIPLINE];
+  const filters = options.filters || {};
+  const weightOf = (adapter) => discipline.sourceWeights[adapter.id] ?? 1;
+
+  const selected = (options.sources || enabledSourceIds())
+    .map(id => {
+      const adapter = adapters.get(id);
+      if (!adapter) console.warn(`Unknown research source "${id}"`);
+      else if (adapter.isConfigured && !adapter.isConfigured()) console.warn(`Research source "${id}" is not configured, skipping`);
+      else return adapter;
+      return null;
+    })
+    .filter(adapter => adapter && weightOf(adapter) > 0)
+    .sort((a, b) => weightOf(b) - weightOf(a));
+  if (selected.length === 0) return [];
+
+  // Distribute across sources by weight
+  const totalWeight = selected.reduce((sum, adapter) => sum + weightOf(adapter), 0);
+
+  const results = await Promise.all(selected.map(async adapter => {
+    const limit = Math.min(10, Math.max(1, Math.ceil(maxPapers * weightOf(adapter) / totalWeight)));
+    const papers = [];
+    for (const topic of topics.slice(0, TOPICS_PER_SOURCE)) {
+      try {
+        const found = await adapter.search(topic, limit, { discipline, filters });
+        papers.push(...found.filter(paper => paper.title && paper.url && matchesFilters(paper, filters)));
+      } catch (error) {
+        console.warn(`Error searching ${adapter.label} for topic "${topic}":`, error.message);
+      }
+    }
+    return papers;
+  }));
+
+  // Remove duplicates and limit results
+  return removeDuplicatePapers(results.flat()).slice(0, maxPapers);
+}
+
+/**
+ * Search arXiv for papers in the discipline
+ * Mostly STEM, with some humanities and social science content through its computational categories
+ */
+async function searchArXiv(topic, limit, { discipline, filters }) {
+  const { yearFrom, yearTo } = filters;
+  const submitted = yearFrom || yearTo
+    ? ` AND submittedDate:[${yearFrom || 1991}01010000 TO ${yearTo || 9999}12312359]`
+    : '';
+  const data = await fetchSource('arxiv', 'http://export.arxiv.org/api/query', {
+    params: {
+      search_query: `all:${topic}${submitted}`,
+      start: 0,
+      max_results: limit,
+      sortBy: 'relevance',
+      sortOrder: 'descending'
+    }
+  });
+  if (!data) return [];
+
+  const result = await new xml2js.Parser().parseStringPromise(data);
+  if (!result.feed || !result.feed.entry) return [];
+  const entries = Array.isArray(result.feed.entry) ? result.feed.entry : [result.feed.entry];
+
+  const papers = [];
+  for (const entry of entries) {
+    // Filter for papers in the discipline's categories or vocabulary
+    const title = entry.title?.[0] || '';
+    const abstract = entry.summary?.[0] || '';
+    const categories = entry.category ? entry.category.map(cat => cat.$.term) : [];
+
+    const inDiscipline = categories.some(cat => discipline.arxivCategories.some(prefix => cat.startsWith(prefix))) ||
+      matchesDiscipline(discipline, { text: [title, abstract] });
+
+    if (inDiscipline) {
+      papers.push({
+        title: cleanText(title),
+        authors: extractArxivAuthors(entry.author),
+        abstract: cleanText(abstract),
+        published: formatDate(entry.published?.[0]),
+        updated: formatDate(entry.updated?.[0]),
+        url: entry.id?.[0] || '',
+        doi: extractDoiFromArxiv(entry),
+        source: 'arXiv',
+        subjects: categories.join(', '),
+        relevantTopic: topic,
+        pdfUrl: entry.id?.[0]?.replace('/abs/', '/pdf/') + '.pdf' || '',
+        openAccess: true,
+        language: 'en',
+        type: 'preprint'
+      });
+    }
+  }
+  return papers;
+}
+
+/**
+ * Search Directory of Open Access Journals (DOAJ)
+ */
+async function searchDoaj(topic, limit, { discipline, filters }) {
+  const { yearFrom, yearTo } = filters;
+  const years = yearFrom || yearTo ? ` AND bibjson.year:[${yearFrom || '*'} TO ${yearTo || '*'}]` : '';
+  const data = await fetchSource('doaj', 'https://doaj.org/api/v2/search/articles', {
+    params: { q: `${topic}${years}`, pageSize: limit, sort: 'score' }
+  });
+  if (!data || !data.results) return [];
+
+  const papers = [];
+  for (const article of data.results) {
+    // Check if article is in the discipline
+    const subjects = article.bibjson?.subject || [];
+    const title = article.bibjson?.title || '';
+    const abstract = article.bibjson?.abstract || '';
+
+    const inDiscipline = matchesDiscipline(discipline, { subjects: subjects.map(subject => subject.term), text: [title, abstract] });
+
+    if (inDiscipline || subjects.length === 0) { // Include if clearly in the discipline or subjects unclear
+      papers.push({
+        title: cleanText(title),
+        authors: extractDoajAuthors(article.bibjson?.author || []),
+        abstract: cleanText(abstract),
+        published: formatDate(article.bibjson?.year),
+        updated: formatDate(article.bibjson?.year),
+        url: extractDoajUrl(article.bibjson?.link || []),
+        doi: article.bibjson?.identifier?.find(id => id.type === 'doi')?.id || '',
+        source: 'DOAJ',
+        subjects: subjects.map(s => s.term).join(', '),
+        relevantTopic: topic,
+        // Every journal DOAJ lists is open access
+        openAccess: true,
+        language: article.bibjson?.language?.[0] || 'en',
+        type: 'journal_article'
+      });
+    }
+  }
+  return papers;
+}
+
+/**
+ * Search Semantic Scholar for papers in the discipline
+ */
+async function searchSemanticScholar(topic, limit, { discipline, filters }) {
+  const { yearFrom, yearTo, openAccessOnly } = filters;
+  const data = await fetchSource('semanticscholar', 'https://api.semanticscholar.org/graph/v1/paper/search', {
+    params: {
+      query: topic,
+      limit,
+      fields: 'paperId,title,authors,abstract,year,url,openAccessPdf,isOpenAccess,fieldsOfStudy,citationCount',
+      year: yearFrom || yearTo ? `${yearFrom || ''}-${yearTo || ''}` : undefined,
+      // The parameter takes no value; its presence limits results to papers with a free PDF
+      openAccessPdf: openAccessOnly ? '' : undefined
+    },
+    timeout: 15000
+  });
+  if (!data || !data.data) return [];
+
+  const papers = [];
+  for (const paper of data.data) {
+    // Filter for the discipline's fields
+    const fields = paper.fieldsOfStudy || [];
+    const inDiscipline = matchesDiscipline(discipline, { subjects: fields, text: [paper.title] });
+
+    if (inDiscipline || fields.length === 0) {
+      papers.push({
+        title: cleanText(paper.title || ''),
+        authors: extractNamedAuthors(paper.authors || []),
+        abstract: cleanText(paper.abstract || 'No abstract available'),
+        published: paper.year ? paper.year.toString() : '',
+        updated: paper.year ? paper.year.toString() : '',
+        url: paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
+        doi: '',
+        source: 'Semantic Scholar',
+        subjects: fields.join(', '),
+        relevantTopic: topic,
+        pdfUrl: paper.openAccessPdf?.url || '',
+        openAccess: Boolean(paper.isOpenAccess || paper.openAccessPdf?.url),
+        language: 'en',
+        type: 'academic_paper',
+        citationCount: paper.citationCount || 0
+      });
+    }
+  }
+  return papers;
+}
+
+/**
+ * Search Crossref, the DOI registry. Most records have no abstract, but every
+ * one has a DOI and publication details.
+ */
+async function searchCrossref(topic, limit, { filters }) {
+  const { yearFrom, yearTo } = filters;
+  const dateFilters = [yearFrom && `from-pub-date:${yearFrom}`, yearTo && `until-pub-date:${yearTo}`].filter(Boolean);
+  const data = await fetchSource('crossref', 'https://api.crossref.org/works', {
+    params: {
+      query: topic,
+      rows: limit,
+      filter: dateFilters.length > 0 ? dateFilters.join(',') : undefined,
+      select: 'DOI,title,author,abstract,issued,URL,subject,type,link,license,language,is-referenced-by-count',
+      mailto: process.env.RESEARCH_CONTACT_EMAIL
+    }
+  });
+  const items = data?.message?.items || [];
+
+  return items.map(item => {
+    const published = formatDateParts(item.issued?.['date-parts']?.[0]);
+    return {
+      title: cleanText(stripMarkup(item.title?.[0])),
+      authors: extractNamedAuthors((item.author || []).map(author => ({
+        name: [author.given, author.family].filter(Boolean).join(' ') || author.name
+      }))),
+      abstract: cleanText(stripMarkup(item.abstract) || 'No abstract available'),
+      published,
+      updated: published,
+      url: item.URL || (item.DOI ? `https://doi.org/${item.DOI}` : ''),
+      doi: item.DOI || '',
+      source: 'Crossref',
+      subjects: (item.subject || []).join(', '),
+      relevantTopic: topic,
+      pdfUrl: (item.link || []).find(link => link['content-type'] === 'application/pdf')?.URL || '',
+      // Crossref has no open access flag; a Creative Commons licence is the best sign of one
+      openAccess: (item.license || []).some(license => /creativecommons\.org/i.test(license.URL || '')),
+      language: item.language || 'en',
+      type: (item.type || 'journal-article').replace(/-/g, '_'),
+      citationCount: item['is-referenced-by-count'] || 0
+    };
+  });
+}
+
+/**
+ * Search OpenAlex, an open index of scholarly works
+ */
+async function searchOpenAlex(topic, limit, { filters }) {
+  const { yearFrom, yearTo, openAccessOnly } = filters;
+  const workFilters = [
+    yearFrom && `from_publication_date:${yearFrom}-01-01`,
+    yearTo && `to_publication_date:${yearTo}-12-31`,
+    openAccessOnly && 'is_oa:true'
+  ].filter(Boolean);
+  const data = await fetchSource('openalex', 'https://api.openalex.org/works', {
+    params: {
+      search: topic,
+      per_page: limit,
+      filter: workFilters.length > 0 ? workFilters.join(',') : undefined,
+      mailto: process.env.RESEARCH_CONTACT_EMAIL
+    }
+  });
+  const works = data?.results || [];
+
+  return works.map(work => {
+    const doi = (work.doi || '').replace(/^https?:\/\/doi\.org\//i, '');
+    return {
+      title: cleanText(work.display_name || work.title || ''),
+      authors: extractNamedAuthors((work.authorships || []).map(authorship => ({ name: authorship.author?.display_name }))),
+      abstract: cleanText(invertedIndexToText(work.abstract_inverted_index) || 'No abstract available'),
+      published: formatDate(work.publication_date),
+      updated: formatDate(work.updated_date || work.publication_date),
+      url: work.primary_location?.landing_page_url || work.doi || work.id || '',
+      doi,
+      source: 'OpenAlex',
+      subjects: (work.topics || work.concepts || []).slice(0, 5).map(entry => entry.display_name).join(', '),
+      relevantTopic: topic,
+      pdfUrl: work.best_oa_location?.pdf_url || work.open_access?.oa_url || '',
+      openAccess: Boolean(work.open_access?.is_oa),
+      language: work.language || 'en',
+      type: (work.type || 'article').replace(/-/g, '_'),
+      citationCount: work.cited_by_count || 0
+    };
+  });
+}
+
+/**
+ * Search CORE, an aggregator of open access research papers (needs CORE_API_KEY)
+ */
+async function searchCore(topic, limit, { filters }) {
+  const { yearFrom, yearTo } = filters;
+  const query = [
+    `(${topic})`,
+    yearFrom && `yearPublished>=${yearFrom}`,
+    yearTo && `yearPublished<=${yearTo}`
+  ].filter(Boolean).join(' AND ');
+  const data = await fetchSource('core', 'https://api.core.ac.uk/v3/search/works', {
+    params: { q: query, limit },
+    headers: { Authorization: `Bearer ${process.env.CORE_API_KEY}` },
+    timeout: 15000
+  });
+  const works = data?.results || [];
+
+  return works.map(work => {
+    const published = formatDate(work.publishedDate) || (work.yearPublished ? String(work.yearPublished) : '');
+    return {
+      title: cleanText(work.title || ''),
+      authors: extractNamedAuthors(work.authors || []),
+      abstract: cleanText(work.abstract || 'No abstract available'),
+      published,
+      updated: formatDate(work.updatedDate) || published,
+      url: (work.links || []).find(link => link.type === 'display')?.url || (work.id ? `https://core.ac.uk/works/${work.id}` : ''),
+      doi: work.doi || '',
+      source: 'CORE',
+      subjects: (work.fieldOfStudy ? [work.fieldOfStudy] : []).join(', '),
+      relevantTopic: topic,
+      pdfUrl: work.downloadUrl || '',
+      // CORE also indexes records whose full text it could not collect
+      openAccess: Boolean(work.downloadUrl),
+      language: work.language?.code || 'en',
+      type: 'open_access_paper',
+      citationCount: work.citationCount || 0
+    };
+  });
+}
+
+/**
+ * Search PubMed through the NCBI E-utilities: find ids, then fetch the
+ * records for their abstracts
+ */
+async function searchPubMed(topic, limit, { filters }) {
+  const { yearFrom, yearTo, openAccessOnly } = filters;
+  const eutils = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+  const shared = {
+    db: 'pubmed',
+    tool: 'open-quill',
+    email: process.env.RESEARCH_CONTACT_EMAIL,
+    api_key: process.env.NCBI_API_KEY
+  };
+
+  const found = await fetchSource('pubmed', `${eutils}/esearch.fcgi`, {
+    params: {
+      ...shared,
+      // PubMed Central holds the free full texts
+      term: openAccessOnly ? `(${topic}) AND pubmed pmc[sb]` : topic,
+      retmax: limit,
+      retmode: 'json',
+      sort: 'relevance',
+      // Date limits must come as a pair
+      ...((yearFrom || yearTo) && { datetype: 'pdat', mindate: String(yearFrom || 1800), maxdate: String(yearTo || 3000) })
+    }
+  });
+  const ids = found?.esearchresult?.idlist || [];
+  if (ids.length === 0) return [];
+
+  const xml = await fetchSource('pubmed', `${eutils}/efetch.fcgi`, {
+    params: { ...shared, id: ids.join(','), retmode: 'xml' }
+  });
+  // Inline formatting in titles and abstracts would be parsed as child nodes,
+  // which xml2js moves after the text around them
+  const plainXml = String(xml).replace(/<\/?(?:i|b|u|sup|sub)>/g, '');
+  const result = await new xml2js.Parser().parseStringPromise(plainXml);
+  const records = result?.PubmedArticleSet?.PubmedArticle || [];
+
+  return records.map(record => {
+    const citation = record.MedlineCitation?.[0] || {};
+    const article = citation.Article?.[0] || {};
+    const pmid = xmlText(citation.PMID);
+    const date = article.Journal?.[0]?.JournalIssue?.[0]?.PubDate?.[0] || {};
+    const published = [xmlText(date.Year), monthNumber(xmlText(date.Month)), xmlText(date.Day).padStart(2, '0')]
+      .filter(part => part && part !== '00')
+      .join('-') || xmlText(date.MedlineDate).slice(0, 4);
+    const articleIds = record.PubmedData?.[0]?.ArticleIdList?.[0]?.ArticleId || [];
+    const pmcid = xmlText(articleIds.find(id => id.$?.IdType === 'pmc'));
+
+    return {
+      title: cleanText(xmlText(article.ArticleTitle)),
+      authors: extractNamedAuthors((article.AuthorList?.[0]?.Author || []).map(author => ({
+        name: xmlText(author.CollectiveName) || [xmlText(author.ForeName), xmlText(author.LastName)].filter(Boolean).join(' ')
+      }))),
+      abstract: cleanText((article.Abstract?.[0]?.AbstractText || []).map(xmlText).join(' ') || 'No abstract available'),
+      published,
+      updated: published,
+      url: pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : '',
+      doi: xmlText(articleIds.find(id => id.$?.IdType === 'doi')),
+      source: 'PubMed',
+      subjects: (citation.MeshHeadingList?.[0]?.MeshHeading || []).slice(0, 5).map(heading => xmlText(heading.DescriptorName)).join(', '),
+      relevantTopic: topic,
+      pdfUrl: pmcid ? `https://www.ncbi.nlm.nih.gov/pmc/articles/${pmcid}/pdf/` : '',
+      openAccess: Boolean(pmcid),
+      language: PUBMED_LANGUAGES[xmlText(article.Language)] || xmlText(article.Language) || 'en',
+      type: 'journal_article'
+    };
+  });
+}
+
+registerResearchSource({ id: 'arxiv', label: 'arXiv', search: searchArXiv });
+registerResearchSource({ id: 'doaj', label: 'DOAJ', search: searchDoaj });
+registerResearchSource({ id: 'semanticscholar', label: 'Semantic Scholar', search: searchSemanticScholar });
+registerResearchSource({ id: 'crossref', label: 'Crossref', search: searchCrossref });
+registerResearchSource({ id: 'openalex', label: 'OpenAlex', search: searchOpenAlex });
+registerResearchSource({
+  id: 'core',
+  label: 'CORE',
+  isConfigured: () => Boolean(process.env.CORE_API_KEY),
+  search: searchCore
+});
+registerResearchSource({ id: 'pubmed', label: 'PubMed', search: searchPubMed });
+
+/**
+ * Helper functions for extracting author information from different sources
+ */
+// Names are kept whole, since "Family, Given" is as common as "Given Family"
+function extractArxivAuthors(authors) {
+  if (!authors || !Array.isArray(authors)) return [];
+  return authors.map(author => String(author.name?.[0] || '').trim()).filter(Boolean).slice(0, 5);
+}
+
+function extractDoajAuthors(authors) {
+  if (!authors || !Array.isArray(authors)) return [];
+  return authors.map(author => String(author.name || '').trim()).filter(Boolean).slice(0, 5);
+}
+
+// Authors given as [{name}], as Semantic Scholar, CORE and the normalised others are
+function extractNamedAuthors(authors) {
+  if (!authors || !Array.isArray(authors)) return [];
+  return authors.map(author => String(author.name || '').trim()).filter(Boolean).slice(0, 5);
+}
+
+function extractDoajUrl(links) {
+  if (!links || !Array.isArray(links)) return '';
+  const fullTextLink = links.find(link => link.type === 'fulltext');
+  return fullTextLink?.url || '';
+}
+
+function extractDoiFromArxiv(entry) {
+  if (entry.id && entry.id[0]) {
+    const arxivId = entry.id[0].split('/').pop();
+    return `10.48550/arXiv.${arxivId}`;
+  }
+  return '';
+}
+
+// OpenAlex ships abstracts as {word: [positions]} for licensing reasons
+function invertedIndexToText(index) {
+  if (!index) return '';
+  const words = [];
+  for (const [word, positions] of Object.entries(index)) {
+    for (const position of positions) words[position] = word;
+  }
+  return words.filter(Boolean).join(' ');
+}
+
+// Crossref titles may hold HTML and abstracts are JATS XML
+function stripMarkup(text) {
+  return text ? String(text).replace(/<[^>]+>/g, ' ') : '';
+}
+
+// Text of an xml2js node, which is a string, {_: text, $: attributes} or an array of either
+function xmlText(node) {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return node.map(xmlText).join(' ').trim();
+  if (typeof node === 'object') {
+    return Object.entries(node)
+      .filter(([key]) => key !== '$')
+      .map(([, value]) => xmlText(value))
+      .join(' ')
+      .trim();
+  }
+  return String(node).trim();
+}
+
+function monthNumber(month) {
+  if (!month) return '';
+  if (/^\d+$/.test(month)) return month.padStart(2, '0');
+  const index = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(month.slice(0, 3).toLowerCase());
+  return index >= 0 ? String(index + 1).padStart(2, '0') : '';
+}
+
+/**
+ * Remove duplicate papers based on title similarity and DOI
+ */
+function removeDuplicatePapers(papers) {
+  const unique = [];
+  const seenTitles = new Set();
+  const seenDOIs = new Set();
+
+  for (const paper of papers) {
+    const normalizedTitle = paper.title.toLowerCase().replace(/[^\w\s]/g, '').trim();
+    const doi = paper.doi && paper.doi.toLowerCase();
+
+    if (doi && seenDOIs.has(doi)) {
+      continue; // Skip duplicate DOI
+    }
+
+    if (seenTitles.has(normalizedTitle)) {
+      continue; // Skip duplicate title
+    }
+
+    if (doi) seenDOIs.add(doi);
+    seenTitles.add(normalizedTitle);
+    unique.push(paper);
+  }
+
+  return unique;
+}
+
+/**
+ * Helper functions for data extraction and cleaning
+ */
+function cleanText(text) {
+  if (!text) return '';
+  if (Array.isArray(text)) text = text[0] || '';
+  return text.replace(/\s+/g, ' ').replace(/[^\w\s.,;:()\-]/g, '').trim();
+}
+
+function formatDate(dateString) {
+  if (!dateString) return '';
+  if (Array.isArray(dateString)) dateString = dateString[0];
+
+  try {
+    const date = new Date(dateString);
+    return date.toISOString().substring(0, 10);
+  } catch {
+    return dateString.toString().substring(0, 10) || '';
+  }
+}
+
+// Crossref dates are [year, month?, day?]
+function formatDateParts(parts) {
+  if (!parts || !parts[0]) return '';
+  return parts.map((part, index) => index === 0 ? String(part) : String(part).padStart(2, '0')).join('-');
+}
+
+module.exports = {
+  registerResearchSource,
+  listResearchSources,
+  searchResearchSources,
+  matchesFilters,
+  fetchSource
+};
@@ -0,0 +1,306 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore, getDataDir } = require('./json_store');
+const { resolveFeatureConfig } = require('./llm_service');
+const { checkBudget } = require('./usage_ledger');
+const { createRedisClient } = require('./redis_client');
+
+/**
+ * Response cache shared by the API routes, so the same request within a
+ * while is answered without calling the model again. Each route caches in
+ * its own namespace, keyed by its normalized input and by the provider and
+ * model of the features it uses, so switching models starts afresh.
+ *
+ * The backend is chosen per deployment:
+ *
+ *   CACHE_BACKEND=disk      one JSON file per entry under the data dir (default)
+ *   CACHE_BACKEND=memory    this server process only, lost on restart
+ *   CACHE_BACKEND=redis     Redis or a compatible server at REDIS_URL, shared
+ *                           by every server instance
+ *
+ * TTLs and size bounds are per namespace:
+ *
+ *   CACHE_RESEARCH_TTL=3600          seconds; 0 turns the namespace's cache off
+ *   CACHE_RESEARCH_MAX_ENTRIES=200   oldest entries are evicted past this
+ *   CACHE_MAX_ENTRY_BYTES=524288     larger responses are not cached at all
+ *
+ * A backend that fails (e.g. Redis is down) counts as a miss; the cache never
+ * fails the request using it. Nothing is cached while one of the route's
+ * features is over its daily budget, since the response may have come from a
+ * local fallback rather than the model.
+ */
+
+const DEFAULT_BACKEND = 'disk';
+
+const NAMESPACE_DEFAULTS = {
+  autocomplete: { ttl: 300, maxEntries: 2000 },
+  tone: { ttl: 3600, maxEntries: 500 },
+  research: { ttl: 3600, maxEntries: 200 },
+  evidence: { ttl: 24 * 3600, maxEntries: 100 },
+  people: { ttl: 7 * 24 * 3600, maxEntries: 200 }
+};
+const FALLBACK_SETTINGS = { ttl: 3600, maxEntries: 500 };
+const DEFAULT_MAX_ENTRY_BYTES = 512 * 1024;
+
+// The disk backend evicts on every this many writes rather than on each one
+const DISK_PRUNE_EVERY = 20;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value
+ * @property {string} cachedAt - ISO timestamp
+ * @property {number} expiresAt - Epoch milliseconds
+ */
+
+/**
+ * @typedef {Object} CacheStatus - What routes report as `cache` in their responses
+ * @property {boolean} hit
+ * @property {string} [cachedAt] - When the cached response was made, on a hit
+ */
+
+function createMemoryBackend() {
+  const namespaces = new Map();
+  const entriesOf = (namespace) => {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  };
+
+  return {
+    async get(namespace, key) {
+      const entries = entriesOf(namespace);
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Reinserting keeps the map in least recently used order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(namespace, key, entry, { maxEntries }) {
+      const entries = entriesOf(namespace);
+      entries.delete(key);
+      entries.set(key, entry);
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldest);
+      }
+    }
+  };
+}
+
+function createDiskBackend() {
+  const stores = new Map();
+  const writes = new Map();
+  const storeFor = (namespace) => {
+    if (!stores.has(namespace)) stores.set(namespace, createJsonStore(path.join('cache', namespace)));
+    return stores.get(namespace);
+  };
+
+  // Drop expired entries, then the oldest written past the bound
+  async function prune(namespace, { ttl, maxEntries }) {
+    const dir = path.join(getDataDir(), 'cache', namespace);
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    const stats = await Promise.all(files.map(async file => {
+      const stat = await fs.stat(path.join(dir, file)).catch(() => null);
+      return stat && { file, written: stat.mtimeMs };
+    }));
+
+    const now = Date.now();
+    const byAge = stats.filter(Boolean).sort((a, b) => b.written - a.written);
+    const stale = byAge.filter((item, index) => index >= maxEntries || now - item.written >= ttl);
+    await Promise.all(stale.map(item => fs.unlink(path.join(dir, item.file)).catch(() => {})));
+  }
+
+  return {
+    async get(namespace, key) {
+      const store = storeFor(namespace);
+      const record = await store.get(key);
+      if (!record) return null;
+      if (record.expiresAt <= Date.now()) {
+        await store.remove(key);
+        return null;
+      }
+      return { value: record.value, cachedAt: record.cachedAt, expiresAt: record.expiresAt };
+    },
+
+    async set(namespace, key, entry, settings) {
+      await storeFor(namespace).put(key, entry);
+      const count = (writes.get(namespace) || 0) + 1;
+      writes.set(namespace, count % DISK_PRUNE_EVERY);
+      if (count === DISK_PRUNE_EVERY) await prune(namespace, settings);
+    }
+  };
+}
+
+/**
+ * Entries are plain keys with a PX expiry; a sorted set per namespace,
+ * scored by write time, finds the oldest to evict
+ */
+function createRedisBackend() {
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL environment variable is required for the redis cache backend');
+  }
+  const client = createRedisClient(process.env.REDIS_URL, {
+    timeout: parseInt(process.env.CACHE_TIMEOUT) || 2000
+  });
+  const prefix = process.env.CACHE_REDIS_PREFIX || 'openquill:cache:';
+  const keyOf = (namespace, key) => `${prefix}${namespace}:${key}`;
+  const indexOf = (namespace) => `${prefix}${namespace}:index`;
+
+  return {
+    async get(namespace, key) {
+      const raw = await client.command('GET', keyOf(namespace, key));
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(namespace, key, entry, { ttl, maxEntries }) {
+      const now = Date.now();
+      const index = indexOf(namespace);
+      await client.command('SET', keyOf(namespace, key), JSON.stringify(entry), 'PX', ttl);
+      await client.command('ZADD', index, now, keyOf(namespace, key));
+      // Keys Redis already expired leave the index by age
+      await client.command('ZREMRANGEBYSCORE', index, '-inf', now - ttl);
+
+      const count = await client.command('ZCARD', index);
+      if (count > maxEntries) {
+        const oldest = await client.command('ZRANGE', index, 0, count - maxEntries - 1);
+        await client.command('DEL', ...oldest);
+        await client.command('ZREM', index, ...oldest);
+      }
+    }
+  };
+}
+
+const backendFactories = {
+  memory: createMemoryBackend,
+  disk: createDiskBackend,
+  redis: createRedisBackend
+};
+
+// One backend per process, made on first use so a misconfigured one only affects caching
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const id = (process.env.CACHE_BACKEND || DEFAULT_BACKEND).toLowerCase();
+    if (!backendFactories[id]) {
+      throw new Error(`Unknown cache backend "${id}". Must be one of: ${Object.keys(backendFactories).join(', ')}`);
+    }
+    backend = backendFactories[id]();
+  }
+  return backend;
+}
+
+/**
+ * TTL (milliseconds) and size bounds for a namespace
+ * @param {string} namespace
+ * @returns {{ttl: number, maxEntries: number, maxEntryBytes: number}}
+ */
+function cacheSettings(namespace) {
+  const key = namespace.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const defaults = NAMESPACE_DEFAULTS[namespace] || FALLBACK_SETTINGS;
+  const read = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    ttl: read(`CACHE_${key}_TTL`, defaults.ttl) * 1000,
+    maxEntries: Math.max(1, read(`CACHE_${key}_MAX_ENTRIES`, defaults.maxEntries)),
+    maxEntryBytes: read('CACHE_MAX_ENTRY_BYTES', DEFAULT_MAX_ENTRY_BYTES)
+  };
+}
+
+/**
+ * The same input however its keys were ordered, and unless told otherwise
+ * however it was spaced: object keys are sorted, undefined is dropped and
+ * strings have their whitespace collapsed
+ * @param {*} input
+ * @param {boolean} [collapseWhitespace=true] - False to keep strings as they are
+ * @returns {*}
+ */
+function normalizeInput(input, collapseWhitespace = true) {
+  if (typeof input === 'string') return collapseWhitespace ? input.replace(/\s+/g, ' ').trim() : input;
+  if (Array.isArray(input)) return input.map(item => normalizeInput(item, collapseWhitespace));
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(
+      Object.keys(input)
+        .sort()
+        .filter(key => input[key] !== undefined)
+        .map(key => [key, normalizeInput(input[key], collapseWhitespace)])
+    );
+  }
+  return input;
+}
+
+/**
+ * Create the cache for one route
+ * @param {string} namespace - e.g. 'research'; names the TTL and size settings
+ * @param {Object} [options]
+ * @param {string[]} [options.features] - LLM features the responses depend on
+ * @param {boolean} [options.normalize=true] - Collapse whitespace in the input's
+ *   strings; off where spacing changes the response, as for autocomplete
+ * @returns {{wrap: function(*, function(): Promise<*>, Object=): Promise<{value: *, cache: CacheStatus}>}}
+ */
+function createResponseCache(namespace, options = {}) {
+  const { features = [], normalize = true } = options;
+
+  const keyFor = (input) => {
+    const models = features.map(feature => {
+      const { provider, model } = resolveFeatureConfig(feature);
+      return `${feature}:${provider}:${model}`;
+    });
+    return crypto.createHash('sha256').update(JSON.stringify([models, normalizeInput(input, normalize)])).digest('hex');
+  };
+
+  return {
+    /**
+     * The cached response for an input, or compute() and cache its result
+     * @param {*} input - What the response depends on, e.g. the request fields
+     * @param {function(): Promise<*>} compute
+     * @param {Object} [options]
+     * @param {function(*): boolean} [options.shouldCache] - False for results not
+     *   worth keeping, e.g. a search that found nothing
+     * @returns {Promise<{value: *, cache: CacheStatus}>}
+     */
+    async wrap(input, compute, options = {}) {
+      const { shouldCache = () => true } = options;
+      const settings = cacheSettings(namespace);
+      if (settings.ttl === 0) {
+        return { value: await compute(), cache: { hit: false } };
+      }
+
+      const key = keyFor(input);
+      try {
+        const entry = await getBackend().get(namespace, key);
+        if (entry) return { value: entry.value, cache: { hit: true, cachedAt: entry.cachedAt } };
+      } catch (error) {
+        console.warn(`Cache read failed (${namespace}):`, error.message);
+      }
+
+      const value = await compute();
+      if (!shouldCache(value)) return { value, cache: { hit: false } };
+      const budgets = await Promise.all(features.map(feature => checkBudget(feature)));
+      if (budgets.some(budget => !budget.allowed)) return { value, cache: { hit: false } };
+
+      const entry = { value, cachedAt: new Date().toISOString(), expiresAt: Date.now() + settings.ttl };
+      if (Buffer.byteLength(JSON.stringify(entry)) <= settings.maxEntryBytes) {
+        try {
+          await getBackend().set(namespace, key, entry, settings);
+        } catch (error) {
+          console.warn(`Cache write failed (${namespace}):`, error.message);
+        }
+      }
+      return { value, cache: { hit: false } };
+    }
+  };
+}
+
+module.exports = {
+  createResponseCache
+};
@@ -0,0 +1,386 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore, getDataDir } = require('./json_store');
+const { parseSource } = require('./source_parsers');
+const { resolveFeatureConfig } = require('./llm_service');
+const { checkBudget } = require('./usage_ledger');
+const {
+  analyzeUserNeeds,
+  extractFromSource,
+  rankEvidence,
+  chunkText,
+  MINING_DEFAULTS
+} = require('./quote_finder');
+const { indexDocument, hasDocument, removeDocument, search } = require('./vector_index');
+
+/**
+ * Source library: uploaded evidence files kept between sessions, so evidence
+ * matching can be re-run against any of them as the draft changes.
+ *
+ * Three things are stored under the data dir:
+ *   sources/             one record per saved file: name, format, metadata, hash
+ *   source-files/        the uploaded bytes, named by SHA-256 content hash
+ *   source-extractions/  extracted statistics and quotes, keyed by content hash
+ *                        and the extraction settings, so the same file is only
+ *                        mined once per model; partial extractions are not
+ *                        kept, so they are tried again
+ *
+ * Each source's passages and extracted items are also embedded into the
+ * vector index (see vector_index.js), so matching shortlists by similarity
+ * before the model reranks.
+ */
+
+const store = createJsonStore('sources');
+const extractionStore = createJsonStore('source-extractions');
+
+const filesDir = () => path.join(getDataDir(), 'source-files');
+
+// Uploads past this size are refused, since every saved file is kept on disk for good
+const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+
+// Passages embedded for retrieval are much shorter than extraction chunks
+const PASSAGE_CHUNKING = { chunkSize: 1000, overlap: 150 };
+
+/**
+ * @typedef {Object} Extraction
+ * @property {Object[]} statistics
+ * @property {Object[]} quotes
+ * @property {import('./quote_finder').CoverageReport} coverage
+ * @property {boolean} cached - Whether it came from the cache
+ */
+
+/**
+ * @typedef {Object} SourceSummary
+ * @property {string} id
+ * @property {string} filename
+ * @property {string} format
+ * @property {string} [title]
+ * @property {string} [author]
+ * @property {number} [pageCount]
+ * @property {number} size - Bytes
+ * @property {string} contentHash
+ * @property {number} statisticsCount
+ * @property {number} quotesCount
+ * @property {import('./quote_finder').CoverageReport} coverage
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * SHA-256 of a file's bytes
+ * @param {Buffer} buffer
+ * @returns {string} Hex digest
+ */
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// A cached extraction only applies to the model and chunking that produced it
+function extractionKey(hash) {
+  const { provider, model } = resolveFeatureConfig('evidence');
+  const settings = [provider, model, MINING_DEFAULTS.chunkSize, MINING_DEFAULTS.overlap, MINING_DEFAULTS.maxChunks].join(':');
+  return contentHash(Buffer.from(`${hash}:${settings}`));
+}
+
+/**
+ * Extract statistics and quotes from a parsed source, reusing an earlier
+ * complete extraction of the same content when there is one
+ * @param {import('./source_parsers').ParsedSource} source - Result of parseSource
+ * @param {string} hash - contentHash of the file the source was parsed from
+ * @returns {Promise<Extraction>}
+ */
+async function extractSource(source, hash) {
+  const key = extractionKey(hash);
+  const cached = await extractionStore.get(key);
+  if (cached) {
+    return { statistics: cached.statistics, quotes: cached.quotes, coverage: cached.coverage, cached: true };
+  }
+
+  const extracted = await extractFromSource(source.text, source);
+  // A run with failed chunks, or answered by the local fallback while over
+  // budget, is not what the model would extract; the next use tries again
+  const budget = await checkBudget('evidence');
+  if (extracted.coverage.chunks.failed === 0 && budget.allowed) {
+    await extractionStore.put(key, { contentHash: hash, ...extracted });
+  }
+  return { ...extracted, cached: false };
+}
+
+// Index documents follow the extraction, since they hold its items too
+const indexDocId = (hash) => `source:${extractionKey(hash)}`;
+
+const evidenceText = (item) => `${item.text} ${item.context || ''}`;
+
+/**
+ * Embed a source's passages and extracted items into the vector index
+ * @param {string} hash - contentHash of the source's file
+ * @param {import('./source_parsers').ParsedSource} source
+ * @param {Extraction} extracted
+ */
+async function indexSource(hash, source, extracted) {
+  const entries = [
+    ...chunkText(source.text, PASSAGE_CHUNKING).map(chunk => ({
+      key: `passage:${chunk.index}`,
+      text: chunk.text,
+      data: { start: chunk.start, end: chunk.end }
+    })),
+    ...extracted.statistics.map((item, index) => ({ key: `statistic:${index}`, text: evidenceText(item) })),
+    ...extracted.quotes.map((item, index) => ({ key: `quote:${index}`, text: evidenceText(item) }))
+  ];
+  await indexDocument(indexDocId(hash), entries);
+}
+
+/**
+ * Index a saved source that is not yet in the vector index under the current
+ * embedding model, e.g. one saved before the model changed, or whose items
+ * were just extracted again
+ */
+async function ensureIndexed(record, extracted) {
+  if (extracted.cached && await hasDocument(indexDocId(record.contentHash))) return;
+  const buffer = await fs.readFile(path.join(filesDir(), record.contentHash));
+  await indexSource(record.contentHash, await parseSource(record.filename, buffer), extracted);
+}
+
+/**
+ * List view of a source; the extracted items are only loaded for matching
+ * @returns {SourceSummary}
+ */
+function summarize(record) {
+  return {
+    id: record.id,
+    filename: record.filename,
+    format: record.format,
+    title: record.title,
+    author: record.author,
+    pageCount: record.pageCount,
+    size: record.size,
+    contentHash: record.contentHash,
+    statisticsCount: record.statisticsCount,
+    quotesCount: record.quotesCount,
+    coverage: record.coverage,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * List saved sources, most recently added first
+ * @returns {Promise<SourceSummary[]>}
+ */
+async function listSources() {
+  const records = await store.list();
+  return records
+    .map(summarize)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Save an uploaded file to the library and extract its evidence. A file whose
+ * content is already in the library is not stored twice.
+ * @param {import('./source_parsers').ParsedSource} source - The file parsed with parseSource
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{source: SourceSummary, created: boolean}>} The source summary, and
+ *   whether it is new to the library
+ */
+async function addSource(source, buffer) {
+  const hash = contentHash(buffer);
+  const existing = (await store.list()).find(record => record.contentHash === hash);
+  if (existing) return { source: summarize(existing), created: false };
+
+  const extracted = await extractSource(source, hash);
+  await indexSource(hash, source, extracted);
+
+  await fs.mkdir(filesDir(), { recursive: true });
+  await fs.writeFile(path.join(filesDir(), hash), buffer);
+
+  const record = await store.create({
+    filename: source.filename,
+    format: source.format,
+    title: source.metadata.title,
+    author: source.metadata.author,
+    pageCount: source.metadata.pageCount,
+    size: buffer.length,
+    contentHash: hash,
+    statisticsCount: extracted.statistics.length,
+    quotesCount: extracted.quotes.length,
+    coverage: extracted.coverage
+  });
+  return { source: summarize(record), created: true };
+}
+
+/**
+ * Extracted statistics and quotes of a saved source. Sources extracted with
+ * a different model or chunking, or only partly extracted before, are
+ * re-read from the stored file.
+ * @param {Object} record - Stored source record
+ * @returns {Promise<Extraction>}
+ */
+async function extractionFor(record) {
+  const cached = await extractionStore.get(extractionKey(record.contentHash));
+  if (cached) {
+    return { statistics: cached.statistics, quotes: cached.quotes, coverage: cached.coverage, cached: true };
+  }
+  const buffer = await fs.readFile(path.join(filesDir(), record.contentHash));
+  const extracted = await extractSource(await parseSource(record.filename, buffer), record.contentHash);
+  await store.update(record.id, {
+    statisticsCount: extracted.statistics.length,
+    quotesCount: extracted.quotes.length,
+    coverage: extracted.coverage
+  });
+  return extracted;
+}
+
+/**
+ * Load a saved source with its extracted statistics and quotes
+ * @param {string} id - Source id
+ * @returns {Promise<Object|null>}
+ */
+async function getSource(id) {
+  const record = await store.get(id);
+  if (!record) return null;
+  const extracted = await extractionFor(record);
+  return { ...summarize(record), statistics: extracted.statistics, quotes: extracted.quotes };
+}
+
+/**
+ * Remove a source from the library, with its file and cached extractions
+ * @param {string} id - Source id
+ * @returns {Promise<boolean>} Whether a source was removed
+ */
+async function removeSource(id) {
+  const record = await store.get(id);
+  if (!record || !(await store.remove(id))) return false;
+
+  await fs.unlink(path.join(filesDir(), record.contentHash)).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+  const extractions = (await extractionStore.list())
+    .filter(extraction => extraction.contentHash === record.contentHash);
+  await Promise.all(extractions.map(async extraction => {
+    await extractionStore.remove(extraction.id);
+    await removeDocument(`source:${extraction.id}`);
+  }));
+  // Indexed even when its extraction was not kept
+  await removeDocument(indexDocId(record.contentHash));
+  return true;
+}
+
+/**
+ * @typedef {Object} SourceMatch
+ * @property {import('./quote_finder').UserContext} userContext
+ * @property {Object[]} statistics - Best statistics, each with relevanceScore, relevanceReason, sourceId and sourceFile
+ * @property {Object[]} quotes - Best quotes, likewise
+ * @property {Array<SourceSummary & {totalStatsFound: number, totalQuotesFound: number}>} sources - The sources matched
+ * @property {number} scoredCount - Candidates shortlisted for reranking
+ * @property {string} recommendations - How to work the evidence into the text
+ */
+
+/**
+ * Shortlist candidates through the vector index. An item scores as well as
+ * the best passage it sits in, so evidence in a closely matching passage is
+ * kept even when its own wording differs from the query.
+ * @param {Map<string, string>} docIdBySource - Index document of each source id
+ * @returns {Function} A retrieve function for rankEvidence
+ */
+function indexRetriever(docIdBySource) {
+  return async (query, items, limit) => {
+    const hits = await search(query, { docIds: [...new Set(docIdBySource.values())], limit: Infinity });
+
+    const itemScores = new Map();
+    const passages = new Map();
+    for (const hit of hits) {
+      if (hit.key.startsWith('passage:')) {
+        if (!passages.has(hit.docId)) passages.set(hit.docId, []);
+        passages.get(hit.docId).push({ ...hit.data, score: hit.score });
+      } else {
+        const key = `${hit.docId}\n${hit.text}`;
+        itemScores.set(key, Math.max(itemScores.get(key) ?? -1, hit.score));
+      }
+    }
+
+    const scoreOf = (item) => {
+      const docId = docIdBySource.get(item.sourceId);
+      let score = itemScores.get(`${docId}\n${evidenceText(item)}`) ?? -1;
+      if (item.span) {
+        for (const passage of passages.get(docId) || []) {
+          if (passage.start <= item.span.start && item.span.end <= passage.end) score = Math.max(score, passage.score);
+        }
+      }
+      return score;
+    };
+
+    return items
+      .map(item => ({ item, score: scoreOf(item) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ item }) => item);
+  };
+}
+
+/**
+ * Match the user's text against saved sources: analyze what the text needs,
+ * shortlist the cached statistics and quotes of every chosen source by
+ * similarity to the query, and rerank the shortlist together
+ * @param {string} userText - The user's written content
+ * @param {string[]} [sourceIds] - Sources to match against; all of them when omitted
+ * @param {Object} [options] - maxStats, maxQuotes, relevanceThreshold, maxScored
+ *   and query (see findRelevantEvidence in quote_finder.js)
+ * @returns {Promise<SourceMatch|null>} Null when none of the requested sources exist
+ */
+async function matchSources(userText, sourceIds, options = {}) {
+  if (!userText) {
+    throw new Error('userText is required');
+  }
+
+  const records = sourceIds && sourceIds.length > 0
+    ? (await Promise.all(sourceIds.map(id => store.get(id)))).filter(Boolean)
+    : await store.list();
+  if (records.length === 0) return null;
+
+  const [userContext, extractions] = await Promise.all([
+    analyzeUserNeeds(userText),
+    Promise.all(records.map(extractionFor))
+  ]);
+  await Promise.all(records.map((record, index) => ensureIndexed(record, extractions[index])));
+
+  // Tag every candidate with the source it came from, so it can be cited
+  const candidates = { statistics: [], quotes: [] };
+  records.forEach((record, index) => {
+    for (const kind of ['statistics', 'quotes']) {
+      for (const item of extractions[index][kind]) {
+        candidates[kind].push({ ...item, sourceId: record.id, sourceFile: record.filename });
+      }
+    }
+  });
+
+  const docIdBySource = new Map(records.map(record => [record.id, indexDocId(record.contentHash)]));
+  const ranked = await rankEvidence(userText, userContext, candidates, {
+    ...options,
+    retrieve: indexRetriever(docIdBySource)
+  });
+  return {
+    userContext,
+    statistics: ranked.statistics,
+    quotes: ranked.quotes,
+    sources: records.map((record, index) => ({
+      ...summarize(record),
+      totalStatsFound: extractions[index].statistics.length,
+      totalQuotesFound: extractions[index].quotes.length,
+      coverage: extractions[index].coverage
+    })),
+    scoredCount: ranked.scoredCount,
+    recommendations: ranked.recommendations
+  };
+}
+
+module.exports = {
+  contentHash,
+  extractSource,
+  listSources,
+  addSource,
+  getSource,
+  removeSource,
+  matchSources,
+  MAX_SOURCE_BYTES
+};
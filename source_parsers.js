@@ -0,0 +1,364 @@
+const { parseHtml, parseDocx } = require('./markup_parsers');
+const { readPdf } = require('./pdf_reader');
+
+/**
+ * Source parsing layer for evidence extraction. Each parser turns the bytes
+ * of an uploaded source into:
+ *   text      plain text the evidence pipeline reads and quotes from
+ *   segments  [{start, end, page?, section?, row?}] character ranges of text
+ *             with their place in the original file
+ *   metadata  {title?, author?, pageCount?} when the file says
+ *
+ * Positions let a quote found at some offset be cited as "p. 4" or
+ * "§ Methods" instead of a character index. Parsers run locally; add one
+ * with registerSourceParser().
+ */
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {number} offset - Index into the extracted text
+ * @property {number} line - Line of the extracted text
+ * @property {number} [page] - 1-based page (PDF)
+ * @property {string} [section] - Nearest heading or top-level key
+ * @property {number} [row] - Spreadsheet row (CSV) or array index (JSON)
+ * @property {string} label - Citable form, e.g. "p. 4" or "§ Methods"
+ */
+
+/**
+ * @typedef {Object} ParsedSource
+ * @property {string} format - Id of the parser that read the file
+ * @property {string} filename
+ * @property {string} text
+ * @property {Array<{start: number, end: number, page?: number, section?: string, row?: number}>} segments
+ * @property {{title?: string, author?: string, pageCount?: number, rowCount?: number}} metadata
+ */
+
+const parsers = [];
+
+/**
+ * Add a parser for one or more file extensions; later registrations win
+ * @param {Object} parser
+ * @param {string} parser.id - Short format name, e.g. 'pdf'
+ * @param {string[]} parser.extensions - Lowercase extensions without the dot
+ * @param {(buffer: Buffer, filename: string) => Object|Promise<Object>} parser.parse - Returns {text, segments, metadata}
+ */
+function registerSourceParser(parser) {
+  parsers.unshift(parser);
+}
+
+function extensionOf(filename) {
+  const match = String(filename).toLowerCase().match(/\.([^./\\]+)$/);
+  return match ? match[1] : '';
+}
+
+function getSourceParser(filename) {
+  const extension = extensionOf(filename);
+  return parsers.find(parser => parser.extensions.includes(extension)) || null;
+}
+
+function supportedExtensions() {
+  return [...new Set(parsers.flatMap(parser => parser.extensions))].sort();
+}
+
+/**
+ * Builds text and segments together so offsets always line up
+ */
+function createTextBuilder() {
+  let text = '';
+  const segments = [];
+  return {
+    add(part, position = {}, separator = '\n\n') {
+      if (!part) return;
+      if (text) text += separator;
+      const start = text.length;
+      text += part;
+      segments.push({ start, end: text.length, ...position });
+    },
+    result(metadata = {}) {
+      return { text, segments, metadata };
+    }
+  };
+}
+
+// Markup block model (see markup_parsers.js) to text, one segment per block under its heading
+function blocksToSource(blocks, metadata) {
+  const builder = createTextBuilder();
+  const runsText = (runs) => runs.map(run => (run.type === 'text' ? run.text : '\n')).join('').trim();
+  let section = null;
+  for (const block of blocks) {
+    if (block.type === 'list') {
+      const items = block.items.map(item => runsText(item.runs)).filter(Boolean).join('\n');
+      builder.add(items, section ? { section } : {});
+      continue;
+    }
+    const text = runsText(block.runs);
+    if (block.type === 'heading') section = text;
+    builder.add(text, section ? { section } : {});
+  }
+  return builder.result(metadata);
+}
+
+function parsePlainText(buffer) {
+  const text = buffer.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  return { text, segments: [{ start: 0, end: text.length }], metadata: {} };
+}
+
+// Markdown stays as written; ATX headings (# Title) mark the sections
+function parseMarkdown(buffer) {
+  const text = buffer.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  const segments = [];
+  let section = null;
+  let start = 0;
+  let fenced = false;
+  const pattern = /^.*$/gm;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (/^\s*(```|~~~)/.test(match[0])) fenced = !fenced;
+    const heading = !fenced && match[0].match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (match.index > start) segments.push({ start, end: match.index, ...(section ? { section } : {}) });
+      section = heading[1];
+      start = match.index;
+    }
+    if (match[0].length === 0) pattern.lastIndex++;
+  }
+  segments.push({ start, end: text.length, ...(section ? { section } : {}) });
+
+  const title = text.match(/^#\s+(.+?)\s*#*\s*$/m);
+  return { text, segments, metadata: title ? { title: title[1] } : {} };
+}
+
+function parseJson(buffer) {
+  const raw = buffer.toString('utf8').replace(/^﻿/, '');
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const builder = createTextBuilder();
+  const format = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  if (Array.isArray(data)) {
+    // Arrays of records read like table rows
+    data.forEach((item, index) => builder.add(format(item), { row: index + 1 }));
+  } else if (data && typeof data === 'object') {
+    for (const [key, value] of Object.entries(data)) builder.add(`${key}: ${format(value)}`, { section: key });
+  } else {
+    builder.add(format(data));
+  }
+  return builder.result();
+}
+
+/**
+ * Split delimited text into rows, honouring quoted fields with embedded
+ * delimiters, quotes ("") and newlines
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Each data row becomes "Column: value; Column: value", cited by its spreadsheet row number
+function parseCsv(buffer, filename) {
+  const text = buffer.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  const firstLine = text.split('\n', 1)[0];
+  const delimiter = extensionOf(filename) === 'tsv'
+    ? '\t'
+    : [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = parseDelimited(text, delimiter);
+  const builder = createTextBuilder();
+  if (rows.length === 0) return builder.result();
+
+  const header = rows[0].map((cell, index) => cell.trim() || `Column ${index + 1}`);
+  rows.slice(1).forEach((cells, index) => {
+    const line = cells
+      .map((cell, column) => (cell.trim() ? `${header[column] || `Column ${column + 1}`}: ${cell.trim()}` : null))
+      .filter(Boolean)
+      .join('; ');
+    builder.add(line, { row: index + 2 }, '\n');
+  });
+  return builder.result({ rowCount: rows.length - 1, columns: header });
+}
+
+// Total decompressed size allowed for a PDF's streams, well past any real document
+const MAX_PDF_STREAM_BYTES = 128 * 1024 * 1024;
+
+function parsePdfSource(buffer) {
+  const pdf = readPdf(buffer, { maxBytes: MAX_PDF_STREAM_BYTES });
+  const builder = createTextBuilder();
+  pdf.pages.forEach((pageText, index) => builder.add(pageText, { page: index + 1 }));
+  const result = builder.result({ title: pdf.title, author: pdf.author, pageCount: pdf.pages.length });
+  if (!result.text.trim()) {
+    throw new Error('No extractable text found in this PDF. Scanned documents need OCR before they can be used as sources.');
+  }
+  return result;
+}
+
+registerSourceParser({ id: 'text', extensions: ['txt', 'text'], parse: parsePlainText });
+registerSourceParser({ id: 'markdown', extensions: ['md', 'markdown'], parse: parseMarkdown });
+registerSourceParser({ id: 'json', extensions: ['json'], parse: parseJson });
+registerSourceParser({ id: 'csv', extensions: ['csv', 'tsv'], parse: parseCsv });
+registerSourceParser({
+  id: 'html',
+  extensions: ['html', 'htm'],
+  parse: (buffer) => {
+    const { title, blocks } = parseHtml(buffer.toString('utf8'));
+    return blocksToSource(blocks, title ? { title } : {});
+  }
+});
+registerSourceParser({
+  id: 'docx',
+  extensions: ['docx'],
+  parse: (buffer) => {
+    const { title, blocks } = parseDocx(buffer);
+    return blocksToSource(blocks, title ? { title } : {});
+  }
+});
+registerSourceParser({ id: 'pdf', extensions: ['pdf'], parse: parsePdfSource });
+
+/**
+ * Parse a source file with the parser registered for its extension
+ * @param {string} filename - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<ParsedSource>}
+ */
+async function parseSource(filename, buffer) {
+  const parser = getSourceParser(filename);
+  if (!parser) {
+    throw new Error(`Unsupported source type. Supported types: ${supportedExtensions().map(ext => `.${ext}`).join(', ')}`);
+  }
+  const parsed = await parser.parse(buffer, filename);
+  return {
+    format: parser.id,
+    filename,
+    text: parsed.text,
+    segments: parsed.segments || [],
+    metadata: parsed.metadata || {}
+  };
+}
+
+/**
+ * Where a character offset falls in the original file
+ * @param {ParsedSource} source - Result of parseSource
+ * @param {number} offset - Index into source.text
+ * @returns {SourceLocation}
+ */
+function locateOffset(source, offset) {
+  const segment = source.segments.find(candidate => offset >= candidate.start && offset < candidate.end)
+    || source.segments.filter(candidate => candidate.start <= offset).pop()
+    || {};
+  const line = source.text.slice(0, offset).split('\n').length;
+  /** @type {SourceLocation} */
+  const location = { offset, line, label: '' };
+  const parts = [];
+  if (segment.page) {
+    location.page = segment.page;
+    parts.push(`p. ${segment.page}`);
+  }
+  if (segment.section) {
+    location.section = segment.section;
+    parts.push(`§ ${segment.section.length > 60 ? `${segment.section.slice(0, 57)}...` : segment.section}`);
+  }
+  if (segment.row) {
+    location.row = segment.row;
+    parts.push(`row ${segment.row}`);
+  }
+  location.label = parts.length > 0 ? parts.join(', ') : `line ${line}`;
+  return location;
+}
+
+// Comparable form of text: one space for any whitespace run, straight quotes, plain hyphens
+function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  let pendingSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      map.push(i);
+      pendingSpace = false;
+    }
+    if ('‘’‚‛′'.includes(char)) char = "'";
+    else if ('“”„‟″'.includes(char)) char = '"';
+    else if ('‐‑‒–—―−'.includes(char)) char = '-';
+    normalized += char.toLowerCase();
+    map.push(i);
+  }
+  return { normalized, map };
+}
+
+/**
+ * Find a snippet (a quote or statistic) in the source text, tolerating
+ * differences in whitespace, case, curly quotes and dashes
+ * @param {ParsedSource} source - Result of parseSource
+ * @param {string} snippet - Text to look for
+ * @param {{from?: number, to?: number}} [range] - Only search this part of the text
+ * @returns {{start: number, end: number, location: SourceLocation}|null}
+ */
+function findInSource(source, snippet, range = {}) {
+  const needle = String(snippet || '').trim();
+  if (!needle) return null;
+  const from = range.from || 0;
+  const text = source.text.slice(from, range.to ?? source.text.length);
+
+  let start = text.indexOf(needle);
+  let end = start + needle.length;
+  if (start < 0) {
+    const haystack = normalizeWithMap(text);
+    const target = normalizeWithMap(needle).normalized;
+    const index = haystack.normalized.indexOf(target);
+    if (index < 0) return null;
+    start = haystack.map[index];
+    end = haystack.map[index + target.length - 1] + 1;
+  }
+  return { start: from + start, end: from + end, location: locateOffset(source, from + start) };
+}
+
+module.exports = {
+  registerSourceParser,
+  getSourceParser,
+  supportedExtensions,
+  parseSource,
+  locateOffset,
+  findInSource
+};
@@ -1,17 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
-import OpenAI from 'openai';
-
-// Lazy OpenAI client initialization
-let openaiClient: OpenAI | null = null;
-
-function getOpenAIClient(): OpenAI {
-  if (!openaiClient) {
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openaiClient;
-}
+import { complete, stream as llmStream, isFeatureConfigured, describeMissingConfig, BudgetExceededError } from '../../../../llm_service.js';
+import { createResponseCache } from '../../../../response_cache.js';
 
 // Tone modifiers for natural continuation
 const TONE_MODIFIERS = {
@@ -46,14 +35,67 @@ const GENRE_CONTEXT = {
   education: "keeping educational clarity"
 } as const;
 
+// Structure hints so alternatives can differ by structure as well
+const STRUCTURE_CONTEXT = {
+  chronological: "following events in time order",
+  "problem-solution": "moving from the problem toward a solution",
+  "cause-effect": "linking causes to their effects",
+  "compare-contrast": "weighing similarities and differences",
+  "question-answer": "answering the question that was raised",
+  "counter-argument": "addressing the opposing view",
+  "for and against": "balancing arguments for and against",
+  list: "continuing the list of points",
+  "inverted pyramid": "leading with the most important information",
+  narrative: "advancing the narrative"
+} as const;
+
+// Offline continuations used by the mock LLM provider
+const MOCK_CONTINUATIONS: Record<string, string> = {
+  persuasive: "which is exactly why we should act on this now",
+  informative: "and there are a few details worth explaining here",
+  descriptive: "with every detail standing out in sharp relief",
+  flattering: "which speaks to your remarkable attention to detail",
+  narrative: "and that was only the beginning of the story"
+};
+
 type ToneType = keyof typeof TONE_MODIFIERS;
 type PurposeType = keyof typeof PURPOSE_CONTEXT;
 type GenreType = keyof typeof GENRE_CONTEXT;
-type StructureType = 'chronological' | 'problem-solution' | 'cause-effect' | 'compare-contrast' | 'question-answer' | 'counter-argument' | 'for and against' | 'list' | 'inverted pyramid' | 'narrative';
+type StructureType = keyof typeof STRUCTURE_CONTEXT;
+type VaryType = 'tone' | 'purpose' | 'genre' | 'structure';
 
-// Request deduplication cache with optimized expiry
-const requestCache = new Map<string, { suggestion: string; timestamp: number }>();
-const CACHE_EXPIRY = 30 * 1000; // 30 seconds - shorter for more responsive caching
+interface SuggestionSettings {
+  tone: ToneType;
+  purpose: PurposeType;
+  genre: GenreType;
+  structure: StructureType;
+}
+
+// One ranked alternative, labelled with the settings that produced it
+interface AutocompleteCandidate extends SuggestionSettings {
+  text: string;
+  rank: number;
+}
+
+// Values each setting can be varied through when generating alternatives
+const VARY_OPTIONS: Record<VaryType, string[]> = {
+  tone: Object.keys(TONE_MODIFIERS),
+  purpose: Object.keys(PURPOSE_CONTEXT),
+  genre: Object.keys(GENRE_CONTEXT),
+  structure: Object.keys(STRUCTURE_CONTEXT)
+};
+
+const MAX_ALTERNATIVES = 5;
+
+// Stores the full candidate set, so a repeated request gets every alternative back.
+// Text is keyed as the model sees it: trimmed, but with the line breaks and
+// spacing inside it, which change the continuation
+const suggestionCache = createResponseCache('autocomplete', { features: ['autocomplete'], normalize: false });
+
+interface CacheStatus {
+  hit: boolean;
+  cachedAt?: string;
+}
 
 interface AutocompleteRequest {
   text: string;
@@ -62,40 +104,38 @@ interface AutocompleteRequest {
   genre: string;
   structure: string;
   context?: string;
+  stream?: boolean;
+  count?: number;
+  vary?: string;
 }
 
 interface AutocompleteResponse {
   suggestion?: string;
+  suggestions?: AutocompleteCandidate[];
   tone?: string;
   purpose?: string;
   genre?: string;
   structure?: string;
   status?: string;
+  cache?: CacheStatus;
+  // Why no suggestion was generated, when the feature is over its daily budget
+  degraded?: string;
   error?: string;
   details?: string;
 }
 
-async function generateAutocomplete(text: string, tone: ToneType, purpose: PurposeType, genre: GenreType, structure: StructureType, context?: string): Promise<string> {
-  try {
-    // Get lazy-initialized OpenAI client
-    const openai = getOpenAIClient();
-    
-    // Check cache first
-    const cacheKey = `${text}_${tone}_${purpose}_${genre}_${structure}_${context || ''}`;
-    const currentTime = Date.now();
-    
-    const cached = requestCache.get(cacheKey);
-    if (cached && currentTime - cached.timestamp < CACHE_EXPIRY) {
-      return cached.suggestion;
-    }
-    
-    // Create a natural, context-aware system prompt
-    const toneHint = TONE_MODIFIERS[tone] || TONE_MODIFIERS.professional;
-    const purposeHint = PURPOSE_CONTEXT[purpose] || PURPOSE_CONTEXT.informative;
-    const genreHint = GENRE_CONTEXT[genre] || GENRE_CONTEXT.email;
-    
-    // Much simpler and more natural system prompt
-    const systemPrompt = `You are a helpful writing assistant. Your job is to naturally continue the text the user provides, ${toneHint}. The continuation should be contextually appropriate and ${purposeHint} in a way that's ${genreHint}.${context ? ` Context: ${context}` : ''}
+// Build the provider-neutral LLM request for a continuation; variant > 0 samples more freely
+function buildAutocompleteRequest(text: string, settings: SuggestionSettings, context?: string, variant = 0) {
+  const { tone, purpose, genre, structure } = settings;
+
+  // Create a natural, context-aware system prompt
+  const toneHint = TONE_MODIFIERS[tone] || TONE_MODIFIERS.professional;
+  const purposeHint = PURPOSE_CONTEXT[purpose] || PURPOSE_CONTEXT.informative;
+  const genreHint = GENRE_CONTEXT[genre] || GENRE_CONTEXT.email;
+  const structureHint = STRUCTURE_CONTEXT[structure] ? ` Where it fits, keep ${STRUCTURE_CONTEXT[structure]}.` : '';
+  
+  // Much simpler and more natural system prompt
+  const systemPrompt = `You are a helpful writing assistant. Your job is to naturally continue the text the user provides, ${toneHint}. The continuation should be contextually appropriate and ${purposeHint} in a way that's ${genreHint}.${structureHint}${context ? ` Context: ${context}` : ''}
 
 Important guidelines:
 - Continue the text naturally and coherently
@@ -104,60 +144,240 @@ Important guidelines:
 - Provide only the next logical words or phrase (3-15 words typically)
 - Don't add formatting, headers, or structure unless it naturally fits
 - Focus on what would logically come next in the sentence or thought`;
-    
-    // Debug logging to verify context is being received
-    if (context) {
-      console.log('🔍 Context received:', context);
+  
+  // Debug logging to verify context is being received
+  if (context && variant === 0) {
+    console.log('🔍 Context received:', context);
+  }
+
+  const mockOptions = Object.values(MOCK_CONTINUATIONS);
+  const mockIndex = Math.max(0, Object.keys(MOCK_CONTINUATIONS).indexOf(purpose));
+  
+  // Request optimized for speed; the model comes from the autocomplete feature config
+  return {
+    system: systemPrompt,
+    messages: [
+      { role: "user", content: `Continue this text naturally: "${text}"` }
+    ],
+    maxTokens: 45, // Reduced for faster response while maintaining quality
+    temperature: Math.min(1, 0.7 + variant * 0.1), // Optimized for speed vs creativity balance
+    topP: 0.9,
+    frequencyPenalty: 0.1, // Reduced processing overhead
+    presencePenalty: 0.05,
+    stop: ["\n\n", "...", "***"],
+    mockResponse: mockOptions[(mockIndex + variant) % mockOptions.length],
+    // The mock continuations are placeholders, so over budget there is no suggestion rather than one of them
+    budgetFallback: false
+  };
+}
+
+// Clean up the suggestion - remove quotes, extra formatting
+function cleanSuggestion(suggestion: string): string {
+  return suggestion
+    .trim()
+    .replace(/^["']|["']$/g, '') // Remove surrounding quotes
+    .replace(/^\*\*.*?\*\*$/, '') // Remove markdown formatting like **text**
+    .replace(/^#+\s+/, '') // Remove markdown headers
+    .trim();
+}
+
+/**
+ * Settings for each of `count` alternatives. The first always uses the requested
+ * settings; the rest step through the values of `vary`, or repeat the requested
+ * settings (sampled at a higher temperature) when nothing is varied.
+ */
+function getCandidateSettings(base: SuggestionSettings, count: number, vary?: VaryType): SuggestionSettings[] {
+  const settings: SuggestionSettings[] = [base];
+  
+  for (let i = 1; i < count; i++) {
+    if (vary) {
+      const options = VARY_OPTIONS[vary];
+      const start = options.indexOf(base[vary]);
+      settings.push({ ...base, [vary]: options[(start + i) % options.length] });
+    } else {
+      settings.push(base);
     }
-    
-    // Create OpenAI request optimized for speed
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo", // Faster model for better latency
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `Continue this text naturally: "${text}"` }
-      ],
-      max_tokens: 45, // Reduced for faster response while maintaining quality
-      temperature: 0.7, // Optimized for speed vs creativity balance
-      top_p: 0.9,
-      frequency_penalty: 0.1, // Reduced processing overhead
-      presence_penalty: 0.05,
-      stop: ["\n\n", "...", "***"]
-    });
-    
-    const suggestion = response.choices[0]?.message?.content?.trim() || '';
-    
-    // Clean up the suggestion - remove quotes, extra formatting
-    const cleanSuggestion = suggestion
-      .replace(/^["']|["']$/g, '') // Remove surrounding quotes
-      .replace(/^\*\*.*?\*\*$/, '') // Remove markdown formatting like **text**
-      .replace(/^#+\s+/, '') // Remove markdown headers
-      .trim();
-    
-    // Cache the result
-    requestCache.set(cacheKey, { suggestion: cleanSuggestion, timestamp: currentTime });
-    
-    // Clean old cache entries
-    requestCache.forEach((value, key) => {
-      if (currentTime - value.timestamp >= CACHE_EXPIRY) {
-        requestCache.delete(key);
-      }
+  }
+  
+  return settings;
+}
+
+// Continuations the system prompt asks for run this many words
+const TARGET_WORDS = { min: 3, max: 15 };
+
+/**
+ * How well a suggestion continues the text, higher is better: it should run
+ * the length the prompt asks for and not repeat the words just written.
+ * Suggestions made with the requested settings get a small edge, so the
+ * alternatives only overtake one that is clearly worse.
+ */
+function scoreCandidate(candidate: Omit<AutocompleteCandidate, 'rank'>, text: string, requested: SuggestionSettings): number {
+  const words = candidate.text.toLowerCase().match(/[a-z0-9']+/g) || [];
+  if (words.length === 0) return 0;
+
+  const { min, max } = TARGET_WORDS;
+  const lengthFit = words.length < min ? words.length / min
+    : words.length > max ? max / words.length
+    : 1;
+
+  const recent = new Set((text.toLowerCase().match(/[a-z0-9']+/g) || []).slice(-30));
+  const repeated = words.filter(word => word.length > 3 && recent.has(word)).length / words.length;
+
+  const isRequested = (['tone', 'purpose', 'genre', 'structure'] as const)
+    .every(setting => candidate[setting] === requested[setting]);
+
+  return lengthFit - repeated + (isRequested ? 0.25 : 0);
+}
+
+// Drop empty and repeated suggestions, then rank the rest best first
+function rankCandidates(candidates: Array<Omit<AutocompleteCandidate, 'rank'>>, text: string, requested: SuggestionSettings): AutocompleteCandidate[] {
+  const seen = new Set<string>();
+  return candidates
+    .filter(candidate => {
+      const key = candidate.text.toLowerCase();
+      if (!candidate.text || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(candidate => ({ candidate, score: scoreCandidate(candidate, text, requested) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ candidate }, index) => ({ ...candidate, rank: index + 1 }));
+}
+
+// Generate every alternative after the first; failures only drop that alternative.
+// Aborting the signal cancels the ones still running, so they are not billed.
+async function generateAlternatives(text: string, settings: SuggestionSettings[], context?: string, signal?: AbortSignal) {
+  const results = await Promise.allSettled(
+    settings.map((candidateSettings, index) =>
+      complete('autocomplete', buildAutocompleteRequest(text, candidateSettings, context, index + 1), signal)
+    )
+  );
+  
+  return results.flatMap((result, index) => {
+    if (result.status === 'rejected') {
+      if (!signal?.aborted) console.warn('Alternative suggestion failed:', result.reason);
+      return [];
+    }
+    return [{ ...settings[index], text: cleanSuggestion(result.value.text) }];
+  });
+}
+
+// Everything the suggestions depend on
+function cacheInput(text: string, settings: SuggestionSettings, count: number, vary?: VaryType, context?: string) {
+  return { text, ...settings, count, vary, context };
+}
+
+async function generateAutocomplete(text: string, settings: SuggestionSettings, count: number, vary?: VaryType, context?: string, signal?: AbortSignal): Promise<{ suggestions: AutocompleteCandidate[]; cache: CacheStatus }> {
+  try {
+    const { value: suggestions, cache } = await suggestionCache.wrap(cacheInput(text, settings, count, vary, context), async () => {
+      const [primarySettings, ...alternativeSettings] = getCandidateSettings(settings, count, vary);
+      const [primary, alternatives] = await Promise.all([
+        complete('autocomplete', buildAutocompleteRequest(text, primarySettings, context), signal),
+        generateAlternatives(text, alternativeSettings, context, signal)
+      ]);
+
+      return rankCandidates([
+        { ...primarySettings, text: cleanSuggestion(primary.text) },
+        ...alternatives
+      ], text, settings);
     });
     
-    return cleanSuggestion;
+    return { suggestions, cache };
     
   } catch (error) {
-    console.error('OpenAI API error:', error);
+    if (!(error instanceof BudgetExceededError)) {
+      console.error('LLM API error:', error);
+    }
     throw error;
   }
 }
 
-export async function POST(request: NextRequest): Promise<NextResponse<AutocompleteResponse>> {
+/**
+ * Stream the suggestion for the requested settings as Server-Sent Events
+ * while the alternatives are generated alongside it:
+ *   data: {"token": "..."}                      one per text delta
+ *   event: done  data: {"suggestion": "...", "suggestions": [...], tone, purpose, genre, structure, cache}
+ *   event: error data: {"error": "..."}
+ * done carries every alternative ranked best first, so its suggestion can
+ * differ from the streamed one when an alternative scores better.
+ * Over the daily budget, done carries no suggestions and the reason as degraded.
+ * The upstream LLM request is aborted when the client disconnects.
+ */
+function streamAutocomplete(text: string, settings: SuggestionSettings, count: number, vary?: VaryType, context?: string): Response {
+  const encoder = new TextEncoder();
+  const upstream = new AbortController();
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (data: object, event?: string) => {
+        const prefix = event ? `event: ${event}\n` : '';
+        controller.enqueue(encoder.encode(`${prefix}data: ${JSON.stringify(data)}\n\n`));
+      };
+
+      try {
+        const { value: suggestions, cache } = await suggestionCache.wrap(cacheInput(text, settings, count, vary, context), async () => {
+          const [primarySettings, ...alternativeSettings] = getCandidateSettings(settings, count, vary);
+          const alternativesPromise = generateAlternatives(text, alternativeSettings, context, upstream.signal);
+
+          let raw = '';
+          for await (const token of llmStream('autocomplete', buildAutocompleteRequest(text, primarySettings, context), upstream.signal)) {
+            // Hold back leading whitespace and quotes so the ghost text never flickers them
+            const visibleBefore = raw.replace(/^[\s"']+/, '').length;
+            raw += token;
+            const visible = raw.replace(/^[\s"']+/, '');
+            if (visible.length > visibleBefore) {
+              send({ token: visible.substring(visibleBefore) });
+            }
+          }
+          // A suggestion cut short by the client going away must not be cached
+          if (upstream.signal.aborted) {
+            throw new Error('Client disconnected');
+          }
+
+          return rankCandidates([
+            { ...primarySettings, text: cleanSuggestion(raw) },
+            ...await alternativesPromise
+          ], text, settings);
+        });
+
+        // A cached suggestion arrives as a single token
+        if (cache.hit) {
+          send({ token: suggestions[0]?.text || '' });
+        }
+        send({ suggestion: suggestions[0]?.text || '', suggestions, ...settings, cache }, 'done');
+      } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          send({ suggestion: '', suggestions: [], ...settings, degraded: error.message }, 'done');
+        } else if (!upstream.signal.aborted) {
+          console.error('LLM streaming error:', error);
+          send({ error: error instanceof Error ? error.message : 'Unknown error' }, 'error');
+        }
+      } finally {
+        if (!upstream.signal.aborted) {
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      upstream.abort();
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+export async function POST(request: NextRequest): Promise<NextResponse<AutocompleteResponse> | Response> {
   try {
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY) {
+    // Check if the configured LLM provider has credentials
+    if (!isFeatureConfigured('autocomplete')) {
       return NextResponse.json(
-        { error: 'OpenAI API key not configured' },
+        { error: describeMissingConfig('autocomplete') },
         { status: 500 }
       );
     }
@@ -217,16 +437,47 @@ export async function POST(request: NextRequest): Promise<NextResponse<Autocompl
       );
     }
     
-    // Generate suggestion
-    const suggestion = await generateAutocomplete(text, tone, purpose, genre, structure, context);
+    const count = Math.min(MAX_ALTERNATIVES, Math.max(1, Math.floor(Number(data.count) || 1)));
+    const vary = data.vary?.trim().toLowerCase() as VaryType | undefined;
+    
+    if (vary && !Object.prototype.hasOwnProperty.call(VARY_OPTIONS, vary)) {
+      return NextResponse.json(
+        { error: `Invalid vary. Must be one of: ${Object.keys(VARY_OPTIONS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const settings: SuggestionSettings = { tone, purpose, genre, structure };
+    
+    // Stream tokens over SSE when the client asks for it
+    if (data.stream) {
+      return streamAutocomplete(text, settings, count, vary, context);
+    }
+    
+    // Generate ranked suggestions
+    let generated: { suggestions: AutocompleteCandidate[]; cache: CacheStatus };
+    try {
+      generated = await generateAutocomplete(text, settings, count, vary, context, request.signal);
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      return NextResponse.json({
+        suggestion: '',
+        suggestions: [],
+        ...settings,
+        status: 'degraded',
+        degraded: error.message
+      });
+    }
     
     return NextResponse.json({
-      suggestion,
+      suggestion: generated.suggestions[0]?.text || '',
+      suggestions: generated.suggestions,
       tone,
       purpose,
       genre,
       structure,
-      status: 'success'
+      status: 'success',
+      cache: generated.cache
     });
     
   } catch (error) {
@@ -239,4 +490,4 @@ export async function POST(request: NextRequest): Promise<NextResponse<Autocompl
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { compareVersions } from '../../../../../../document_store.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+// GET /api/documents/:id/diff?from=<versionId|current>&to=<versionId|current>
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  const from = request.nextUrl.searchParams.get('from');
+  const to = request.nextUrl.searchParams.get('to') || 'current';
+
+  if (!from) {
+    return NextResponse.json(
+      { error: 'The "from" query parameter is required' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const diff = await compareVersions(params.id, from, to);
+    if (!diff) {
+      return NextResponse.json({ error: 'Document or version not found' }, { status: 404 });
+    }
+    return NextResponse.json({ diff });
+  } catch (error) {
+    console.error('Version diff error:', error);
+    return NextResponse.json(
+      { error: 'Failed to compare versions' },
+      { status: 500 }
+    );
+  }
+}
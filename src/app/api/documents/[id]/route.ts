@@ -0,0 +1,78 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getDocument, updateDocument, deleteDocument } from '../../../../../document_store.js';
+import { CITATION_STYLES, isCitationStyle } from '../../../../../citation_styles.js';
+
+// Documents are stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  try {
+    const document = await getDocument(params.id);
+    if (!document) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 });
+    }
+    return NextResponse.json({ document });
+  } catch (error) {
+    console.error('Document load error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load document' },
+      { status: 500 }
+    );
+  }
+}
+
+// Autosave and rename: only the fields present in the body are replaced
+export async function PUT(request: NextRequest, { params }: RouteContext) {
+  let data;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  // Exports read the saved style, so an unknown one is refused here
+  if (data?.settings?.citationStyle !== undefined && !isCitationStyle(data.settings.citationStyle)) {
+    return NextResponse.json(
+      { error: `settings.citationStyle must be one of: ${Object.keys(CITATION_STYLES).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const document = await updateDocument(params.id, data);
+    if (!document) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 });
+    }
+    return NextResponse.json({ document });
+  } catch (error) {
+    console.error('Document save error:', error);
+    return NextResponse.json(
+      { error: 'Failed to save document' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  try {
+    const deleted = await deleteDocument(params.id);
+    if (!deleted) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Document delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete document' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,26 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { restoreVersion } from '../../../../../../../../document_store.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string; versionId: string };
+}
+
+// Returns the restored document so the editor can reload it
+export async function POST(request: NextRequest, { params }: RouteContext) {
+  try {
+    const document = await restoreVersion(params.id, params.versionId);
+    if (!document) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+    return NextResponse.json({ document });
+  } catch (error) {
+    console.error('Version restore error:', error);
+    return NextResponse.json(
+      { error: 'Failed to restore version' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,25 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getVersion } from '../../../../../../../document_store.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string; versionId: string };
+}
+
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  try {
+    const version = await getVersion(params.id, params.versionId);
+    if (!version) {
+      return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+    }
+    return NextResponse.json({ version });
+  } catch (error) {
+    console.error('Version load error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load version' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { listVersions, createVersion } from '../../../../../../document_store.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  try {
+    const versions = await listVersions(params.id);
+    if (!versions) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 });
+    }
+    return NextResponse.json({ versions });
+  } catch (error) {
+    console.error('Version list error:', error);
+    return NextResponse.json(
+      { error: 'Failed to list versions' },
+      { status: 500 }
+    );
+  }
+}
+
+// Named snapshot of the document as last saved
+export async function POST(request: NextRequest, { params }: RouteContext) {
+  let data: { name?: string } = {};
+  try {
+    const body = await request.text();
+    if (body) data = JSON.parse(body);
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const version = await createVersion(params.id, data.name);
+    if (!version) {
+      return NextResponse.json({ error: 'Document not found' }, { status: 404 });
+    }
+    return NextResponse.json({ version }, { status: 201 });
+  } catch (error) {
+    console.error('Version create error:', error);
+    return NextResponse.json(
+      { error: 'Failed to save version' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { listDocuments, createDocument } from '../../../../document_store.js';
+import { CITATION_STYLES, isCitationStyle } from '../../../../citation_styles.js';
+
+// Documents are stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    const documents = await listDocuments();
+    return NextResponse.json({ documents });
+  } catch (error) {
+    console.error('Document list error:', error);
+    return NextResponse.json(
+      { error: 'Failed to list documents' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  let data: any = {};
+  try {
+    data = await request.json();
+  } catch {
+    // An empty body creates an untitled document
+  }
+
+  // Exports read the saved style, so an unknown one is refused here
+  if (data?.settings?.citationStyle !== undefined && !isCitationStyle(data.settings.citationStyle)) {
+    return NextResponse.json(
+      { error: `settings.citationStyle must be one of: ${Object.keys(CITATION_STYLES).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const document = await createDocument({
+      title: typeof data.title === 'string' ? data.title : undefined,
+      editorState: data.editorState,
+      contextText: typeof data.contextText === 'string' ? data.contextText : undefined,
+      settings: data.settings
+    });
+    return NextResponse.json({ document }, { status: 201 });
+  } catch (error) {
+    console.error('Document create error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create document' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,41 +1,102 @@
 import { NextRequest, NextResponse } from 'next/server';
-import OpenAI from 'openai';
+import { isFeatureConfigured, describeMissingConfig } from '../../../../llm_service.js';
+import { findRelevantEvidence } from '../../../../quote_finder.js';
+import { getSourceParser, supportedExtensions, parseSource } from '../../../../source_parsers.js';
+import { contentHash, extractSource, MAX_SOURCE_BYTES } from '../../../../source_library.js';
+import { createResponseCache } from '../../../../response_cache.js';
 
 // Configure the runtime for this API route
 export const runtime = 'nodejs';
 
+interface SourceLocation {
+  offset: number;
+  line: number;
+  page?: number;
+  section?: string;
+  row?: number;
+  label: string;
+}
+
+interface Verification {
+  status: 'exact' | 'approximate' | 'not_found';
+  similarity: number;
+  excerpt: { before: string; match: string; after: string } | null;
+}
+
 interface EvidenceItem {
   text: string;
   context: string;
   source: string;
   position: string;
+  location: SourceLocation | null;
+  span: { start: number; end: number } | null;
+  verification: Verification;
   relevanceScore: number;
   relevanceReason: string;
   type: string;
 }
 
+interface Coverage {
+  totalCharacters: number;
+  coveredCharacters: number;
+  ratio: number;
+  chunks: { total: number; processed: number; failed: number; skipped: number };
+  pages?: { total: number; covered: number };
+}
+
+interface UserContext {
+  mainArgument: string;
+  keyTopics: string[];
+  evidenceNeeds: string[];
+  gaps: string[];
+  audience: string;
+}
+
 interface Evidence {
   statistics: EvidenceItem[];
   quotes: EvidenceItem[];
+  userContext: UserContext;
   sourceInfo: {
     file: string;
+    format: string;
+    title?: string;
+    author?: string;
+    pageCount?: number;
+    totalStatsFound: number;
+    totalQuotesFound: number;
+    coverage: Coverage;
   };
   recommendations: string;
 }
 
+const DEFAULT_MAX_ITEMS = 10;
+
+// Keyed by the file's content rather than its bytes in the request
+const evidenceCache = createResponseCache('evidence', { features: ['evidence', 'relevance'] });
+
+// Optional numeric form fields fall back to the default when absent or malformed
+function readLimit(value: FormDataEntryValue | null, fallback: number, min: number, max: number): number {
+  const parsed = typeof value === 'string' && value.trim() ? Number(value) : NaN;
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+}
+
 export async function POST(request: NextRequest) {
   try {
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY) {
-      return NextResponse.json(
-        { error: 'OpenAI API key not configured' },
-        { status: 500 }
-      );
+    // Extraction and scoring can run on different providers; both need credentials
+    for (const feature of ['evidence', 'relevance']) {
+      if (!isFeatureConfigured(feature)) {
+        return NextResponse.json(
+          { error: describeMissingConfig(feature) },
+          { status: 500 }
+        );
+      }
     }
 
     const data = await request.formData();
     const file = data.get('file') as File;
     const userText = data.get('userText') as string;
+    // The paragraph under the cursor, when the evidence should support that part of the draft
+    const query = data.get('query');
 
     if (!file || !userText) {
       return NextResponse.json(
@@ -45,118 +106,86 @@ export async function POST(request: NextRequest) {
     }
 
     // Validate file type
-    if (!file.name.endsWith('.txt')) {
+    if (!getSourceParser(file.name)) {
       return NextResponse.json(
-        { error: 'Only .txt files are supported' },
+        { error: `Unsupported file type. Supported types: ${supportedExtensions().map((ext: string) => `.${ext}`).join(', ')}` },
         { status: 400 }
       );
     }
 
-    // Read the file content
-    const fileBuffer = await file.arrayBuffer();
-    const fileContent = new TextDecoder().decode(fileBuffer);
-
-    // Initialize OpenAI client
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    // Use OpenAI to extract relevant quotes and statistics
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert at finding relevant quotes and statistics from source material. 
-          
-          Extract 3-5 of the most relevant quotes and statistics from the provided source text that would support the user's writing.
-          
-          Return your response as a JSON object with this exact structure:
-          {
-            "quotes": [
-              {
-                "text": "exact quote text",
-                "context": "surrounding context for the quote",
-                "source": "speaker or source if mentioned"
-              }
-            ],
-            "statistics": [
-              {
-                "text": "the statistic (e.g., '75% of students')",
-                "context": "context around the statistic",
-                "source": "study or source if mentioned"
-              }
-            ]
-          }
-          
-          Focus on finding content that directly relates to or supports the user's writing theme.`
-        },
-        {
-          role: "user",
-          content: `User's writing: "${userText}"
-          
-          Source material to extract from: "${fileContent.substring(0, 6000)}"
-          
-          Please extract the most relevant quotes and statistics that would support this writing.`
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 1500
-    });
-
-    const responseContent = completion.choices[0]?.message?.content;
-    if (!responseContent) {
-      throw new Error('No response from OpenAI');
+    if (file.size > MAX_SOURCE_BYTES) {
+      return NextResponse.json(
+        { error: `File is too large to use (maximum ${MAX_SOURCE_BYTES / (1024 * 1024)} MB)` },
+        { status: 413 }
+      );
     }
 
-    let extractedEvidence;
+    // Extract the text locally, keeping page and section positions
+    const buffer = Buffer.from(await file.arrayBuffer());
+    let source;
     try {
-      extractedEvidence = JSON.parse(responseContent);
-      // Ensure the extracted evidence has the expected structure
-      if (!extractedEvidence || typeof extractedEvidence !== 'object') {
-        extractedEvidence = { quotes: [], statistics: [] };
-      }
-      if (!Array.isArray(extractedEvidence.quotes)) {
-        extractedEvidence.quotes = [];
-      }
-      if (!Array.isArray(extractedEvidence.statistics)) {
-        extractedEvidence.statistics = [];
-      }
+      source = await parseSource(file.name, buffer);
     } catch (parseError) {
-      console.warn('Failed to parse OpenAI response:', parseError);
-      // Fallback if JSON parsing fails
-      extractedEvidence = { quotes: [], statistics: [] };
+      console.warn('Failed to parse evidence source:', parseError);
+      return NextResponse.json(
+        { error: `Could not read ${file.name}: ${parseError instanceof Error ? parseError.message : 'unknown error'}` },
+        { status: 422 }
+      );
     }
 
-    // Format the response to match our interface
-    const formattedEvidence: Evidence = {
-      statistics: (extractedEvidence.statistics || []).map((stat: any, index: number) => ({
-        text: stat.text || '',
-        context: stat.context || '',
-        source: stat.source || '',
-        position: `Item ${index + 1}`,
-        relevanceScore: 0.8,
-        relevanceReason: '',
-        type: 'statistic'
-      })),
-      quotes: (extractedEvidence.quotes || []).map((quote: any, index: number) => ({
-        text: quote.text || '',
-        context: quote.context || '',
-        source: quote.source || '',
-        position: `Item ${index + 1}`,
-        relevanceScore: 0.8,
-        relevanceReason: '',
-        type: 'quote'
-      })),
-      sourceInfo: {
-        file: file.name
-      },
-      recommendations: ''
+    const hash = contentHash(buffer);
+    const options = {
+      ...(typeof query === 'string' && query.trim() && { query }),
+      maxStats: readLimit(data.get('maxStats'), DEFAULT_MAX_ITEMS, 1, 50),
+      maxQuotes: readLimit(data.get('maxQuotes'), DEFAULT_MAX_ITEMS, 1, 50),
+      relevanceThreshold: readLimit(data.get('relevanceThreshold'), 0, 0, 1)
     };
 
+    const { value: formattedEvidence, cache } = await evidenceCache.wrap({ file: file.name, hash, userText, ...options }, async () => {
+      // Mine every part of the source (or reuse an earlier extraction of the
+      // same file), shortlist the candidates nearest the user's writing, rerank
+      // them and keep the best. The panel filters by score itself, so by default
+      // nothing is dropped for scoring low.
+      const extracted = await extractSource(source, hash);
+      const result = await findRelevantEvidence(userText, source, { extracted, ...options });
+
+      const formatItem = (type: string) => (item: any): EvidenceItem => ({
+        text: item.text,
+        context: item.context || '',
+        source: item.source || '',
+        position: item.position,
+        location: item.location,
+        span: item.span,
+        verification: item.verification,
+        relevanceScore: item.relevanceScore,
+        relevanceReason: item.relevanceReason || '',
+        type
+      });
+
+      // Format the response to match our interface
+      const evidence: Evidence = {
+        statistics: result.statistics.map(formatItem('statistic')),
+        quotes: result.quotes.map(formatItem('quote')),
+        userContext: result.userContext,
+        sourceInfo: {
+          file: file.name,
+          format: source.format,
+          ...(source.metadata.title && { title: source.metadata.title }),
+          ...(source.metadata.author && { author: source.metadata.author }),
+          ...(source.metadata.pageCount && { pageCount: source.metadata.pageCount }),
+          totalStatsFound: result.sourceInfo.totalStatsFound ?? 0,
+          totalQuotesFound: result.sourceInfo.totalQuotesFound ?? 0,
+          coverage: result.sourceInfo.coverage
+        },
+        recommendations: result.recommendations || ''
+      };
+      return evidence;
+    });
+
     return NextResponse.json({
       success: true,
-      evidence: formattedEvidence
+      evidence: formattedEvidence,
+      cache
     });
 
   } catch (error) {
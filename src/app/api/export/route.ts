@@ -0,0 +1,94 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { exportDocument, FORMATS } from '../../../../export_service.js';
+import { getDocument } from '../../../../document_store.js';
+import { CITATION_STYLES, isCitationStyle } from '../../../../citation_styles.js';
+
+// Rendering uses Node built-ins (zlib, Buffer) and never calls out to the network
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface ExportableDocument {
+  title?: string;
+  editorState: any;
+  references?: any[];
+  settings?: { citationStyle?: string };
+}
+
+const CITATION_MODES = ['in-text', 'footnotes', 'bibliography'];
+
+interface ExportRequest {
+  format: string;
+  // Export a saved document...
+  documentId?: string;
+  // ...or content sent directly from the editor
+  document?: ExportableDocument;
+  citations?: 'in-text' | 'footnotes' | 'bibliography';
+  // Overrides the document's citation style
+  style?: string;
+}
+
+export async function POST(request: NextRequest) {
+  let data: ExportRequest;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  if (!data.format || !Object.prototype.hasOwnProperty.call(FORMATS, data.format)) {
+    return NextResponse.json(
+      { error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  if (data.citations && !CITATION_MODES.includes(data.citations)) {
+    return NextResponse.json(
+      { error: `Citations must be one of: ${CITATION_MODES.join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  if (data.style && !isCitationStyle(data.style)) {
+    return NextResponse.json(
+      { error: `Style must be one of: ${Object.keys(CITATION_STYLES).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    let document: ExportableDocument | null | undefined = data.document;
+    if (data.documentId) {
+      document = await getDocument(data.documentId) as ExportableDocument | null;
+      if (!document) {
+        return NextResponse.json({ error: 'Document not found' }, { status: 404 });
+      }
+    }
+
+    if (!document?.editorState) {
+      return NextResponse.json(
+        { error: 'Either documentId or a document with an editorState is required' },
+        { status: 400 }
+      );
+    }
+
+    const { body, contentType, filename } = exportDocument(document, data.format, { citations: data.citations, style: data.style });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': String(body.length),
+      },
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    return NextResponse.json(
+      { error: 'Failed to export document' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,65 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { importDocument, IMPORT_FORMATS, MAX_IMPORT_BYTES } from '../../../../import_service.js';
+import { createDocument } from '../../../../document_store.js';
+
+// Parsing uses Node built-ins (zlib, Buffer) and a headless Lexical editor
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request: NextRequest) {
+  let file: File | null;
+  try {
+    const data = await request.formData();
+    file = data.get('file') as File | null;
+  } catch {
+    return NextResponse.json(
+      { error: 'Request body must be multipart form data with a file' },
+      { status: 400 }
+    );
+  }
+
+  if (!file || typeof file === 'string') {
+    return NextResponse.json(
+      { error: 'A file is required' },
+      { status: 400 }
+    );
+  }
+
+  const extension = file.name.split('.').pop()?.toLowerCase() || '';
+  if (!Object.prototype.hasOwnProperty.call(IMPORT_FORMATS, extension)) {
+    return NextResponse.json(
+      { error: `Unsupported file type. Supported types: ${Object.keys(IMPORT_FORMATS).map(ext => `.${ext}`).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  if (file.size > MAX_IMPORT_BYTES) {
+    return NextResponse.json(
+      { error: `File is too large to import (maximum ${MAX_IMPORT_BYTES / (1024 * 1024)} MB)` },
+      { status: 413 }
+    );
+  }
+
+  let fields;
+  try {
+    fields = importDocument(file.name, Buffer.from(await file.arrayBuffer()));
+  } catch (error) {
+    // Unreadable files are the caller's problem, not a server fault
+    console.error('Import parse error:', error);
+    return NextResponse.json(
+      { error: `Could not read ${file.name}: ${error instanceof Error ? error.message : 'unknown error'}` },
+      { status: 422 }
+    );
+  }
+
+  try {
+    const document = await createDocument(fields);
+    return NextResponse.json({ document }, { status: 201 });
+  } catch (error) {
+    console.error('Import error:', error);
+    return NextResponse.json(
+      { error: 'Failed to import document' },
+      { status: 500 }
+    );
+  }
+}
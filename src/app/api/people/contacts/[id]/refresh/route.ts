@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { isFeatureConfigured, describeMissingConfig } from '../../../../../../../llm_service.js';
+import { isPeopleSearchConfigured, describeMissingSearchConfig } from '../../../../../../../people_search.js';
+import { refreshContact } from '../../../../../../../people_contacts.js';
+
+// Searches the web, or reads fixtures from the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+// Returns the contact with a rebuilt profile, or as it was if the search no longer finds them
+export async function POST(request: NextRequest, { params }: RouteContext) {
+  if (!isFeatureConfigured('people')) {
+    return NextResponse.json({ error: describeMissingConfig('people') }, { status: 500 });
+  }
+  if (!isPeopleSearchConfigured()) {
+    return NextResponse.json({ error: describeMissingSearchConfig() }, { status: 500 });
+  }
+
+  try {
+    const result = await refreshContact(params.id);
+    if (!result) {
+      return NextResponse.json({ error: 'Contact not found' }, { status: 404 });
+    }
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Contact refresh error:', error);
+    return NextResponse.json(
+      { error: 'Failed to refresh contact' },
+      { status: 500 }
+    );
+  }
+}
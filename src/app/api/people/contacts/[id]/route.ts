@@ -0,0 +1,42 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getContact, removeContact } from '../../../../../../people_contacts.js';
+
+// Contacts are stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  try {
+    const contact = await getContact(params.id);
+    if (!contact) {
+      return NextResponse.json({ error: 'Contact not found' }, { status: 404 });
+    }
+    return NextResponse.json({ contact });
+  } catch (error) {
+    console.error('Contact load error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load contact' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  try {
+    const removed = await removeContact(params.id);
+    if (!removed) {
+      return NextResponse.json({ error: 'Contact not found' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Contact delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete contact' },
+      { status: 500 }
+    );
+  }
+}
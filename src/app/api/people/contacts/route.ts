@@ -0,0 +1,68 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { listContacts, saveContact } from '../../../../../people_contacts.js';
+
+// Contacts are stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface ContactRequest {
+  // A profile from /api/people
+  profile: {
+    name: string;
+    organisation?: { value: string } | null;
+    sources: Array<{ url: string }>;
+  };
+  // What the user searched with, so a refresh finds the same person
+  qualifiers?: { company?: string; role?: string; location?: string };
+}
+
+export async function GET() {
+  try {
+    const contacts = await listContacts();
+    return NextResponse.json({ contacts });
+  } catch (error) {
+    console.error('Contact list error:', error);
+    return NextResponse.json(
+      { error: 'Failed to list contacts' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  let data: ContactRequest;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  if (!data.profile || typeof data.profile.name !== 'string' || !data.profile.name.trim() || !Array.isArray(data.profile.sources)) {
+    return NextResponse.json(
+      { error: 'A profile with a name and sources is required' },
+      { status: 400 }
+    );
+  }
+
+  const qualifiers = data.qualifiers ?? {};
+  if (typeof qualifiers !== 'object' || Object.values(qualifiers).some(value => value !== undefined && typeof value !== 'string')) {
+    return NextResponse.json(
+      { error: 'qualifiers must be an object of strings' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { contact, created } = await saveContact(data.profile, qualifiers);
+    return NextResponse.json({ contact, created }, { status: created ? 201 : 200 });
+  } catch (error) {
+    console.error('Contact save error:', error);
+    return NextResponse.json(
+      { error: 'Failed to save contact' },
+      { status: 500 }
+    );
+  }
+}
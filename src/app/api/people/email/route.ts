@@ -0,0 +1,83 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { isFeatureConfigured, describeMissingConfig } from '../../../../../llm_service.js';
+import { draftColdEmail } from '../../../../../cold_email.js';
+
+interface EmailRequest {
+  // A profile from /api/people
+  profile: {
+    name: string;
+    summary?: string;
+    role?: { value: string } | null;
+    organisation?: { value: string } | null;
+    location?: { value: string } | null;
+    notableWork?: Array<{ value: string }>;
+    conversationHooks?: Array<{ value: string }>;
+  };
+  // Values of the profile fields the user pinned
+  pinned?: string[];
+  // What the email is for, from the editor's context
+  context?: string;
+  // The email written so far
+  draft?: string;
+  tone?: string;
+}
+
+const isStringArray = (value: unknown) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+export async function POST(request: NextRequest) {
+  let data: EmailRequest;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  if (!data.profile || typeof data.profile.name !== 'string' || !data.profile.name.trim()) {
+    return NextResponse.json(
+      { error: 'A profile with a name is required' },
+      { status: 400 }
+    );
+  }
+
+  if (data.pinned !== undefined && !isStringArray(data.pinned)) {
+    return NextResponse.json(
+      { error: 'pinned must be an array of strings' },
+      { status: 400 }
+    );
+  }
+
+  for (const field of ['context', 'draft', 'tone'] as const) {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      return NextResponse.json(
+        { error: `${field} must be a string` },
+        { status: 400 }
+      );
+    }
+  }
+
+  if (!isFeatureConfigured('people')) {
+    return NextResponse.json(
+      { error: describeMissingConfig('people') },
+      { status: 500 }
+    );
+  }
+
+  try {
+    const draft = await draftColdEmail(data.profile, {
+      pinned: data.pinned,
+      context: data.context?.trim() || undefined,
+      draft: data.draft?.trim() || undefined,
+      ...(data.tone?.trim() && { tone: data.tone.trim() })
+    });
+    return NextResponse.json(draft);
+  } catch (error) {
+    console.error('Email draft error:', error);
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to draft email' },
+      { status: 500 }
+    );
+  }
+}
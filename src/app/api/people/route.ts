@@ -1,207 +1,114 @@
-import { initializeAgentExecutorWithOptions } from "langchain/agents";
-import { ChatAnthropic } from "@langchain/anthropic";
-import { Serper } from "@langchain/community/tools/serper";
-import { NextResponse } from "next/server";
+import { NextRequest, NextResponse } from "next/server";
+import { isFeatureConfigured, describeMissingConfig } from "../../../../llm_service.js";
+import { isPeopleSearchConfigured, describeMissingSearchConfig } from "../../../../people_search.js";
+import { findPeople, buildProfileFromSources } from "../../../../people_profile.js";
+import { createResponseCache } from "../../../../response_cache.js";
 
-export async function GET(request: Request) {
-  const { searchParams } = new URL(request.url);
-  const name = searchParams.get('name');
+// Searches the web, or reads fixtures from the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
 
-  if (!name) {
-    return NextResponse.json({ error: "Missing name parameter" }, { status: 400 });
-  }
+const MAX_SOURCES = 10;
 
-  try {
-    // 1) Initialize the Search tool - use Serper directly as a tool
-    const serperTool = new Serper(process.env.SERPER_API_KEY);
-
-    // 2) Initialize LLM
-    const llm = new ChatAnthropic({
-      temperature: 0,
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      modelName: "claude-sonnet-4-20250514",
-    });
-
-    // 3) Create agent with the Serper tool directly
-    const executor = await initializeAgentExecutorWithOptions(
-      [serperTool], // Use serperTool directly instead of wrapping it
-      llm, 
-      {
-        agentType: "zero-shot-react-description",
-        maxIterations: 3, // Reduced iterations
-        verbose: true,
-        earlyStoppingMethod: "generate", // Stop when agent thinks it has enough info
-      }
-    );
+// Refreshing a saved contact searches afresh; only these lookups are cached
+const peopleCache = createResponseCache('people', { features: ['people'] });
 
-    // 4) Run the prompt - be more specific and directive
-    const prompt = `Search for "${name} professional background" and then immediately provide a summary for a cold email. Do not search multiple times. After you get search results, provide a concise summary of their professional background and any interesting details you found. Focus on their current role, company, and notable achievements.`;
-    
-    const result = await executor.call({ input: prompt });
+interface ProfileRequest {
+  name: string;
+  // The search results about the person, from the candidate the user chose
+  sources: Array<{ title: string; url: string; snippet: string }>;
+}
 
-    return NextResponse.json({ summary: result.output });
-  } catch (error) {
-    console.error("Agent execution error:", error);
-    return NextResponse.json({ 
-      error: "Agent execution failed", 
-      details: error.message 
-    }, { status: 500 });
+function missingConfig() {
+  if (!isFeatureConfigured('people')) {
+    return NextResponse.json({ error: describeMissingConfig('people') }, { status: 500 });
   }
+  if (!isPeopleSearchConfigured()) {
+    return NextResponse.json({ error: describeMissingSearchConfig() }, { status: 500 });
+  }
+  return null;
 }
 
-// More reliable approach - direct search and summarization
-export async function GET_RELIABLE(request: Request) {
+// Everyone the results describe under the name; with only one, their profile too
+export async function GET(request: Request) {
   const { searchParams } = new URL(request.url);
-  const name = searchParams.get('name');
+  const name = searchParams.get('name')?.trim();
 
   if (!name) {
     return NextResponse.json({ error: "Missing name parameter" }, { status: 400 });
   }
 
-  try {
-    // 1) Do the search directly first
-    const serper = new Serper(process.env.SERPER_API_KEY);
-    const searchQuery = `"${name}" professional background career LinkedIn`;
-    
-    console.log("🔍 Searching for:", searchQuery);
-    const searchResults = await serper.call(searchQuery);
-    
-    // 2) Process search results
-    let formattedResults = "No relevant information found.";
-    
-    if (typeof searchResults === 'string') {
-      try {
-        const parsed = JSON.parse(searchResults);
-        if (parsed.organic && Array.isArray(parsed.organic)) {
-          formattedResults = parsed.organic.slice(0, 3).map((result: any) => 
-            `${result.title}\n${result.snippet || result.description || ''}`
-          ).join('\n\n');
-        }
-      } catch (e) {
-        formattedResults = searchResults;
-      }
-    } else if (searchResults && typeof searchResults === 'object' && searchResults.organic) {
-      formattedResults = searchResults.organic.slice(0, 3).map((result: any) => 
-        `${result.title}\n${result.snippet || result.description || ''}`
-      ).join('\n\n');
-    }
-
-    // 3) Use LLM to summarize the results directly
-    const llm = new ChatAnthropic({
-      temperature: 0,
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      modelName: "claude-sonnet-4-20250514",
-    });
-
-    const summaryPrompt = `Based on the following search results about ${name}, create a concise professional summary suitable for a personalized cold email. Focus on their current role, company, notable achievements, and any interesting human details that would make for good conversation starters.
+  const qualifiers = {
+    company: searchParams.get('company')?.trim() || undefined,
+    role: searchParams.get('role')?.trim() || undefined,
+    location: searchParams.get('location')?.trim() || undefined
+  };
 
-Search Results:
-${formattedResults}
-
-Provide a summary in 2-3 sentences that highlights the most relevant professional information and one interesting detail if available.`;
-
-    const summary = await llm.call([{ role: "user", content: summaryPrompt }]);
-    
-    return NextResponse.json({ 
-      summary: summary.content,
-      searchResults: formattedResults // Include raw results for debugging
-    });
+  const notConfigured = missingConfig();
+  if (notConfigured) return notConfigured;
 
+  try {
+    // Names are looked up the same however they are capitalised
+    const lookup = { name: name.toLowerCase(), ...qualifiers };
+    const { value: found, cache } = await peopleCache.wrap(lookup, async () => {
+      const candidates = await findPeople(name, qualifiers);
+      if (candidates.length !== 1) return { candidates };
+      return { candidates, profile: await buildProfileFromSources(name, candidates[0].sources) };
+    }, { shouldCache: (result: { candidates: unknown[] }) => result.candidates.length > 0 });
+
+    if (found.candidates.length === 0) {
+      return NextResponse.json({ error: `No search results mention ${name}` }, { status: 404 });
+    }
+    return NextResponse.json({ ...found, cache });
   } catch (error) {
-    console.error("Search and summarization error:", error);
-    return NextResponse.json({ 
-      error: "Failed to generate summary", 
-      details: error.message 
+    console.error("People search error:", error);
+    return NextResponse.json({
+      error: "People search failed",
+      details: error instanceof Error ? error.message : 'Unknown error'
     }, { status: 500 });
   }
 }
-export async function GET_ALTERNATIVE(request: Request) {
-  const { searchParams } = new URL(request.url);
-  const name = searchParams.get('name');
 
-  if (!name) {
-    return NextResponse.json({ error: "Missing name parameter" }, { status: 400 });
+// Profile of the candidate the user chose from a GET
+export async function POST(request: NextRequest) {
+  let data: ProfileRequest;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
   }
 
-  try {
-    // 1) Initialize Serper
-    const serper = new Serper(process.env.SERPER_API_KEY);
-
-    // 2) Create a properly structured tool
-    const searchTool = {
-      name: "search",
-      description: "Search for information about people and their professional backgrounds",
-      func: async (query: string) => {
-        console.log("🔍 [Search] Query:", query);
-        try {
-          const results = await serper.call(query);
-          console.log("✅ [Search] Raw response:", results);
-          
-          // Parse the Serper response properly
-          if (typeof results === 'string') {
-            try {
-              const parsed = JSON.parse(results);
-              // Extract meaningful content from organic results
-              if (parsed.organic && Array.isArray(parsed.organic)) {
-                const summaries = parsed.organic.slice(0, 5).map((result: any) => 
-                  `${result.title}: ${result.snippet || result.description || ''}`
-                ).join('\n\n');
-                return summaries || "No relevant results found";
-              }
-            } catch (parseError) {
-              console.error("Parse error:", parseError);
-              return results; // Return raw string if parsing fails
-            }
-          }
-          
-          // If results is already an object
-          if (results && typeof results === 'object') {
-            if (results.organic && Array.isArray(results.organic)) {
-              const summaries = results.organic.slice(0, 5).map((result: any) => 
-                `${result.title}: ${result.snippet || result.description || ''}`
-              ).join('\n\n');
-              return summaries || "No relevant results found";
-            }
-          }
-          
-          return JSON.stringify(results);
-        } catch (error) {
-          console.error("❌ [Search] Error:", error);
-          return `Search error: ${error.message}`;
-        }
-      },
-    };
-
-    // 3) Initialize LLM
-    const llm = new ChatAnthropic({
-      temperature: 0,
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      modelName: "claude-sonnet-4-20250514",
-    });
-
-    // 4) Create agent with better configuration
-    const executor = await initializeAgentExecutorWithOptions(
-      [searchTool], 
-      llm, 
-      {
-        agentType: "zero-shot-react-description",
-        maxIterations: 3, // Reduced iterations
-        verbose: true,
-        earlyStoppingMethod: "generate",
-      }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    return NextResponse.json({ error: 'name is required' }, { status: 400 });
+  }
+
+  const isResult = (source: any) =>
+    source && typeof source.title === 'string' && typeof source.url === 'string' && typeof source.snippet === 'string';
+  if (!Array.isArray(data.sources) || data.sources.length === 0 || data.sources.length > MAX_SOURCES || !data.sources.every(isResult)) {
+    return NextResponse.json(
+      { error: `sources must be an array of 1 to ${MAX_SOURCES} search results with a title, url and snippet` },
+      { status: 400 }
     );
+  }
 
-    // 5) Run the prompt - more directive
-    const prompt = `Search for "${name} professional background" once and then provide a summary. After getting search results, immediately summarize their professional background for a cold email including any notable achievements or interesting details. Do not perform additional searches.`;
-    
-    const result = await executor.call({ input: prompt });
+  // The results are already here, so only the model is needed
+  if (!isFeatureConfigured('people')) {
+    return NextResponse.json({ error: describeMissingConfig('people') }, { status: 500 });
+  }
 
-    return NextResponse.json({ summary: result.output });
+  try {
+    const name = data.name.trim();
+    const sources = data.sources.map(({ title, url, snippet }) => ({ title, url, snippet }));
+    const { value: profile, cache } = await peopleCache.wrap(
+      { name: name.toLowerCase(), sources },
+      () => buildProfileFromSources(name, sources)
+    );
+    return NextResponse.json({ profile, cache });
   } catch (error) {
-    console.error("Agent execution error:", error);
-    return NextResponse.json({ 
-      error: "Agent execution failed", 
-      details: error.message 
+    console.error("People profile error:", error);
+    return NextResponse.json({
+      error: "Failed to build profile",
+      details: error instanceof Error ? error.message : 'Unknown error'
     }, { status: 500 });
   }
-}
\ No newline at end of file
+}
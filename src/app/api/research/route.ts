@@ -1,21 +1,165 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { getRelevantHumanitiesArticles } from '../../../../research_rec.js';
+import { recommendArticles } from '../../../../research_rec.js';
+import { DISCIPLINES, isDiscipline } from '../../../../research_disciplines.js';
+import { listResearchSources } from '../../../../research_sources.js';
+import { createResponseCache } from '../../../../response_cache.js';
+
+// Saves abstracts to the local vector index
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface ResearchRequest {
+  text: string;
+  // The paragraph under the cursor; papers are ranked against it, and
+  // against the whole text when omitted
+  query?: string;
+  // A discipline id, or 'auto' (the default) to detect it from the text
+  discipline?: string;
+  // Score and explain relevance with the model; on unless false
+  analysis?: boolean;
+  count?: number;
+  // Papers already shown, for loading more
+  offset?: number;
+  yearFrom?: number;
+  yearTo?: number;
+  openAccessOnly?: boolean;
+  // Search source ids; every source the deployment enables when omitted
+  sources?: string[];
+}
+
+const DEFAULT_COUNT = 3;
+
+// Paging stops here: no page starts past this many papers
+const MAX_OFFSET = 50;
+
+const researchCache = createResponseCache('research', { features: ['research'] });
+
+// Optional numeric fields fall back to the default when absent or malformed
+function readLimit(value: unknown, fallback: number, min: number, max: number): number {
+  const parsed = typeof value === 'number' ? value : typeof value === 'string' && value.trim() ? Number(value) : NaN;
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, Math.floor(parsed))) : fallback;
+}
+
+// Years are optional, but a year that is given must be one
+function isYear(value: unknown): boolean {
+  return value === undefined || value === null || (Number.isInteger(value) && (value as number) >= 1000 && (value as number) <= 9999);
+}
+
+function availableSources() {
+  return listResearchSources().filter(source => source.enabled && source.configured);
+}
+
+// The search sources the filters can choose from
+export async function GET() {
+  return NextResponse.json({
+    sources: availableSources().map(({ id, label }) => ({ id, label }))
+  });
+}
 
 export async function POST(request: NextRequest) {
+  let data: ResearchRequest;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  const { text, query, discipline, analysis, yearFrom, yearTo, openAccessOnly, sources } = data;
+
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    return NextResponse.json(
+      { error: 'Valid text is required' },
+      { status: 400 }
+    );
+  }
+
+  if (query !== undefined && typeof query !== 'string') {
+    return NextResponse.json(
+      { error: 'query must be a string' },
+      { status: 400 }
+    );
+  }
+
+  // 'auto' (or no discipline) detects it from the text
+  if (discipline !== undefined && discipline !== 'auto' && !isDiscipline(discipline)) {
+    return NextResponse.json(
+      { error: `Invalid discipline. Must be one of: auto, ${Object.keys(DISCIPLINES).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  if (analysis !== undefined && typeof analysis !== 'boolean') {
+    return NextResponse.json(
+      { error: 'analysis must be true or false' },
+      { status: 400 }
+    );
+  }
+
+  if (openAccessOnly !== undefined && typeof openAccessOnly !== 'boolean') {
+    return NextResponse.json(
+      { error: 'openAccessOnly must be true or false' },
+      { status: 400 }
+    );
+  }
+
+  if (!isYear(yearFrom) || !isYear(yearTo)) {
+    return NextResponse.json(
+      { error: 'yearFrom and yearTo must be four-digit years' },
+      { status: 400 }
+    );
+  }
+
+  if (yearFrom && yearTo && yearFrom > yearTo) {
+    return NextResponse.json(
+      { error: 'yearFrom must not be after yearTo' },
+      { status: 400 }
+    );
+  }
+
+  const offset = readLimit(data.offset, 0, 0, Infinity);
+  if (offset > MAX_OFFSET) {
+    return NextResponse.json(
+      { error: `offset must not be more than ${MAX_OFFSET}` },
+      { status: 400 }
+    );
+  }
+
+  const sourceIds = availableSources().map(source => source.id);
+  if (sources !== undefined && (
+    !Array.isArray(sources) || sources.length === 0 ||
+    sources.some(id => typeof id !== 'string' || !sourceIds.includes(id))
+  )) {
+    return NextResponse.json(
+      { error: `sources must be a non-empty array of: ${sourceIds.join(', ')}` },
+      { status: 400 }
+    );
+  }
+
   try {
-    const { text } = await request.json();
-    
-    if (!text || typeof text !== 'string' || text.trim().length === 0) {
-      return NextResponse.json(
-        { error: 'Valid text is required' },
-        { status: 400 }
-      );
-    }
-
-    // Get research articles using the research_rec.js functionality
-    const articles = await getRelevantHumanitiesArticles(text, 3);
-    
-    return NextResponse.json({ articles });
+    // Search for new papers, then rank the saved abstracts nearest the
+    // paragraph being written (or the whole text)
+    const maxPapers = readLimit(data.count, DEFAULT_COUNT, 1, 20);
+    const options = {
+      ...(query?.trim() && { query }),
+      discipline,
+      maxPapers,
+      offset,
+      analysis: analysis !== false,
+      sources,
+      filters: {
+        ...(yearFrom && { yearFrom }),
+        ...(yearTo && { yearTo }),
+        openAccessOnly: openAccessOnly === true
+      }
+    };
+    const { value: result, cache } = await researchCache.wrap({ text, ...options }, () => recommendArticles(text, options));
+
+    // The page after the last allowed offset is never served
+    const hasMore = result.hasMore && offset + maxPapers <= MAX_OFFSET;
+    return NextResponse.json({ ...result, hasMore, offset, cache });
   } catch (error: any) {
     console.error('Research API error:', error);
     return NextResponse.json(
@@ -23,4 +167,4 @@ export async function POST(request: NextRequest) {
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,43 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getSource, removeSource } from '../../../../../source_library.js';
+
+// Sources are stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: { id: string };
+}
+
+// A source with every statistic and quote extracted from it
+export async function GET(request: NextRequest, { params }: RouteContext) {
+  try {
+    const source = await getSource(params.id);
+    if (!source) {
+      return NextResponse.json({ error: 'Source not found' }, { status: 404 });
+    }
+    return NextResponse.json({ source });
+  } catch (error) {
+    console.error('Source load error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load source' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+  try {
+    const removed = await removeSource(params.id);
+    if (!removed) {
+      return NextResponse.json({ error: 'Source not found' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Source delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete source' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,130 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { isFeatureConfigured, describeMissingConfig } from '../../../../../llm_service.js';
+import { matchSources } from '../../../../../source_library.js';
+
+// Reads saved sources from the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+interface MatchRequest {
+  userText: string;
+  // The paragraph under the cursor; evidence is shortlisted by similarity to
+  // it, and to the whole text when omitted
+  query?: string;
+  // Saved sources to match against; all of them when omitted
+  sourceIds?: string[];
+  maxStats?: number;
+  maxQuotes?: number;
+  relevanceThreshold?: number;
+}
+
+const DEFAULT_MAX_ITEMS = 10;
+
+// Optional numeric fields fall back to the default when absent or malformed
+function readLimit(value: unknown, fallback: number, min: number, max: number): number {
+  const parsed = typeof value === 'number' ? value : typeof value === 'string' && value.trim() ? Number(value) : NaN;
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+}
+
+export async function POST(request: NextRequest) {
+  let data: MatchRequest;
+  try {
+    data = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'Invalid JSON in request body' },
+      { status: 400 }
+    );
+  }
+
+  if (!data.userText || typeof data.userText !== 'string' || !data.userText.trim()) {
+    return NextResponse.json(
+      { error: 'User text is required' },
+      { status: 400 }
+    );
+  }
+
+  if (data.query !== undefined && typeof data.query !== 'string') {
+    return NextResponse.json(
+      { error: 'query must be a string' },
+      { status: 400 }
+    );
+  }
+
+  if (data.sourceIds !== undefined && (!Array.isArray(data.sourceIds) || data.sourceIds.some(id => typeof id !== 'string'))) {
+    return NextResponse.json(
+      { error: 'sourceIds must be an array of source ids' },
+      { status: 400 }
+    );
+  }
+
+  // Sources extracted under another model are re-mined, so both may be needed
+  for (const feature of ['evidence', 'relevance']) {
+    if (!isFeatureConfigured(feature)) {
+      return NextResponse.json(
+        { error: describeMissingConfig(feature) },
+        { status: 500 }
+      );
+    }
+  }
+
+  try {
+    const result = await matchSources(data.userText, data.sourceIds, {
+      ...(data.query?.trim() && { query: data.query }),
+      maxStats: readLimit(data.maxStats, DEFAULT_MAX_ITEMS, 1, 50),
+      maxQuotes: readLimit(data.maxQuotes, DEFAULT_MAX_ITEMS, 1, 50),
+      relevanceThreshold: readLimit(data.relevanceThreshold, 0, 0, 1)
+    });
+    if (!result) {
+      return NextResponse.json({ error: 'No saved sources to match against' }, { status: 404 });
+    }
+
+    const formatItem = (type: string) => (item: any) => ({
+      text: item.text,
+      context: item.context || '',
+      source: item.source || '',
+      position: item.position,
+      location: item.location,
+      span: item.span,
+      verification: item.verification,
+      relevanceScore: item.relevanceScore,
+      relevanceReason: item.relevanceReason || '',
+      sourceId: item.sourceId,
+      sourceFile: item.sourceFile,
+      type
+    });
+
+    // One source reads like a single upload; several are summed
+    const [only] = result.sources.length === 1 ? result.sources : [];
+    const sourceInfo = {
+      file: result.sources.map(source => source.filename).join(', '),
+      ...(only && {
+        format: only.format,
+        ...(only.title && { title: only.title }),
+        ...(only.author && { author: only.author }),
+        ...(only.pageCount && { pageCount: only.pageCount }),
+        coverage: only.coverage
+      }),
+      totalStatsFound: result.sources.reduce((sum, source) => sum + source.totalStatsFound, 0),
+      totalQuotesFound: result.sources.reduce((sum, source) => sum + source.totalQuotesFound, 0)
+    };
+
+    return NextResponse.json({
+      success: true,
+      evidence: {
+        statistics: result.statistics.map(formatItem('statistic')),
+        quotes: result.quotes.map(formatItem('quote')),
+        userContext: result.userContext,
+        sourceInfo,
+        sources: result.sources,
+        recommendations: result.recommendations || ''
+      }
+    });
+  } catch (error) {
+    console.error('Source match error:', error);
+    return NextResponse.json(
+      { error: 'Failed to match evidence from saved sources' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,86 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { isFeatureConfigured, describeMissingConfig } from '../../../../llm_service.js';
+import { getSourceParser, supportedExtensions, parseSource } from '../../../../source_parsers.js';
+import { listSources, addSource, MAX_SOURCE_BYTES } from '../../../../source_library.js';
+
+// Sources are stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    const sources = await listSources();
+    return NextResponse.json({ sources });
+  } catch (error) {
+    console.error('Source list error:', error);
+    return NextResponse.json(
+      { error: 'Failed to list sources' },
+      { status: 500 }
+    );
+  }
+}
+
+// Save an uploaded file to the library; its evidence is extracted once, here
+export async function POST(request: NextRequest) {
+  if (!isFeatureConfigured('evidence')) {
+    return NextResponse.json(
+      { error: describeMissingConfig('evidence') },
+      { status: 500 }
+    );
+  }
+
+  let file: File | null;
+  try {
+    file = (await request.formData()).get('file') as File | null;
+  } catch {
+    return NextResponse.json(
+      { error: 'Expected a multipart form with a file' },
+      { status: 400 }
+    );
+  }
+
+  if (!file || typeof file === 'string') {
+    return NextResponse.json(
+      { error: 'A file is required' },
+      { status: 400 }
+    );
+  }
+
+  if (!getSourceParser(file.name)) {
+    return NextResponse.json(
+      { error: `Unsupported file type. Supported types: ${supportedExtensions().map((ext: string) => `.${ext}`).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  if (file.size > MAX_SOURCE_BYTES) {
+    return NextResponse.json(
+      { error: `File is too large to add (maximum ${MAX_SOURCE_BYTES / (1024 * 1024)} MB)` },
+      { status: 413 }
+    );
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer());
+  let source;
+  try {
+    source = await parseSource(file.name, buffer);
+  } catch (parseError) {
+    console.warn('Failed to parse evidence source:', parseError);
+    return NextResponse.json(
+      { error: `Could not read ${file.name}: ${parseError instanceof Error ? parseError.message : 'unknown error'}` },
+      { status: 422 }
+    );
+  }
+
+  try {
+    const { source: saved, created } = await addSource(source, buffer);
+    // A file already in the library comes back as it was saved
+    return NextResponse.json({ source: saved, created }, { status: created ? 201 : 200 });
+  } catch (error) {
+    console.error('Source upload error:', error);
+    return NextResponse.json(
+      { error: 'Failed to add source' },
+      { status: 500 }
+    );
+  }
+}
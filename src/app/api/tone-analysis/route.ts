@@ -1,17 +1,9 @@
 import { NextRequest, NextResponse } from 'next/server';
-import OpenAI from 'openai';
+import { complete, isFeatureConfigured, describeMissingConfig, BudgetExceededError } from '../../../../llm_service.js';
+import { createResponseCache } from '../../../../response_cache.js';
 
-// Lazy OpenAI client initialization
-let openaiClient: OpenAI | null = null;
-
-function getOpenAIClient(): OpenAI {
-  if (!openaiClient) {
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
-  return openaiClient;
-}
+// The card re-sends the whole text after every pause, much of the time unchanged
+const toneCache = createResponseCache('tone', { features: ['tone'] });
 
 interface ToneAnalysisRequest {
   text: string;
@@ -21,13 +13,14 @@ interface ToneAnalysisResponse {
   detectedTone?: string;
   detectedPurpose?: string;
   suggestions?: string[];
+  cache?: { hit: boolean; cachedAt?: string };
+  // Why there is no analysis, when the feature is over its daily budget
+  degraded?: string;
   error?: string;
 }
 
 async function analyzeToneAndPurpose(text: string): Promise<{ tone: string; purpose: string; suggestions: string[] }> {
   try {
-    const openai = getOpenAIClient();
-    
     const systemPrompt = `You are a writing analysis expert. Analyze the given text and:
 
 1. Detect the tone (professional, casual, creative, concise, witty, instructional, urgent, reflective)
@@ -46,17 +39,23 @@ Respond in this exact JSON format:
 
 Keep suggestions concise and actionable (max 15 words each).`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await complete('tone', {
+      system: systemPrompt,
       messages: [
-        { role: "system", content: systemPrompt },
         { role: "user", content: `Analyze this text: "${text}"` }
       ],
-      max_tokens: 200,
+      maxTokens: 200,
       temperature: 0.3,
+      mockResponse: JSON.stringify({
+        tone: 'professional',
+        purpose: 'informative',
+        suggestions: ['Vary sentence length to keep the reader engaged', 'State your main point in the opening sentence']
+      }),
+      // The mock analysis is the same for every text, so it is no stand-in when over budget
+      budgetFallback: false
     });
     
-    const content = response.choices[0]?.message?.content?.trim() || '';
+    const content = response.text.trim();
     
     // Parse JSON response
     try {
@@ -76,17 +75,19 @@ Keep suggestions concise and actionable (max 15 words each).`;
     }
     
   } catch (error) {
-    console.error('OpenAI API error:', error);
+    if (!(error instanceof BudgetExceededError)) {
+      console.error('LLM API error:', error);
+    }
     throw error;
   }
 }
 
 export async function POST(request: NextRequest): Promise<NextResponse<ToneAnalysisResponse>> {
   try {
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY) {
+    // Check if the configured LLM provider has credentials
+    if (!isFeatureConfigured('tone')) {
       return NextResponse.json(
-        { error: 'OpenAI API key not configured' },
+        { error: describeMissingConfig('tone') },
         { status: 500 }
       );
     }
@@ -130,15 +131,20 @@ export async function POST(request: NextRequest): Promise<NextResponse<ToneAnaly
     }
     
     // Analyze tone and purpose
-    const analysis = await analyzeToneAndPurpose(text);
+    const { value: analysis, cache } = await toneCache.wrap({ text }, () => analyzeToneAndPurpose(text));
     
     return NextResponse.json({
       detectedTone: analysis.tone,
       detectedPurpose: analysis.purpose,
-      suggestions: analysis.suggestions
+      suggestions: analysis.suggestions,
+      cache
     });
     
   } catch (error) {
+    // The card keeps showing its last analysis
+    if (error instanceof BudgetExceededError) {
+      return NextResponse.json({ degraded: error.message });
+    }
     console.error('API error:', error);
     return NextResponse.json(
       {
@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getUsage } from '../../../../usage_ledger.js';
+
+// Usage is stored on the local filesystem
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Requests, tokens and estimated spend per route and model, and per feature against its budget
+export async function GET(request: NextRequest) {
+  const day = request.nextUrl.searchParams.get('day') || undefined;
+  if (day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return NextResponse.json(
+      { error: 'Invalid day. Must be a date in the form YYYY-MM-DD' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const usage = await getUsage(day);
+    return NextResponse.json(usage);
+  } catch (error) {
+    console.error('Usage report error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load usage' },
+      { status: 500 }
+    );
+  }
+}
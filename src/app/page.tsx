@@ -3,13 +3,15 @@
 import React, { useState, useEffect } from 'react';
 import WritingEditor from '../components/WritingEditor';
 import Header from '../components/Header';
-import ResearchPanel from '../components/ResearchPanel';
-import EvidencePanel from '../components/EvidencePanel';
+import ResearchPanel, { ResearchOptions, DEFAULT_RESEARCH_OPTIONS } from '../components/ResearchPanel';
+import EvidencePanel, { SavedSource } from '../components/EvidencePanel';
 import ToneAnalysisCard from '../components/ToneAnalysisCard';
+import { INSERT_CITATION_COMMAND, CitationInsertion } from '../components/CitationNode';
+import { insertionFromEvidence, insertionFromArticle } from '../components/references';
 
 interface ResearchArticle {
   title: string;
-  authors: string;
+  authors: string[];
   abstract: string;
   published: string;
   url: string;
@@ -18,6 +20,7 @@ interface ResearchArticle {
   relevanceScore?: number;
   relevanceAnalysis?: string;
   pdfUrl?: string;
+  openAccess?: boolean;
 }
 
 interface EvidenceItem {
@@ -25,21 +28,60 @@ interface EvidenceItem {
   context: string;
   source: string;
   position: string;
+  // Where the item sits in the uploaded file, when it could be found there
+  location?: {
+    page?: number;
+    section?: string;
+    row?: number;
+    line: number;
+    label: string;
+  } | null;
+  span?: { start: number; end: number } | null;
+  // Whether the text was found in the uploaded file, and the passage it matched
+  verification?: {
+    status: 'exact' | 'approximate' | 'not_found';
+    similarity: number;
+    excerpt: { before: string; match: string; after: string } | null;
+  };
+  // 0-1, scored against the user's writing
   relevanceScore: number;
   relevanceReason: string;
+  // The saved source the item came from, when matched from the library
+  sourceId?: string;
+  sourceFile?: string;
   type: 'statistic' | 'quote';
 }
 
 interface EvidenceData {
   statistics: EvidenceItem[];
   quotes: EvidenceItem[];
+  // What the scoring stage took the user's writing to need
+  userContext?: {
+    mainArgument: string;
+    keyTopics: string[];
+    evidenceNeeds: string[];
+    gaps: string[];
+    audience: string;
+  };
   sourceInfo: {
     file: string;
+    format?: string;
+    title?: string;
+    author?: string;
+    pageCount?: number;
+    // How much of the file extraction actually read
+    coverage?: {
+      ratio: number;
+      chunks: { total: number; processed: number; failed: number; skipped: number };
+      pages?: { total: number; covered: number };
+    };
     totalStatsFound?: number;
     totalQuotesFound?: number;
     relevantStatsCount?: number;
     relevantQuotesCount?: number;
   };
+  // The saved sources matched against, when the evidence came from the library
+  sources?: Array<{ id: string; filename: string; title?: string; author?: string }>;
   recommendations: string;
 }
 
@@ -48,21 +90,31 @@ export default function Home() {
   const [researchArticles, setResearchArticles] = useState<ResearchArticle[]>([]);
   const [researchLoading, setResearchLoading] = useState(false);
   const [researchError, setResearchError] = useState<string | null>(null);
+  const [researchOptions, setResearchOptions] = useState<ResearchOptions>(DEFAULT_RESEARCH_OPTIONS);
+  const [detectedDiscipline, setDetectedDiscipline] = useState<string | null>(null);
+  const [researchHasMore, setResearchHasMore] = useState(false);
+  const [researchLoadingMore, setResearchLoadingMore] = useState(false);
   
   // Evidence panel state
   const [showEvidence, setShowEvidence] = useState(false);
   const [evidenceData, setEvidenceData] = useState<EvidenceData | null>(null);
   const [evidenceLoading, setEvidenceLoading] = useState(false);
   const [evidenceError, setEvidenceError] = useState<string | null>(null);
+  const [sources, setSources] = useState<SavedSource[]>([]);
+  const [selectedSourceIds, setSelectedSourceIds] = useState<string[]>([]);
   
   // Tone analysis state
   const [showToneAnalysis, setShowToneAnalysis] = useState(false);
   const [editorText, setEditorText] = useState('');
+  // Evidence and research are looked up for the paragraph being written
+  const [cursorParagraph, setCursorParagraph] = useState('');
 
-  const fetchResearchArticles = async (text: string) => {
+  // A non-zero offset loads the next page onto the papers already shown
+  const fetchResearchArticles = async (text: string, options = researchOptions, offset = 0) => {
     if (!text.trim()) return;
     
-    setResearchLoading(true);
+    const setLoading = offset > 0 ? setResearchLoadingMore : setResearchLoading;
+    setLoading(true);
     setResearchError(null);
     
     try {
@@ -71,7 +123,18 @@ export default function Home() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ text }),
+        body: JSON.stringify({
+          text,
+          query: cursorParagraph,
+          offset,
+          discipline: options.discipline,
+          analysis: options.analysis,
+          count: options.count,
+          openAccessOnly: options.openAccessOnly,
+          ...(options.yearFrom !== null && { yearFrom: options.yearFrom }),
+          ...(options.yearTo !== null && { yearTo: options.yearTo }),
+          ...(options.sources && { sources: options.sources })
+        }),
       });
       
       const data = await response.json();
@@ -80,12 +143,18 @@ export default function Home() {
         throw new Error(data.error || 'Failed to fetch research articles');
       }
       
-      setResearchArticles(data.articles || []);
+      const articles: ResearchArticle[] = data.articles || [];
+      // Reranking can move a paper across a page boundary, so skip repeats
+      setResearchArticles(prev => offset > 0
+        ? [...prev, ...articles.filter(article => !prev.some(shown => shown.url === article.url))]
+        : articles);
+      setResearchHasMore(Boolean(data.hasMore));
+      setDetectedDiscipline(data.discipline || null);
     } catch (error: any) {
       console.error('Error fetching research articles:', error);
       setResearchError(error.message || 'Failed to fetch research articles');
     } finally {
-      setResearchLoading(false);
+      setLoading(false);
     }
   };
 
@@ -94,6 +163,7 @@ export default function Home() {
       setShowResearch(false);
       setResearchArticles([]);
       setResearchError(null);
+      setResearchHasMore(false);
     } else {
       setShowResearch(true);
       if (text.trim()) {
@@ -102,17 +172,71 @@ export default function Home() {
     }
   };
 
+  const handleResearchOptionsChange = (options: ResearchOptions) => {
+    setResearchOptions(options);
+    if (editorText.trim()) {
+      fetchResearchArticles(editorText, options);
+    }
+  };
+
+  const fetchSources = async () => {
+    try {
+      const response = await fetch('/api/sources');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load saved sources');
+      }
+      setSources(data.sources || []);
+    } catch (error) {
+      console.error('Error fetching sources:', error);
+    }
+  };
+
+  // Score the saved sources' extracted evidence against the draft as it is now
+  const matchSources = async (sourceIds: string[], userText: string) => {
+    if (!userText.trim()) {
+      setEvidenceError('Write something first, so the evidence can be matched against it');
+      return;
+    }
+
+    setEvidenceLoading(true);
+    setEvidenceError(null);
+    try {
+      const response = await fetch('/api/sources/match', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userText, query: cursorParagraph, sourceIds }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to match evidence');
+      }
+
+      setEvidenceData(data.evidence);
+    } catch (error) {
+      console.error('Evidence match error:', error);
+      setEvidenceError(error instanceof Error ? error.message : 'Failed to match evidence');
+    } finally {
+      setEvidenceLoading(false);
+    }
+  };
+
+  // Uploads are saved to the source library, then matched along with the other selected sources
   const handleEvidenceUpload = async (file: File, userText: string) => {
     setEvidenceLoading(true);
     setEvidenceError(null);
     setShowEvidence(true);
+    fetchSources();
     
     try {
       const formData = new FormData();
       formData.append('file', file);
-      formData.append('userText', userText);
       
-      const response = await fetch('/api/evidence', {
+      const response = await fetch('/api/sources', {
         method: 'POST',
         body: formData,
       });
@@ -122,8 +246,12 @@ export default function Home() {
       if (!response.ok) {
         throw new Error(data.error || 'Failed to extract evidence');
       }
-      
-      setEvidenceData(data.evidence);
+
+      const source: SavedSource = data.source;
+      const nextSelection = selectedSourceIds.includes(source.id) ? selectedSourceIds : [...selectedSourceIds, source.id];
+      setSources(prev => [source, ...prev.filter(existing => existing.id !== source.id)]);
+      setSelectedSourceIds(nextSelection);
+      await matchSources(nextSelection, userText);
     } catch (error) {
       console.error('Evidence upload error:', error);
       setEvidenceError(error instanceof Error ? error.message : 'Failed to extract evidence');
@@ -132,6 +260,49 @@ export default function Home() {
     }
   };
 
+  const handleOpenSources = () => {
+    setShowEvidence(true);
+    fetchSources();
+  };
+
+  const handleToggleSource = (id: string) => {
+    setSelectedSourceIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]);
+  };
+
+  const handleDeleteSource = async (id: string) => {
+    try {
+      const response = await fetch(`/api/sources/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to remove source');
+      }
+      setSources(prev => prev.filter(source => source.id !== id));
+      setSelectedSourceIds(prev => prev.filter(selected => selected !== id));
+    } catch (error) {
+      console.error('Source delete error:', error);
+      setEvidenceError(error instanceof Error ? error.message : 'Failed to remove source');
+    }
+  };
+
+  // Hand the passage to the editor, which inserts it at the cursor with its citation
+  const insertCitation = (insertion: CitationInsertion) => {
+    const editor = (window as any).__lexicalEditor;
+    if (!editor) return;
+    editor.dispatchCommand(INSERT_CITATION_COMMAND, insertion);
+    editor.focus();
+  };
+
+  // Items matched from several sources cite the file each one came from
+  const handleInsertEvidence = (item: EvidenceItem) => {
+    if (!evidenceData) return;
+    const source = evidenceData.sources?.find(candidate => candidate.id === item.sourceId);
+    insertCitation(insertionFromEvidence(item, source ? { ...source, file: source.filename } : evidenceData.sourceInfo));
+  };
+
+  const handleInsertArticle = (article: ResearchArticle) => {
+    insertCitation(insertionFromArticle(article));
+  };
+
   const handleCloseEvidence = () => {
     setShowEvidence(false);
     setEvidenceData(null);
@@ -179,8 +350,10 @@ export default function Home() {
               onToggleResearch={handleToggleResearch}
               showResearch={showResearch}
               onEvidenceUpload={handleEvidenceUpload}
+              onOpenSources={handleOpenSources}
               showEvidence={showEvidence}
               onEditorTextChange={handleEditorTextChange}
+              onCursorParagraphChange={setCursorParagraph}
             />
           </div>
 
@@ -198,6 +371,36 @@ export default function Home() {
                   <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Enter</kbd>
                 </div>
               </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Accept next word:</span>
+                <div className="flex space-x-1">
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Ctrl</kbd>
+                  <span className="text-gray-600">+</span>
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Shift</kbd>
+                  <span className="text-gray-600">+</span>
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">→</kbd>
+                </div>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Accept next sentence:</span>
+                <div className="flex space-x-1">
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Ctrl</kbd>
+                  <span className="text-gray-600">+</span>
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Shift</kbd>
+                  <span className="text-gray-600">+</span>
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">↓</kbd>
+                </div>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Next / previous alternative:</span>
+                <div className="flex space-x-1">
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Tab</kbd>
+                  <span className="text-gray-600">/</span>
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Shift</kbd>
+                  <span className="text-gray-600">+</span>
+                  <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Tab</kbd>
+                </div>
+              </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">Dismiss suggestion:</span>
                 <kbd className="px-2 py-1 bg-gray-100 rounded text-gray-900">Escape</kbd>
@@ -242,6 +445,9 @@ export default function Home() {
             <div className="mt-3 text-xs text-gray-500">
               * Use Cmd instead of Ctrl on macOS
             </div>
+            <div className="mt-1 text-xs text-gray-500">
+              * In Rich Text mode, <code>Ctrl+B</code> / <code>Ctrl+I</code> format text and Markdown shortcuts work as you type: <code>#</code> headings, <code>-</code> or <code>1.</code> lists, <code>&gt;</code> quotes, <code>**bold**</code>, <code>*italic*</code>, <code>[text](url)</code>
+            </div>
           </div>
         </div>
       </main>
@@ -254,6 +460,13 @@ export default function Home() {
             isLoading={researchLoading}
             error={researchError}
             onClose={() => handleToggleResearch('')}
+            onInsert={handleInsertArticle}
+            isLoadingMore={researchLoadingMore}
+            hasMore={researchHasMore}
+            options={researchOptions}
+            detectedDiscipline={detectedDiscipline}
+            onOptionsChange={handleResearchOptionsChange}
+            onLoadMore={() => fetchResearchArticles(editorText, researchOptions, researchArticles.length)}
           />
         </div>
       )}
@@ -266,6 +479,12 @@ export default function Home() {
             isLoading={evidenceLoading}
             error={evidenceError}
             onClose={handleCloseEvidence}
+            onInsert={handleInsertEvidence}
+            sources={sources}
+            selectedSourceIds={selectedSourceIds}
+            onToggleSource={handleToggleSource}
+            onMatch={() => matchSources(selectedSourceIds, editorText)}
+            onDeleteSource={handleDeleteSource}
           />
         </div>
       )}
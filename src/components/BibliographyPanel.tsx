@@ -0,0 +1,357 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+import { CitationStyle, CITATION_STYLE_OPTIONS, Reference, ReferenceType } from './references';
+import { buildBibliography } from '../../citation_styles.js';
+import { parseReferences, toBibtex, toRis } from '../../bibliography_formats.js';
+
+export type ReferenceFields = Omit<Reference, 'id'>;
+
+interface BibliographyPanelProps {
+  references: Reference[];
+  style: CitationStyle;
+  // Reference ids of the citations in the draft, in reading order
+  citedIds: string[];
+  onStyleChange: (style: CitationStyle) => void;
+  onAdd: (fields: ReferenceFields) => void;
+  onUpdate: (reference: Reference) => void;
+  onDelete: (id: string) => void;
+  // Returns how many of the references were new to the document
+  onImport: (references: ReferenceFields[]) => number;
+  onCite: (reference: Reference) => void;
+  onClose: () => void;
+}
+
+const REFERENCE_TYPE_OPTIONS: Array<{ type: ReferenceType; label: string }> = [
+  { type: 'article', label: 'Journal article' },
+  { type: 'book', label: 'Book' },
+  { type: 'chapter', label: 'Chapter or paper in a collection' },
+  { type: 'report', label: 'Report' },
+  { type: 'webpage', label: 'Web page' },
+  { type: 'document', label: 'Other document' },
+];
+
+// Form state keeps authors as one name per line
+interface DraftReference {
+  id?: string;
+  type: ReferenceType;
+  title: string;
+  authors: string;
+  year: string;
+  container: string;
+  volume: string;
+  issue: string;
+  pages: string;
+  publisher: string;
+  doi: string;
+  url: string;
+}
+
+const OPTIONAL_FIELDS = ['year', 'container', 'volume', 'issue', 'pages', 'publisher', 'doi', 'url'] as const;
+
+const EMPTY_DRAFT: DraftReference = {
+  type: 'article', title: '', authors: '', year: '', container: '', volume: '', issue: '', pages: '', publisher: '', doi: '', url: '',
+};
+
+function toDraft(reference: Reference): DraftReference {
+  const draft: DraftReference = { ...EMPTY_DRAFT, id: reference.id, type: reference.type, title: reference.title, authors: reference.authors.join('\n') };
+  for (const field of OPTIONAL_FIELDS) draft[field] = reference[field] || '';
+  return draft;
+}
+
+function fromDraft(draft: DraftReference): ReferenceFields {
+  const fields: ReferenceFields = {
+    type: draft.type,
+    title: draft.title.trim(),
+    authors: draft.authors.split(/\n|;/).map(name => name.trim()).filter(Boolean),
+  };
+  for (const field of OPTIONAL_FIELDS) {
+    if (draft[field].trim()) fields[field] = draft[field].trim();
+  }
+  return fields;
+}
+
+function download(text: string, filename: string, type: string) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = window.document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function BibliographyPanel({
+  references,
+  style,
+  citedIds,
+  onStyleChange,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onImport,
+  onCite,
+  onClose,
+}: BibliographyPanelProps) {
+  const [draft, setDraft] = useState<DraftReference | null>(null);
+  const [status, setStatus] = useState<{ kind: 'info' | 'error'; text: string } | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const entries = buildBibliography(references, style, citedIds);
+  const citationCounts = citedIds.reduce<Record<string, number>>((counts, id) => {
+    counts[id] = (counts[id] || 0) + 1;
+    return counts;
+  }, {});
+
+  const updateDraft = (field: keyof DraftReference, value: string) => {
+    setDraft(prev => prev && { ...prev, [field]: value });
+  };
+
+  const commitDraft = () => {
+    if (!draft || !draft.title.trim()) return;
+    const fields = fromDraft(draft);
+    if (draft.id) {
+      onUpdate({ ...fields, id: draft.id });
+    } else {
+      onAdd(fields);
+    }
+    setDraft(null);
+  };
+
+  const handleDelete = (reference: Reference) => {
+    const count = citationCounts[reference.id] || 0;
+    const message = count > 0
+      ? `Delete "${reference.title}" and its ${count} citation${count === 1 ? '' : 's'} in the text?`
+      : `Delete "${reference.title}"?`;
+    if (window.confirm(message)) {
+      onDelete(reference.id);
+    }
+  };
+
+  const handleImport = async (file: File) => {
+    try {
+      const { format, references: imported } = parseReferences(await file.text());
+      const added = onImport(imported as ReferenceFields[]);
+      const skipped = imported.length - added;
+      setStatus({
+        kind: 'info',
+        text: `Imported ${added} reference${added === 1 ? '' : 's'} from ${format === 'ris' ? 'RIS' : 'BibTeX'}` +
+          (skipped > 0 ? ` (${skipped} already in the bibliography)` : ''),
+      });
+    } catch (error) {
+      setStatus({ kind: 'error', text: error instanceof Error ? error.message : 'Could not read the file' });
+    }
+  };
+
+  return (
+    <div className="w-full h-full bg-white shadow-2xl border-l border-gray-200 flex flex-col">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 flex justify-between items-start">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            References
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Citations in the text follow the style you choose
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+          aria-label="Close references panel"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <label className="block text-xs font-medium text-gray-700">
+          Citation style
+          <select
+            value={style}
+            onChange={(e) => onStyleChange(e.target.value as CitationStyle)}
+            className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+          >
+            {CITATION_STYLE_OPTIONS.map(option => (
+              <option key={option.style} value={option.style}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setDraft({ ...EMPTY_DRAFT })}
+            className="flex-1 px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+          >
+            Add Reference
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-1 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+            title="Add references from a BibTeX (.bib) or RIS (.ris) file"
+          >
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".bib,.bibtex,.ris,.txt"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              // Reset so choosing the same file again still fires onChange
+              e.target.value = '';
+              if (file) handleImport(file);
+            }}
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => download(toBibtex(references), 'references.bib', 'application/x-bibtex')}
+            disabled={references.length === 0}
+            className="flex-1 px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50"
+          >
+            Export BibTeX
+          </button>
+          <button
+            onClick={() => download(toRis(references), 'references.ris', 'application/x-research-info-systems')}
+            disabled={references.length === 0}
+            className="flex-1 px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50"
+          >
+            Export RIS
+          </button>
+        </div>
+        {status && (
+          <p className={`text-xs ${status.kind === 'error' ? 'text-red-700' : 'text-gray-600'}`}>
+            {status.text}
+          </p>
+        )}
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {draft && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 mb-4 space-y-2">
+            <label className="block text-xs font-medium text-gray-700">
+              Type
+              <select
+                value={draft.type}
+                onChange={(e) => updateDraft('type', e.target.value)}
+                className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+              >
+                {REFERENCE_TYPE_OPTIONS.map(option => (
+                  <option key={option.type} value={option.type}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-xs font-medium text-gray-700">
+              Title
+              <input
+                autoFocus
+                value={draft.title}
+                onChange={(e) => updateDraft('title', e.target.value)}
+                className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+              />
+            </label>
+            <label className="block text-xs font-medium text-gray-700">
+              Authors, one per line
+              <textarea
+                value={draft.authors}
+                onChange={(e) => updateDraft('authors', e.target.value)}
+                placeholder={'Jane Doe\nRoe, John'}
+                rows={2}
+                className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded resize-none"
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {([
+                ['year', 'Year'],
+                ['container', draft.type === 'article' ? 'Journal' : draft.type === 'chapter' ? 'Book or proceedings' : 'Site or series'],
+                ['volume', 'Volume'],
+                ['issue', 'Issue'],
+                ['pages', 'Pages'],
+                ['publisher', draft.type === 'report' ? 'Institution' : 'Publisher'],
+                ['doi', 'DOI'],
+                ['url', 'URL'],
+              ] as Array<[typeof OPTIONAL_FIELDS[number], string]>).map(([field, label]) => (
+                <label key={field} className="block text-xs font-medium text-gray-700">
+                  {label}
+                  <input
+                    value={draft[field]}
+                    onChange={(e) => updateDraft(field, e.target.value)}
+                    className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2 pt-1">
+              <button
+                onClick={commitDraft}
+                disabled={!draft.title.trim()}
+                className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+              >
+                {draft.id ? 'Save' : 'Add'}
+              </button>
+              <button
+                onClick={() => setDraft(null)}
+                className="px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {references.length === 0 && !draft && (
+          <div className="text-center py-8">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">
+              No references yet
+            </h3>
+            <p className="text-xs text-gray-500 px-4">
+              Cite research or evidence, add a source by hand, or import a BibTeX or RIS file
+            </p>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {entries.map(({ label, text, ...entry }) => {
+            const reference = entry.reference as Reference;
+            const count = citationCounts[reference.id] || 0;
+            return (
+              <div key={reference.id} className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+                <p className="text-xs text-gray-800 break-words">
+                  {label && <span className="font-medium mr-1">{label}</span>}
+                  {text}
+                </p>
+                <div className="text-xs text-gray-500 mt-1">
+                  {count > 0 ? `Cited ${count} time${count === 1 ? '' : 's'}` : 'Not cited in the text'}
+                </div>
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={() => onCite(reference)}
+                    className="px-2 py-1 text-xs bg-blue-50 text-blue-700 rounded hover:bg-blue-100 transition-colors"
+                    title="Insert a citation at the cursor"
+                  >
+                    Cite
+                  </button>
+                  <button
+                    onClick={() => setDraft(toDraft(reference))}
+                    className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(reference)}
+                    className="px-2 py-1 text-xs bg-red-50 text-red-700 rounded hover:bg-red-100 transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import {
+  $getRoot,
+  $createTextNode,
+  $isElementNode,
+  $isTextNode,
+  EditorConfig,
+  LexicalCommand,
+  LexicalNode,
+  NodeKey,
+  SerializedTextNode,
+  Spread,
+  TextNode,
+  createCommand,
+} from 'lexical';
+import type { CitationStyle, Reference } from './references';
+import { formatInTextCitation, numberReferences } from '../../citation_styles.js';
+
+export type SerializedCitationNode = Spread<
+  {
+    referenceId: string;
+    page?: string;
+  },
+  SerializedTextNode
+>;
+
+/**
+ * In-text citation such as "(Doe, 2022, p. 4)" or "[3]". The text is what the
+ * reader sees, in the document's citation style; referenceId links it to an
+ * entry in the document's references, which exports turn into a footnote or
+ * bibliography entry. Token mode makes it select and delete as a single unit.
+ */
+export class CitationNode extends TextNode {
+  __referenceId: string;
+  __page?: string;
+
+  static getType(): string {
+    return 'citation';
+  }
+
+  static clone(node: CitationNode): CitationNode {
+    return new CitationNode(node.__text, node.__referenceId, node.__page, node.__key);
+  }
+
+  constructor(text: string, referenceId: string, page?: string, key?: NodeKey) {
+    super(text, key);
+    this.__referenceId = referenceId;
+    this.__page = page;
+  }
+
+  static importJSON(serializedNode: SerializedCitationNode): CitationNode {
+    const node = $createCitationNode(serializedNode.text, serializedNode.referenceId, serializedNode.page);
+    node.setFormat(serializedNode.format);
+    node.setStyle(serializedNode.style);
+    return node;
+  }
+
+  exportJSON(): SerializedCitationNode {
+    return {
+      ...super.exportJSON(),
+      type: 'citation',
+      referenceId: this.__referenceId,
+      ...(this.__page && { page: this.__page }),
+      version: 1,
+    };
+  }
+
+  createDOM(config: EditorConfig): HTMLElement {
+    const dom = super.createDOM(config);
+    dom.className = 'citation text-blue-700 bg-blue-50 rounded-sm';
+    return dom;
+  }
+
+  getReferenceId(): string {
+    return this.getLatest().__referenceId;
+  }
+
+  getPage(): string | undefined {
+    return this.getLatest().__page;
+  }
+
+  canInsertTextBefore(): boolean {
+    return false;
+  }
+
+  canInsertTextAfter(): boolean {
+    return false;
+  }
+}
+
+export function $createCitationNode(text: string, referenceId: string, page?: string): CitationNode {
+  return new CitationNode(text, referenceId, page).setMode('token');
+}
+
+export function $isCitationNode(node: LexicalNode | null | undefined): node is CitationNode {
+  return node instanceof CitationNode;
+}
+
+// Text to put in the draft and the source it cites
+export interface CitationInsertion {
+  // 'quote' wraps the text in quotation marks; 'paraphrase' inserts it as is;
+  // 'citation' inserts only the in-text citation
+  kind: 'quote' | 'paraphrase' | 'citation';
+  text: string;
+  reference: Omit<Reference, 'id'>;
+  page?: string;
+}
+
+export const INSERT_CITATION_COMMAND: LexicalCommand<CitationInsertion> = createCommand('INSERT_CITATION_COMMAND');
+
+// Placeholders are wrapped in private-use characters, which typed text never contains
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const PLACEHOLDER = /\uE000(\d+)\uE001/;
+
+interface StashedCitation {
+  text: string;
+  referenceId: string;
+  page?: string;
+}
+
+function $textNodes(node: LexicalNode): TextNode[] {
+  if ($isTextNode(node)) return [node];
+  return $isElementNode(node) ? node.getChildren().flatMap($textNodes) : [];
+}
+
+/**
+ * Switching between plain and rich text goes through Markdown, which has no
+ * notion of citations. Swap each citation for a placeholder character run
+ * first, and swap them back afterwards with $restoreCitations.
+ * Must run inside editor.update().
+ */
+export function $stashCitations(): StashedCitation[] {
+  const stash: StashedCitation[] = [];
+  for (const node of $textNodes($getRoot())) {
+    if (!$isCitationNode(node)) continue;
+    stash.push({ text: node.getTextContent(), referenceId: node.getReferenceId(), page: node.getPage() });
+    node.replace($createTextNode(`${PLACEHOLDER_START}${stash.length - 1}${PLACEHOLDER_END}`));
+  }
+  return stash;
+}
+
+export function $restoreCitations(stash: StashedCitation[]) {
+  if (stash.length === 0) return;
+  for (const node of $textNodes($getRoot())) {
+    const text = node.getTextContent();
+    if (!text.includes(PLACEHOLDER_START)) continue;
+
+    // Splitting on the capturing pattern alternates text and stash indexes
+    const replacements: LexicalNode[] = [];
+    text.split(PLACEHOLDER).forEach((part, index) => {
+      if (index % 2 === 0) {
+        if (part) replacements.push($createTextNode(part).setFormat(node.getFormat()));
+        return;
+      }
+      const original = stash[Number(part)];
+      if (original) replacements.push($createCitationNode(original.text, original.referenceId, original.page));
+    });
+
+    let anchor: LexicalNode = node;
+    for (const replacement of replacements) {
+      anchor.insertAfter(replacement);
+      anchor = replacement;
+    }
+    node.remove();
+  }
+}
+
+// Citation nodes in reading order
+export function $getCitationNodes(): CitationNode[] {
+  return $textNodes($getRoot()).filter($isCitationNode);
+}
+
+/**
+ * Rewrite every citation in the given style, renumbering numbered styles by
+ * order of first citation. Only citations whose text changes are touched.
+ * Must run inside editor.update().
+ */
+export function $refreshCitations(references: Reference[], style: CitationStyle) {
+  const citations = $getCitationNodes();
+  const referenceById = new Map(references.map(reference => [reference.id, reference]));
+  const numbers = numberReferences(citations.map(node => node.getReferenceId()), references);
+  for (const node of citations) {
+    const reference = referenceById.get(node.getReferenceId());
+    if (!reference) continue;
+    const text = formatInTextCitation(reference, style, { number: numbers.get(reference.id), page: node.getPage() });
+    if (node.getTextContent() !== text) node.setTextContent(text);
+  }
+}
+
+/**
+ * Remove the citations of a reference, with the space that separated each
+ * from the text before it when punctuation or the end of the line follows.
+ * Must run inside editor.update().
+ */
+export function $removeCitations(referenceId: string) {
+  for (const node of $getCitationNodes()) {
+    if (node.getReferenceId() !== referenceId) continue;
+    const previous = node.getPreviousSibling();
+    const next = node.getNextSibling();
+    const nextText = $isTextNode(next) ? next.getTextContent() : '';
+    if ($isTextNode(previous) && !$isCitationNode(previous) && /^[.,;:!?]|^$/.test(nextText)) {
+      previous.setTextContent(previous.getTextContent().replace(/ $/, ''));
+    }
+    node.remove();
+  }
+}
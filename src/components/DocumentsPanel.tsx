@@ -0,0 +1,209 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+
+interface DocumentSummary {
+  id: string;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  preview: string;
+  wordCount: number;
+}
+
+interface DocumentsPanelProps {
+  documents: DocumentSummary[];
+  currentDocumentId: string | null;
+  isLoading: boolean;
+  error: string | null;
+  onOpen: (id: string) => void;
+  onCreate: () => void;
+  onImport: (file: File) => void;
+  onRename: (id: string, title: string) => void;
+  onDelete: (id: string) => void;
+  onClose: () => void;
+}
+
+function formatUpdatedAt(updatedAt: string): string {
+  const date = new Date(updatedAt);
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+export default function DocumentsPanel({
+  documents,
+  currentDocumentId,
+  isLoading,
+  error,
+  onOpen,
+  onCreate,
+  onImport,
+  onRename,
+  onDelete,
+  onClose,
+}: DocumentsPanelProps) {
+  const [renamingId, setRenamingId] = useState<string | null>(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const startRename = (document: DocumentSummary) => {
+    setRenamingId(document.id);
+    setDraftTitle(document.title);
+  };
+
+  const commitRename = () => {
+    if (renamingId && draftTitle.trim()) {
+      onRename(renamingId, draftTitle.trim());
+    }
+    setRenamingId(null);
+  };
+
+  const handleDelete = (document: DocumentSummary) => {
+    if (window.confirm(`Delete "${document.title}"? This cannot be undone.`)) {
+      onDelete(document.id);
+    }
+  };
+
+  return (
+    <div className="w-full h-full bg-white shadow-2xl border-l border-gray-200 flex flex-col">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 flex justify-between items-start">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Documents
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Drafts are saved automatically as you write
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+          aria-label="Close documents panel"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-4 border-b border-gray-200 flex gap-2">
+        <button
+          onClick={onCreate}
+          className="flex-1 px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+        >
+          New Document
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex-1 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          title="Open a .txt, .md, .docx or .html file as a new document"
+        >
+          Import File
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".txt,.md,.markdown,.docx,.html,.htm"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            // Reset so choosing the same file again still fires onChange
+            e.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+            <h3 className="text-sm font-medium text-red-800">
+              Document Error
+            </h3>
+            <p className="text-sm text-red-700 mt-1">
+              {error}
+            </p>
+          </div>
+        )}
+
+        {isLoading && documents.length === 0 && (
+          <div className="space-y-3">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="bg-white rounded-lg p-3 border border-gray-200">
+                <div className="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
+                <div className="h-3 bg-gray-200 rounded w-1/2"></div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!isLoading && documents.length === 0 && (
+          <div className="text-center py-8">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">
+              No documents yet
+            </h3>
+            <p className="text-xs text-gray-500 px-4">
+              Create a document or import an existing draft
+            </p>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {documents.map(document => (
+            <div
+              key={document.id}
+              className={`rounded-lg p-3 border transition-colors cursor-pointer ${
+                document.id === currentDocumentId
+                  ? 'bg-blue-50 border-blue-300'
+                  : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
+              }`}
+              onClick={() => onOpen(document.id)}
+            >
+              {renamingId === document.id ? (
+                <input
+                  autoFocus
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onClick={(e) => e.stopPropagation()}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setRenamingId(null);
+                  }}
+                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              ) : (
+                <h3 className="text-sm font-semibold text-gray-900 truncate">
+                  {document.title}
+                </h3>
+              )}
+              <div className="text-xs text-gray-500 mt-1">
+                {formatUpdatedAt(document.updatedAt)} • {document.wordCount} words
+              </div>
+              {document.preview && (
+                <p className="text-xs text-gray-600 mt-1 line-clamp-2">
+                  {document.preview}
+                </p>
+              )}
+              <div className="flex gap-2 mt-2" onClick={(e) => e.stopPropagation()}>
+                <button
+                  onClick={() => startRename(document)}
+                  className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => handleDelete(document)}
+                  className="px-2 py-1 text-xs bg-red-50 text-red-700 rounded hover:bg-red-100 transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -7,33 +7,94 @@ interface EvidenceItem {
   context: string;
   source: string;
   position: string;
+  // Where the item sits in the uploaded file, when it could be found there
+  location?: {
+    page?: number;
+    section?: string;
+    row?: number;
+    line: number;
+    label: string;
+  } | null;
+  span?: { start: number; end: number } | null;
+  // Whether the text was found in the uploaded file, and the passage it matched
+  verification?: {
+    status: 'exact' | 'approximate' | 'not_found';
+    similarity: number;
+    excerpt: { before: string; match: string; after: string } | null;
+  };
+  // 0-1, scored against the user's writing
   relevanceScore: number;
   relevanceReason: string;
+  // The saved source the item came from, when matched from the library
+  sourceId?: string;
+  sourceFile?: string;
   type: 'statistic' | 'quote';
 }
 
+const VERIFICATION_BADGES = {
+  exact: {
+    label: '✓ Verbatim',
+    className: 'bg-green-50 text-green-700 border-green-200',
+    title: 'Found word for word in the source'
+  },
+  approximate: {
+    label: '≈ Approximate',
+    className: 'bg-amber-50 text-amber-700 border-amber-200',
+    title: 'Only a close match was found; check the wording against the source before quoting'
+  },
+  not_found: {
+    label: '✗ Not in source',
+    className: 'bg-red-50 text-red-700 border-red-200',
+    title: 'Nothing like this text was found in the source; it may have been invented'
+  }
+};
+
 interface EvidenceCardProps {
   evidence: EvidenceItem;
+  onInsert?: (item: EvidenceItem) => void;
 }
 
-export default function EvidenceCard({ evidence }: EvidenceCardProps) {
+export default function EvidenceCard({ evidence, onInsert }: EvidenceCardProps) {
   const handleCopyToClipboard = () => {
     navigator.clipboard.writeText(evidence.text);
   };
 
   const isStatistic = evidence.type === 'statistic';
+  const verification = evidence.verification;
+  const badge = verification ? VERIFICATION_BADGES[verification.status] : null;
+  const scoreColor = evidence.relevanceScore >= 0.7
+    ? 'text-green-700'
+    : evidence.relevanceScore >= 0.4 ? 'text-amber-700' : 'text-gray-500';
 
   return (
     <div className="bg-gray-50 rounded-lg p-3 border border-gray-200 hover:bg-gray-100 transition-colors">
       <div className="mb-2">
         {/* Type Badge */}
         <div className="flex items-center justify-between mb-2">
-          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-            isStatistic 
-              ? 'bg-green-100 text-green-800' 
-              : 'bg-purple-100 text-purple-800'
-          }`}>
-            {isStatistic ? '📊 Statistic' : '💬 Quote'}
+          <div className="flex items-center gap-1">
+            <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+              isStatistic 
+                ? 'bg-green-100 text-green-800' 
+                : 'bg-purple-100 text-purple-800'
+            }`}>
+              {isStatistic ? '📊 Statistic' : '💬 Quote'}
+            </span>
+            {verification && badge && (
+              <span
+                className={`inline-flex items-center px-2 py-0.5 rounded border text-xs ${badge.className}`}
+                title={verification.status === 'approximate'
+                  ? `${badge.title} (${Math.round(verification.similarity * 100)}% of words match)`
+                  : badge.title}
+              >
+                {badge.label}
+              </span>
+            )}
+          </div>
+          <span
+            className={`text-xs font-medium ${scoreColor}`}
+            title={evidence.relevanceReason || undefined}
+          >
+            {Math.round(evidence.relevanceScore * 100)}% relevant
           </span>
         </div>
 
@@ -44,13 +105,33 @@ export default function EvidenceCard({ evidence }: EvidenceCardProps) {
           </p>
         </div>
 
-        {/* Context */}
-        <div className="text-xs text-gray-600 mb-2">
-          <span className="font-medium">Context:</span>
-          <p className="mt-1 line-clamp-2">
-            {evidence.context}
+        {/* Context: the matched passage as it reads in the source, when it was found */}
+        {verification?.excerpt ? (
+          <div className="text-xs text-gray-600 mb-2">
+            <span className="font-medium">In the source:</span>
+            <p className="mt-1 line-clamp-4">
+              {verification.excerpt.before}
+              <mark className={verification.status === 'exact' ? 'bg-yellow-100' : 'bg-amber-200'}>
+                {verification.excerpt.match}
+              </mark>
+              {verification.excerpt.after}
+            </p>
+          </div>
+        ) : (
+          <div className="text-xs text-gray-600 mb-2">
+            <span className="font-medium">Context:</span>
+            <p className="mt-1 line-clamp-2">
+              {evidence.context}
+            </p>
+          </div>
+        )}
+
+        {/* Why it scored as it did */}
+        {evidence.relevanceReason && (
+          <p className="text-xs text-gray-600 italic mb-2">
+            {evidence.relevanceReason}
           </p>
-        </div>
+        )}
 
         {/* Source and Position */}
         <div className="text-xs text-gray-500 mb-2">
@@ -58,20 +139,39 @@ export default function EvidenceCard({ evidence }: EvidenceCardProps) {
             <>
               <span className="font-medium">Source:</span>
               <span className="ml-1">{evidence.source}</span>
-              {evidence.position && (
-                <>
-                  <span className="mx-1">•</span>
-                  <span>{evidence.position}</span>
-                </>
-              )}
+            </>
+          )}
+          {evidence.sourceFile && (
+            <>
+              {evidence.source && <span className="mx-1">•</span>}
+              <span>{evidence.sourceFile}</span>
+            </>
+          )}
+          {evidence.position && (
+            <>
+              {(evidence.source || evidence.sourceFile) && <span className="mx-1">•</span>}
+              <span title={evidence.location ? `Line ${evidence.location.line} of the extracted text` : undefined}>
+                {evidence.position}
+              </span>
             </>
           )}
         </div>
 
 
 
-        {/* Action Button */}
+        {/* Action Buttons */}
         <div className="flex gap-2 mt-2">
+          {onInsert && (
+            <button
+              onClick={() => onInsert(evidence)}
+              className="flex-1 px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200 transition-colors"
+              title={isStatistic
+                ? 'Insert this statistic at the cursor with a citation to the uploaded file'
+                : 'Insert this quote at the cursor with a citation to the uploaded file'}
+            >
+              Insert at Cursor
+            </button>
+          )}
           <button
             onClick={handleCopyToClipboard}
             className="flex-1 px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
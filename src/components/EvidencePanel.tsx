@@ -1,6 +1,6 @@
 'use client';
 
-import React from 'react';
+import React, { useState } from 'react';
 import EvidenceCard from './EvidenceCard';
 
 interface EvidenceItem {
@@ -8,36 +8,139 @@ interface EvidenceItem {
   context: string;
   source: string;
   position: string;
+  // Where the item sits in the uploaded file, when it could be found there
+  location?: {
+    page?: number;
+    section?: string;
+    row?: number;
+    line: number;
+    label: string;
+  } | null;
+  span?: { start: number; end: number } | null;
+  // Whether the text was found in the uploaded file, and the passage it matched
+  verification?: {
+    status: 'exact' | 'approximate' | 'not_found';
+    similarity: number;
+    excerpt: { before: string; match: string; after: string } | null;
+  };
+  // 0-1, scored against the user's writing
   relevanceScore: number;
   relevanceReason: string;
+  // The saved source the item came from, when matched from the library
+  sourceId?: string;
+  sourceFile?: string;
   type: 'statistic' | 'quote';
 }
 
 interface EvidenceData {
   statistics: EvidenceItem[];
   quotes: EvidenceItem[];
+  // What the scoring stage took the user's writing to need
+  userContext?: {
+    mainArgument: string;
+    keyTopics: string[];
+    evidenceNeeds: string[];
+    gaps: string[];
+    audience: string;
+  };
   sourceInfo: {
     file: string;
+    format?: string;
+    title?: string;
+    author?: string;
+    pageCount?: number;
+    // How much of the file extraction actually read
+    coverage?: {
+      ratio: number;
+      chunks: { total: number; processed: number; failed: number; skipped: number };
+      pages?: { total: number; covered: number };
+    };
     totalStatsFound?: number;
     totalQuotesFound?: number;
     relevantStatsCount?: number;
     relevantQuotesCount?: number;
   };
+  // The saved sources matched against, when the evidence came from the library
+  sources?: Array<{ id: string; filename: string; title?: string; author?: string }>;
   recommendations: string;
 }
 
+// A file in the source library (see source_library.js)
+export interface SavedSource {
+  id: string;
+  filename: string;
+  format: string;
+  title?: string;
+  author?: string;
+  pageCount?: number;
+  statisticsCount: number;
+  quotesCount: number;
+  createdAt: string;
+}
+
 interface EvidencePanelProps {
   evidence: EvidenceData | null;
   isLoading: boolean;
   error: string | null;
   onClose: () => void;
+  onInsert?: (item: EvidenceItem) => void;
+  // Source library: pick saved files and match them against the current draft
+  sources?: SavedSource[];
+  selectedSourceIds?: string[];
+  onToggleSource?: (id: string) => void;
+  onMatch?: () => void;
+  onDeleteSource?: (id: string) => void;
+}
+
+function formatCoverage(coverage: NonNullable<EvidenceData['sourceInfo']['coverage']>): string {
+  const percent = Math.round(coverage.ratio * 100);
+  const detail = coverage.pages
+    ? `${coverage.pages.covered} of ${coverage.pages.total} pages`
+    : `${coverage.chunks.processed} of ${coverage.chunks.total} parts`;
+  if (coverage.ratio >= 1) return `Read the whole source (${detail})`;
+  const reasons = [
+    coverage.chunks.failed > 0 ? `${coverage.chunks.failed} parts failed` : '',
+    coverage.chunks.skipped > 0 ? `${coverage.chunks.skipped} parts over the limit` : ''
+  ].filter(Boolean).join(', ');
+  return `Read ${percent}% of the source (${detail})${reasons ? ` — ${reasons}` : ''}`;
+}
+
+type SortOrder = 'score-desc' | 'score-asc' | 'source';
+
+// Items that could not be located in the file go after the ones that were
+function sourceOrder(item: EvidenceItem): number {
+  return item.span ? item.span.start : Number.MAX_SAFE_INTEGER;
 }
 
-export default function EvidencePanel({ evidence, isLoading, error, onClose }: EvidencePanelProps) {
+export default function EvidencePanel({
+  evidence,
+  isLoading,
+  error,
+  onClose,
+  onInsert,
+  sources = [],
+  selectedSourceIds = [],
+  onToggleSource,
+  onMatch,
+  onDeleteSource,
+}: EvidencePanelProps) {
+  const [minScore, setMinScore] = useState(0);
+  const [sortOrder, setSortOrder] = useState<SortOrder>('score-desc');
+
   const allEvidence = evidence ? [
     ...evidence.statistics.map(stat => ({ ...stat, type: 'statistic' as const })),
     ...evidence.quotes.map(quote => ({ ...quote, type: 'quote' as const }))
-  ].sort((a, b) => b.relevanceScore - a.relevanceScore) : [];
+  ] : [];
+
+  const fileCount = evidence?.sources?.length ?? 1;
+
+  const visibleEvidence = allEvidence
+    .filter(item => item.relevanceScore >= minScore)
+    .sort((a, b) => {
+      if (sortOrder === 'score-asc') return a.relevanceScore - b.relevanceScore;
+      if (sortOrder === 'source') return sourceOrder(a) - sourceOrder(b);
+      return b.relevanceScore - a.relevanceScore;
+    });
 
   return (
     <div className="w-full h-full bg-white shadow-2xl border-l border-gray-200 flex flex-col">
@@ -45,14 +148,20 @@ export default function EvidencePanel({ evidence, isLoading, error, onClose }: E
       <div className="p-4 border-b border-gray-200 flex justify-between items-start">
         <div>
           <h2 className="text-lg font-semibold text-gray-900">
-            Evidence from Upload
+            Evidence from Sources
           </h2>
           <p className="text-sm text-gray-600 mt-1">
-            AI-extracted statistics and quotes from your file
+            AI-extracted statistics and quotes from your files
           </p>
           {evidence?.sourceInfo && (
-            <p className="text-xs text-gray-500 mt-1">
+            <p className="text-xs text-gray-500 mt-1 line-clamp-2">
               From: {evidence.sourceInfo.file}
+              {evidence.sourceInfo.pageCount ? ` (${evidence.sourceInfo.pageCount} pages)` : ''}
+            </p>
+          )}
+          {evidence?.sourceInfo.coverage && (
+            <p className={`text-xs mt-1 ${evidence.sourceInfo.coverage.ratio < 1 ? 'text-amber-700' : 'text-gray-500'}`}>
+              {formatCoverage(evidence.sourceInfo.coverage)}
             </p>
           )}
         </div>
@@ -67,6 +176,56 @@ export default function EvidencePanel({ evidence, isLoading, error, onClose }: E
         </button>
       </div>
 
+      {/* Source library */}
+      {sources.length > 0 && (
+        <div className="p-4 border-b border-gray-200">
+          <h3 className="text-sm font-medium text-gray-900 mb-2">
+            Saved sources
+          </h3>
+          <ul className="max-h-40 overflow-y-auto space-y-1">
+            {sources.map(source => (
+              <li key={source.id} className="flex items-center gap-2 text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedSourceIds.includes(source.id)}
+                  onChange={() => onToggleSource?.(source.id)}
+                  aria-label={`Match against ${source.filename}`}
+                />
+                <span className="flex-1 truncate" title={source.title || source.filename}>
+                  {source.filename}
+                </span>
+                <span className="text-gray-400 whitespace-nowrap">
+                  {source.statisticsCount} stats, {source.quotesCount} quotes
+                </span>
+                {onDeleteSource && (
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Remove "${source.filename}" from your saved sources?`)) {
+                        onDeleteSource(source.id);
+                      }
+                    }}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label={`Remove ${source.filename}`}
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {onMatch && (
+            <button
+              onClick={onMatch}
+              disabled={isLoading || selectedSourceIds.length === 0}
+              className="mt-3 w-full px-3 py-1.5 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+              title="Score the selected sources' statistics and quotes against what you have written so far"
+            >
+              Match {selectedSourceIds.length} selected against current draft
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Content */}
       <div className="flex-1 overflow-y-auto p-4">
         {isLoading && (
@@ -111,10 +270,12 @@ export default function EvidencePanel({ evidence, isLoading, error, onClose }: E
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
             </svg>
             <h3 className="text-sm font-medium text-gray-600 mb-2">
-              No evidence uploaded
+              {sources.length > 0 ? 'No evidence matched yet' : 'No evidence uploaded'}
             </h3>
             <p className="text-xs text-gray-500 px-4">
-              Click the "Upload Evidence" button to extract relevant statistics and quotes from a text file
+              {sources.length > 0
+                ? 'Select saved sources above and match them against your draft, or upload another file'
+                : 'Click the "Upload Evidence" button to extract relevant statistics and quotes from a text file'}
             </p>
           </div>
         )}
@@ -135,9 +296,71 @@ export default function EvidencePanel({ evidence, isLoading, error, onClose }: E
 
         {!isLoading && !error && evidence && allEvidence.length > 0 && (
           <div className="space-y-4">
-            {allEvidence.map((item, index) => (
-              <EvidenceCard key={index} evidence={item} />
+            {evidence.userContext && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-xs text-blue-900">
+                <p>
+                  <span className="font-medium">Your argument:</span> {evidence.userContext.mainArgument}
+                </p>
+                {evidence.userContext.keyTopics?.length > 0 && (
+                  <p className="mt-1">
+                    <span className="font-medium">Key topics:</span> {evidence.userContext.keyTopics.join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Filter and sort */}
+            <div className="flex gap-3 items-end">
+              <label className="flex-1 text-xs text-gray-600">
+                Minimum relevance: {Math.round(minScore * 100)}%
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={minScore}
+                  onChange={(e) => setMinScore(Number(e.target.value))}
+                  className="mt-1 w-full"
+                />
+              </label>
+              <label className="flex-1 text-xs text-gray-600">
+                Sort by
+                <select
+                  value={sortOrder}
+                  onChange={(e) => setSortOrder(e.target.value as SortOrder)}
+                  className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                >
+                  <option value="score-desc">Most relevant</option>
+                  <option value="score-asc">Least relevant</option>
+                  <option value="source">Order in source</option>
+                </select>
+              </label>
+            </div>
+            <p className="text-xs text-gray-500">
+              Showing {visibleEvidence.length} of {allEvidence.length}
+              {evidence.sourceInfo.totalStatsFound !== undefined && evidence.sourceInfo.totalQuotesFound !== undefined
+                ? ` (${evidence.sourceInfo.totalStatsFound + evidence.sourceInfo.totalQuotesFound} found in ${fileCount > 1 ? `${fileCount} files` : 'the file'})`
+                : ''}
+            </p>
+
+            {visibleEvidence.map((item, index) => (
+              <EvidenceCard key={`${item.type}-${item.span?.start ?? index}-${item.text.slice(0, 20)}`} evidence={item} onInsert={onInsert} />
             ))}
+
+            {visibleEvidence.length === 0 && (
+              <p className="text-xs text-gray-500 text-center py-4">
+                Nothing scores {Math.round(minScore * 100)}% or higher. Lower the minimum relevance to see more.
+              </p>
+            )}
+
+            {evidence.recommendations && (
+              <div className="border-t border-gray-200 pt-3">
+                <h3 className="text-sm font-medium text-gray-900 mb-1">How to use this evidence</h3>
+                <p className="text-xs text-gray-700 whitespace-pre-line">
+                  {evidence.recommendations}
+                </p>
+              </div>
+            )}
           </div>
         )}
       </div>
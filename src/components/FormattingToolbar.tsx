@@ -0,0 +1,270 @@
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import {
+  $getRoot,
+  $getSelection,
+  $isRangeSelection,
+  $createParagraphNode,
+  $createTextNode,
+  FORMAT_TEXT_COMMAND,
+  ElementNode,
+  Klass,
+  LexicalNode,
+} from 'lexical';
+import {
+  HeadingNode,
+  QuoteNode,
+  HeadingTagType,
+  $createHeadingNode,
+  $createQuoteNode,
+  $isHeadingNode,
+  $isQuoteNode,
+} from '@lexical/rich-text';
+import {
+  ListNode,
+  ListItemNode,
+  INSERT_ORDERED_LIST_COMMAND,
+  INSERT_UNORDERED_LIST_COMMAND,
+  REMOVE_LIST_COMMAND,
+} from '@lexical/list';
+import { LinkNode, TOGGLE_LINK_COMMAND, $isLinkNode } from '@lexical/link';
+import { $setBlocksType } from '@lexical/selection';
+import { $findMatchingParent, $getNearestNodeOfType } from '@lexical/utils';
+import {
+  $convertFromMarkdownString,
+  $convertToMarkdownString,
+  Transformer,
+  HEADING,
+  QUOTE,
+  UNORDERED_LIST,
+  ORDERED_LIST,
+  BOLD_ITALIC_STAR,
+  BOLD_ITALIC_UNDERSCORE,
+  BOLD_STAR,
+  BOLD_UNDERSCORE,
+  ITALIC_STAR,
+  ITALIC_UNDERSCORE,
+  LINK,
+} from '@lexical/markdown';
+import { $stashCitations, $restoreCitations } from './CitationNode';
+
+export type EditorMode = 'plain' | 'rich';
+
+type BlockType = 'paragraph' | 'h1' | 'h2' | 'h3' | 'quote' | 'bullet' | 'number';
+
+// Nodes the editor registers so saved rich documents load in either mode
+export const RICH_TEXT_NODES: Array<Klass<LexicalNode>> = [HeadingNode, QuoteNode, ListNode, ListItemNode, LinkNode];
+
+// Tailwind preflight strips heading and list styling, so the theme puts it back
+export const RICH_TEXT_THEME = {
+  heading: {
+    h1: 'text-3xl font-bold mt-4 mb-2',
+    h2: 'text-2xl font-bold mt-4 mb-2',
+    h3: 'text-xl font-semibold mt-3 mb-1',
+  },
+  quote: 'border-l-4 border-gray-300 pl-4 my-2 text-gray-600 italic',
+  list: {
+    ul: 'list-disc ml-6 my-2',
+    ol: 'list-decimal ml-6 my-2',
+    listitem: 'my-1',
+    nested: { listitem: 'list-none' },
+  },
+  link: 'text-blue-600 underline',
+};
+
+// Markdown-style shortcuts typed in rich mode, also used to convert between modes
+export const MARKDOWN_TRANSFORMERS: Array<Transformer> = [
+  HEADING,
+  QUOTE,
+  UNORDERED_LIST,
+  ORDERED_LIST,
+  BOLD_ITALIC_STAR,
+  BOLD_ITALIC_UNDERSCORE,
+  BOLD_STAR,
+  BOLD_UNDERSCORE,
+  ITALIC_STAR,
+  ITALIC_UNDERSCORE,
+  LINK,
+];
+
+const LIST_LINE = /^\s*([-*+]|\d+\.)\s/;
+
+/**
+ * Turn plain paragraphs into rich text, reading any Markdown syntax they contain.
+ * Must run inside editor.update().
+ */
+export function $convertPlainToRich() {
+  const citations = $stashCitations();
+  const lines = $getRoot().getChildren().map(node => node.getTextContent());
+
+  // Markdown merges adjacent lines into one paragraph, so separate blocks with a blank line
+  // except between list items, which must stay adjacent to form a single list
+  const markdown = lines.reduce((output, line, index) => {
+    if (index === 0) return line;
+    const joiner = LIST_LINE.test(lines[index - 1]) && LIST_LINE.test(line) ? '\n' : '\n\n';
+    return output + joiner + line;
+  }, '');
+
+  $convertFromMarkdownString(markdown, MARKDOWN_TRANSFORMERS);
+  if ($getRoot().getChildrenSize() === 0) {
+    $getRoot().append($createParagraphNode());
+  }
+  $restoreCitations(citations);
+}
+
+/**
+ * Flatten rich text to plain paragraphs, keeping the formatting as Markdown syntax.
+ * Must run inside editor.update().
+ */
+export function $convertRichToPlain() {
+  const citations = $stashCitations();
+  const markdown = $convertToMarkdownString(MARKDOWN_TRANSFORMERS);
+  const root = $getRoot();
+  root.clear();
+
+  // Blocks are separated by a blank line; lines within a block become their own paragraphs
+  for (const block of markdown.split('\n\n')) {
+    for (const line of block.split('\n')) {
+      const paragraph = $createParagraphNode();
+      if (line) paragraph.append($createTextNode(line));
+      root.append(paragraph);
+    }
+  }
+  $restoreCitations(citations);
+  root.selectEnd();
+}
+
+function $getBlockType(): BlockType | null {
+  const selection = $getSelection();
+  if (!$isRangeSelection(selection)) return null;
+
+  const anchorNode = selection.anchor.getNode();
+  const list = $getNearestNodeOfType(anchorNode, ListNode);
+  if (list) return list.getListType() === 'number' ? 'number' : 'bullet';
+
+  const block = anchorNode.getKey() === 'root' ? null : anchorNode.getTopLevelElementOrThrow();
+  if ($isHeadingNode(block)) {
+    const tag = block.getTag();
+    return tag === 'h1' || tag === 'h2' || tag === 'h3' ? tag : 'paragraph';
+  }
+  if ($isQuoteNode(block)) return 'quote';
+  return 'paragraph';
+}
+
+const BLOCK_OPTIONS: Array<{ type: BlockType; label: string; title: string }> = [
+  { type: 'paragraph', label: '¶', title: 'Normal text' },
+  { type: 'h1', label: 'H1', title: 'Heading 1 (# )' },
+  { type: 'h2', label: 'H2', title: 'Heading 2 (## )' },
+  { type: 'h3', label: 'H3', title: 'Heading 3 (### )' },
+  { type: 'bullet', label: '• List', title: 'Bulleted list (- )' },
+  { type: 'number', label: '1. List', title: 'Numbered list (1. )' },
+  { type: 'quote', label: '❝', title: 'Block quote (> )' },
+];
+
+// Toolbar for rich mode; must be rendered inside the LexicalComposer
+export default function FormattingToolbar() {
+  const [editor] = useLexicalComposerContext();
+  const [blockType, setBlockType] = useState<BlockType | null>('paragraph');
+  const [isBold, setIsBold] = useState(false);
+  const [isItalic, setIsItalic] = useState(false);
+  const [isLink, setIsLink] = useState(false);
+
+  // Reflect the formatting at the cursor in the button states
+  useEffect(() => {
+    return editor.registerUpdateListener(({ editorState }) => {
+      editorState.read(() => {
+        const selection = $getSelection();
+        if (!$isRangeSelection(selection)) return;
+        setBlockType($getBlockType());
+        setIsBold(selection.hasFormat('bold'));
+        setIsItalic(selection.hasFormat('italic'));
+        setIsLink($findMatchingParent(selection.anchor.getNode(), $isLinkNode) !== null);
+      });
+    });
+  }, [editor]);
+
+  const applyBlockType = useCallback((type: BlockType) => {
+    if (type === 'bullet' || type === 'number') {
+      editor.dispatchCommand(
+        blockType === type ? REMOVE_LIST_COMMAND : type === 'bullet' ? INSERT_UNORDERED_LIST_COMMAND : INSERT_ORDERED_LIST_COMMAND,
+        undefined
+      );
+      return;
+    }
+
+    // Lists are unwrapped first; $setBlocksType only swaps the innermost block
+    if (blockType === 'bullet' || blockType === 'number') {
+      editor.dispatchCommand(REMOVE_LIST_COMMAND, undefined);
+    }
+
+    editor.update(() => {
+      const selection = $getSelection();
+      if (!$isRangeSelection(selection)) return;
+      const createBlock = (): ElementNode => {
+        if (type === 'quote') return $createQuoteNode();
+        if (type === 'paragraph' || type === blockType) return $createParagraphNode();
+        return $createHeadingNode(type as HeadingTagType);
+      };
+      $setBlocksType(selection, createBlock);
+    });
+  }, [editor, blockType]);
+
+  const toggleLink = useCallback(() => {
+    if (isLink) {
+      editor.dispatchCommand(TOGGLE_LINK_COMMAND, null);
+      return;
+    }
+    const url = window.prompt('Link URL', 'https://');
+    if (url && url !== 'https://') {
+      editor.dispatchCommand(TOGGLE_LINK_COMMAND, url);
+    }
+  }, [editor, isLink]);
+
+  const buttonClass = (active: boolean) =>
+    `px-2 py-1 text-sm rounded transition-colors ${
+      active ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'
+    }`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 px-4 py-2 border-b border-gray-200 bg-gray-50">
+      {BLOCK_OPTIONS.map(option => (
+        <button
+          key={option.type}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => applyBlockType(option.type)}
+          className={buttonClass(blockType === option.type)}
+          title={option.title}
+        >
+          {option.label}
+        </button>
+      ))}
+      <span className="w-px h-5 bg-gray-300 mx-1" />
+      <button
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => editor.dispatchCommand(FORMAT_TEXT_COMMAND, 'bold')}
+        className={`${buttonClass(isBold)} font-bold`}
+        title="Bold (Ctrl+B or **text**)"
+      >
+        B
+      </button>
+      <button
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => editor.dispatchCommand(FORMAT_TEXT_COMMAND, 'italic')}
+        className={`${buttonClass(isItalic)} italic`}
+        title="Italic (Ctrl+I or *text*)"
+      >
+        I
+      </button>
+      <button
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={toggleLink}
+        className={buttonClass(isLink)}
+        title={isLink ? 'Remove link' : 'Add link ([text](url))'}
+      >
+        Link
+      </button>
+    </div>
+  );
+}
@@ -1,11 +1,11 @@
 import React from 'react';
-import PeopleSearch from './PeopleSearch';
+import PeopleSearch, { PeopleSearchProps } from './PeopleSearch';
 
-interface PeoplePanelProps {
+interface PeoplePanelProps extends PeopleSearchProps {
   onClose: () => void;
 }
 
-export default function PeoplePanel({ onClose }: PeoplePanelProps) {
+export default function PeoplePanel({ onClose, ...searchProps }: PeoplePanelProps) {
   return (
     <div className="w-full h-full bg-white shadow-2xl border-l border-gray-200 flex flex-col">
       <div className="p-4 border-b border-gray-200 flex justify-between items-start">
@@ -22,7 +22,7 @@ export default function PeoplePanel({ onClose }: PeoplePanelProps) {
         </button>
       </div>
       <div className="flex-1 overflow-y-auto">
-        <PeopleSearch />
+        <PeopleSearch {...searchProps} />
       </div>
     </div>
   );
@@ -1,27 +1,132 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import ProfileCard, { PersonProfile, ProfileSource } from './ProfileCard';
 
-export default function PeopleSearch() {
+// What the user already knows about the person, to tell people with the same name apart
+interface Qualifiers {
+    company: string;
+    role: string;
+    location: string;
+}
+
+// One of several people the search found under a name
+interface PersonCandidate {
+    id: string;
+    description: string;
+    role: string | null;
+    organisation: string | null;
+    location: string | null;
+    sources: ProfileSource[];
+}
+
+// A person saved from an earlier search, usable from any document
+interface Contact {
+    id: string;
+    name: string;
+    qualifiers: Qualifiers;
+    profile: PersonProfile;
+    updatedAt: string;
+}
+
+const EMPTY_QUALIFIERS: Qualifiers = { company: '', role: '', location: '' };
+
+const QUALIFIER_FIELDS: Array<{ key: keyof Qualifiers; placeholder: string }> = [
+    { key: 'company', placeholder: 'Company' },
+    { key: 'role', placeholder: 'Role' },
+    { key: 'location', placeholder: 'Location' },
+];
+
+export interface PeopleSearchProps {
+    // The person being written to, and the facts pinned for suggestions
+    recipient?: { profile: PersonProfile; pinned: string[] } | null;
+    onTogglePin?: (profile: PersonProfile, value: string) => void;
+    // Drafts the email's opening in the editor; resolves to subject line options
+    onDraftEmail?: (profile: PersonProfile) => Promise<string[]>;
+    onUseSubject?: (subject: string) => void;
+}
+
+export default function PeopleSearch({ recipient, onTogglePin, onDraftEmail, onUseSubject }: PeopleSearchProps) {
     const [name, setName] = useState('');
-    const [summary, setSummary] = useState('');
+    const [qualifiers, setQualifiers] = useState<Qualifiers>(EMPTY_QUALIFIERS);
+    // The name and qualifiers of the search the candidates came from
+    const [searched, setSearched] = useState<{ name: string; qualifiers: Qualifiers } | null>(null);
+    const [candidates, setCandidates] = useState<PersonCandidate[]>([]);
+    const [choosingId, setChoosingId] = useState<string | null>(null);
+    const [profile, setProfile] = useState<PersonProfile | null>(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [contacts, setContacts] = useState<Contact[]>([]);
+    // The contact the shown profile is saved as, if it is
+    const [contactId, setContactId] = useState<string | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [refreshingId, setRefreshingId] = useState<string | null>(null);
+    const [notice, setNotice] = useState('');
+    const [drafting, setDrafting] = useState(false);
+    const [subjectLines, setSubjectLines] = useState<string[]>([]);
+
+    const pinned = profile && recipient?.profile.name === profile.name ? recipient.pinned : [];
+
+    const handleDraftEmail = async () => {
+        if (!profile || !onDraftEmail) return;
+
+        setDrafting(true);
+        setError('');
+        try {
+            setSubjectLines(await onDraftEmail(profile));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to draft email');
+        } finally {
+            setDrafting(false);
+        }
+    };
+
+    const loadContacts = useCallback(async () => {
+        try {
+            const response = await fetch('/api/people/contacts');
+            const data = await response.json();
+            if (response.ok) setContacts(data.contacts);
+        } catch (err) {
+            console.error('Failed to load contacts:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadContacts();
+    }, [loadContacts]);
+
+    const showProfile = (next: PersonProfile | null, savedAs: string | null = null) => {
+        setProfile(next);
+        setContactId(savedAs);
+        setSubjectLines([]);
+        setNotice('');
+    };
 
     const handleSearch = async () => {
         if (!name.trim()) return;
 
         setLoading(true);
         setError('');
-        setSummary('');
+        setCandidates([]);
+        showProfile(null);
 
         try {
-            const response = await fetch(`/api/people?name=${encodeURIComponent(name)}`);
+            const params = new URLSearchParams({ name: name.trim() });
+            QUALIFIER_FIELDS.forEach(({ key }) => {
+                if (qualifiers[key].trim()) params.set(key, qualifiers[key].trim());
+            });
+            const response = await fetch(`/api/people?${params}`);
             const data = await response.json();
 
             if (!response.ok) {
                 throw new Error(data.error || 'Failed to fetch results');
             }
 
-            setSummary(data.summary);
+            setSearched({ name: name.trim(), qualifiers });
+            // Only one person found: their profile comes back with the search
+            if (data.profile) {
+                showProfile(data.profile);
+            } else {
+                setCandidates(data.candidates);
+            }
         } catch (err) {
             setError(err instanceof Error ? err.message : 'An error occurred');
         } finally {
@@ -29,6 +134,91 @@ export default function PeopleSearch() {
         }
     };
 
+    const handleChoose = async (candidate: PersonCandidate) => {
+        if (!searched) return;
+
+        setChoosingId(candidate.id);
+        setError('');
+        try {
+            const response = await fetch('/api/people', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: searched.name, sources: candidate.sources }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to build profile');
+            }
+            setCandidates([]);
+            showProfile(data.profile);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'An error occurred');
+        } finally {
+            setChoosingId(null);
+        }
+    };
+
+    const handleSaveContact = async () => {
+        if (!profile) return;
+
+        setSaving(true);
+        setError('');
+        try {
+            const response = await fetch('/api/people/contacts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ profile, qualifiers: searched?.qualifiers }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save contact');
+            }
+            setContactId(data.contact.id);
+            await loadContacts();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'An error occurred');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRefreshContact = async (contact: Contact) => {
+        setRefreshingId(contact.id);
+        setError('');
+        try {
+            const response = await fetch(`/api/people/contacts/${contact.id}/refresh`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to refresh contact');
+            }
+            showProfile(data.contact.profile, data.contact.id);
+            if (!data.refreshed) {
+                setNotice(`The search no longer finds the ${contact.name} saved here, so this is the profile saved before.`);
+            }
+            await loadContacts();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'An error occurred');
+        } finally {
+            setRefreshingId(null);
+        }
+    };
+
+    const handleDeleteContact = async (contact: Contact) => {
+        if (!window.confirm(`Remove ${contact.name} from your contacts?`)) return;
+
+        try {
+            const response = await fetch(`/api/people/contacts/${contact.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to delete contact');
+            }
+            if (contactId === contact.id) setContactId(null);
+            await loadContacts();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'An error occurred');
+        }
+    };
+
     return (
         <div className="w-full max-w-2xl mx-auto p-4 space-y-4">
             <div className="flex gap-2">
@@ -49,15 +239,152 @@ export default function PeopleSearch() {
                 </button>
             </div>
 
+            <div className="flex gap-2">
+                {QUALIFIER_FIELDS.map(({ key, placeholder }) => (
+                    <input
+                        key={key}
+                        type="text"
+                        value={qualifiers[key]}
+                        onChange={(e) => setQualifiers(prev => ({ ...prev, [key]: e.target.value }))}
+                        placeholder={`${placeholder} (optional)`}
+                        className="flex-1 min-w-0 px-2 py-1 text-xs border rounded focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-800 dark:border-gray-700"
+                        onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+                    />
+                ))}
+            </div>
+
             {error && (
                 <div className="p-4 text-red-500 bg-red-50 dark:bg-red-900/20 rounded-lg">
                     {error}
                 </div>
             )}
 
-            {summary && (
-                <div className="p-4 bg-gray-50 dark:bg-gray-800 rounded-lg whitespace-pre-wrap">
-                    {summary}
+            {candidates.length > 0 && (
+                <div className="space-y-2">
+                    <p className="text-xs text-gray-600">
+                        Several people match {searched?.name}. Choose the one you mean, or add a company, role or location.
+                    </p>
+                    <ul className="space-y-2">
+                        {candidates.map(candidate => (
+                            <li key={candidate.id} className="flex items-start gap-2 p-2 border border-gray-200 rounded-lg">
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm text-gray-900">{candidate.description}</p>
+                                    <p className="text-xs text-gray-500 truncate" title={candidate.sources.map(source => source.title).join('\n')}>
+                                        {candidate.sources.length} result{candidate.sources.length === 1 ? '' : 's'}: {candidate.sources[0].title}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => handleChoose(candidate)}
+                                    disabled={choosingId !== null}
+                                    className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {choosingId === candidate.id ? 'Loading...' : 'Choose'}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {notice && (
+                <div className="p-2 text-xs text-yellow-800 bg-yellow-50 rounded-lg">
+                    {notice}
+                </div>
+            )}
+
+            {profile && (
+                <div className="flex justify-end">
+                    {contactId ? (
+                        <span className="text-xs text-gray-500">Saved to contacts</span>
+                    ) : (
+                        <button
+                            onClick={handleSaveContact}
+                            disabled={saving}
+                            className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Save as contact'}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {profile && (
+                <ProfileCard
+                    profile={profile}
+                    pinned={pinned}
+                    onTogglePin={onTogglePin && ((value) => onTogglePin(profile, value))}
+                />
+            )}
+
+            {profile && onDraftEmail && (
+                <div className="space-y-2">
+                    <button
+                        onClick={handleDraftEmail}
+                        disabled={drafting}
+                        className="w-full px-3 py-2 text-sm bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Write the opening paragraph in the editor and suggest subject lines, using the pinned facts first"
+                    >
+                        {drafting ? 'Drafting...' : 'Draft email to this person'}
+                    </button>
+
+                    {subjectLines.length > 0 && (
+                        <div>
+                            <p className="text-xs font-medium text-gray-700 mb-1">Subject lines</p>
+                            <ul className="space-y-1">
+                                {subjectLines.map(line => (
+                                    <li key={line} className="flex items-center gap-2 text-xs text-gray-800">
+                                        <span className="flex-1">{line}</span>
+                                        {onUseSubject && (
+                                            <button
+                                                onClick={() => onUseSubject(line)}
+                                                className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                                            >
+                                                Use
+                                            </button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {contacts.length > 0 && (
+                <div className="border-t border-gray-200 pt-3">
+                    <h3 className="text-xs font-medium text-gray-700 mb-2">Contacts</h3>
+                    <ul className="space-y-1">
+                        {contacts.map(contact => (
+                            <li key={contact.id} className="flex items-center gap-2 text-xs">
+                                <button
+                                    onClick={() => {
+                                        setCandidates([]);
+                                        showProfile(contact.profile, contact.id);
+                                    }}
+                                    className={`flex-1 min-w-0 text-left truncate hover:underline ${contactId === contact.id ? 'font-semibold text-gray-900' : 'text-gray-700'}`}
+                                    title={`Updated ${new Date(contact.updatedAt).toLocaleString()}`}
+                                >
+                                    {contact.name}
+                                    {contact.profile.organisation && <span className="text-gray-500"> · {contact.profile.organisation.value}</span>}
+                                </button>
+                                <button
+                                    onClick={() => handleRefreshContact(contact)}
+                                    disabled={refreshingId !== null}
+                                    className="text-blue-600 hover:underline disabled:opacity-50"
+                                    title="Search again and rebuild the profile"
+                                >
+                                    {refreshingId === contact.id ? 'Refreshing...' : 'Refresh'}
+                                </button>
+                                <button
+                                    onClick={() => handleDeleteContact(contact)}
+                                    className="text-gray-400 hover:text-red-600"
+                                    title="Remove contact"
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
                 </div>
             )}
         </div>
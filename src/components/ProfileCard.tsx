@@ -0,0 +1,159 @@
+'use client';
+
+import React from 'react';
+
+// The search results a profile was built from; fields cite them by id
+export interface ProfileSource {
+  id: string;
+  title: string;
+  url: string;
+  snippet: string;
+}
+
+export interface ProfileField {
+  value: string;
+  sources: string[];
+}
+
+export interface PersonProfile {
+  name: string;
+  summary: string;
+  summarySources: string[];
+  role: ProfileField | null;
+  organisation: ProfileField | null;
+  location: ProfileField | null;
+  notableWork: ProfileField[];
+  conversationHooks: ProfileField[];
+  sources: ProfileSource[];
+}
+
+interface ProfileCardProps {
+  profile: PersonProfile;
+  // Field values the user pinned for suggestions to reference
+  pinned?: string[];
+  onTogglePin?: (value: string) => void;
+}
+
+/**
+ * Autocomplete context for writing to the person: who they are, and the
+ * pinned facts suggestions may mention
+ */
+export function recipientContext(profile: PersonProfile, pinned: string[]): string {
+  const position = [profile.role?.value, profile.organisation && `at ${profile.organisation.value}`].filter(Boolean).join(' ');
+  const lines = [`Writing to ${profile.name}${position ? `, ${position}` : ''}.`];
+  if (pinned.length > 0) {
+    lines.push(`Facts about them you may reference: ${pinned.join('; ')}.`);
+  }
+  return lines.join(' ');
+}
+
+// Superscript links to the results a field came from, numbered as in the source list
+function Citations({ ids, sources }: { ids: string[]; sources: ProfileSource[] }) {
+  return (
+    <>
+      {ids.map(id => {
+        const index = sources.findIndex(source => source.id === id);
+        if (index === -1) return null;
+        return (
+          <a
+            key={id}
+            href={sources[index].url}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={sources[index].title}
+            className="ml-0.5 align-super text-[10px] text-blue-600 hover:underline"
+          >
+            [{index + 1}]
+          </a>
+        );
+      })}
+    </>
+  );
+}
+
+function PinButton({ value, pinned, onTogglePin }: { value: string; pinned?: string[]; onTogglePin?: (value: string) => void }) {
+  if (!onTogglePin) return null;
+  const isPinned = pinned?.includes(value) ?? false;
+  return (
+    <button
+      onClick={() => onTogglePin(value)}
+      className={`ml-1 px-1 rounded text-[10px] ${isPinned ? 'bg-yellow-100 text-yellow-800' : 'text-gray-400 hover:text-gray-700'}`}
+      title={isPinned ? 'Stop suggestions from referencing this' : 'Let suggestions reference this'}
+    >
+      {isPinned ? 'Pinned' : 'Pin'}
+    </button>
+  );
+}
+
+export default function ProfileCard({ profile, pinned, onTogglePin }: ProfileCardProps) {
+  const facts = [
+    { label: 'Role', field: profile.role },
+    { label: 'Organisation', field: profile.organisation },
+    { label: 'Location', field: profile.location }
+  ].filter((fact): fact is { label: string; field: ProfileField } => fact.field !== null);
+
+  const lists = [
+    { label: 'Notable work', fields: profile.notableWork },
+    { label: 'Conversation hooks', fields: profile.conversationHooks }
+  ].filter(list => list.fields.length > 0);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 border border-gray-200 space-y-3">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900">{profile.name}</h3>
+        <p className="text-xs text-gray-700 mt-1">
+          {profile.summary}
+          <Citations ids={profile.summarySources} sources={profile.sources} />
+        </p>
+      </div>
+
+      {facts.length > 0 && (
+        <dl className="grid grid-cols-3 gap-x-2 gap-y-1 text-xs">
+          {facts.map(({ label, field }) => (
+            <React.Fragment key={label}>
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="col-span-2 text-gray-900">
+                {field.value}
+                <Citations ids={field.sources} sources={profile.sources} />
+                <PinButton value={field.value} pinned={pinned} onTogglePin={onTogglePin} />
+              </dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+
+      {lists.map(({ label, fields }) => (
+        <div key={label}>
+          <h4 className="text-xs font-medium text-gray-700 mb-1">{label}</h4>
+          <ul className="list-disc pl-4 space-y-1 text-xs text-gray-700">
+            {fields.map((field, index) => (
+              <li key={index}>
+                {field.value}
+                <Citations ids={field.sources} sources={profile.sources} />
+                <PinButton value={field.value} pinned={pinned} onTogglePin={onTogglePin} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      <div className="border-t border-gray-200 pt-2">
+        <h4 className="text-xs font-medium text-gray-700 mb-1">Sources</h4>
+        <ol className="list-decimal pl-4 space-y-1 text-xs">
+          {profile.sources.map(source => (
+            <li key={source.id}>
+              <a
+                href={source.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:underline break-words"
+              >
+                {source.title}
+              </a>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
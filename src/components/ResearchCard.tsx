@@ -4,7 +4,7 @@ import React from 'react';
 
 interface ResearchArticle {
   title: string;
-  authors: string;
+  authors: string[];
   abstract: string;
   published: string;
   url: string;
@@ -13,13 +13,21 @@ interface ResearchArticle {
   relevanceScore?: number;
   relevanceAnalysis?: string;
   pdfUrl?: string;
+  openAccess?: boolean;
 }
 
 interface ResearchCardProps {
   article: ResearchArticle;
+  onInsert?: (article: ResearchArticle) => void;
 }
 
-export default function ResearchCard({ article }: ResearchCardProps) {
+// "Family, Given" names already hold a comma, so such lists are separated with semicolons
+function formatAuthors(authors: string[]): string {
+  if (authors.length === 0) return 'Unknown';
+  return authors.join(authors.some(name => name.includes(',')) ? '; ' : ', ');
+}
+
+export default function ResearchCard({ article, onInsert }: ResearchCardProps) {
   const handleOpenUrl = () => {
     if (article.url) {
       window.open(article.url, '_blank', 'noopener,noreferrer');
@@ -42,10 +50,17 @@ export default function ResearchCard({ article }: ResearchCardProps) {
 
         {/* Source Badge */}
         <div className="mt-2 flex items-center justify-between">
-          <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-            {article.source}
+          <span className="flex gap-1">
+            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+              {article.source}
+            </span>
+            {article.openAccess && (
+              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                Open access
+              </span>
+            )}
           </span>
-          {article.relevanceScore && (
+          {article.relevanceScore !== undefined && (
             <span className="text-xs text-gray-500">
               Relevance: {Math.round(article.relevanceScore * 100)}%
             </span>
@@ -54,7 +69,7 @@ export default function ResearchCard({ article }: ResearchCardProps) {
 
         {/* Authors and Date */}
         <div className="text-xs text-gray-600 mb-2">
-          <span>{article.authors}</span>
+          <span>{formatAuthors(article.authors)}</span>
           {article.published && (
             <>
               <span className="mx-1">•</span>
@@ -85,6 +100,15 @@ export default function ResearchCard({ article }: ResearchCardProps) {
           >
             View Article
           </button>
+          {onInsert && (
+            <button
+              onClick={() => onInsert(article)}
+              className="px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200 transition-colors"
+              title="Insert a paraphrase of this article at the cursor with a citation"
+            >
+              Cite
+            </button>
+          )}
           {article.pdfUrl && (
             <button
               onClick={handleOpenPdf}
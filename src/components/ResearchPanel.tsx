@@ -1,11 +1,12 @@
 'use client';
 
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import ResearchCard from './ResearchCard';
+import { DISCIPLINES } from '../../research_disciplines.js';
 
 interface ResearchArticle {
   title: string;
-  authors: string;
+  authors: string[];
   abstract: string;
   published: string;
   url: string;
@@ -14,16 +15,99 @@ interface ResearchArticle {
   relevanceScore?: number;
   relevanceAnalysis?: string;
   pdfUrl?: string;
+  openAccess?: boolean;
+}
+
+// What /api/research is asked for; see the route for each field
+export interface ResearchOptions {
+  // 'auto' detects the field from the text
+  discipline: string;
+  analysis: boolean;
+  count: number;
+  yearFrom: number | null;
+  yearTo: number | null;
+  openAccessOnly: boolean;
+  // Every source the deployment enables when null
+  sources: string[] | null;
+}
+
+export const DEFAULT_RESEARCH_OPTIONS: ResearchOptions = {
+  discipline: 'auto',
+  analysis: true,
+  count: 3,
+  yearFrom: null,
+  yearTo: null,
+  openAccessOnly: false,
+  sources: null
+};
+
+type SortOrder = 'relevance' | 'newest' | 'oldest';
+
+interface SearchSource {
+  id: string;
+  label: string;
 }
 
 interface ResearchPanelProps {
   articles: ResearchArticle[];
   isLoading: boolean;
+  isLoadingMore: boolean;
+  hasMore: boolean;
   error: string | null;
   onClose: () => void;
+  onInsert?: (article: ResearchArticle) => void;
+  options: ResearchOptions;
+  // The discipline the last search used, which 'auto' may have detected
+  detectedDiscipline?: string | null;
+  onOptionsChange: (options: ResearchOptions) => void;
+  onLoadMore: () => void;
+}
+
+function readYear(value: string): number | null {
+  const year = parseInt(value, 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+// Unscored papers keep the order the server gave them
+function sortArticles(articles: ResearchArticle[], order: SortOrder): ResearchArticle[] {
+  if (order === 'relevance') {
+    return [...articles].sort((a, b) => (b.relevanceScore ?? -1) - (a.relevanceScore ?? -1));
+  }
+  const direction = order === 'newest' ? -1 : 1;
+  return [...articles].sort((a, b) => direction * (a.published || '').localeCompare(b.published || ''));
 }
 
-export default function ResearchPanel({ articles, isLoading, error, onClose }: ResearchPanelProps) {
+export default function ResearchPanel({
+  articles, isLoading, isLoadingMore, hasMore, error, onClose, onInsert,
+  options, detectedDiscipline, onOptionsChange, onLoadMore
+}: ResearchPanelProps) {
+  const [draft, setDraft] = useState<ResearchOptions>(options);
+  const [showFilters, setShowFilters] = useState(false);
+  const [sortOrder, setSortOrder] = useState<SortOrder>('relevance');
+  const [searchSources, setSearchSources] = useState<SearchSource[]>([]);
+
+  useEffect(() => setDraft(options), [options]);
+
+  useEffect(() => {
+    fetch('/api/research')
+      .then(response => response.ok ? response.json() : { sources: [] })
+      .then(data => setSearchSources(data.sources || []))
+      .catch(() => setSearchSources([]));
+  }, []);
+
+  const detectedLabel = detectedDiscipline ? DISCIPLINES[detectedDiscipline as keyof typeof DISCIPLINES]?.label : undefined;
+  const selectedSources = draft.sources ?? searchSources.map(source => source.id);
+  const invalidYears = draft.yearFrom !== null && draft.yearTo !== null && draft.yearFrom > draft.yearTo;
+  const visibleArticles = sortArticles(articles, sortOrder);
+
+  const toggleSource = (id: string) => {
+    const next = selectedSources.includes(id)
+      ? selectedSources.filter(selected => selected !== id)
+      : [...selectedSources, id];
+    // Everything selected is the same as no selection, and follows the deployment
+    setDraft({ ...draft, sources: next.length === searchSources.length ? null : next });
+  };
+
   return (
     <div className="w-full h-full bg-white shadow-2xl border-l border-gray-200 flex flex-col">
       {/* Header */}
@@ -47,6 +131,129 @@ export default function ResearchPanel({ articles, isLoading, error, onClose }: R
         </button>
       </div>
 
+      {/* Filters */}
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <div className="flex gap-3 items-end">
+          <label className="flex-1 text-xs font-medium text-gray-700">
+            Field
+            <select
+              value={draft.discipline}
+              onChange={(e) => setDraft({ ...draft, discipline: e.target.value })}
+              className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+            >
+              <option value="auto">Detect from text{options.discipline === 'auto' && detectedLabel ? ` (${detectedLabel})` : ''}</option>
+              {Object.entries(DISCIPLINES).map(([id, option]) => (
+                <option key={id} value={id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex-1 text-xs font-medium text-gray-700">
+            Sort by
+            <select
+              value={sortOrder}
+              onChange={(e) => setSortOrder(e.target.value as SortOrder)}
+              className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+            >
+              <option value="relevance">Most relevant</option>
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+            </select>
+          </label>
+        </div>
+
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          {showFilters ? 'Hide filters' : 'More filters'}
+        </button>
+
+        {showFilters && (
+          <div className="space-y-3">
+            <div className="flex gap-3">
+              <label className="flex-1 text-xs text-gray-600">
+                From year
+                <input
+                  type="number"
+                  value={draft.yearFrom ?? ''}
+                  onChange={(e) => setDraft({ ...draft, yearFrom: readYear(e.target.value) })}
+                  placeholder="Any"
+                  className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                />
+              </label>
+              <label className="flex-1 text-xs text-gray-600">
+                To year
+                <input
+                  type="number"
+                  value={draft.yearTo ?? ''}
+                  onChange={(e) => setDraft({ ...draft, yearTo: readYear(e.target.value) })}
+                  placeholder="Any"
+                  className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                />
+              </label>
+              <label className="flex-1 text-xs text-gray-600">
+                Results
+                <select
+                  value={draft.count}
+                  onChange={(e) => setDraft({ ...draft, count: Number(e.target.value) })}
+                  className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                >
+                  {[3, 5, 10, 20].map(count => (
+                    <option key={count} value={count}>{count}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            {invalidYears && (
+              <p className="text-xs text-red-600">The start year is after the end year.</p>
+            )}
+
+            <label className="flex items-center gap-2 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={draft.openAccessOnly}
+                onChange={(e) => setDraft({ ...draft, openAccessOnly: e.target.checked })}
+              />
+              Open access only
+            </label>
+            <label className="flex items-center gap-2 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={draft.analysis}
+                onChange={(e) => setDraft({ ...draft, analysis: e.target.checked })}
+              />
+              Explain relevance (slower)
+            </label>
+
+            {searchSources.length > 1 && (
+              <div>
+                <p className="text-xs text-gray-600 mb-1">Search</p>
+                <div className="flex flex-wrap gap-x-3 gap-y-1">
+                  {searchSources.map(source => (
+                    <label key={source.id} className="flex items-center gap-1 text-xs text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selectedSources.includes(source.id)}
+                        onChange={() => toggleSource(source.id)}
+                      />
+                      {source.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <button
+          onClick={() => onOptionsChange(draft)}
+          disabled={isLoading || invalidYears || selectedSources.length === 0}
+          className="w-full px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Search
+        </button>
+      </div>
+
       {/* Content */}
       <div className="flex-1 overflow-y-auto p-4">
         {isLoading && (
@@ -101,9 +308,19 @@ export default function ResearchPanel({ articles, isLoading, error, onClose }: R
 
         {!isLoading && !error && articles.length > 0 && (
           <div className="space-y-4">
-            {articles.map((article, index) => (
-              <ResearchCard key={index} article={article} />
+            {visibleArticles.map(article => (
+              <ResearchCard key={article.url} article={article} onInsert={onInsert} />
             ))}
+
+            {hasMore && (
+              <button
+                onClick={onLoadMore}
+                disabled={isLoadingMore}
+                className="w-full px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -16,6 +16,8 @@ export default function ToneAnalysisCard({ isVisible, editorText, onClose }: Ton
   const [analysis, setAnalysis] = useState<ToneAnalysisData | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  // Set while the tone budget is used up; the last analysis stays on screen
+  const [degraded, setDegraded] = useState<string | null>(null);
 
   // Debounced text analysis
   useEffect(() => {
@@ -42,6 +44,9 @@ export default function ToneAnalysisCard({ isVisible, editorText, onClose }: Ton
         if (!response.ok) {
           throw new Error(data.error || 'Failed to analyze tone');
         }
+
+        setDegraded(data.degraded || null);
+        if (data.degraded) return;
         
         setAnalysis({
           detectedTone: data.detectedTone,
@@ -91,6 +96,12 @@ export default function ToneAnalysisCard({ isVisible, editorText, onClose }: Ton
           </div>
         )}
 
+        {degraded && !isLoading && (
+          <div className="text-xs text-yellow-700 py-1">
+            {degraded}. {analysis ? 'Showing the last analysis.' : 'Analysis resumes tomorrow.'}
+          </div>
+        )}
+
         {analysis && !isLoading && (
           <div className="space-y-3">
             {/* Detected Tone and Purpose */}
@@ -0,0 +1,320 @@
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+
+interface VersionSummary {
+  id: string;
+  name: string;
+  auto: boolean;
+  createdAt: string;
+  wordCount: number;
+}
+
+interface DiffOp {
+  type: 'equal' | 'insert' | 'delete';
+  text: string;
+}
+
+interface VersionDiff {
+  from: { id: string; name: string; createdAt: string };
+  to: { id: string; name: string; createdAt: string };
+  ops: DiffOp[];
+  stats: { inserted: number; deleted: number };
+}
+
+interface VersionHistoryPanelProps {
+  documentId: string;
+  // Persist pending edits so "Current" matches what is on screen
+  onFlush: () => Promise<void>;
+  onRestore: (document: any) => void;
+  onClose: () => void;
+}
+
+const CURRENT = 'current';
+
+function formatCreatedAt(createdAt: string): string {
+  return new Date(createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+async function fetchJson(url: string, init?: RequestInit) {
+  const response = await fetch(url, init);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+}
+
+function DiffText({ ops, show }: { ops: DiffOp[]; show: Array<DiffOp['type']> }) {
+  return (
+    <div className="text-sm text-gray-800 whitespace-pre-wrap leading-relaxed">
+      {ops.filter(op => show.includes(op.type)).map((op, i) => (
+        <span
+          key={i}
+          className={
+            op.type === 'insert' ? 'bg-green-100 text-green-900' :
+            op.type === 'delete' ? 'bg-red-100 text-red-900 line-through' : ''
+          }
+        >
+          {op.text}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default function VersionHistoryPanel({ documentId, onFlush, onRestore, onClose }: VersionHistoryPanelProps) {
+  const [versions, setVersions] = useState<VersionSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [versionName, setVersionName] = useState('');
+  const [fromId, setFromId] = useState<string | null>(null);
+  const [toId, setToId] = useState(CURRENT);
+  const [diff, setDiff] = useState<VersionDiff | null>(null);
+  const [viewMode, setViewMode] = useState<'inline' | 'side-by-side'>('inline');
+
+  const loadVersions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      await onFlush();
+      const data = await fetchJson(`/api/documents/${documentId}/versions`);
+      setVersions(data.versions);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load versions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [documentId, onFlush]);
+
+  useEffect(() => {
+    setFromId(null);
+    setDiff(null);
+    loadVersions();
+  }, [loadVersions]);
+
+  useEffect(() => {
+    if (!fromId) return;
+    let cancelled = false;
+
+    const loadDiff = async () => {
+      try {
+        await onFlush();
+        const data = await fetchJson(`/api/documents/${documentId}/diff?from=${fromId}&to=${toId}`);
+        if (!cancelled) setDiff(data.diff);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to compare versions');
+      }
+    };
+
+    loadDiff();
+    return () => { cancelled = true; };
+  }, [documentId, fromId, toId, onFlush]);
+
+  const handleSaveVersion = async () => {
+    try {
+      await onFlush();
+      await fetchJson(`/api/documents/${documentId}/versions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: versionName }),
+      });
+      setVersionName('');
+      loadVersions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save version');
+    }
+  };
+
+  const handleRestore = async (version: VersionSummary) => {
+    if (!window.confirm(`Restore "${version.name}"? Your current text is saved as a version first.`)) return;
+    try {
+      await onFlush();
+      const data = await fetchJson(`/api/documents/${documentId}/versions/${version.id}/restore`, { method: 'POST' });
+      onRestore(data.document);
+      setFromId(null);
+      setDiff(null);
+      loadVersions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore version');
+    }
+  };
+
+  const versionOptions = [{ id: CURRENT, label: 'Current' }, ...versions.map(version => ({
+    id: version.id,
+    label: `${version.name} (${formatCreatedAt(version.createdAt)})`,
+  }))];
+
+  return (
+    <div className="w-full h-full bg-white shadow-2xl border-l border-gray-200 flex flex-col">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 flex justify-between items-start">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Version History
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Snapshots are also taken automatically while you write
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-md text-gray-400 hover:text-gray-600 hover:bg-gray-100 transition-colors"
+          aria-label="Close version history"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-4 border-b border-gray-200 flex gap-2">
+        <input
+          value={versionName}
+          onChange={(e) => setVersionName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSaveVersion(); }}
+          placeholder="Name this version (optional)"
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={handleSaveVersion}
+          className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+        >
+          Save Version
+        </button>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+            <h3 className="text-sm font-medium text-red-800">
+              Version Error
+            </h3>
+            <p className="text-sm text-red-700 mt-1">
+              {error}
+            </p>
+          </div>
+        )}
+
+        {fromId && (
+          <div className="mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-900">Compare</h3>
+              <div className="flex gap-1">
+                {(['inline', 'side-by-side'] as const).map(mode => (
+                  <button
+                    key={mode}
+                    onClick={() => setViewMode(mode)}
+                    className={`px-2 py-1 text-xs rounded transition-colors ${
+                      viewMode === mode ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {mode === 'inline' ? 'Inline' : 'Side by side'}
+                  </button>
+                ))}
+                <button
+                  onClick={() => { setFromId(null); setDiff(null); }}
+                  className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 mb-3">
+              {[{ label: 'From', value: fromId, onChange: setFromId }, { label: 'To', value: toId, onChange: setToId }].map(select => (
+                <label key={select.label} className="text-xs text-gray-600">
+                  {select.label}
+                  <select
+                    value={select.value}
+                    onChange={(e) => select.onChange(e.target.value)}
+                    className="mt-1 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                  >
+                    {versionOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {diff && (
+              <>
+                <div className="text-xs text-gray-500 mb-2">
+                  <span className="text-green-700">+{diff.stats.inserted} words</span>
+                  {' • '}
+                  <span className="text-red-700">−{diff.stats.deleted} words</span>
+                </div>
+                {viewMode === 'inline' ? (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                    <DiffText ops={diff.ops} show={['equal', 'delete', 'insert']} />
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                      <div className="text-xs font-medium text-gray-500 mb-1">{diff.from.name}</div>
+                      <DiffText ops={diff.ops} show={['equal', 'delete']} />
+                    </div>
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                      <div className="text-xs font-medium text-gray-500 mb-1">{diff.to.name}</div>
+                      <DiffText ops={diff.ops} show={['equal', 'insert']} />
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {!isLoading && versions.length === 0 && (
+          <div className="text-center py-8">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">
+              No versions yet
+            </h3>
+            <p className="text-xs text-gray-500 px-4">
+              Save a version before accepting a batch of suggestions to see exactly what changed
+            </p>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {versions.map(version => (
+            <div
+              key={version.id}
+              className={`rounded-lg p-3 border ${
+                version.id === fromId ? 'bg-blue-50 border-blue-300' : 'bg-gray-50 border-gray-200'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <h3 className="text-sm font-semibold text-gray-900 truncate">
+                  {version.name}
+                </h3>
+                {version.auto && (
+                  <span className="px-1.5 py-0.5 text-[10px] bg-gray-200 text-gray-600 rounded">auto</span>
+                )}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {formatCreatedAt(version.createdAt)} • {version.wordCount} words
+              </div>
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => { setFromId(version.id); setToId(CURRENT); }}
+                  className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                >
+                  Compare with current
+                </button>
+                <button
+                  onClick={() => handleRestore(version)}
+                  className="px-2 py-1 text-xs bg-blue-50 text-blue-700 rounded hover:bg-blue-100 transition-colors"
+                >
+                  Restore
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
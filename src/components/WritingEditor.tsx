@@ -1,19 +1,33 @@
 'use client';
 
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { LexicalComposer } from '@lexical/react/LexicalComposer';
 import { PlainTextPlugin } from '@lexical/react/LexicalPlainTextPlugin';
+import { RichTextPlugin } from '@lexical/react/LexicalRichTextPlugin';
+import { ListPlugin } from '@lexical/react/LexicalListPlugin';
+import { LinkPlugin } from '@lexical/react/LexicalLinkPlugin';
+import { MarkdownShortcutPlugin } from '@lexical/react/LexicalMarkdownShortcutPlugin';
 import { ContentEditable } from '@lexical/react/LexicalContentEditable';
 import { HistoryPlugin } from '@lexical/react/LexicalHistoryPlugin';
 import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
 import LexicalErrorBoundary from '@lexical/react/LexicalErrorBoundary';
 import {
+  $getRoot,
   $getSelection,
   $isRangeSelection,
+  $createParagraphNode,
   $createTextNode,
-  $insertNodes,
+  $addUpdateTag,
   $getNodeByKey,
+  $isElementNode,
+  $isTextNode,
+  LexicalNode,
+  PointType,
+  createCommand,
+  LexicalCommand,
+  CLEAR_HISTORY_COMMAND,
   COMMAND_PRIORITY_CRITICAL,
+  COMMAND_PRIORITY_EDITOR,
   COMMAND_PRIORITY_HIGH,
   KEY_TAB_COMMAND,
   KEY_ESCAPE_COMMAND,
@@ -22,6 +36,29 @@ import {
   KEY_ARROW_DOWN_COMMAND,
 } from 'lexical';
 import PeoplePanel from './PeoplePanel';
+import { PersonProfile, recipientContext } from './ProfileCard';
+import DocumentsPanel from './DocumentsPanel';
+import VersionHistoryPanel from './VersionHistoryPanel';
+import BibliographyPanel, { ReferenceFields } from './BibliographyPanel';
+import FormattingToolbar, {
+  EditorMode,
+  RICH_TEXT_NODES,
+  RICH_TEXT_THEME,
+  MARKDOWN_TRANSFORMERS,
+  $convertPlainToRich,
+  $convertRichToPlain,
+} from './FormattingToolbar';
+import {
+  CitationNode,
+  CitationInsertion,
+  INSERT_CITATION_COMMAND,
+  $createCitationNode,
+  $getCitationNodes,
+  $refreshCitations,
+  $removeCitations,
+} from './CitationNode';
+import { CitationStyle, DEFAULT_STYLE, Reference, findMatchingReference, isCitationStyle } from './references';
+import { formatInTextCitation } from '../../citation_styles.js';
 // Types
 type ToneType = 'professional' | 'casual' | 'creative' | 'concise' | 'witty' | 'instructional' | 'urgent' | 'reflective';
 type PurposeType = 'persuasive' | 'informative' | 'descriptive' | 'flattering' | 'narrative';
@@ -29,30 +66,106 @@ type GenreType = 'email' | 'essay' | 'social post' | 'report' | 'story' | 'resea
 type StructureType = 'chronological' | 'problem-solution' | 'cause-effect' | 'compare-contrast' | 'question-answer' | 'counter-argument' | 'for and against' | 'list' | 'inverted pyramid' | 'narrative';
 type ModeType = 'tone' | 'purpose' | 'genre' | 'structure';
 
+// One ranked alternative from the autocomplete route, labelled with the settings that produced it
+interface SuggestionOption {
+  text: string;
+  tone: ToneType;
+  purpose: PurposeType;
+  genre: GenreType;
+  structure: StructureType;
+  rank: number;
+}
+
+// Everything a suggestion was asked for with
+interface SuggestionRequest {
+  text: string;
+  tone: ToneType;
+  purpose: PurposeType;
+  genre: GenreType;
+  structure: StructureType;
+  context?: string;
+  mode: ModeType;
+}
+
 interface AutocompleteState {
   suggestion: string;
   isVisible: boolean;
   isLoading: boolean;
+  alternatives: SuggestionOption[];
+  activeIndex: number;
 }
 
+interface DocumentSettings {
+  tone: ToneType;
+  purpose: PurposeType;
+  genre: GenreType;
+  structure: StructureType;
+  editorMode: EditorMode;
+  citationStyle?: CitationStyle;
+}
+
+interface DocumentSummary {
+  id: string;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  preview: string;
+  wordCount: number;
+}
+
+interface SavedDocument {
+  id: string;
+  title: string;
+  editorState: any;
+  contextText: string;
+  settings: DocumentSettings;
+  references?: Reference[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+type SaveStatus = 'saved' | 'saving' | 'unsaved' | 'error';
+
+type ExportFormat = 'markdown' | 'html' | 'docx' | 'pdf';
+
+const EXPORT_FORMATS: Array<{ format: ExportFormat; label: string }> = [
+  { format: 'markdown', label: 'Markdown (.md)' },
+  { format: 'html', label: 'Web page (.html)' },
+  { format: 'docx', label: 'Word (.docx)' },
+  { format: 'pdf', label: 'PDF (.pdf)' },
+];
+
 interface WritingEditorProps {
   onToggleResearch?: (text: string) => void;
   showResearch?: boolean;
   onEvidenceUpload?: (file: File, userText: string) => void;
+  onOpenSources?: () => void;
   showEvidence?: boolean;
   onEditorTextChange?: (text: string) => void;
+  // The paragraph under the cursor, which evidence and research lookups search with
+  onCursorParagraphChange?: (paragraph: string) => void;
 }
 
+// Values each setting cycles through, in toolbar order
+const TONES: ToneType[] = ['professional', 'casual', 'creative', 'concise', 'witty', 'instructional', 'urgent', 'reflective'];
+const PURPOSES: PurposeType[] = ['persuasive', 'informative', 'descriptive', 'flattering', 'narrative'];
+const GENRES: GenreType[] = ['email', 'essay', 'social post', 'report', 'story', 'research', 'sales', 'education'];
+const STRUCTURES: StructureType[] = ['chronological', 'problem-solution', 'cause-effect', 'compare-contrast', 'question-answer', 'counter-argument', 'for and against', 'list', 'inverted pyramid', 'narrative'];
+
+// Number of ranked alternatives fetched once the user presses Tab; each is a
+// model call, so a suggestion shown while typing asks for one
+const SUGGESTION_COUNT = 3;
+
 // API service with request cancellation support
 const autocompleteService = {
-  async getSuggestion(text: string, tone: ToneType, purpose: PurposeType, genre: GenreType, structure: StructureType, context?: string, signal?: AbortSignal): Promise<string> {
+  async getSuggestion(text: string, tone: ToneType, purpose: PurposeType, genre: GenreType, structure: StructureType, context?: string, signal?: AbortSignal, vary?: ModeType, count = 1): Promise<SuggestionOption[]> {
     try {
       const response = await fetch('/api/autocomplete', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ text, tone, purpose, genre, structure, context }),
+        body: JSON.stringify({ text, tone, purpose, genre, structure, context, count, vary }),
         signal, // Add abort signal for cancellation
       });
 
@@ -61,14 +174,269 @@ const autocompleteService = {
       }
 
       const data = await response.json();
-      return data.suggestion || '';
+      return data.suggestions || [];
     } catch (error) {
-      console.error('Autocomplete API error:', error);
-      return '';
+      if (!signal?.aborted) {
+        console.error('Autocomplete API error:', error);
+      }
+      return [];
     }
   },
+
+  // Streams the suggestion for the requested settings over SSE, calling onToken with the text so far; resolves with it as the only option
+  async streamSuggestion(text: string, tone: ToneType, purpose: PurposeType, genre: GenreType, structure: StructureType, context: string | undefined, onToken: (partial: string) => void, signal?: AbortSignal, vary?: ModeType): Promise<SuggestionOption[]> {
+    try {
+      const response = await fetch('/api/autocomplete', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+        },
+        body: JSON.stringify({ text, tone, purpose, genre, structure, context, vary, stream: true }),
+        signal,
+      });
+
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let partial = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // SSE events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+
+        for (const rawEvent of events) {
+          const eventName = rawEvent.match(/^event: (.*)$/m)?.[1] || 'message';
+          const dataLine = rawEvent.match(/^data: (.*)$/m)?.[1];
+          if (!dataLine) continue;
+          const data = JSON.parse(dataLine);
+
+          if (eventName === 'error') {
+            throw new Error(data.error);
+          }
+          if (eventName === 'done') {
+            return data.suggestions || [];
+          }
+          partial += data.token || '';
+          onToken(partial);
+        }
+      }
+
+      // Stream ended without a done event; keep what arrived
+      return partial ? [{ text: partial, tone, purpose, genre, structure, rank: 1 }] : [];
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('Autocomplete stream error:', error);
+      }
+      return [];
+    }
+  },
+};
+
+// Document store API service
+const documentService = {
+  async request(url: string, init?: RequestInit) {
+    const response = await fetch(url, init);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  },
+
+  async list(): Promise<DocumentSummary[]> {
+    const data = await this.request('/api/documents');
+    return data.documents;
+  },
+
+  async create(fields: Partial<SavedDocument> = {}): Promise<SavedDocument> {
+    const data = await this.request('/api/documents', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields),
+    });
+    return data.document;
+  },
+
+  // Imported files become new documents; the server converts them to editor state
+  async importFile(file: File): Promise<SavedDocument> {
+    const formData = new FormData();
+    formData.append('file', file);
+    const data = await this.request('/api/import', {
+      method: 'POST',
+      body: formData,
+    });
+    return data.document;
+  },
+
+  async get(id: string): Promise<SavedDocument> {
+    const data = await this.request(`/api/documents/${id}`);
+    return data.document;
+  },
+
+  async update(id: string, changes: Partial<SavedDocument>): Promise<SavedDocument> {
+    const data = await this.request(`/api/documents/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    return data.document;
+  },
+
+  async remove(id: string): Promise<void> {
+    await this.request(`/api/documents/${id}`, { method: 'DELETE' });
+  },
 };
 
+// Delay between the last edit and the autosave request
+const AUTOSAVE_DELAY = 1000;
+
+// Source files the evidence extractor can read (see source_parsers.js)
+const EVIDENCE_FILE_TYPES = '.pdf,.docx,.html,.htm,.md,.markdown,.txt,.text,.csv,.tsv,.json';
+
+// Stream suggestions token by token unless explicitly disabled
+const STREAM_SUGGESTIONS = process.env.NEXT_PUBLIC_AUTOCOMPLETE_STREAMING !== 'false';
+
+// Commands that accept the next word or sentence of the visible suggestion
+const ACCEPT_SUGGESTION_WORD_COMMAND: LexicalCommand<void> = createCommand('ACCEPT_SUGGESTION_WORD_COMMAND');
+const ACCEPT_SUGGESTION_SENTENCE_COMMAND: LexicalCommand<void> = createCommand('ACCEPT_SUGGESTION_SENTENCE_COMMAND');
+
+// Split the next word or sentence off the front of a suggestion, keeping its leading whitespace
+function splitSuggestion(suggestion: string, unit: 'word' | 'sentence'): [string, string] {
+  const pattern = unit === 'word' ? /^\s*\S+/ : /^[\s\S]*?[.!?]+["')\]]*(?=\s|$)/;
+  const head = suggestion.match(pattern)?.[0] || suggestion;
+  return [head, suggestion.substring(head.length)];
+}
+
+// Insert suggestion text at the cursor, adding a separating space when the text needs one
+function $insertSuggestionText(text: string) {
+  const selection = $getSelection();
+  if (!$isRangeSelection(selection)) return;
+
+  const { anchor } = selection;
+  const textBefore = anchor.type === 'text'
+    ? anchor.getNode().getTextContent().substring(0, anchor.offset)
+    : '';
+  const needsSpace = textBefore.length > 0 && !/\s$/.test(textBefore) && !/^\s/.test(text);
+
+  selection.insertText(needsSpace ? ` ${text}` : text);
+}
+
+/**
+ * Insert a quote or paraphrase with its in-text citation at the cursor, or at
+ * the end of the document when the editor has no selection. A passage that
+ * starts a sentence is capitalised and closed with a full stop after the
+ * citation; one dropped mid-sentence is left for the writer to continue.
+ */
+function $insertCitation(insertion: CitationInsertion, reference: Reference, style: CitationStyle) {
+  let selection = $getSelection();
+  if (!$isRangeSelection(selection)) {
+    $getRoot().selectEnd();
+    selection = $getSelection();
+    if (!$isRangeSelection(selection)) return;
+  }
+
+  const anchorNode = selection.anchor.getNode();
+  const anchorText = $isTextNode(anchorNode) ? anchorNode.getTextContent() : '';
+  const textBefore = anchorText.substring(0, selection.anchor.offset);
+  const textAfter = selection.isCollapsed() ? anchorText.substring(selection.anchor.offset) : '';
+  const startsSentence = !textBefore.trim() || /[.!?]["')\]]?\s*$/.test(textBefore);
+
+  let passage = insertion.text.trim().replace(/[\s,;:.]+$/, '');
+  if (insertion.kind === 'quote') {
+    // Double quotes inside the passage become single ones
+    passage = `"${passage.replace(/^["“”]+|["“”]+$/g, '').replace(/["“”]/g, "'")}"`;
+  } else if (insertion.kind === 'citation') {
+    passage = '';
+  } else if (startsSentence) {
+    passage = passage.charAt(0).toUpperCase() + passage.slice(1);
+  }
+
+  const leading = textBefore && !/\s$/.test(textBefore) ? ' ' : '';
+  selection.insertText(`${leading}${passage}${passage ? ' ' : ''}`);
+  selection.insertNodes([
+    $createCitationNode(formatInTextCitation(reference, style, { page: insertion.page }), reference.id, insertion.page),
+  ]);
+
+  const closing = passage && startsSentence && !/^\s*[.,;:!?]/.test(textAfter) ? '.' : '';
+  const trailing = textAfter && !/^[\s.,;:!?]/.test(textAfter) ? ' ' : '';
+  const after = $getSelection();
+  if ((closing || trailing) && $isRangeSelection(after)) after.insertText(closing + trailing);
+}
+
+/**
+ * Offset of a selection point within $getRoot().getTextContent(), which puts a
+ * blank line between blocks, so the cursor maps correctly inside headings,
+ * list items and quotes as well as plain paragraphs
+ */
+function $getTextOffset(point: PointType): number {
+  // Block elements are followed by '\n\n' unless they are the last child
+  const lengthWithSeparator = (node: LexicalNode) =>
+    node.getTextContentSize() +
+    ($isElementNode(node) && !node.isInline() && node.getNextSibling() !== null ? 2 : 0);
+
+  let current: LexicalNode = point.getNode();
+  let offset = 0;
+  if (point.type === 'text') {
+    offset = point.offset;
+  } else if ($isElementNode(current)) {
+    // Element points count children, not characters
+    offset = current.getChildren()
+      .slice(0, point.offset)
+      .reduce((total, child) => total + lengthWithSeparator(child), 0);
+  }
+
+  let parent = current.getParent();
+  while (parent) {
+    let sibling = current.getPreviousSibling();
+    while (sibling) {
+      offset += lengthWithSeparator(sibling);
+      sibling = sibling.getPreviousSibling();
+    }
+    current = parent;
+    parent = current.getParent();
+  }
+  return offset;
+}
+
+// The line or block around an offset in $getRoot().getTextContent()
+function paragraphAt(text: string, offset: number): string {
+  const start = text.lastIndexOf('\n', offset - 1) + 1;
+  const end = text.indexOf('\n', offset);
+  return text.slice(start, end === -1 ? text.length : end).trim();
+}
+
+// Reports the paragraph the cursor is in whenever it changes
+function CursorParagraphPlugin({ onChange }: { onChange: (paragraph: string) => void }) {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    let last = '';
+    return editor.registerUpdateListener(({ editorState }) => {
+      const paragraph = editorState.read(() => {
+        const selection = $getSelection();
+        if (!$isRangeSelection(selection)) return null;
+        return paragraphAt($getRoot().getTextContent(), $getTextOffset(selection.anchor));
+      });
+      if (paragraph !== null && paragraph !== last) {
+        last = paragraph;
+        onChange(paragraph);
+      }
+    });
+  }, [editor, onChange]);
+
+  return null;
+}
+
 // Debounce hook
 function useDebounce<T>(value: T, delay: number): T {
   const [debouncedValue, setDebouncedValue] = useState<T>(value);
@@ -103,6 +471,7 @@ function AutocompletePlugin({
   onEditorTextChange,
   onAcceptSuggestion,
   onDismissSuggestion,
+  onCycleSuggestion,
   onSwitchTone,
   onSwitchPurpose,
   onSwitchGenre,
@@ -125,6 +494,7 @@ function AutocompletePlugin({
   onEditorTextChange: (text: string) => void;
   onAcceptSuggestion: () => void;
   onDismissSuggestion: () => void;
+  onCycleSuggestion: (direction: 'next' | 'previous') => void;
   onSwitchTone: (direction: 'up' | 'down') => void;
   onSwitchPurpose: (direction: 'up' | 'down') => void;
   onSwitchGenre: (direction: 'up' | 'down') => void;
@@ -135,7 +505,13 @@ function AutocompletePlugin({
   const [editor] = useLexicalComposerContext();
   const [editorContextText, setEditorContextText] = useState('');
   const [cursorPosition, setCursorPosition] = useState({ x: 0, y: 0 });
-  const debouncedContext = useDebounce(editorContextText, 300); // Reduced from 500ms for faster response
+  // Streaming shows the first tokens almost immediately, so it can afford a shorter debounce
+  const debouncedContext = useDebounce(editorContextText, STREAM_SUGGESTIONS ? 150 : 300);
+  // Set after a partial accept so the resulting text change keeps the remaining ghost text
+  const keepSuggestionRef = useRef(false);
+  // What the suggestion on screen was asked for with, so Tab can fetch alternatives to it
+  const suggestionRequestRef = useRef<SuggestionRequest | null>(null);
+  const alternativesAbortRef = useRef<AbortController | null>(null);
 
   // Provide editor reference to parent component
   useEffect(() => {
@@ -172,6 +548,115 @@ function AutocompletePlugin({
     return removeEnterListener;
   }, [editor, autocompleteState.isVisible, autocompleteState.suggestion, onAcceptSuggestion]);
 
+  // Register partial-accept commands; each accept is its own undoable history step
+  useEffect(() => {
+    if (!editor) return;
+
+    const acceptPart = (unit: 'word' | 'sentence') => {
+      if (!autocompleteState.isVisible || !autocompleteState.suggestion) return false;
+
+      const [accepted, remaining] = splitSuggestion(autocompleteState.suggestion, unit);
+      editor.update(() => {
+        $addUpdateTag('history-push');
+        $insertSuggestionText(accepted);
+      });
+
+      keepSuggestionRef.current = remaining.trim().length > 0;
+      // The rest of the suggestion no longer continues the text it was asked for with
+      suggestionRequestRef.current = null;
+      alternativesAbortRef.current?.abort();
+      alternativesAbortRef.current = null;
+      setAutocompleteState(prev => ({
+        ...prev,
+        suggestion: remaining,
+        isVisible: remaining.trim().length > 0,
+        alternatives: [],
+        activeIndex: 0,
+      }));
+      return true;
+    };
+
+    const removeWordCommand = editor.registerCommand(
+      ACCEPT_SUGGESTION_WORD_COMMAND,
+      () => acceptPart('word'),
+      COMMAND_PRIORITY_HIGH
+    );
+    const removeSentenceCommand = editor.registerCommand(
+      ACCEPT_SUGGESTION_SENTENCE_COMMAND,
+      () => acceptPart('sentence'),
+      COMMAND_PRIORITY_HIGH
+    );
+
+    return () => {
+      removeWordCommand();
+      removeSentenceCommand();
+    };
+  }, [editor, autocompleteState.isVisible, autocompleteState.suggestion, setAutocompleteState]);
+
+  // Fetch the ranked alternatives to the suggestion on screen, and move to the next or previous one
+  const loadAlternatives = useCallback(async (request: SuggestionRequest, direction: 'next' | 'previous') => {
+    const abortController = new AbortController();
+    alternativesAbortRef.current = abortController;
+    setAutocompleteState(prev => ({ ...prev, isLoading: true }));
+
+    const options = await autocompleteService.getSuggestion(
+      request.text,
+      request.tone,
+      request.purpose,
+      request.genre,
+      request.structure,
+      request.context,
+      abortController.signal,
+      request.mode,
+      SUGGESTION_COUNT
+    );
+    if (abortController.signal.aborted) return;
+    alternativesAbortRef.current = null;
+
+    setAutocompleteState(prev => {
+      const [current] = prev.alternatives;
+      if (!current) return { ...prev, isLoading: false };
+      // The one on screen stays first, whatever the new ranking
+      const others = options.filter(option => option.text.trim() && option.text.trim().toLowerCase() !== current.text.trim().toLowerCase());
+      const alternatives = [current, ...others].slice(0, SUGGESTION_COUNT);
+      if (alternatives.length < 2) return { ...prev, isLoading: false };
+      const activeIndex = direction === 'next' ? 1 : alternatives.length - 1;
+      return { ...prev, isLoading: false, alternatives, activeIndex, suggestion: alternatives[activeIndex].text.trim() };
+    });
+  }, [setAutocompleteState]);
+
+  // Register Tab / Shift+Tab to cycle through alternative suggestions, fetching them on the first press
+  useEffect(() => {
+    if (!editor) return;
+
+    return editor.registerCommand(
+      KEY_TAB_COMMAND,
+      (event: KeyboardEvent) => {
+        if (!autocompleteState.isVisible) {
+          return false; // Let Tab behave normally
+        }
+        const direction = event.shiftKey ? 'previous' : 'next';
+
+        if (autocompleteState.alternatives.length > 1) {
+          event.preventDefault();
+          onCycleSuggestion(direction);
+          return true;
+        }
+
+        const request = suggestionRequestRef.current;
+        if (!request || SUGGESTION_COUNT < 2) {
+          return false;
+        }
+        event.preventDefault();
+        if (!alternativesAbortRef.current) {
+          loadAlternatives(request, direction);
+        }
+        return true;
+      },
+      COMMAND_PRIORITY_HIGH
+    );
+  }, [editor, autocompleteState.isVisible, autocompleteState.alternatives.length, onCycleSuggestion, loadAlternatives]);
+
   // Get text context around cursor position
   const getContextAroundCursor = (fullText: string, cursorOffset: number): string => {
     // Get the last 150 characters before cursor, or from beginning if text is shorter
@@ -195,28 +680,11 @@ function AutocompletePlugin({
         const selection = $getSelection();
         if ($isRangeSelection(selection)) {
           const root = editor.getRootElement();
-          const fullText = root?.textContent || '';
+          const fullText = $getRoot().getTextContent();
           onEditorTextChange(fullText);
           
-          // Get cursor position
-          const anchorNode = selection.anchor.getNode();
-          const anchorOffset = selection.anchor.offset;
-          
           // Calculate text offset for context extraction
-          let textOffset = 0;
-          if (anchorNode.getTextContent) {
-            const textContent = anchorNode.getTextContent();
-            textOffset = anchorOffset;
-            
-            // Add offset from previous siblings
-            let sibling = anchorNode.getPreviousSibling();
-            while (sibling) {
-              if (sibling.getTextContent) {
-                textOffset += sibling.getTextContent().length;
-              }
-              sibling = sibling.getPreviousSibling();
-            }
-          }
+          const textOffset = $getTextOffset(selection.anchor);
           
           // Get focused context around cursor
           const context = getContextAroundCursor(fullText, textOffset);
@@ -257,6 +725,13 @@ function AutocompletePlugin({
 
   // Generate suggestions when context changes with request cancellation
   useEffect(() => {
+    // The text changed because part of the suggestion was accepted; keep showing the rest
+    if (keepSuggestionRef.current) {
+      keepSuggestionRef.current = false;
+      return;
+    }
+    suggestionRequestRef.current = null;
+
     if (debouncedContext.trim().length < 3) { // Reduced from 5 to 3 for more responsive suggestions
       setAutocompleteState(prev => ({ ...prev, isVisible: false, suggestion: '' }));
       return;
@@ -275,22 +750,52 @@ function AutocompletePlugin({
         }
         
         try {
-          const suggestion = await autocompleteService.getSuggestion(
-            debouncedContext, 
-            currentTone, 
-            currentPurpose, 
-            currentGenre, 
-            currentStructure,
-            userContextText,
-            abortController.signal
-          );
+          const suggestions = STREAM_SUGGESTIONS
+            ? await autocompleteService.streamSuggestion(
+                debouncedContext,
+                currentTone,
+                currentPurpose,
+                currentGenre,
+                currentStructure,
+                userContextText,
+                (partial) => {
+                  // Draw ghost text as tokens arrive; keep the spinner until the stream ends
+                  if (!isStale && partial.trim()) {
+                    setAutocompleteState({ suggestion: partial.trimStart(), isVisible: true, isLoading: true, alternatives: [], activeIndex: 0 });
+                  }
+                },
+                abortController.signal,
+                currentMode
+              )
+            : await autocompleteService.getSuggestion(
+                debouncedContext, 
+                currentTone, 
+                currentPurpose, 
+                currentGenre, 
+                currentStructure,
+                userContextText,
+                abortController.signal,
+                currentMode
+              );
         
         // Only update if the request hasn't been cancelled
-        if (!isStale && suggestion && suggestion.trim()) {
+        const alternatives = suggestions.filter(option => option.text.trim());
+        if (!isStale && alternatives.length > 0) {
+          suggestionRequestRef.current = {
+            text: debouncedContext,
+            tone: currentTone,
+            purpose: currentPurpose,
+            genre: currentGenre,
+            structure: currentStructure,
+            context: userContextText,
+            mode: currentMode,
+          };
           setAutocompleteState({
-            suggestion: suggestion.trim(),
+            suggestion: alternatives[0].text.trim(),
             isVisible: true,
             isLoading: false,
+            alternatives,
+            activeIndex: 0,
           });
         } else if (!isStale) {
           setAutocompleteState(prev => ({ ...prev, isLoading: false, isVisible: false }));
@@ -309,8 +814,10 @@ function AutocompletePlugin({
     return () => {
       isStale = true;
       abortController.abort();
+      alternativesAbortRef.current?.abort();
+      alternativesAbortRef.current = null;
     };
-  }, [debouncedContext, currentTone, currentPurpose, currentGenre, currentStructure, userContextText, setAutocompleteState]);
+  }, [debouncedContext, currentTone, currentPurpose, currentGenre, currentStructure, currentMode, userContextText, setAutocompleteState]);
 
   // Store cursor position for parent component
   useEffect(() => {
@@ -320,6 +827,112 @@ function AutocompletePlugin({
   return null;
 }
 
+// Loads documents into the editor and reports content changes for autosave
+function DocumentSyncPlugin({
+  documentToLoad,
+  onEditorStateChange,
+}: {
+  documentToLoad: SavedDocument | null;
+  onEditorStateChange: (editorState: any) => void;
+}) {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    if (!documentToLoad) return;
+
+    if (documentToLoad.editorState) {
+      editor.setEditorState(editor.parseEditorState(documentToLoad.editorState), { tag: 'document-load' });
+    } else {
+      editor.update(() => {
+        const root = $getRoot();
+        root.clear();
+        root.append($createParagraphNode());
+      }, { tag: 'document-load' });
+    }
+
+    // Undo should never cross into the previously open document
+    editor.dispatchCommand(CLEAR_HISTORY_COMMAND, undefined);
+  }, [editor, documentToLoad]);
+
+  useEffect(() => {
+    return editor.registerUpdateListener(({ editorState, dirtyElements, dirtyLeaves, tags }) => {
+      // Skip selection-only updates and the load itself
+      if (tags.has('document-load') || (dirtyElements.size === 0 && dirtyLeaves.size === 0)) return;
+      onEditorStateChange(editorState.toJSON());
+    });
+  }, [editor, onEditorStateChange]);
+
+  return null;
+}
+
+/**
+ * Inserts evidence and research at the cursor, citing it from the document's
+ * references, and keeps every citation's text in the current style: after a
+ * style change, an edited reference, or a citation added or removed (which
+ * renumbers numbered styles).
+ */
+function CitationPlugin({
+  references,
+  style,
+  onCite,
+  onCitationsChange,
+}: {
+  references: Reference[];
+  style: CitationStyle;
+  onCite: (reference: CitationInsertion['reference']) => Reference;
+  onCitationsChange: (citedIds: string[]) => void;
+}) {
+  const [editor] = useLexicalComposerContext();
+  const referencesRef = useRef(references);
+  const styleRef = useRef(style);
+  referencesRef.current = references;
+  styleRef.current = style;
+
+  // Restyling is part of the edit that caused it, not an undo step of its own
+  const refresh = useCallback(() => {
+    editor.update(() => {
+      $addUpdateTag('history-merge');
+      $refreshCitations(referencesRef.current, styleRef.current);
+    });
+  }, [editor]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, references, style]);
+
+  useEffect(() => {
+    return editor.registerMutationListener(CitationNode, (mutations) => {
+      if (Array.from(mutations.values()).some(mutation => mutation !== 'updated')) refresh();
+    });
+  }, [editor, refresh]);
+
+  useEffect(() => {
+    return editor.registerUpdateListener(({ editorState }) => {
+      onCitationsChange(editorState.read(() => $getCitationNodes().map(node => node.getReferenceId())));
+    });
+  }, [editor, onCitationsChange]);
+
+  useEffect(() => {
+    return editor.registerCommand(
+      INSERT_CITATION_COMMAND,
+      (insertion) => {
+        const reference = onCite(insertion.reference);
+        const known = referencesRef.current.some(existing => existing.id === reference.id);
+        // Same undoable path as accepting a suggestion
+        editor.update(() => {
+          $addUpdateTag('history-push');
+          $insertCitation(insertion, reference, styleRef.current);
+          $refreshCitations(known ? referencesRef.current : [...referencesRef.current, reference], styleRef.current);
+        });
+        return true;
+      },
+      COMMAND_PRIORITY_EDITOR
+    );
+  }, [editor, onCite]);
+
+  return null;
+}
+
 // Controls indicator component
 function ControlsIndicator({ 
   tone, 
@@ -422,32 +1035,55 @@ const initialConfig = {
       bold: 'font-bold',
       italic: 'italic',
     },
+    ...RICH_TEXT_THEME,
   },
+  // Registered in both modes so documents saved in rich mode always load
+  nodes: [...RICH_TEXT_NODES, CitationNode],
   onError: (error: Error) => {
     console.error('Lexical error:', error);
   },
 };
 
 // Main WritingEditor component
-export default function WritingEditor({ onToggleResearch, showResearch, onEvidenceUpload, showEvidence, onEditorTextChange }: WritingEditorProps) {
+export default function WritingEditor({ onToggleResearch, showResearch, onEvidenceUpload, onOpenSources, showEvidence, onEditorTextChange, onCursorParagraphChange }: WritingEditorProps) {
   const [currentTone, setCurrentTone] = useState<ToneType>('professional');
   const [currentPurpose, setCurrentPurpose] = useState<PurposeType>('informative');
   const [currentGenre, setCurrentGenre] = useState<GenreType>('email');
   const [currentStructure, setCurrentStructure] = useState<StructureType>('chronological');
   const [currentMode, setCurrentMode] = useState<ModeType>('tone');
+  const [editorMode, setEditorMode] = useState<EditorMode>('plain');
   const [autocompleteState, setAutocompleteState] = useState<AutocompleteState>({
     suggestion: '',
     isVisible: false,
     isLoading: false,
+    alternatives: [],
+    activeIndex: 0,
   });
   const [editorText, setEditorText] = useState('');
   const [showPeoplePanel, setShowPeoplePanel] = useState(false);
   const [showContextEditor, setShowContextEditor] = useState(false);
   const [contextText, setContextText] = useState('');
-  const tones: ToneType[] = ['professional', 'casual', 'creative', 'concise', 'witty', 'instructional', 'urgent', 'reflective'];
-  const purposes: PurposeType[] = ['persuasive', 'informative', 'descriptive', 'flattering', 'narrative'];
-  const genres: GenreType[] = ['email', 'essay', 'social post', 'report', 'story', 'research', 'sales', 'education'];
-  const structures: StructureType[] = ['chronological', 'problem-solution', 'cause-effect', 'compare-contrast', 'question-answer', 'counter-argument', 'for and against', 'list', 'inverted pyramid', 'narrative'];
+  // The person the draft is addressed to, from People Search, and the facts pinned for suggestions
+  const [recipient, setRecipient] = useState<{ profile: PersonProfile; pinned: string[] } | null>(null);
+  const [references, setReferences] = useState<Reference[]>([]);
+  const referencesRef = useRef<Reference[]>([]);
+  const [citationStyle, setCitationStyle] = useState<CitationStyle>(DEFAULT_STYLE);
+  const [citedIds, setCitedIds] = useState<string[]>([]);
+  const [showBibliographyPanel, setShowBibliographyPanel] = useState(false);
+  const [showDocumentsPanel, setShowDocumentsPanel] = useState(false);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState<ExportFormat | null>(null);
+  const [documents, setDocuments] = useState<DocumentSummary[]>([]);
+  const [documentsLoading, setDocumentsLoading] = useState(true);
+  const [documentsError, setDocumentsError] = useState<string | null>(null);
+  const [currentDocument, setCurrentDocument] = useState<{ id: string; title: string } | null>(null);
+  const [documentToLoad, setDocumentToLoad] = useState<SavedDocument | null>(null);
+  const [editorRevision, setEditorRevision] = useState(0);
+  const [saveStatus, setSaveStatus] = useState<SaveStatus>('saved');
+  const editorStateRef = useRef<any>(null);
+  const skipAutosaveRef = useRef(false);
+  const pendingSaveRef = useRef<(() => Promise<void>) | null>(null);
 
   // Handle editor text changes
   const handleEditorTextChange = useCallback((text: string) => {
@@ -457,61 +1093,290 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
     }
   }, [onEditorTextChange]);
 
+  // Track serialized editor content for autosave
+  const handleEditorStateChange = useCallback((editorState: any) => {
+    editorStateRef.current = editorState;
+    setEditorRevision(revision => revision + 1);
+  }, []);
+
+  // Show a document's content and settings in the editor
+  const applyDocument = useCallback((document: SavedDocument) => {
+    skipAutosaveRef.current = true;
+    editorStateRef.current = document.editorState;
+    setCurrentDocument({ id: document.id, title: document.title });
+    setContextText(document.contextText || '');
+    referencesRef.current = Array.isArray(document.references) ? document.references : [];
+    setReferences(referencesRef.current);
+    // Whoever the last document was written to is not this one's recipient
+    setRecipient(null);
+    if (TONES.includes(document.settings?.tone)) setCurrentTone(document.settings.tone);
+    if (PURPOSES.includes(document.settings?.purpose)) setCurrentPurpose(document.settings.purpose);
+    if (GENRES.includes(document.settings?.genre)) setCurrentGenre(document.settings.genre);
+    if (STRUCTURES.includes(document.settings?.structure)) setCurrentStructure(document.settings.structure);
+    setEditorMode(document.settings?.editorMode === 'rich' ? 'rich' : 'plain');
+    setCitationStyle(isCitationStyle(document.settings?.citationStyle) ? document.settings.citationStyle : DEFAULT_STYLE);
+    setDocumentToLoad(document);
+    setSaveStatus('saved');
+  }, []);
+
+  const flushPendingSave = useCallback(async () => {
+    await pendingSaveRef.current?.();
+  }, []);
+
+  const refreshDocuments = useCallback(async () => {
+    try {
+      setDocuments(await documentService.list());
+      setDocumentsError(null);
+    } catch (error) {
+      setDocumentsError(error instanceof Error ? error.message : 'Failed to list documents');
+    } finally {
+      setDocumentsLoading(false);
+    }
+  }, []);
+
+  const handleOpenDocument = useCallback(async (id: string) => {
+    try {
+      // Save pending edits to the current document before switching away
+      await pendingSaveRef.current?.();
+      applyDocument(await documentService.get(id));
+      setShowDocumentsPanel(false);
+    } catch (error) {
+      setDocumentsError(error instanceof Error ? error.message : 'Failed to open document');
+    }
+  }, [applyDocument]);
+
+  const handleCreateDocument = useCallback(async () => {
+    try {
+      await pendingSaveRef.current?.();
+      applyDocument(await documentService.create());
+      setShowDocumentsPanel(false);
+      refreshDocuments();
+    } catch (error) {
+      setDocumentsError(error instanceof Error ? error.message : 'Failed to create document');
+    }
+  }, [applyDocument, refreshDocuments]);
+
+  const handleImportDocument = useCallback(async (file: File) => {
+    try {
+      await pendingSaveRef.current?.();
+      applyDocument(await documentService.importFile(file));
+      setDocumentsError(null);
+      setShowDocumentsPanel(false);
+      refreshDocuments();
+    } catch (error) {
+      setDocumentsError(error instanceof Error ? error.message : 'Failed to import document');
+    }
+  }, [applyDocument, refreshDocuments]);
+
+  const handleRenameDocument = useCallback(async (id: string, title: string) => {
+    try {
+      const document = await documentService.update(id, { title });
+      setDocuments(prev => prev.map(summary => summary.id === id ? { ...summary, title: document.title } : summary));
+      setCurrentDocument(prev => prev && prev.id === id ? { ...prev, title: document.title } : prev);
+    } catch (error) {
+      setDocumentsError(error instanceof Error ? error.message : 'Failed to rename document');
+    }
+  }, []);
+
+  const handleDeleteDocument = useCallback(async (id: string) => {
+    try {
+      await documentService.remove(id);
+      const remaining = documents.filter(summary => summary.id !== id);
+      setDocuments(remaining);
+      if (currentDocument?.id === id) {
+        pendingSaveRef.current = null;
+        applyDocument(remaining.length > 0 ? await documentService.get(remaining[0].id) : await documentService.create());
+        refreshDocuments();
+      }
+    } catch (error) {
+      setDocumentsError(error instanceof Error ? error.message : 'Failed to delete document');
+    }
+  }, [documents, currentDocument, applyDocument, refreshDocuments]);
+
+  // Open the most recently edited document, or start the first one
+  useEffect(() => {
+    const openInitialDocument = async () => {
+      try {
+        const existing = await documentService.list();
+        setDocuments(existing);
+        applyDocument(existing.length > 0 ? await documentService.get(existing[0].id) : await documentService.create());
+        if (existing.length === 0) refreshDocuments();
+      } catch (error) {
+        console.error('Failed to open initial document:', error);
+        setDocumentsError(error instanceof Error ? error.message : 'Failed to load documents');
+      } finally {
+        setDocumentsLoading(false);
+      }
+    };
+
+    openInitialDocument();
+  }, [applyDocument, refreshDocuments]);
+
+  // Autosave editor content and per-document settings shortly after they change
+  useEffect(() => {
+    if (!currentDocument) return;
+    if (skipAutosaveRef.current) {
+      skipAutosaveRef.current = false;
+      return;
+    }
+
+    const documentId = currentDocument.id;
+    const changes = {
+      editorState: editorStateRef.current,
+      contextText,
+      settings: { tone: currentTone, purpose: currentPurpose, genre: currentGenre, structure: currentStructure, editorMode, citationStyle },
+      references,
+    };
+
+    const save = async () => {
+      pendingSaveRef.current = null;
+      setSaveStatus('saving');
+      try {
+        const saved = await documentService.update(documentId, changes);
+        setDocuments(prev => prev.map(summary => summary.id === documentId ? { ...summary, updatedAt: saved.updatedAt } : summary));
+        setSaveStatus('saved');
+      } catch (error) {
+        console.error('Autosave failed:', error);
+        setSaveStatus('error');
+      }
+    };
+
+    pendingSaveRef.current = save;
+    setSaveStatus('unsaved');
+    const timer = setTimeout(save, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [currentDocument, editorRevision, contextText, currentTone, currentPurpose, currentGenre, currentStructure, editorMode, citationStyle, references]);
+
+  const updateReferences = useCallback((next: Reference[]) => {
+    referencesRef.current = next;
+    setReferences(next);
+  }, []);
+
+  // Reuse the document's entry for a source cited before, otherwise add one
+  const handleCite = useCallback((candidate: CitationInsertion['reference']) => {
+    const existing = findMatchingReference(referencesRef.current, candidate);
+    if (existing) return existing;
+    const reference: Reference = { ...candidate, id: crypto.randomUUID() };
+    updateReferences([...referencesRef.current, reference]);
+    return reference;
+  }, [updateReferences]);
+
+  const handleCitationsChange = useCallback((ids: string[]) => {
+    setCitedIds(prev => (prev.join('|') === ids.join('|') ? prev : ids));
+  }, []);
+
+  const handleAddReference = useCallback((fields: ReferenceFields) => {
+    updateReferences([...referencesRef.current, { ...fields, id: crypto.randomUUID() }]);
+  }, [updateReferences]);
+
+  const handleUpdateReference = useCallback((reference: Reference) => {
+    updateReferences(referencesRef.current.map(existing => existing.id === reference.id ? reference : existing));
+  }, [updateReferences]);
+
+  // Deleting a reference also takes its citations out of the text, as one undoable edit
+  const handleDeleteReference = useCallback((id: string) => {
+    const editor = (window as any).__lexicalEditor;
+    if (editor) {
+      editor.update(() => {
+        $addUpdateTag('history-push');
+        $removeCitations(id);
+      });
+    }
+    updateReferences(referencesRef.current.filter(reference => reference.id !== id));
+  }, [updateReferences]);
+
+  // Imported references that match an existing one are skipped
+  const handleImportReferences = useCallback((imported: ReferenceFields[]) => {
+    const next = [...referencesRef.current];
+    for (const fields of imported) {
+      if (!findMatchingReference(next, fields)) next.push({ ...fields, id: crypto.randomUUID() });
+    }
+    const added = next.length - referencesRef.current.length;
+    if (added > 0) updateReferences(next);
+    return added;
+  }, [updateReferences]);
+
+  // Cite a reference from the bibliography without quoting anything
+  const handleCiteReference = useCallback((reference: Reference) => {
+    const editor = (window as any).__lexicalEditor;
+    if (!editor) return;
+    const { id, ...fields } = reference;
+    editor.dispatchCommand(INSERT_CITATION_COMMAND, { kind: 'citation', text: '', reference: fields });
+    editor.focus();
+  }, []);
+
+  // Switch between plain and rich text, carrying formatting across as Markdown
+  const handleToggleEditorMode = useCallback(() => {
+    const nextMode: EditorMode = editorMode === 'rich' ? 'plain' : 'rich';
+    const editor = (window as any).__lexicalEditor;
+    if (editor) {
+      editor.update(() => {
+        $addUpdateTag('history-push');
+        if (nextMode === 'rich') {
+          $convertPlainToRich();
+        } else {
+          $convertRichToPlain();
+        }
+      });
+    }
+    setEditorMode(nextMode);
+  }, [editorMode]);
+
   // Handle tone switching
   const handleSwitchTone = useCallback((direction: 'up' | 'down') => {
-    const currentIndex = tones.indexOf(currentTone);
+    const currentIndex = TONES.indexOf(currentTone);
     let newIndex;
     
     if (direction === 'up') {
-      newIndex = currentIndex > 0 ? currentIndex - 1 : tones.length - 1;
+      newIndex = currentIndex > 0 ? currentIndex - 1 : TONES.length - 1;
     } else {
-      newIndex = currentIndex < tones.length - 1 ? currentIndex + 1 : 0;
+      newIndex = currentIndex < TONES.length - 1 ? currentIndex + 1 : 0;
     }
     
-    setCurrentTone(tones[newIndex]);
-  }, [currentTone, tones]);
+    setCurrentTone(TONES[newIndex]);
+  }, [currentTone]);
 
   // Handle purpose switching
   const handleSwitchPurpose = useCallback((direction: 'up' | 'down') => {
-    const currentIndex = purposes.indexOf(currentPurpose);
+    const currentIndex = PURPOSES.indexOf(currentPurpose);
     let newIndex;
     
     if (direction === 'up') {
-      newIndex = currentIndex > 0 ? currentIndex - 1 : purposes.length - 1;
+      newIndex = currentIndex > 0 ? currentIndex - 1 : PURPOSES.length - 1;
     } else {
-      newIndex = currentIndex < purposes.length - 1 ? currentIndex + 1 : 0;
+      newIndex = currentIndex < PURPOSES.length - 1 ? currentIndex + 1 : 0;
     }
     
-    setCurrentPurpose(purposes[newIndex]);
-  }, [currentPurpose, purposes]);
+    setCurrentPurpose(PURPOSES[newIndex]);
+  }, [currentPurpose]);
 
   // Handle genre switching
   const handleSwitchGenre = useCallback((direction: 'up' | 'down') => {
-    const currentIndex = genres.indexOf(currentGenre);
+    const currentIndex = GENRES.indexOf(currentGenre);
     let newIndex;
     
     if (direction === 'up') {
-      newIndex = currentIndex > 0 ? currentIndex - 1 : genres.length - 1;
+      newIndex = currentIndex > 0 ? currentIndex - 1 : GENRES.length - 1;
     } else {
-      newIndex = currentIndex < genres.length - 1 ? currentIndex + 1 : 0;
+      newIndex = currentIndex < GENRES.length - 1 ? currentIndex + 1 : 0;
     }
     
-    setCurrentGenre(genres[newIndex]);
-  }, [currentGenre, genres]);
+    setCurrentGenre(GENRES[newIndex]);
+  }, [currentGenre]);
 
   // Handle structure switching
   const handleSwitchStructure = useCallback((direction: 'up' | 'down') => {
-    const currentIndex = structures.indexOf(currentStructure);
+    const currentIndex = STRUCTURES.indexOf(currentStructure);
     let newIndex;
     
     if (direction === 'up') {
-      newIndex = currentIndex > 0 ? currentIndex - 1 : structures.length - 1;
+      newIndex = currentIndex > 0 ? currentIndex - 1 : STRUCTURES.length - 1;
     } else {
-      newIndex = currentIndex < structures.length - 1 ? currentIndex + 1 : 0;
+      newIndex = currentIndex < STRUCTURES.length - 1 ? currentIndex + 1 : 0;
     }
     
-    setCurrentStructure(structures[newIndex]);
-  }, [currentStructure, structures]);
+    setCurrentStructure(STRUCTURES[newIndex]);
+  }, [currentStructure]);
 
   // Handle mode switching (cycles through tone -> purpose -> genre -> structure)
   const handleSwitchMode = useCallback((direction: 'left' | 'right') => {
@@ -534,11 +1399,8 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
     const editor = (window as any).__lexicalEditor;
     if (editor) {
       editor.update(() => {
-        const selection = $getSelection();
-        if ($isRangeSelection(selection)) {
-          const textNode = $createTextNode(' ' + autocompleteState.suggestion);
-          $insertNodes([textNode]);
-        }
+        $addUpdateTag('history-push');
+        $insertSuggestionText(autocompleteState.suggestion);
       });
     }
 
@@ -550,6 +1412,16 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
     setAutocompleteState(prev => ({ ...prev, isVisible: false, suggestion: '' }));
   }, []);
 
+  // Cycle through the ranked alternatives
+  const handleCycleSuggestion = useCallback((direction: 'next' | 'previous') => {
+    setAutocompleteState(prev => {
+      const count = prev.alternatives.length;
+      if (count < 2) return prev;
+      const activeIndex = (prev.activeIndex + (direction === 'next' ? 1 : -1) + count) % count;
+      return { ...prev, activeIndex, suggestion: prev.alternatives[activeIndex].text };
+    });
+  }, []);
+
   // Handle keyboard events
   const handleKeyDown = useCallback((event: React.KeyboardEvent) => {
     // Check for Ctrl/Cmd key combinations
@@ -586,6 +1458,19 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
       return;
     }
 
+    // Handle partial accept: next word (Ctrl+Shift+→) or next sentence (Ctrl+Shift+↓)
+    if (isCtrlOrCmd && event.shiftKey && autocompleteState.isVisible && autocompleteState.suggestion &&
+        (event.key === 'ArrowRight' || event.key === 'ArrowDown')) {
+      event.preventDefault();
+      event.stopPropagation();
+      const editor = (window as any).__lexicalEditor;
+      editor?.dispatchCommand(
+        event.key === 'ArrowRight' ? ACCEPT_SUGGESTION_WORD_COMMAND : ACCEPT_SUGGESTION_SENTENCE_COMMAND,
+        undefined
+      );
+      return;
+    }
+
     // Handle mode switching (works even when no suggestion is visible)
     if (isCtrlOrCmd && event.key === 'ArrowLeft') {
       event.preventDefault();
@@ -645,6 +1530,79 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
     onToggleResearch
   ]);
 
+  // Suggestions see the user's context and, once someone is being written to, who they are
+  const autocompleteContext = useMemo(
+    () => [contextText.trim(), recipient && recipientContext(recipient.profile, recipient.pinned)].filter(Boolean).join('\n\n'),
+    [contextText, recipient]
+  );
+
+  // Pinning a fact about someone else starts writing to them instead
+  const handleTogglePin = useCallback((profile: PersonProfile, value: string) => {
+    setRecipient(prev => {
+      const pinned = prev?.profile.name === profile.name ? prev.pinned : [];
+      return {
+        profile,
+        pinned: pinned.includes(value) ? pinned.filter(fact => fact !== value) : [...pinned, value],
+      };
+    });
+  }, []);
+
+  // Write an opening paragraph for the person at the end of the draft and return subject line options
+  const handleDraftEmail = useCallback(async (profile: PersonProfile) => {
+    const pinned = recipient?.profile.name === profile.name ? recipient.pinned : [];
+    setRecipient({ profile, pinned });
+    setCurrentGenre('email');
+
+    const response = await fetch('/api/people/email', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile, pinned, context: contextText, draft: editorText, tone: currentTone }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to draft email');
+    }
+
+    const editor = (window as any).__lexicalEditor;
+    if (editor) {
+      editor.update(() => {
+        $addUpdateTag('history-push');
+        const root = $getRoot();
+        const paragraph = $createParagraphNode();
+        paragraph.append($createTextNode(data.opening));
+        const first = root.getFirstChild();
+        // An empty draft is replaced rather than left as a blank first line
+        if (!root.getTextContent().trim() && first) {
+          first.replace(paragraph);
+        } else {
+          root.append(paragraph);
+        }
+        paragraph.selectEnd();
+      });
+    }
+    return Array.isArray(data.subjectLines) ? data.subjectLines : [];
+  }, [recipient, contextText, editorText, currentTone]);
+
+  // The subject goes on a "Subject:" first line, replacing one chosen before
+  const handleUseSubject = useCallback((subject: string) => {
+    const editor = (window as any).__lexicalEditor;
+    if (!editor) return;
+    editor.update(() => {
+      $addUpdateTag('history-push');
+      const root = $getRoot();
+      const line = $createParagraphNode();
+      line.append($createTextNode(`Subject: ${subject}`));
+      const first = root.getFirstChild();
+      if (!first) {
+        root.append(line);
+      } else if (/^Subject:/i.test(first.getTextContent())) {
+        first.replace(line);
+      } else {
+        first.insertBefore(line);
+      }
+    });
+  }, []);
+
   // Copy to clipboard function
   const handleToggleContext = useCallback(() => {
     setShowContextEditor(prev => !prev);
@@ -655,7 +1613,7 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
     
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.txt';
+    fileInput.accept = EVIDENCE_FILE_TYPES;
     fileInput.onchange = (e) => {
       const file = (e.target as HTMLInputElement).files?.[0];
       if (file) {
@@ -665,6 +1623,39 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
     fileInput.click();
   }, [onEvidenceUpload, editorText]);
 
+  // Export the saved document; pending edits are flushed first so the file matches the screen
+  const handleExport = useCallback(async (format: ExportFormat) => {
+    if (!currentDocument) return;
+    setShowExportMenu(false);
+    setExportingFormat(format);
+
+    try {
+      await flushPendingSave();
+      const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format, documentId: currentDocument.id }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `document.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export failed:', error);
+      window.alert(`Export failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  }, [currentDocument, flushPendingSave]);
+
   return (
     <div className="w-full">
       {/* Toolbar */}
@@ -678,6 +1669,68 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
           isLoading={autocompleteState.isLoading} 
         />
         <div className="flex items-center space-x-4">
+          <button
+            onClick={() => {
+              setShowDocumentsPanel(true);
+              refreshDocuments();
+            }}
+            className="px-3 py-1 text-sm rounded transition-colors bg-gray-100 text-gray-700 hover:bg-gray-200 max-w-[12rem] truncate"
+            title="Open, create, rename or delete documents"
+          >
+            {currentDocument?.title || 'Documents'}
+            <span className="ml-2 text-xs text-gray-400">
+              {saveStatus === 'saving' ? 'Saving…' : saveStatus === 'unsaved' ? 'Edited' : saveStatus === 'error' ? 'Not saved' : 'Saved'}
+            </span>
+          </button>
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(prev => !prev)}
+              disabled={!currentDocument || exportingFormat !== null}
+              className="px-3 py-1 text-sm rounded transition-colors bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+              title="Download this document as Markdown, HTML, Word or PDF"
+            >
+              {exportingFormat ? 'Exporting…' : 'Export'}
+            </button>
+            {showExportMenu && (
+              <div className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg py-1 z-30">
+                {EXPORT_FORMATS.map(option => (
+                  <button
+                    key={option.format}
+                    onClick={() => handleExport(option.format)}
+                    className="block w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <button
+            onClick={handleToggleEditorMode}
+            className={`px-3 py-1 text-sm rounded transition-colors ${
+              editorMode === 'rich'
+                ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+            title="Toggle headings, lists, emphasis and links"
+          >
+            Rich Text
+          </button>
+          <button
+            onClick={() => setShowBibliographyPanel(true)}
+            className="px-3 py-1 text-sm rounded transition-colors bg-gray-100 text-gray-700 hover:bg-gray-200"
+            title="Manage this document's references and citation style"
+          >
+            References
+          </button>
+          <button
+            onClick={() => setShowVersionHistory(true)}
+            disabled={!currentDocument}
+            className="px-3 py-1 text-sm rounded transition-colors bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+            title="Save versions, compare them and restore earlier text"
+          >
+            History
+          </button>
           <button
             onClick={() => setShowPeoplePanel(true)}
             className="px-3 py-1 text-sm rounded transition-colors bg-green-100 text-green-700 hover:bg-green-200"
@@ -688,10 +1741,19 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
           <button
             onClick={handleEvidenceUpload}
             className="px-3 py-1 text-sm rounded transition-colors bg-blue-100 text-blue-700 hover:bg-blue-200"
-            title="Upload text file to extract relevant evidence"
+            title="Upload a PDF, Word, HTML, Markdown, CSV, JSON or text source to extract relevant evidence"
           >
             Upload Evidence
           </button>
+          {onOpenSources && (
+            <button
+              onClick={onOpenSources}
+              className="px-3 py-1 text-sm rounded transition-colors bg-gray-100 text-gray-700 hover:bg-gray-200"
+              title="Match files you uploaded before against the current draft"
+            >
+              Sources
+            </button>
+          )}
           <button
             onClick={handleToggleContext}
             className={`px-3 py-1 text-sm rounded transition-colors ${
@@ -707,7 +1769,13 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
       </div>
       {showPeoplePanel && (
         <div className="fixed top-0 right-0 h-full w-96 z-50">
-          <PeoplePanel onClose={() => setShowPeoplePanel(false)} />
+          <PeoplePanel
+            recipient={recipient}
+            onTogglePin={handleTogglePin}
+            onDraftEmail={handleDraftEmail}
+            onUseSubject={handleUseSubject}
+            onClose={() => setShowPeoplePanel(false)}
+          />
         </div>
       )}
       {showPeoplePanel && (
@@ -716,6 +1784,66 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
           onClick={() => setShowPeoplePanel(false)}
         />
       )}
+      {showDocumentsPanel && (
+        <div className="fixed top-0 right-0 h-full w-96 z-50">
+          <DocumentsPanel
+            documents={documents}
+            currentDocumentId={currentDocument?.id || null}
+            isLoading={documentsLoading}
+            error={documentsError}
+            onOpen={handleOpenDocument}
+            onCreate={handleCreateDocument}
+            onImport={handleImportDocument}
+            onRename={handleRenameDocument}
+            onDelete={handleDeleteDocument}
+            onClose={() => setShowDocumentsPanel(false)}
+          />
+        </div>
+      )}
+      {showDocumentsPanel && (
+        <div 
+          className="fixed inset-0 bg-black bg-opacity-20 z-40 transition-opacity duration-300"
+          onClick={() => setShowDocumentsPanel(false)}
+        />
+      )}
+      {showBibliographyPanel && (
+        <div className="fixed top-0 right-0 h-full w-96 z-50">
+          <BibliographyPanel
+            references={references}
+            style={citationStyle}
+            citedIds={citedIds}
+            onStyleChange={setCitationStyle}
+            onAdd={handleAddReference}
+            onUpdate={handleUpdateReference}
+            onDelete={handleDeleteReference}
+            onImport={handleImportReferences}
+            onCite={handleCiteReference}
+            onClose={() => setShowBibliographyPanel(false)}
+          />
+        </div>
+      )}
+      {showBibliographyPanel && (
+        <div 
+          className="fixed inset-0 bg-black bg-opacity-20 z-40 transition-opacity duration-300"
+          onClick={() => setShowBibliographyPanel(false)}
+        />
+      )}
+      {showVersionHistory && currentDocument && (
+        <div className="fixed top-0 right-0 h-full w-[36rem] max-w-full z-50">
+          <VersionHistoryPanel
+            documentId={currentDocument.id}
+            onFlush={flushPendingSave}
+            onRestore={applyDocument}
+            onClose={() => setShowVersionHistory(false)}
+          />
+        </div>
+      )}
+      {showVersionHistory && (
+        <div 
+          className="fixed inset-0 bg-black bg-opacity-20 z-40 transition-opacity duration-300"
+          onClick={() => setShowVersionHistory(false)}
+        />
+      )}
       {/* Context Editor */}
       {showContextEditor && (
         <div className="border-b border-gray-200 bg-gray-50">
@@ -735,71 +1863,124 @@ export default function WritingEditor({ onToggleResearch, showResearch, onEviden
       )}
 
       {/* Editor */}
-      <div className="relative">
-        <LexicalComposer initialConfig={initialConfig}>
-          <PlainTextPlugin
-            contentEditable={
-              <ContentEditable
-                className="editor-inner min-h-96 outline-none resize-none"
-                placeholder="Start vibe-writing here..."
-                onKeyDown={handleKeyDown}
+      <LexicalComposer initialConfig={initialConfig}>
+        <div>
+          {editorMode === 'rich' && <FormattingToolbar />}
+          <div className="relative">
+            {editorMode === 'rich' ? (
+              <>
+                <RichTextPlugin
+                  contentEditable={
+                    <ContentEditable
+                      className="editor-inner min-h-96 outline-none resize-none"
+                      placeholder="Start vibe-writing here..."
+                      onKeyDown={handleKeyDown}
+                    />
+                  }
+                  placeholder={
+                    <div className="editor-placeholder">
+                      Start vibe-writing here...
+                    </div>
+                  }
+                  ErrorBoundary={LexicalErrorBoundary}
+                />
+                <ListPlugin />
+                <LinkPlugin />
+                <MarkdownShortcutPlugin transformers={MARKDOWN_TRANSFORMERS} />
+              </>
+            ) : (
+              <PlainTextPlugin
+                contentEditable={
+                  <ContentEditable
+                    className="editor-inner min-h-96 outline-none resize-none"
+                    placeholder="Start vibe-writing here..."
+                    onKeyDown={handleKeyDown}
+                  />
+                }
+                placeholder={
+                  <div className="editor-placeholder">
+                    Start vibe-writing here...
+                  </div>
+                }
+                ErrorBoundary={LexicalErrorBoundary}
               />
-            }
-            placeholder={
-              <div className="editor-placeholder">
-                Start vibe-writing here...
-              </div>
-            }
-            ErrorBoundary={LexicalErrorBoundary}
-          />
-          <HistoryPlugin />
-          <AutocompletePlugin
-            currentTone={currentTone}
-            setCurrentTone={setCurrentTone}
-            currentPurpose={currentPurpose}
-            setCurrentPurpose={setCurrentPurpose}
-            currentGenre={currentGenre}
-            setCurrentGenre={setCurrentGenre}
-            currentStructure={currentStructure}
-            setCurrentStructure={setCurrentStructure}
-            currentMode={currentMode}
-            setCurrentMode={setCurrentMode}
-            autocompleteState={autocompleteState}
-            setAutocompleteState={setAutocompleteState}
-            onEditorTextChange={handleEditorTextChange}
-            onAcceptSuggestion={handleAcceptSuggestion}
-            onDismissSuggestion={handleDismissSuggestion}
-            onSwitchTone={handleSwitchTone}
-            onSwitchPurpose={handleSwitchPurpose}
-            onSwitchGenre={handleSwitchGenre}
-            onSwitchStructure={handleSwitchStructure}
-            onSwitchMode={handleSwitchMode}
-            userContextText={contextText}
-          />
-        </LexicalComposer>
+            )}
+            <HistoryPlugin />
+            <DocumentSyncPlugin
+              documentToLoad={documentToLoad}
+              onEditorStateChange={handleEditorStateChange}
+            />
+            <CitationPlugin
+              references={references}
+              style={citationStyle}
+              onCite={handleCite}
+              onCitationsChange={handleCitationsChange}
+            />
+            {onCursorParagraphChange && <CursorParagraphPlugin onChange={onCursorParagraphChange} />}
+            <AutocompletePlugin
+              currentTone={currentTone}
+              setCurrentTone={setCurrentTone}
+              currentPurpose={currentPurpose}
+              setCurrentPurpose={setCurrentPurpose}
+              currentGenre={currentGenre}
+              setCurrentGenre={setCurrentGenre}
+              currentStructure={currentStructure}
+              setCurrentStructure={setCurrentStructure}
+              currentMode={currentMode}
+              setCurrentMode={setCurrentMode}
+              autocompleteState={autocompleteState}
+              setAutocompleteState={setAutocompleteState}
+              onEditorTextChange={handleEditorTextChange}
+              onAcceptSuggestion={handleAcceptSuggestion}
+              onDismissSuggestion={handleDismissSuggestion}
+              onCycleSuggestion={handleCycleSuggestion}
+              onSwitchTone={handleSwitchTone}
+              onSwitchPurpose={handleSwitchPurpose}
+              onSwitchGenre={handleSwitchGenre}
+              onSwitchStructure={handleSwitchStructure}
+              onSwitchMode={handleSwitchMode}
+              userContextText={autocompleteContext}
+            />
         
-        {/* Suggestion Overlay */}
-        {autocompleteState.isVisible && autocompleteState.suggestion && (
-          <div 
-            className="absolute pointer-events-none z-10"
-            style={{
-              left: `${(window as any).__cursorPosition?.x || 20}px`,
-              top: `${((window as any).__cursorPosition?.y || 20) + 5}px`,
-            }}
-          >
-            <div className="suggestion-text bg-white px-3 py-2 rounded-lg shadow-lg border border-gray-200 max-w-xs">
-              <span className="text-gray-600 italic">
-                {autocompleteState.suggestion}
-              </span>
-              <div className="text-xs text-gray-500 mt-2 pt-2 border-t border-gray-200">
-                <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Ctrl+Enter</kbd> accept • 
-                <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Ctrl+↑↓</kbd> tone • 
-                <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Esc</kbd> dismiss
+            {/* Suggestion Overlay */}
+            {autocompleteState.isVisible && autocompleteState.suggestion && (
+              <div 
+                className="absolute pointer-events-none z-10"
+                style={{
+                  left: `${(window as any).__cursorPosition?.x || 20}px`,
+                  top: `${((window as any).__cursorPosition?.y || 20) + 5}px`,
+                }}
+              >
+                <div className="suggestion-text bg-white px-3 py-2 rounded-lg shadow-lg border border-gray-200 max-w-xs">
+                  <span className="text-gray-600 italic">
+                    {autocompleteState.suggestion}
+                  </span>
+                  {autocompleteState.alternatives.length > 1 && (
+                    <div className="text-xs text-gray-400 mt-1">
+                      {autocompleteState.activeIndex + 1}/{autocompleteState.alternatives.length} •{' '}
+                      {[
+                        autocompleteState.alternatives[autocompleteState.activeIndex].tone,
+                        autocompleteState.alternatives[autocompleteState.activeIndex].purpose,
+                        autocompleteState.alternatives[autocompleteState.activeIndex].genre,
+                        autocompleteState.alternatives[autocompleteState.activeIndex].structure,
+                      ].join(' · ')}
+                    </div>
+                  )}
+                  <div className="text-xs text-gray-500 mt-2 pt-2 border-t border-gray-200">
+                    <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Ctrl+Enter</kbd> accept • 
+                    <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Ctrl+Shift+→↓</kbd> word/sentence • 
+                    {autocompleteState.alternatives.length > 0 && SUGGESTION_COUNT > 1 && (
+                      <><kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Tab</kbd> next • </>
+                    )}
+                    <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Ctrl+↑↓</kbd> tone • 
+                    <kbd className="px-1 py-0.5 bg-gray-100 rounded text-xs">Esc</kbd> dismiss
+                  </div>
+                </div>
               </div>
-            </div>
+            )}
           </div>
-        )}
-      </div>
+        </div>
+      </LexicalComposer>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,120 @@
+import type { CitationInsertion } from './CitationNode';
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE } from '../../citation_styles.js';
+
+export type ReferenceType = 'article' | 'book' | 'chapter' | 'report' | 'webpage' | 'document';
+
+// A source cited in a document; the shape citation_styles.js formats
+export interface Reference {
+  id: string;
+  type: ReferenceType;
+  title: string;
+  // "Given Family" or "Family, Given"
+  authors: string[];
+  year?: string;
+  // Journal, book, archive or site the source appeared in
+  container?: string;
+  volume?: string;
+  issue?: string;
+  pages?: string;
+  publisher?: string;
+  url?: string;
+  doi?: string;
+}
+
+export type CitationStyle = keyof typeof CITATION_STYLES;
+
+export const CITATION_STYLE_OPTIONS = Object.entries(CITATION_STYLES).map(([style, info]) => ({
+  style: style as CitationStyle,
+  label: info.label,
+}));
+
+export function isCitationStyle(value: unknown): value is CitationStyle {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(CITATION_STYLES, value);
+}
+
+export const DEFAULT_STYLE = DEFAULT_CITATION_STYLE as CitationStyle;
+
+// The parts of an uploaded evidence file and its items that a citation needs
+interface EvidenceSourceInfo {
+  file: string;
+  title?: string;
+  author?: string;
+}
+
+interface EvidenceForCitation {
+  text: string;
+  type: 'statistic' | 'quote';
+  location?: { page?: number } | null;
+}
+
+interface ArticleForCitation {
+  title: string;
+  authors: string[];
+  abstract: string;
+  published: string;
+  url: string;
+  doi?: string;
+  source: string;
+}
+
+/**
+ * An existing reference for the same source: same DOI, else same URL, else
+ * the same title and authors
+ */
+export function findMatchingReference(references: Reference[], candidate: Omit<Reference, 'id'>): Reference | undefined {
+  const key = (value?: string) => (value || '').trim().toLowerCase();
+  return references.find(reference => {
+    if (candidate.doi && reference.doi) return key(reference.doi) === key(candidate.doi);
+    if (candidate.url && reference.url) return key(reference.url) === key(candidate.url);
+    return key(reference.title) === key(candidate.title) &&
+      reference.authors.map(key).join('|') === candidate.authors.map(key).join('|');
+  });
+}
+
+// A file's author field may list several people, but not with commas, which
+// also separate the parts of "Family, Given"
+function splitAuthors(authors: string | undefined): string[] {
+  return (authors || '')
+    .split(/\s*(?:;|\band\b|&)\s*/)
+    .map(name => name.trim())
+    .filter(name => name && name.toLowerCase() !== 'unknown');
+}
+
+/**
+ * Quote an evidence item, citing the uploaded file it came from. Statistics
+ * are paraphrased rather than quoted, since the extracted text is a fragment.
+ */
+export function insertionFromEvidence(item: EvidenceForCitation, sourceInfo: EvidenceSourceInfo): CitationInsertion {
+  return {
+    kind: item.type === 'quote' ? 'quote' : 'paraphrase',
+    text: item.text,
+    reference: {
+      type: 'document',
+      title: sourceInfo.title?.trim() || sourceInfo.file.replace(/\.[^.]+$/, ''),
+      authors: splitAuthors(sourceInfo.author),
+    },
+    ...(item.location?.page && { page: String(item.location.page) }),
+  };
+}
+
+/**
+ * Paraphrase a research article with the opening sentence of its abstract, or
+ * insert only the citation when there is no abstract to draw on
+ */
+export function insertionFromArticle(article: ArticleForCitation): CitationInsertion {
+  const abstract = (article.abstract || '').replace(/\s+/g, ' ').trim();
+  const firstSentence = /^no abstract/i.test(abstract) ? '' : abstract.split(/(?<=[.!?])\s+(?=[A-Z])/)[0];
+  return {
+    kind: firstSentence ? 'paraphrase' : 'citation',
+    text: firstSentence,
+    reference: {
+      type: 'article',
+      title: article.title,
+      authors: article.authors,
+      year: article.published?.match(/\b(1[5-9]|20)\d{2}\b/)?.[0],
+      container: article.source || undefined,
+      url: article.url || undefined,
+      doi: article.doi || undefined,
+    },
+  };
+}
@@ -0,0 +1,130 @@
+import { NextRequest, NextResponse } from 'next/server';
+
+/**
+ * Per-client rate limiting for every API route, and tagging each request
+ * with its route so the usage ledger (usage_ledger.js) can count model calls
+ * against it.
+ *
+ * Limits are requests per minute per client and route:
+ *
+ *   RATE_LIMIT_PER_MINUTE=60                 every route
+ *   RATE_LIMIT_AUTOCOMPLETE_PER_MINUTE=120   one route, by its first path segment
+ *
+ * 0 turns a limit off. Counts are kept in memory, so they reset when the
+ * server restarts and are per server instance.
+ *
+ * Clients are told apart by the address the request came from. Behind a
+ * reverse proxy that is the proxy's, so set
+ *
+ *   RATE_LIMIT_TRUST_PROXY=1                 use X-Forwarded-For / X-Real-IP
+ *
+ * only when a proxy you run sets those headers; otherwise anyone can send
+ * them and pick a fresh client for every request.
+ */
+
+// Must match ROUTE_HEADER in usage_ledger.js
+const ROUTE_HEADER = 'x-usage-route';
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_LIMIT = 60;
+
+// Routes the editor calls while the user types get more room
+const ROUTE_DEFAULT_LIMITS: Record<string, number> = {
+  autocomplete: 120,
+  'tone-analysis': 90,
+};
+
+// Windows are pruned once there are this many, so idle clients do not pile up
+const MAX_WINDOWS = 10000;
+
+// Oldest window first, since a window that starts again is moved to the end
+const windows = new Map<string, { start: number; count: number }>();
+
+// Ids and hashes in a path become [id], so /api/documents/<uuid> counts as one route
+function routeOf(pathname: string): string {
+  return pathname
+    .replace(/\/$/, '')
+    .split('/')
+    .map(segment => (/^[0-9a-f-]{8,}$/i.test(segment) || /^\d+$/.test(segment) ? '[id]' : segment))
+    .join('/');
+}
+
+function clientOf(request: NextRequest): string {
+  if (process.env.RATE_LIMIT_TRUST_PROXY) {
+    const forwarded = request.headers.get('x-forwarded-for')?.split(',')[0].trim() ||
+      request.headers.get('x-real-ip');
+    if (forwarded) return forwarded;
+  }
+  return request.ip || 'local';
+}
+
+function limitFor(group: string): number {
+  const key = group.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const value = parseInt(process.env[`RATE_LIMIT_${key}_PER_MINUTE`] ?? process.env.RATE_LIMIT_PER_MINUTE ?? '', 10);
+  if (Number.isFinite(value) && value >= 0) return value;
+  return ROUTE_DEFAULT_LIMITS[group] ?? DEFAULT_LIMIT;
+}
+
+// Drop expired windows, then, if a burst of new clients still fills the
+// map, the oldest tenth, so it stays bounded without pruning every request
+function prune(now: number) {
+  windows.forEach((window, key) => {
+    if (now - window.start >= WINDOW_MS) windows.delete(key);
+  });
+  if (windows.size < MAX_WINDOWS) return;
+  let excess = windows.size - Math.floor(MAX_WINDOWS * 0.9);
+  windows.forEach((window, key) => {
+    if (excess-- > 0) windows.delete(key);
+  });
+}
+
+export function middleware(request: NextRequest) {
+  const route = routeOf(request.nextUrl.pathname);
+  const group = route.split('/')[2] || '';
+  const limit = limitFor(group);
+  let remaining: number | null = null;
+
+  if (limit > 0) {
+    const now = Date.now();
+    if (windows.size >= MAX_WINDOWS) prune(now);
+
+    const key = `${clientOf(request)} ${group}`;
+    let window = windows.get(key);
+    if (!window || now - window.start >= WINDOW_MS) {
+      window = { start: now, count: 0 };
+      windows.delete(key);
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    if (window.count > limit) {
+      const retryAfter = Math.ceil((window.start + WINDOW_MS - now) / 1000);
+      return NextResponse.json(
+        { error: `Too many requests to ${route}. Try again in ${retryAfter}s.` },
+        {
+          status: 429,
+          headers: {
+            'Retry-After': String(retryAfter),
+            'X-RateLimit-Limit': String(limit),
+            'X-RateLimit-Remaining': '0',
+          },
+        }
+      );
+    }
+    remaining = limit - window.count;
+  }
+
+  // Set here rather than trusted from the client
+  const headers = new Headers(request.headers);
+  headers.set(ROUTE_HEADER, route);
+  const response = NextResponse.next({ request: { headers } });
+  if (remaining !== null) {
+    response.headers.set('X-RateLimit-Limit', String(limit));
+    response.headers.set('X-RateLimit-Remaining', String(remaining));
+  }
+  return response;
+}
+
+export const config = {
+  matcher: '/api/:path*',
+};
@@ -0,0 +1,42 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A spent budget means OpenAI is never called, so the key needs no network
+process.env.EMBEDDING_PROVIDER = 'openai';
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.LLM_EMBEDDINGS_DAILY_TOKENS = '0';
+process.env.OPEN_QUILL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'open-quill-test-'));
+
+const { embed } = require('../embedding_service');
+const { indexDocument, hasDocument, search } = require('../vector_index');
+const { getUsage } = require('../usage_ledger');
+
+after(() => {
+  fs.rmSync(process.env.OPEN_QUILL_DATA_DIR, { recursive: true, force: true });
+});
+
+test('embed hashes texts while the embeddings budget is spent and counts them as degraded', async () => {
+  const result = await embed(['sleep and memory']);
+  assert.equal(result.provider, 'hash');
+  assert.match(result.degraded, /Daily token budget for embeddings reached/);
+  assert.equal(result.vectors.length, 1);
+
+  const usage = await getUsage();
+  const embeddings = usage.features.find(feature => feature.feature === 'embeddings');
+  assert.equal(embeddings.degraded, 1);
+  assert.equal(embeddings.tokens, 0);
+});
+
+test('documents indexed over budget are stored and searched under the hashing model', async () => {
+  await indexDocument('papers', [
+    { key: 'sleep', text: 'Sleep deprivation impairs memory consolidation' },
+    { key: 'climate', text: 'Coastal flooding under climate change' }
+  ]);
+  assert.equal(await hasDocument('papers'), true);
+
+  const hits = await search('memory after sleep deprivation', { docIds: ['papers'] });
+  assert.equal(hits[0].key, 'sleep');
+});
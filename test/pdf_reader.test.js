@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { readPdf } = require('../pdf_reader');
+
+// Two pages sharing one compressed content stream
+function samplePdf(content) {
+  const data = zlib.deflateSync(content);
+  return Buffer.concat([
+    Buffer.from([
+      '%PDF-1.4',
+      '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+      '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 6 0 R >> >> >> endobj',
+      '3 0 obj << /Type /Page /Parent 2 0 R /Contents 5 0 R >> endobj',
+      '4 0 obj << /Type /Page /Parent 2 0 R /Contents 5 0 R >> endobj',
+      '6 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj',
+      `5 0 obj << /Length ${data.length} /Filter /FlateDecode >> stream`,
+      ''
+    ].join('\n'), 'latin1'),
+    data,
+    Buffer.from('\nendstream endobj\ntrailer << /Root 1 0 R >>\n%%EOF', 'latin1')
+  ]);
+}
+
+test('readPdf reads the text of every page', () => {
+  const pdf = readPdf(samplePdf(Buffer.from('BT /F1 12 Tf (Hello) Tj ET')));
+  assert.deepEqual(pdf.pages, ['Hello', 'Hello']);
+});
+
+test('readPdf decodes a stream shared by several pages once against the budget', () => {
+  const content = Buffer.from('BT /F1 12 Tf (Hello) Tj ET');
+  assert.deepEqual(readPdf(samplePdf(content), { maxBytes: content.length }).pages, ['Hello', 'Hello']);
+});
+
+test('readPdf refuses streams that decompress past maxBytes', () => {
+  // Compresses to a few kilobytes
+  const content = Buffer.concat([Buffer.from('BT /F1 12 Tf (Hello) Tj ET\n'), Buffer.alloc(2 * 1024 * 1024, 32)]);
+  assert.throws(
+    () => readPdf(samplePdf(content), { maxBytes: 1024 * 1024 }),
+    /PDF contents are larger than 1 MB once decompressed/
+  );
+});
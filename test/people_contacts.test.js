@@ -0,0 +1,56 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Searches replay test/fixtures/people, as in people_profile.test.js
+process.env.PEOPLE_SEARCH_PROVIDER = 'fixture';
+process.env.PEOPLE_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'people');
+delete process.env.PEOPLE_FIXTURES_RECORD;
+process.env.LLM_PEOPLE_PROVIDER = 'mock';
+process.env.OPEN_QUILL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'open-quill-test-'));
+
+const { saveContact, refreshContact } = require('../people_contacts');
+
+after(() => {
+  fs.rmSync(process.env.OPEN_QUILL_DATA_DIR, { recursive: true, force: true });
+});
+
+function savedProfile(organisation, url) {
+  return {
+    name: 'Maria Silva',
+    summary: 'Saved before.',
+    summarySources: ['S1'],
+    role: null,
+    organisation: { value: organisation, sources: ['S1'] },
+    location: null,
+    notableWork: [],
+    conversationHooks: [],
+    sources: [{ id: 'S1', title: 'Maria Silva', url, snippet: '' }]
+  };
+}
+
+test('refreshContact rebuilds the profile from the person sharing the saved pages', async () => {
+  const { contact } = await saveContact(savedProfile('Portugal Athletics', 'https://worldathletics.org/athletes/portugal/maria-silva'));
+  const result = await refreshContact(contact.id);
+
+  assert.equal(result.refreshed, true);
+  assert.equal(result.contact.profile.organisation.value, 'Portugal Athletics');
+  assert.deepEqual(result.contact.profile.sources.map(source => source.url), [
+    'https://en.wikipedia.org/wiki/Maria_Silva_(runner)',
+    'https://worldathletics.org/athletes/portugal/maria-silva'
+  ]);
+});
+
+test('refreshContact leaves the profile alone when no one found shares a saved page', async () => {
+  const { contact } = await saveContact(savedProfile('Silva Studio', 'https://silvastudio.example/about'));
+  const result = await refreshContact(contact.id);
+
+  assert.equal(result.refreshed, false);
+  assert.deepEqual(result.contact, contact);
+});
+
+test('refreshContact returns null for a contact that does not exist', async () => {
+  assert.equal(await refreshContact('missing'), null);
+});
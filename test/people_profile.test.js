@@ -0,0 +1,137 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Search results replay from test/fixtures/people and the model is the mock
+ * provider, so the pipeline runs without the network. The fixtures are in
+ * the format the Serper backend records with PEOPLE_FIXTURES_RECORD=1.
+ */
+process.env.PEOPLE_SEARCH_PROVIDER = 'fixture';
+process.env.PEOPLE_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'people');
+delete process.env.PEOPLE_FIXTURES_RECORD;
+process.env.LLM_PEOPLE_PROVIDER = 'mock';
+// The mock provider still counts usage
+process.env.OPEN_QUILL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'open-quill-test-'));
+
+// Replies queued here stand in for the model's next answers; otherwise the
+// mock provider answers with each step's offline fallback
+const llm = require('../llm_service');
+const mockComplete = llm.complete;
+const replies = [];
+llm.complete = (feature, request) =>
+  mockComplete(feature, replies.length > 0 ? { ...request, mockResponse: replies.shift() } : request);
+
+const { findPeople, buildProfileFromSources } = require('../people_profile');
+
+after(() => {
+  fs.rmSync(process.env.OPEN_QUILL_DATA_DIR, { recursive: true, force: true });
+});
+
+const urlsOf = sources => sources.map(source => source.url);
+
+test('findPeople picks results naming the person, profile pages first, once per page', async () => {
+  const people = await findPeople('Maria Silva');
+  const picked = people.flatMap(person => person.sources).sort((a, b) => a.id.localeCompare(b.id));
+
+  // Results missing part of the name are dropped, and the tracked LinkedIn
+  // link from the second query is the same page as the first
+  assert.deepEqual(picked.map(source => [source.id, source.url]), [
+    ['S1', 'https://www.linkedin.com/in/mariasilva'],
+    ['S2', 'https://en.wikipedia.org/wiki/Maria_Silva_(runner)'],
+    ['S3', 'https://github.com/msilva'],
+    ['S4', 'https://worldathletics.org/athletes/portugal/maria-silva'],
+    ['S5', 'https://acme.com/blog/maria-silva-product-discovery']
+  ]);
+});
+
+test('findPeople groups the results by the person they describe', async () => {
+  const people = await findPeople('Maria Silva');
+
+  assert.deepEqual(people.map(({ id, description, role, organisation, location }) => ({ id, description, role, organisation, location })), [
+    { id: 'C1', description: 'Head of Product at Acme', role: 'Head of Product', organisation: 'Acme', location: 'Lisbon, Portugal' },
+    { id: 'C2', description: 'Marathon Runner at Portugal Athletics', role: 'Marathon Runner', organisation: 'Portugal Athletics', location: null }
+  ]);
+  // Results naming no organisation join the first person
+  assert.deepEqual(urlsOf(people[0].sources), [
+    'https://www.linkedin.com/in/mariasilva',
+    'https://github.com/msilva',
+    'https://acme.com/blog/maria-silva-product-discovery'
+  ]);
+  assert.deepEqual(urlsOf(people[1].sources), [
+    'https://en.wikipedia.org/wiki/Maria_Silva_(runner)',
+    'https://worldathletics.org/athletes/portugal/maria-silva'
+  ]);
+});
+
+test('findPeople leaves out the people qualifiers rule out', async () => {
+  const people = await findPeople('Maria Silva', { company: 'Acme' });
+  assert.deepEqual(people.map(person => [person.id, person.organisation]), [['C1', 'Acme']]);
+});
+
+test('findPeople finds no one when no result names the person', async () => {
+  assert.deepEqual(await findPeople('Nobody Recorded'), []);
+});
+
+test('groupings citing results that were not picked keep only the picked ones', async () => {
+  replies.push(JSON.stringify({
+    people: [
+      { description: 'Product lead', sources: ['S1', 'S9'] },
+      // S1 is already placed, so only S2 is left
+      { description: 'Runner', sources: ['S1', 'S2'] },
+      { description: 'Made up', sources: ['S42'] }
+    ]
+  }));
+  const people = await findPeople('Maria Silva');
+
+  assert.deepEqual(people.map(person => [person.id, person.description, person.sources.map(source => source.id)]), [
+    ['C1', 'Product lead', ['S1']],
+    ['C2', 'Runner', ['S2']]
+  ]);
+});
+
+test('buildProfileFromSources extracts cited fields and summarises them', async () => {
+  const [person] = await findPeople('Maria Silva');
+  const profile = await buildProfileFromSources('Maria Silva', person.sources);
+
+  assert.deepEqual(profile.sources.map(source => [source.id, source.url]), [
+    ['S1', 'https://www.linkedin.com/in/mariasilva'],
+    ['S2', 'https://github.com/msilva'],
+    ['S3', 'https://acme.com/blog/maria-silva-product-discovery']
+  ]);
+  assert.deepEqual(profile.role, { value: 'Head of Product', sources: ['S1'] });
+  assert.deepEqual(profile.organisation, { value: 'Acme', sources: ['S1'] });
+  assert.deepEqual(profile.location, { value: 'Lisbon, Portugal', sources: ['S1'] });
+  assert.deepEqual(profile.notableWork, [
+    { value: 'Led the launch of Acme Payments in 2023.', sources: ['S1'] },
+    { value: 'Built the roadmap-kit library.', sources: ['S2'] }
+  ]);
+  assert.deepEqual(profile.conversationHooks, [
+    { value: 'Maria Silva recently spoke at ProductCon about discovery interviews.', sources: ['S3'] }
+  ]);
+  assert.equal(profile.summary, 'Maria Silva is Head of Product at Acme, based in Lisbon, Portugal. Led the launch of Acme Payments in 2023. Maria Silva recently spoke at ProductCon about discovery interviews.');
+  assert.deepEqual(profile.summarySources, ['S1', 'S2', 'S3']);
+});
+
+test('buildProfileFromSources drops fields citing unknown results, and summarySources lists only what was cited', async () => {
+  const [person] = await findPeople('Maria Silva');
+  replies.push(JSON.stringify({
+    role: { value: 'Head of Product', sources: ['S1', 'S9'] },
+    organisation: { value: 'Acme', sources: ['S7'] },
+    location: { value: '', sources: ['S1'] },
+    notableWork: [{ value: 'Invented the internet', sources: [] }, { value: 'Built the roadmap-kit library.', sources: ['S2', 'S2'] }],
+    conversationHooks: [{ value: 'Spoke at a conference', sources: ['S12'] }]
+  }));
+  const profile = await buildProfileFromSources('Maria Silva', person.sources);
+
+  assert.deepEqual(profile.role, { value: 'Head of Product', sources: ['S1'] });
+  assert.equal(profile.organisation, null);
+  assert.equal(profile.location, null);
+  assert.deepEqual(profile.notableWork, [{ value: 'Built the roadmap-kit library.', sources: ['S2'] }]);
+  assert.deepEqual(profile.conversationHooks, []);
+  // S3 is in the profile's sources but no kept field cites it
+  assert.deepEqual(profile.summarySources, ['S1', 'S2']);
+  assert.equal(profile.sources.length, 3);
+});
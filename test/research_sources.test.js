@@ -0,0 +1,150 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+/**
+ * The adapters replay responses from test/fixtures/research, so these run
+ * without the network. The fixtures are in the format fetchSource records;
+ * to refresh them against the live services, run a search with
+ * RESEARCH_FIXTURES_RECORD=1 and the same topic, limit and filters.
+ */
+process.env.RESEARCH_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'research');
+delete process.env.RESEARCH_FIXTURES_RECORD;
+// CORE is skipped until a key is set; replays never send it
+process.env.CORE_API_KEY = 'test-key';
+
+const { searchResearchSources, matchesFilters } = require('../research_sources');
+
+const TOPIC = 'sleep and memory';
+
+// Health weights every adapter under test above zero
+function searchOne(source, filters) {
+  return searchResearchSources([TOPIC], 3, { sources: [source], discipline: 'health', filters });
+}
+
+const STRING_FIELDS = ['title', 'abstract', 'published', 'updated', 'url', 'doi', 'source', 'subjects', 'relevantTopic', 'pdfUrl', 'language', 'type'];
+
+function assertPaperShape(paper, source) {
+  for (const field of STRING_FIELDS) {
+    assert.equal(typeof paper[field], 'string', `${source} paper ${field} should be a string`);
+  }
+  assert.ok(Array.isArray(paper.authors) && paper.authors.every(name => typeof name === 'string' && name), `${source} paper authors should be names`);
+  assert.equal(typeof paper.openAccess, 'boolean');
+  assert.equal(paper.source, source);
+  assert.equal(paper.relevantTopic, TOPIC);
+  assert.match(paper.published, /^\d{4}(-\d{2}(-\d{2})?)?$/);
+  assert.ok(paper.title && paper.url, 'every paper needs a title and url');
+  if ('citationCount' in paper) assert.equal(typeof paper.citationCount, 'number');
+}
+
+// Warnings mean an adapter failed and its papers were silently dropped
+let warnings = [];
+before(() => {
+  console.warn = (...args) => warnings.push(args.join(' '));
+});
+
+async function searchCleanly(source, filters) {
+  warnings = [];
+  const papers = await searchOne(source, filters);
+  assert.deepEqual(warnings, []);
+  return papers;
+}
+
+test('Crossref records are normalised, with markup stripped and licences read as open access', async () => {
+  const papers = await searchCleanly('crossref');
+  papers.forEach(paper => assertPaperShape(paper, 'Crossref'));
+  assert.deepEqual(papers.map(paper => paper.doi), ['10.1000/sleep.2021.1', '10.1000/memory.2016.4']);
+
+  const [article, chapter] = papers;
+  assert.equal(article.title, 'Sleep and memory consolidation in adolescents');
+  assert.deepEqual(article.authors, ['Ana Lopez', 'Ben Okafor']);
+  assert.equal(article.abstract, 'Sleep supports the consolidation of declarative memory.');
+  assert.equal(article.published, '2021-03-05');
+  assert.equal(article.pdfUrl, 'https://example.org/articles/sleep-2021.pdf');
+  assert.equal(article.openAccess, true);
+  assert.equal(article.citationCount, 12);
+
+  assert.equal(chapter.type, 'book_chapter');
+  assert.deepEqual(chapter.authors, ['Sleep Research Society']);
+  assert.equal(chapter.abstract, 'No abstract available');
+  assert.equal(chapter.published, '2016');
+  assert.equal(chapter.openAccess, false);
+});
+
+test('OpenAlex works are normalised, with abstracts rebuilt from the inverted index', async () => {
+  const papers = await searchCleanly('openalex');
+  papers.forEach(paper => assertPaperShape(paper, 'OpenAlex'));
+
+  const [work] = papers;
+  assert.equal(work.abstract, 'Sleep strengthens newly learned memories');
+  assert.equal(work.doi, '10.5555/w2001');
+  assert.deepEqual(work.authors, ['Maria Rossi', 'Tom Becker']);
+  assert.equal(work.subjects, 'Sleep and Memory, Neuroscience');
+  assert.equal(work.updated, '2024-02-01');
+  assert.equal(work.pdfUrl, 'https://example.org/w2001.pdf');
+  assert.equal(work.openAccess, true);
+  assert.equal(papers[1].openAccess, false);
+});
+
+test('CORE works are normalised, falling back to the year and a CORE link', async () => {
+  const papers = await searchCleanly('core');
+  papers.forEach(paper => assertPaperShape(paper, 'CORE'));
+
+  const [collected, metadataOnly] = papers;
+  // "Family, Given" names stay one author
+  assert.deepEqual(collected.authors, ['Shah, Priya']);
+  assert.deepEqual(metadataOnly.authors, ['Jo Park', 'Sam Lee']);
+  assert.equal(collected.url, 'https://core.ac.uk/display/4001');
+  assert.equal(collected.published, '2021-09-01');
+  assert.equal(collected.openAccess, true);
+  assert.equal(metadataOnly.url, 'https://core.ac.uk/works/4003');
+  assert.equal(metadataOnly.published, '2012');
+  assert.equal(metadataOnly.openAccess, false);
+});
+
+test('PubMed records are normalised from the search and fetch responses', async () => {
+  const papers = await searchCleanly('pubmed');
+  papers.forEach(paper => assertPaperShape(paper, 'PubMed'));
+
+  const [withPmc, withoutPmc] = papers;
+  assert.equal(withPmc.url, 'https://pubmed.ncbi.nlm.nih.gov/38100111/');
+  assert.equal(withPmc.doi, '10.7777/pm.38100111');
+  assert.equal(withPmc.published, '2022-02-07');
+  assert.deepEqual(withPmc.authors, ['Kenji Nakamura', 'Sleep Study Group']);
+  // Inline formatting stays where it was in the sentence
+  assert.equal(withPmc.abstract, 'Sleep after learning is thought to stabilise new memories. Participants who slept recalled more word pairs.');
+  assert.equal(withPmc.subjects, 'Sleep, Memory Consolidation');
+  assert.equal(withPmc.language, 'en');
+  assert.equal(withPmc.openAccess, true);
+  assert.equal(withPmc.pdfUrl, 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC9900111/pdf/');
+  assert.equal(withoutPmc.published, '2017');
+  assert.equal(withoutPmc.openAccess, false);
+});
+
+// Each filtered search replays the fixture recorded for the filtered request,
+// so a search that failed to pass its filters on would find no fixture
+
+test('year filters reach Crossref and CORE, and papers outside the range are dropped', async () => {
+  const filters = { yearFrom: 2020, yearTo: 2022 };
+  assert.deepEqual((await searchCleanly('crossref', filters)).map(paper => paper.doi), ['10.1000/sleep.2021.1']);
+  // CORE's second result has no known year, so it cannot be shown to be in range
+  assert.deepEqual((await searchCleanly('core', filters)).map(paper => paper.doi), ['10.8888/core.4001']);
+});
+
+test('the open access filter reaches OpenAlex and PubMed, and closed papers are dropped', async () => {
+  const filters = { openAccessOnly: true };
+  assert.deepEqual((await searchCleanly('openalex', filters)).map(paper => paper.doi), ['10.5555/w2001']);
+  assert.deepEqual((await searchCleanly('pubmed', filters)).map(paper => paper.doi), ['10.7777/pm.38100111']);
+});
+
+test('matchesFilters checks the publication year and open access', () => {
+  const paper = { published: '2021-03-05', openAccess: false, pdfUrl: '' };
+  assert.equal(matchesFilters(paper, {}), true);
+  assert.equal(matchesFilters(paper, { yearFrom: 2021, yearTo: 2021 }), true);
+  assert.equal(matchesFilters(paper, { yearFrom: 2022 }), false);
+  assert.equal(matchesFilters(paper, { yearTo: 2020 }), false);
+  assert.equal(matchesFilters({ published: '' }, { yearFrom: 2000 }), false);
+  assert.equal(matchesFilters(paper, { openAccessOnly: true }), false);
+  // Papers saved before openAccess was recorded count as open with a PDF link
+  assert.equal(matchesFilters({ published: '2021', pdfUrl: 'https://example.org/a.pdf' }, { openAccessOnly: true }), true);
+});
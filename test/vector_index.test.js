@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Hashed embeddings need no model or network, and give the same vectors every run
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.OPEN_QUILL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'open-quill-test-'));
+
+const { indexDocument, search, rankBySimilarity } = require('../vector_index');
+
+const papers = [
+  { key: 'sleep', text: 'Sleep deprivation impairs memory consolidation in students', data: { year: 2019 } },
+  { key: 'climate', text: 'Coastal flooding and sea level rise under climate change', data: { year: 2021 } },
+  { key: 'reading', text: 'Reading aloud improves vocabulary in early childhood', data: { year: 2015 } }
+];
+
+before(async () => {
+  await indexDocument('papers', papers);
+});
+
+after(() => {
+  fs.rmSync(process.env.OPEN_QUILL_DATA_DIR, { recursive: true, force: true });
+});
+
+test('indexDocument reuses the vectors of entries whose text has not changed', async () => {
+  const changed = papers.map(entry => entry.key === 'reading' ? { ...entry, text: 'Shared reading builds vocabulary' } : entry);
+  const result = await indexDocument('reuse', papers);
+  assert.deepEqual(result, { entries: 3, embedded: 3 });
+
+  assert.deepEqual(await indexDocument('reuse', papers), { entries: 3, embedded: 0 });
+  assert.deepEqual(await indexDocument('reuse', changed), { entries: 3, embedded: 1 });
+});
+
+test('indexDocument replaces earlier entries unless merging', async () => {
+  await indexDocument('replace', papers);
+  await indexDocument('replace', [papers[0]]);
+  const replaced = await search('climate flooding', { docIds: ['replace'] });
+  assert.deepEqual(replaced.map(hit => hit.key), ['sleep']);
+
+  await indexDocument('merge', [papers[0]]);
+  const merged = await indexDocument('merge', [papers[1]], { merge: true });
+  assert.deepEqual(merged, { entries: 2, embedded: 1 });
+  const hits = await search('climate flooding', { docIds: ['merge'] });
+  assert.deepEqual(hits.map(hit => hit.key).sort(), ['climate', 'sleep']);
+});
+
+test('indexDocument drops the entries indexed longest ago past maxEntries', async () => {
+  await Promise.all(papers.map(entry => indexDocument('capped', [entry], { merge: true, maxEntries: 2 })));
+  const hits = await search('students climate childhood', { docIds: ['capped'] });
+  assert.deepEqual(hits.map(hit => hit.key).sort(), ['climate', 'reading']);
+});
+
+test('search ranks entries by similarity and returns their data', async () => {
+  const hits = await search('memory consolidation after sleep deprivation', { docIds: ['papers'] });
+  assert.equal(hits.length, 3);
+  assert.equal(hits[0].key, 'sleep');
+  assert.deepEqual(hits[0].data, { year: 2019 });
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('search keeps only the entries where accepts', async () => {
+  const hits = await search('memory consolidation after sleep deprivation', {
+    docIds: ['papers'],
+    where: entry => entry.data.year >= 2020
+  });
+  assert.deepEqual(hits.map(hit => hit.key), ['climate']);
+});
+
+test('search honours limit and skips documents that are not indexed', async () => {
+  assert.equal((await search('reading vocabulary', { docIds: ['papers'], limit: 1 }))[0].key, 'reading');
+  assert.deepEqual(await search('reading vocabulary', { docIds: ['missing'] }), []);
+});
+
+test('rankBySimilarity orders items best first without storing them', async () => {
+  const items = [{ title: 'Flood defences' }, { title: 'Sleep and memory' }];
+  const ranked = await rankBySimilarity('how sleep affects memory', items, item => item.title);
+  assert.deepEqual(ranked.map(({ item }) => item.title), ['Sleep and memory', 'Flood defences']);
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.deepEqual(await rankBySimilarity('anything', [], item => item.title), []);
+});
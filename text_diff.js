@@ -0,0 +1,137 @@
+/**
+ * Word-level diff between two texts, used to compare document versions.
+ *
+ * Output is a list of operations that rebuilds the old text from the
+ * `equal` + `delete` parts and the new text from the `equal` + `insert` parts.
+ */
+
+// Above this many LCS cells the words are diffed line by line instead, and
+// lines past it are shown as a plain replacement
+const MAX_CELLS = 4000000;
+
+// Words keep their trailing whitespace so joining tokens reproduces the text
+function tokenizeWords(text) {
+  return text.match(/\s+|[^\s]+\s*/g) || [];
+}
+
+function tokenizeLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Longest-common-subsequence diff of two token arrays
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} [maxCells] - Bound on the LCS table for the part that differs
+ * @returns {Array<{type: string, text: string}>|null} Null when the table would exceed maxCells
+ */
+function diffTokens(a, b, maxCells = Infinity) {
+  // Common prefix and suffix are cheap to strip and are the common case for edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  if (n * m > maxCells) return null;
+
+  const ops = [];
+  if (start > 0) ops.push({ type: 'equal', text: a.slice(0, start).join('') });
+
+  // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+  const lengths = [];
+  for (let i = 0; i <= n; i++) lengths.push(new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      ops.push({ type: 'equal', text: midA[i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ type: 'delete', text: midA[i] });
+      i++;
+    } else {
+      ops.push({ type: 'insert', text: midB[j] });
+      j++;
+    }
+  }
+
+  if (endA < a.length) ops.push({ type: 'equal', text: a.slice(endA).join('') });
+  return ops;
+}
+
+// Join adjacent operations of the same type
+function mergeOps(ops) {
+  const merged = [];
+  for (const op of ops) {
+    if (!op.text) continue;
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.text;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Compare two texts word by word
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {{ops: Array<{type: 'equal'|'insert'|'delete', text: string}>, stats: {inserted: number, deleted: number}}}
+ */
+function diffText(oldText, newText) {
+  const oldWords = tokenizeWords(oldText || '');
+  const newWords = tokenizeWords(newText || '');
+
+  let ops = diffTokens(oldWords, newWords, MAX_CELLS);
+  if (!ops) {
+    // Very long documents: find changed lines first, then diff words within each changed run
+    ops = [];
+    const lineOps = mergeOps(diffTokens(tokenizeLines(oldText), tokenizeLines(newText), MAX_CELLS) || [
+      { type: 'delete', text: oldText },
+      { type: 'insert', text: newText }
+    ]);
+    for (let k = 0; k < lineOps.length; k++) {
+      const op = lineOps[k];
+      const next = lineOps[k + 1];
+      if (op.type === 'delete' && next?.type === 'insert') {
+        ops.push(...(diffTokens(tokenizeWords(op.text), tokenizeWords(next.text), MAX_CELLS) || [op, next]));
+        k++;
+      } else {
+        ops.push(op);
+      }
+    }
+  }
+
+  ops = mergeOps(ops);
+  const countWords = (type) => ops
+    .filter(op => op.type === type)
+    .reduce((total, op) => total + op.text.split(/\s+/).filter(Boolean).length, 0);
+
+  return {
+    ops,
+    stats: { inserted: countWords('insert'), deleted: countWords('delete') }
+  };
+}
+
+module.exports = {
+  diffText
+};
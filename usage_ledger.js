@@ -0,0 +1,242 @@
+require('dotenv').config();
+const { createJsonStore } = require('./json_store');
+
+/**
+ * Daily record of model usage, and the per-feature budgets checked against
+ * it (see llm_service.js and embedding_service.js).
+ *
+ * Every completion and embedding request is counted under the API route
+ * that made it, the feature and the model: requests, tokens, and spend
+ * estimated from MODEL_PRICES.
+ * Routes are read from the header the middleware sets (src/middleware.ts);
+ * scripts run outside a request are counted under 'script'.
+ *
+ * Budgets are daily, in tokens and US dollars, per feature:
+ *
+ *   LLM_DAILY_TOKENS=200000               every feature's token budget
+ *   LLM_DAILY_COST=2                      every feature's spend budget
+ *   LLM_AUTOCOMPLETE_DAILY_TOKENS=50000   override for one feature
+ *   LLM_AUTOCOMPLETE_DAILY_COST=0.5       override for one feature
+ *
+ * Unset means unlimited. Days are UTC, one record per day under the data dir.
+ */
+
+const store = createJsonStore('usage');
+
+// Request header carrying the route an API request was made to
+const ROUTE_HEADER = 'x-usage-route';
+
+// Estimated US dollars per million tokens, [input, output]; LLM_MODEL_PRICES
+// (JSON, same shape) adds models or overrides these
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'claude-3-5-sonnet-20241022': [3, 15],
+  'claude-3-5-haiku-20241022': [0.8, 4],
+  'claude-sonnet-4-20250514': [3, 15],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0],
+  'mock-1': [0, 0],
+  'local': [0, 0]
+};
+
+/**
+ * @typedef {Object} UsageRow - One route, feature and model on one day
+ * @property {string} route
+ * @property {string} feature
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} estimatedCost - US dollars
+ * @property {boolean} priced - Whether the model has a known price
+ * @property {number} degraded - Requests answered by the local fallback instead
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {boolean} allowed
+ * @property {string} [reason] - Why not, when not allowed
+ */
+
+/**
+ * Thrown when a feature is over its daily budget and the request has no
+ * local fallback to use instead
+ */
+class BudgetExceededError extends Error {
+  constructor(feature, reason) {
+    super(reason);
+    this.name = 'BudgetExceededError';
+    this.feature = feature;
+  }
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function modelPrices() {
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_MODEL_PRICES || '{}') };
+  } catch {
+    console.warn('LLM_MODEL_PRICES is not valid JSON; using the built-in prices');
+    return MODEL_PRICES;
+  }
+}
+
+/**
+ * Rough token count for text a provider did not count, e.g. streamed replies
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * The feature's daily limits; null where there is none
+ * @param {string} feature
+ * @returns {{tokens: number|null, cost: number|null}}
+ */
+function budgetFor(feature) {
+  const key = feature.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const read = (name) => {
+    const value = parseFloat(process.env[`LLM_${key}_${name}`] ?? process.env[`LLM_${name}`]);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  };
+  return { tokens: read('DAILY_TOKENS'), cost: read('DAILY_COST') };
+}
+
+// The API route of the request being served, from the middleware's header
+function currentRoute() {
+  try {
+    const { headers } = require('next/headers');
+    return headers().get(ROUTE_HEADER) || 'unknown';
+  } catch {
+    return 'script';
+  }
+}
+
+async function loadDay(day) {
+  return (await store.get(day)) || { day, rows: {} };
+}
+
+// Writes are chained so two completions finishing together both count
+let writes = Promise.resolve();
+
+/**
+ * Count one completion or embedding request in today's record
+ * @param {Object} entry
+ * @param {string} entry.feature
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {{inputTokens: number, outputTokens: number}} entry.usage
+ * @param {boolean} [entry.degraded] - Answered by the local fallback
+ * @returns {Promise<void>}
+ */
+function recordUsage({ feature, provider, model, usage, degraded = false }) {
+  const route = currentRoute();
+  writes = writes.then(async () => {
+    const day = today();
+    const record = await loadDay(day);
+    const key = `${route}|${feature}|${model}`;
+    const row = record.rows[key] || {
+      route, feature, provider, model,
+      requests: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0, priced: true, degraded: 0
+    };
+
+    const price = modelPrices()[model];
+    row.requests += 1;
+    row.inputTokens += usage.inputTokens || 0;
+    row.outputTokens += usage.outputTokens || 0;
+    row.estimatedCost += price ? ((usage.inputTokens || 0) * price[0] + (usage.outputTokens || 0) * price[1]) / 1e6 : 0;
+    row.priced = row.priced && Boolean(price);
+    if (degraded) row.degraded += 1;
+
+    record.rows[key] = row;
+    await store.put(day, record);
+  }).catch(error => {
+    // Losing a count must never fail the request that made it
+    console.error('Failed to record usage:', error);
+  });
+  return writes;
+}
+
+// Today's tokens and spend per feature
+function featureTotals(rows) {
+  const totals = {};
+  for (const row of rows) {
+    const total = totals[row.feature] || (totals[row.feature] = { requests: 0, tokens: 0, estimatedCost: 0, degraded: 0 });
+    total.requests += row.requests;
+    total.tokens += row.inputTokens + row.outputTokens;
+    total.estimatedCost += row.estimatedCost;
+    total.degraded += row.degraded;
+  }
+  return totals;
+}
+
+/**
+ * Whether a feature may make another model call today
+ * @param {string} feature
+ * @returns {Promise<BudgetStatus>}
+ */
+async function checkBudget(feature) {
+  const budget = budgetFor(feature);
+  if (budget.tokens === null && budget.cost === null) return { allowed: true };
+
+  const record = await loadDay(today());
+  const used = featureTotals(Object.values(record.rows))[feature] || { tokens: 0, estimatedCost: 0 };
+  if (budget.tokens !== null && used.tokens >= budget.tokens) {
+    return { allowed: false, reason: `Daily token budget for ${feature} reached (${used.tokens} of ${budget.tokens})` };
+  }
+  if (budget.cost !== null && used.estimatedCost >= budget.cost) {
+    return { allowed: false, reason: `Daily spend budget for ${feature} reached ($${used.estimatedCost.toFixed(2)} of $${budget.cost.toFixed(2)})` };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Usage on one day, per route and model and per feature against its budget
+ * @param {string} [day] - YYYY-MM-DD (UTC); today by default
+ * @returns {Promise<Object>}
+ */
+async function getUsage(day = today()) {
+  await writes;
+  const record = await loadDay(day);
+  const rows = Object.values(record.rows).sort((a, b) => a.route.localeCompare(b.route) || a.model.localeCompare(b.model));
+  const totals = featureTotals(rows);
+
+  const features = Object.keys(totals).sort().map(feature => {
+    const budget = budgetFor(feature);
+    const used = totals[feature];
+    return {
+      feature,
+      ...used,
+      budget,
+      overBudget: (budget.tokens !== null && used.tokens >= budget.tokens) ||
+        (budget.cost !== null && used.estimatedCost >= budget.cost)
+    };
+  });
+
+  return {
+    day,
+    routes: rows,
+    features,
+    totals: {
+      requests: rows.reduce((sum, row) => sum + row.requests, 0),
+      tokens: rows.reduce((sum, row) => sum + row.inputTokens + row.outputTokens, 0),
+      estimatedCost: rows.reduce((sum, row) => sum + row.estimatedCost, 0)
+    }
+  };
+}
+
+module.exports = {
+  ROUTE_HEADER,
+  BudgetExceededError,
+  estimateTokens,
+  recordUsage,
+  checkBudget,
+  getUsage
+};
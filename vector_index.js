@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json_store');
+const { embed, cosineSimilarity, currentEmbeddingConfig } = require('./embedding_service');
+
+/**
+ * Local vector index for nearest-neighbour retrieval. Each indexed document
+ * (a saved source, the saved research abstracts, ...) is one record holding
+ * its entries and their embeddings, stored per embedding model so switching
+ * backends never mixes vectors from different spaces:
+ *
+ *   vector-index/<sha256(docId, provider, model)>.json
+ *
+ * The model is the one embedding right now, so while the embeddings budget is
+ * spent documents are indexed and searched under the hashing fallback.
+ *
+ * Vectors are kept as base64 float32 so records stay a fraction of the size
+ * of JSON number arrays.
+ */
+
+const store = createJsonStore('vector-index');
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string} key - Unique within the document, e.g. 'passage:3'
+ * @property {string} text - Text that is embedded and searched
+ * @property {Object} [data] - Anything the caller wants back with a hit
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string} docId
+ * @property {string} key
+ * @property {string} text
+ * @property {Object} data
+ * @property {number} score - Cosine similarity to the query (-1.0 to 1.0)
+ */
+
+function recordId(docId, { provider, model }) {
+  return crypto.createHash('sha256').update(`${docId}:${provider}:${model}`).digest('hex');
+}
+
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+  // Copy out of the shared pool so the float view is aligned
+  return new Float32Array(Uint8Array.from(Buffer.from(encoded, 'base64')).buffer);
+}
+
+// Writes per record are chained, so two updates to one document both land
+const writes = new Map();
+
+function queueWrite(id, task) {
+  const next = (writes.get(id) || Promise.resolve()).catch(() => {}).then(task);
+  writes.set(id, next);
+  next.catch(() => {}).then(() => {
+    if (writes.get(id) === next) writes.delete(id);
+  });
+  return next;
+}
+
+/**
+ * Embed and store a document's entries, replacing what was indexed for it
+ * before. Entries whose text has not changed keep their stored vector.
+ * @param {string} docId - Document the entries belong to
+ * @param {IndexEntry[]} entries
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=false] - Keep earlier entries whose keys are not in `entries`
+ * @param {number} [options.maxEntries] - When merging, drop the entries indexed longest
+ *   ago past this many
+ * @returns {Promise<{entries: number, embedded: number}>} Entries in the document
+ *   afterwards, and how many had to be embedded
+ */
+async function indexDocument(docId, entries, options = {}) {
+  const config = await currentEmbeddingConfig();
+  const { provider, model } = config;
+  const id = recordId(docId, config);
+
+  return queueWrite(id, async () => {
+    const existing = await store.get(id);
+    const previous = new Map((existing?.entries || []).map(entry => [entry.key, entry]));
+
+    const fresh = entries.filter(entry => previous.get(entry.key)?.text !== entry.text);
+    const { vectors } = fresh.length > 0 ? await embed(fresh.map(entry => entry.text), config) : { vectors: [] };
+    const embedded = new Map(fresh.map((entry, index) => [entry.key, encodeVector(vectors[index])]));
+
+    // Entries are kept oldest first, so re-indexing one moves it to the end
+    const updated = new Map(options.merge ? previous : []);
+    for (const entry of entries) {
+      updated.delete(entry.key);
+      updated.set(entry.key, {
+        key: entry.key,
+        text: entry.text,
+        data: entry.data || {},
+        vector: embedded.get(entry.key) || previous.get(entry.key).vector
+      });
+    }
+    if (options.maxEntries) {
+      for (const key of updated.keys()) {
+        if (updated.size <= options.maxEntries) break;
+        updated.delete(key);
+      }
+    }
+
+    await store.put(id, { docId, provider, model, entries: [...updated.values()] });
+    return { entries: updated.size, embedded: fresh.length };
+  });
+}
+
+/**
+ * Whether a document is indexed under the current embedding model
+ * @param {string} docId
+ * @returns {Promise<boolean>}
+ */
+async function hasDocument(docId) {
+  return Boolean(await store.get(recordId(docId, await currentEmbeddingConfig())));
+}
+
+/**
+ * Drop a document from the index, under every embedding model
+ * @param {string} docId
+ * @returns {Promise<number>} Records removed
+ */
+async function removeDocument(docId) {
+  const records = await store.list();
+  const matching = records.filter(record => record.docId === docId);
+  await Promise.all(matching.map(record => store.remove(record.id)));
+  return matching.length;
+}
+
+/**
+ * Nearest neighbours of a query among indexed entries
+ * @param {string} query - Text to search for, e.g. the paragraph being written
+ * @param {Object} [options]
+ * @param {string[]} [options.docIds] - Documents to search; every indexed document when omitted
+ * @param {number} [options.limit=10] - Hits to return
+ * @param {Function} [options.where] - Keeps only entries it returns true for
+ * @returns {Promise<SearchHit[]>} Best first
+ */
+async function search(query, options = {}) {
+  const { limit = 10, where } = options;
+  const config = await currentEmbeddingConfig();
+
+  const records = options.docIds
+    ? (await Promise.all(options.docIds.map(docId => store.get(recordId(docId, config))))).filter(Boolean)
+    : (await store.list()).filter(record => record.provider === config.provider && record.model === config.model);
+  if (records.length === 0) return [];
+
+  const { vectors: [queryVector] } = await embed([query], config);
+  const hits = [];
+  for (const record of records) {
+    for (const entry of record.entries) {
+      if (where && !where(entry)) continue;
+      hits.push({
+        docId: record.docId,
+        key: entry.key,
+        text: entry.text,
+        data: entry.data,
+        score: cosineSimilarity(queryVector, decodeVector(entry.vector))
+      });
+    }
+  }
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Order items by similarity to a query without storing anything, for
+ * one-off sets such as a file that is not in the library
+ * @param {string} query
+ * @param {Object[]} items
+ * @param {Function} textOf - Text to embed for an item
+ * @returns {Promise<Array<{item: Object, score: number}>>} Best first
+ */
+async function rankBySimilarity(query, items, textOf) {
+  if (items.length === 0) return [];
+  const { vectors } = await embed([query, ...items.map(textOf)]);
+  return items
+    .map((item, index) => ({ item, score: cosineSimilarity(vectors[0], vectors[index + 1]) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  indexDocument,
+  hasDocument,
+  removeDocument,
+  search,
+  rankBySimilarity
+};
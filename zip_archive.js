@@ -0,0 +1,170 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP reader and writer, enough for Office Open XML packages (DOCX).
+ * Uses only Node built-ins so imports and exports work without network access.
+ */
+
+// CRC-32 lookup table (IEEE polynomial), built once
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files in archive order
+ * @returns {Buffer} The archive bytes
+ */
+function createZip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);              // version needed to extract
+    local.writeUInt16LE(0x0800, 6);          // UTF-8 file names
+    local.writeUInt16LE(8, 8);               // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);              // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);            // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);       // local header offset; other fields stay zero
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Read files from a ZIP archive. Archives come from uploads, so callers name
+ * the files they need and bound how much they may decompress to, which keeps
+ * a small zip bomb from filling memory.
+ * @param {Buffer} buffer - Archive bytes
+ * @param {Object} [options]
+ * @param {string[]} [options.only] - Paths to read; others are skipped unread
+ * @param {number} [options.maxBytes] - Total decompressed size allowed across the files read
+ * @returns {Map<string, Buffer>} File contents by path; directories are skipped
+ */
+function readZip(buffer, options = {}) {
+  const { only, maxBytes = Infinity } = options;
+  const wanted = only ? new Set(only) : null;
+  let remaining = maxBytes;
+  const tooLarge = () => new Error(`ZIP contents are larger than ${Math.round(maxBytes / (1024 * 1024))} MB once decompressed`);
+
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const files = new Map();
+
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(position) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || (wanted && !wanted.has(name))) continue;
+
+    // Local headers repeat the name and may carry a different extra field
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let contents;
+    if (method === 0) {
+      contents = Buffer.from(data);
+    } else if (method === 8) {
+      if (remaining < 1) throw tooLarge();
+      try {
+        contents = zlib.inflateRawSync(data, Number.isFinite(remaining) ? { maxOutputLength: remaining } : {});
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+        throw error;
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    remaining -= contents.length;
+    if (remaining < 0) throw tooLarge();
+    files.set(name, contents);
+  }
+
+  return files;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+  crc32
+};